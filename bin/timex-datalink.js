@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// Command-line entry point, see lib/timex-datalink-cli.js
+
+const { TimexDatalinkCli } = await import('../lib/timex-datalink-cli.js');
+
+process.exitCode = await TimexDatalinkCli.run(process.argv.slice(2));
@@ -13,6 +13,7 @@ const INCLUDE_PATTERNS = [
   'protocol-help.html',
   'simple-calendar-test.html',
   '_headers',
+  'package.json', // Read by lib/packet-capture.js for the app version
   
   // JavaScript modules
   'js/**/*.js',
@@ -38,7 +39,7 @@ const EXCLUDE_PATTERNS = [
   '.rubocop.yml',
   '.rspec',
   'build.js',
-  'package*.json',
+  'package-lock.json',
   'README*.md',
   'CHANGELOG.md',
   'CONTRIBUTING.md',
@@ -1,9 +1,21 @@
 // Main application entry point
 import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
 import { SerialAdapter } from '../../lib/serial-adapter.js';
+import { TransferAbortedError } from '../../lib/transport.js';
+import { ScreenTransmitter } from '../../lib/screen-transmitter.js';
+import { VirtualWatch } from '../../lib/virtual-watch.js';
+import { TimingProfiles } from '../../lib/timing-profiles.js';
+import { TimingCalibrator, CalibrationError } from '../../lib/timing-calibrator.js';
+import { WatchProfile } from '../../lib/watch-profile.js';
+import { WatchState } from '../../lib/watch-state.js';
+import { DeviceRegistry } from '../../lib/device-registry.js';
+import { EepromCapacity } from '../../lib/helpers/eeprom-capacity.js';
 import { GoogleCalendarAuth } from '../../lib/google-calendar-auth.js';
 import { GoogleCalendarClient } from '../../lib/google-calendar-client.js';
 import { CalendarSyncIntegration } from '../../lib/calendar-sync-integration.js';
+import { Protocol7 } from '../../lib/protocol7.js';
+import ZapFileParser from '../../lib/helpers/zap-file-parser.js';
+import SpcFileParser from '../../lib/helpers/spc-file-parser.js';
 import { CalendarUI } from './calendar-ui.js';
 import { windowManager } from './window-manager.js';
 
@@ -47,16 +59,49 @@ class TimexDatalinkApp {
         this.soundThemeFile = document.getElementById('sound-theme-file');
         this.wristAppStatus = document.getElementById('wrist-app-status');
         this.soundThemeStatus = document.getElementById('sound-theme-status');
+        this.vocabularyFile = document.getElementById('vocabulary-file');
+        this.loadVocabularyBtn = document.getElementById('load-vocabulary-btn');
+        this.vocabularyStatus = document.getElementById('vocabulary-status');
         
         // Advanced feature data storage
         this.wristAppData = null;
         this.soundThemeData = null;
+        this.phraseBuilder = null;
         
         // Connection interface elements
+        this.deviceSelect = document.getElementById('device-select');
+        this.saveDeviceBtn = document.getElementById('save-device-btn');
+        this.removeDeviceBtn = document.getElementById('remove-device-btn');
         this.protocolSelect = document.getElementById('protocol-select');
         this.byteSleepInput = document.getElementById('byte-sleep');
         this.packetSleepInput = document.getElementById('packet-sleep');
         this.verboseModeCheckbox = document.getElementById('verbose-mode');
+        this.verifyEchoCheckbox = document.getElementById('verify-echo');
+        this.transmitterSelect = document.getElementById('transmitter-select');
+        this.screenBrightnessInput = document.getElementById('screen-brightness');
+        this.recordCaptureCheckbox = document.getElementById('record-capture');
+        this.saveCaptureBtn = document.getElementById('save-capture-btn');
+        this.captureFile = document.getElementById('capture-file');
+        this.replayCaptureBtn = document.getElementById('replay-capture-btn');
+        this.timingProfileSelect = document.getElementById('timing-profile');
+        this.calibrateBtn = document.getElementById('calibrate-btn');
+        
+        // Timings remembered per adapter; timingEdited marks timings picked by
+        // hand since connecting, which are saved for the next adapter instead
+        this.timingProfiles = new TimingProfiles();
+        this.timingEdited = false;
+        this.currentPortKey = null;
+        this.calibrator = null;
+        
+        // Last finished packet capture, kept for saving after disconnect
+        this.lastCapture = null;
+        
+        // What each watch was last sent; the watches cannot be read back
+        this.watchState = new WatchState();
+        
+        // Named watches (IndexedDB); currentDevice is the one picked in the switcher
+        this.deviceRegistry = new DeviceRegistry();
+        this.currentDevice = null;
         
         // Status elements
         this.statusText = document.querySelector('.status-text');
@@ -64,6 +109,7 @@ class TimexDatalinkApp {
         this.connectionLight = document.getElementById('connection-light');
         this.connectionText = document.getElementById('connection-text');
         this.deviceDetails = document.getElementById('device-details');
+        this.watchInfo = document.getElementById('watch-info');
         this.portInfo = document.getElementById('port-info');
         this.protocolInfo = document.getElementById('protocol-info');
         this.statusInfo = document.getElementById('status-info');
@@ -72,6 +118,10 @@ class TimexDatalinkApp {
         // Progress elements
         this.syncProgress = document.getElementById('sync-progress');
         this.progressFill = document.getElementById('progress-fill');
+        this.cancelTransferBtn = document.getElementById('cancel-transfer-btn');
+        
+        // Aborts the running transfer from the Cancel Transfer button
+        this.transferController = null;
         
         // Data management elements
         this.currentTimeInput = document.getElementById('current-time');
@@ -82,8 +132,16 @@ class TimexDatalinkApp {
         this.writeAlarmsBtn = document.getElementById('write-alarms-btn');
         this.readEepromBtn = document.getElementById('read-eeprom-btn');
         this.writeEepromBtn = document.getElementById('write-eeprom-btn');
+        this.eepromTab = document.getElementById('eeprom-tab');
+        this.eepromUsage = document.getElementById('eeprom-usage');
+        this.eepromUsageText = document.getElementById('eeprom-usage-text');
+        this.eepromAutoFitCheckbox = document.getElementById('eeprom-auto-fit');
         this.readAllBtn = document.getElementById('read-all-btn');
         this.writeAllBtn = document.getElementById('write-all-btn');
+        this.profileFile = document.getElementById('profile-file');
+        this.writeProfileBtn = document.getElementById('write-profile-btn');
+        this.saveProfileBtn = document.getElementById('save-profile-btn');
+        this.showChangesBtn = document.getElementById('show-changes-btn');
         
         // Display elements
         this.displayTime = document.getElementById('display-time');
@@ -133,6 +191,37 @@ class TimexDatalinkApp {
         this.connectBtn.parentNode.appendChild(debugBtn);
         this.testConnectionBtn.addEventListener('click', () => this.handleTestConnection());
         this.protocolSelect.addEventListener('change', () => this.handleProtocolChange());
+        if (this.deviceSelect) {
+            this.deviceSelect.addEventListener('change', () => this.handleDeviceChange());
+            this.saveDeviceBtn.addEventListener('click', () => this.handleSaveDevice());
+            this.removeDeviceBtn.addEventListener('click', () => this.handleRemoveDevice());
+        }
+        if (this.screenBrightnessInput) {
+            this.screenBrightnessInput.addEventListener('input', () => this.handleScreenBrightnessChange());
+        }
+        if (this.recordCaptureCheckbox) {
+            this.recordCaptureCheckbox.addEventListener('change', () => this.handleRecordCaptureChange());
+        }
+        if (this.saveCaptureBtn) {
+            this.saveCaptureBtn.addEventListener('click', () => this.handleSaveCapture());
+        }
+        if (this.captureFile) {
+            this.captureFile.addEventListener('change', () => this.updateCaptureButtons());
+        }
+        if (this.replayCaptureBtn) {
+            this.replayCaptureBtn.addEventListener('click', () => this.handleReplayCapture());
+        }
+        if (this.timingProfileSelect) {
+            this.timingProfileSelect.addEventListener('change', () => this.handleTimingProfileChange());
+        }
+        this.byteSleepInput.addEventListener('input', () => this.handleTimingInput());
+        this.packetSleepInput.addEventListener('input', () => this.handleTimingInput());
+        if (this.calibrateBtn) {
+            this.calibrateBtn.addEventListener('click', () => this.handleCalibrateTiming());
+        }
+        if (this.cancelTransferBtn) {
+            this.cancelTransferBtn.addEventListener('click', () => this.handleCancelTransfer());
+        }
         
         // Time management
         this.setCurrentTimeBtn.addEventListener('click', () => this.setCurrentTime());
@@ -146,10 +235,22 @@ class TimexDatalinkApp {
         // EEPROM management
         this.readEepromBtn.addEventListener('click', () => this.handleReadEeprom());
         this.writeEepromBtn.addEventListener('click', () => this.handleWriteEeprom());
+        if (this.eepromUsage) {
+            this.eepromTab.addEventListener('input', () => this.updateEepromGauge());
+            this.eepromAutoFitCheckbox.addEventListener('change', () => this.updateEepromGauge());
+        }
         
         // Sync operations
         this.readAllBtn.addEventListener('click', () => this.handleReadAll());
         this.writeAllBtn.addEventListener('click', () => this.handleWriteAll());
+        if (this.profileFile) {
+            this.profileFile.addEventListener('change', () => this.updateProfileButtons());
+            this.writeProfileBtn.addEventListener('click', () => this.handleWriteProfile());
+            this.saveProfileBtn.addEventListener('click', () => this.handleSaveProfile());
+        }
+        if (this.showChangesBtn) {
+            this.showChangesBtn.addEventListener('click', () => this.handleShowChanges());
+        }
         
         // Calendar operations
         this.saveClientIdBtn.addEventListener('click', () => this.handleSaveClientId());
@@ -189,6 +290,12 @@ class TimexDatalinkApp {
         if (this.soundThemeFile) {
             this.soundThemeFile.addEventListener('change', () => this.handleSoundThemeFileChange());
         }
+        if (this.loadVocabularyBtn) {
+            this.loadVocabularyBtn.addEventListener('click', () => this.handleLoadVocabulary());
+        }
+        if (this.vocabularyFile) {
+            this.vocabularyFile.addEventListener('change', () => this.handleVocabularyFileChange());
+        }
         
         // Tab switching
         this.initializeTabs();
@@ -313,6 +420,7 @@ class TimexDatalinkApp {
         this.setCurrentTime(); // Initialize with current time
         this.handleProtocolChange(); // Initialize protocol info display
         this.updateLocalCalendarStatus(); // Initialize local calendar status
+        this.refreshDeviceSelect(localStorage.getItem('timex_selected_device')).then(() => this.handleDeviceChange());
     }
     
     initializeCalendar() {
@@ -545,6 +653,16 @@ class TimexDatalinkApp {
         }
     }
     
+    // A Protocol 7 calendar sync rewrites the whole e-BRAIN EEPROM; without an EEPROM
+    // written this session to merge into, ask before clearing the other sections
+    confirmEepromOverwrite(protocol) {
+        if (protocol !== 7 || this.calendarSync.currentProtocol7Eeprom()) {
+            return false;
+        }
+        
+        return window.confirm('Syncing the calendar replaces the activities, games, phone numbers and speech on the e-BRAIN.\n\nPress OK to clear them, or Cancel to stop.');
+    }
+    
     async handleSyncCalendar() {
         if (!this.client) {
             alert('Please connect to your watch first');
@@ -568,11 +686,16 @@ class TimexDatalinkApp {
             const notificationValue = this.notificationMinutesSelect.value;
             const syncOptions = {
                 appointmentNotificationMinutes: notificationValue === '' ? null : parseInt(notificationValue),
-                clearExisting: this.clearExistingCheckbox.checked
+                clearExisting: this.clearExistingCheckbox.checked,
+                protocol: parseInt(this.protocolSelect.value),
+                phraseBuilder: this.phraseBuilder
             };
+            syncOptions.overwriteEeprom = this.confirmEepromOverwrite(syncOptions.protocol);
             
             this.updateProgress(50);
-            this.logMessage('Converting appointments to Protocol 3 EEPROM format...');
+            this.logMessage(syncOptions.protocol === 7
+                ? 'Converting appointments to Protocol 7 calendar events...'
+                : 'Converting appointments to Protocol 3 EEPROM format...');
             
             const syncResult = await this.calendarSync.syncCalendarToWatch(
                 this.calendarAppointments, 
@@ -764,11 +887,16 @@ class TimexDatalinkApp {
             const notificationValue = this.notificationMinutesSelect.value;
             const syncOptions = {
                 appointmentNotificationMinutes: notificationValue === '' ? null : parseInt(notificationValue),
-                clearExisting: this.clearExistingCheckbox.checked
+                clearExisting: this.clearExistingCheckbox.checked,
+                protocol: parseInt(this.protocolSelect.value),
+                phraseBuilder: this.phraseBuilder
             };
+            syncOptions.overwriteEeprom = this.confirmEepromOverwrite(syncOptions.protocol);
             
             this.updateProgress(50);
-            this.logMessage('Converting local appointments to Protocol 3 EEPROM format...');
+            this.logMessage(syncOptions.protocol === 7
+                ? 'Converting local appointments to Protocol 7 calendar events...'
+                : 'Converting local appointments to Protocol 3 EEPROM format...');
             
             const syncResult = await this.calendarSync.syncCalendarToWatch(
                 appointments, 
@@ -853,9 +981,13 @@ class TimexDatalinkApp {
                 this.updateStatus('Connecting to device...');
                 this.logMessage('Initiating connection...');
                 
-                // Check Web Serial API support
-                if (!('serial' in navigator)) {
-                    throw new Error('Web Serial API not supported in this browser');
+                // Connect with the selected watch's protocol as saved
+                if (this.currentDevice) {
+                    this.currentDevice = await this.deviceRegistry.get(this.currentDevice.id);
+                    if (this.currentDevice) {
+                        this.protocolSelect.value = this.currentDevice.protocol;
+                        this.handleProtocolChange();
+                    }
                 }
                 
                 // Get connection parameters from UI
@@ -863,38 +995,85 @@ class TimexDatalinkApp {
                 const byteSleep = parseInt(this.byteSleepInput.value);
                 const packetSleep = parseInt(this.packetSleepInput.value);
                 const verbose = this.verboseModeCheckbox.checked;
+                const verifyEcho = this.verifyEchoCheckbox ? this.verifyEchoCheckbox.checked : false;
+                const transmitter = this.transmitterSelect ? this.transmitterSelect.value : 'serial';
+                let port = null;
                 
-                this.logMessage(`Requesting serial port access...`);
-                
-                // Check if we're in a secure context
-                if (!window.isSecureContext) {
-                    throw new Error('Web Serial API requires a secure context (HTTPS or localhost)');
+                if (transmitter === 'screen') {
+                    // Blink the screen instead of using a Notebook Adapter
+                    this.serialAdapter = new ScreenTransmitter({
+                        packetSleep: packetSleep,
+                        brightness: this.screenBrightnessInput ? parseFloat(this.screenBrightnessInput.value) : 1,
+                        verbose: verbose
+                    });
+                    
+                    this.logMessage('Opening screen transmitter...');
+                    await this.serialAdapter.connect();
+                    
+                    this.logMessage('Calibrating screen refresh rate...');
+                    const { refreshRate } = await this.serialAdapter.calibrate();
+                    this.logMessage(`Screen refresh rate: ${refreshRate}Hz`);
+                    
+                    this.applyPortTimings(null, TimingProfiles.SCREEN_PORT_KEY);
+                } else if (transmitter === 'virtual') {
+                    // Decode transfers on a virtual watch to preview what the watch will show
+                    port = new VirtualWatch({
+                        verbose: verbose,
+                        onComplete: (state, watch) => this.showVirtualWatchState(state, watch)
+                    });
+                    this.serialAdapter = new SerialAdapter({
+                        port: port,
+                        byteSleep: 0,
+                        packetSleep: 0,
+                        verbose: verbose
+                    });
+                    
+                    this.logMessage('Connecting to virtual watch...');
+                    await this.serialAdapter.connect();
+                } else {
+                    // Check Web Serial API support
+                    if (!('serial' in navigator)) {
+                        throw new Error('Web Serial API not supported in this browser');
+                    }
+                    
+                    this.logMessage(`Requesting serial port access...`);
+                    
+                    // Check if we're in a secure context
+                    if (!window.isSecureContext) {
+                        throw new Error('Web Serial API requires a secure context (HTTPS or localhost)');
+                    }
+                    
+                    // Request serial port - show all available serial devices
+                    port = await navigator.serial.requestPort();
+                    
+                    this.currentPort = port;
+                    this.logMessage(`Port selected: ${port.getInfo ? JSON.stringify(port.getInfo()) : 'Unknown device'}`);
+                    
+                    // Create serial adapter with UI parameters
+                    this.serialAdapter = new SerialAdapter({
+                        port: port,
+                        byteSleep: byteSleep,
+                        packetSleep: packetSleep,
+                        verbose: verbose,
+                        verifyEcho: verifyEcho
+                    });
+                    
+                    this.logMessage('Connecting to serial port...');
+                    await this.serialAdapter.connect();
+                    
+                    const portInfo = await this.serialAdapter.getPortInfo();
+                    this.applyPortTimings(portInfo, TimingProfiles.portKey(portInfo));
                 }
                 
-                // Request serial port - show all available serial devices
-                const port = await navigator.serial.requestPort();
-                
-                this.currentPort = port;
-                this.logMessage(`Port selected: ${port.getInfo ? JSON.stringify(port.getInfo()) : 'Unknown device'}`);
-                
-                // Create serial adapter with UI parameters
-                this.serialAdapter = new SerialAdapter({
-                    port: port,
-                    byteSleep: byteSleep,
-                    packetSleep: packetSleep,
-                    verbose: verbose
-                });
-                
-                this.logMessage('Connecting to serial port...');
-                await this.serialAdapter.connect();
-                
                 // Create client with protocol selection
                 this.client = new TimexDatalinkClient({
                     serialDevice: this.serialAdapter,
                     models: [],
                     verbose: verbose,
                     protocol: protocol,
-                    deviceInfo: { protocol: protocol }
+                    deviceInfo: { protocol: protocol },
+                    watchState: this.watchState,
+                    watchId: this.currentDevice ? this.currentDevice.id : null
                 });
                 
                 // Set the protocol explicitly
@@ -914,6 +1093,11 @@ class TimexDatalinkApp {
                     this.logMessage(`Warning: Protocol ${protocol} configuration failed: ${protocolError.message}`);
                 }
                 
+                // Start recording if requested before connecting
+                if (this.recordCaptureCheckbox && this.recordCaptureCheckbox.checked) {
+                    this.handleRecordCaptureChange();
+                }
+                
                 // Update calendar sync integration with client
                 this.calendarSync = new CalendarSyncIntegration(this.client);
                 
@@ -939,9 +1123,222 @@ class TimexDatalinkApp {
         }
     }
     
+    // Log what the virtual watch shows after a transfer
+    showVirtualWatchState(state, watch) {
+        this.logMessage(`⌚ Virtual watch (Protocol ${state.protocol}):`);
+        const lines = VirtualWatch.describe(state);
+        (lines.length > 0 ? lines : ['Nothing set']).forEach(line => this.logMessage(`   ${line}`));
+        
+        watch.errors.forEach(error => this.logMessage(`⚠️ Virtual watch: ${error.message}`));
+        watch.errors = [];
+    }
+    
+    // Use the timings saved for this adapter (or its suggested profile), unless
+    // timings were picked by hand - then remember those for the adapter
+    applyPortTimings(info, portKey) {
+        this.currentPortKey = portKey;
+        
+        if (this.timingEdited) {
+            this.timingProfiles.save(portKey, {
+                byteSleep: parseInt(this.byteSleepInput.value),
+                packetSleep: parseInt(this.packetSleepInput.value)
+            });
+            this.timingEdited = false;
+            return;
+        }
+        
+        // A saved watch with its own timing profile uses it on every adapter
+        if (this.currentDevice && this.currentDevice.timingProfile) {
+            const { name, byteSleep, packetSleep } = TimingProfiles.get(this.currentDevice.timingProfile);
+            this.serialAdapter.updateConfig({ byteSleep, packetSleep });
+            this.setTimingInputs({ byteSleep, packetSleep });
+            this.logMessage(`⏱️ Using ${name} timing saved for ${this.currentDevice.name}: byte sleep ${byteSleep}ms, packet sleep ${packetSleep}ms`);
+            return;
+        }
+        
+        const timings = this.timingProfiles.resolve(info, portKey);
+        this.serialAdapter.updateConfig({ byteSleep: timings.byteSleep, packetSleep: timings.packetSleep });
+        this.setTimingInputs(timings);
+        
+        const source = timings.saved
+            ? `saved${timings.calibrated ? ' (calibrated)' : ''} timing for this adapter`
+            : `${TimingProfiles.get(timings.profile).name} timing`;
+        this.logMessage(`⏱️ Using ${source}: byte sleep ${timings.byteSleep}ms, packet sleep ${timings.packetSleep}ms`);
+    }
+    
+    setTimingInputs({ byteSleep, packetSleep }) {
+        this.byteSleepInput.value = byteSleep;
+        this.packetSleepInput.value = packetSleep;
+        if (this.timingProfileSelect) {
+            this.timingProfileSelect.value = TimingProfiles.match({ byteSleep, packetSleep }) ?? 'custom';
+        }
+    }
+    
+    handleTimingProfileChange() {
+        const id = this.timingProfileSelect.value;
+        if (id !== 'custom') {
+            this.setTimingInputs(TimingProfiles.get(id));
+        }
+        this.timingEdited = true;
+    }
+    
+    handleTimingInput() {
+        if (this.timingProfileSelect) {
+            this.timingProfileSelect.value = TimingProfiles.match({
+                byteSleep: parseInt(this.byteSleepInput.value),
+                packetSleep: parseInt(this.packetSleepInput.value)
+            }) ?? 'custom';
+        }
+        this.timingEdited = true;
+    }
+    
+    // Find the fastest timings the adapter and watch accept with short
+    // Start/Sync/End test transfers, and remember them for this adapter
+    async handleCalibrateTiming() {
+        if (!this.client) return;
+        
+        if (this.calibrator) {
+            this.calibrator.cancel();
+            return;
+        }
+        
+        const packets = this.client.createProtocolSyncWorkflow({ start: {}, sync: {}, end: {} })
+            .flatMap(model => model.packets());
+        
+        this.calibrator = new TimingCalibrator({
+            transport: this.serialAdapter,
+            packets: packets,
+            beforeTrial: ({ trial }) => {
+                if (!window.confirm(`Calibration transfer ${trial}: put the watch into COMM MODE, then press OK.\n\nPress Cancel to stop calibrating.`)) {
+                    this.calibrator.cancel();
+                }
+            },
+            confirm: () => window.confirm('Did the watch show the transfer as received without an error?'),
+            onTrial: trial => this.logMessage(
+                `⏱️ Byte sleep ${trial.byteSleep}ms, packet sleep ${trial.packetSleep}ms: ${trial.passed ? 'OK' : `failed (${trial.error})`}`
+            )
+        });
+        
+        try {
+            this.calibrateBtn.textContent = 'Stop Calibrating';
+            this.updateStatus('Calibrating timing...');
+            
+            const result = await this.calibrator.calibrate();
+            this.setTimingInputs(result);
+            this.timingProfiles.save(this.currentPortKey, { ...result, calibrated: true });
+            
+            this.updateStatus('Timing calibrated');
+            this.logMessage(`⏱️ Calibrated timing: byte sleep ${result.byteSleep}ms, packet sleep ${result.packetSleep}ms`);
+        } catch (error) {
+            const message = error instanceof CalibrationError ? error.message : `Calibration failed: ${error.message}`;
+            this.updateStatus(message);
+            this.logMessage(message);
+        } finally {
+            this.calibrator = null;
+            this.calibrateBtn.textContent = 'Calibrate Timing';
+        }
+    }
+    
+    handleScreenBrightnessChange() {
+        if (this.serialAdapter instanceof ScreenTransmitter) {
+            this.serialAdapter.setBrightness(parseFloat(this.screenBrightnessInput.value));
+        }
+    }
+    
+    // Start or stop recording packets on the connected transmitter
+    handleRecordCaptureChange() {
+        if (!this.client) {
+            return;
+        }
+        
+        try {
+            if (this.recordCaptureCheckbox.checked) {
+                this.client.startCapture();
+                this.logMessage('📼 Recording packet capture');
+            } else {
+                this.finishCapture();
+            }
+        } catch (error) {
+            this.recordCaptureCheckbox.checked = false;
+            this.logMessage(`Packet capture unavailable: ${error.message}`);
+        }
+        this.updateCaptureButtons();
+    }
+    
+    finishCapture() {
+        const capture = this.client ? this.client.stopCapture() : null;
+        
+        if (capture) {
+            this.lastCapture = capture;
+            this.logMessage(`📼 Capture stopped: ${capture.entries.length} packets recorded`);
+        }
+    }
+    
+    // Current recording, or the last finished one
+    currentCapture() {
+        return (this.serialAdapter && this.serialAdapter.capture) || this.lastCapture;
+    }
+    
+    updateCaptureButtons() {
+        if (this.saveCaptureBtn) {
+            this.saveCaptureBtn.disabled = !this.currentCapture();
+        }
+        if (this.replayCaptureBtn) {
+            this.replayCaptureBtn.disabled = !this.isConnected || !this.captureFile || !this.captureFile.files[0];
+        }
+    }
+    
+    // Download the capture as a JSON file
+    handleSaveCapture() {
+        const capture = this.currentCapture();
+        
+        if (!capture || capture.entries.length === 0) {
+            this.logMessage('Nothing captured yet - write to the watch while recording');
+            return;
+        }
+        
+        const blob = new Blob([capture.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `timex-capture-protocol${capture.protocol ?? ''}-${capture.createdAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.logMessage(`📼 Saved capture with ${capture.entries.length} packets`);
+    }
+    
+    // Re-send a saved capture with its original timing
+    async handleReplayCapture() {
+        const file = this.captureFile.files[0];
+        if (!this.client || !file) return;
+        
+        try {
+            this.replayCaptureBtn.disabled = true;
+            this.updateStatus(`Replaying ${file.name}...`);
+            this.showProgress('Replaying capture...', 0);
+            
+            const text = await file.text();
+            const result = await this.runTransfer(({ signal }) => this.client.replay(text, {
+                signal,
+                onPacket: ({ index, total }) => this.updateProgress(Math.round((index + 1) / total * 100))
+            }));
+            
+            this.updateStatus('Capture replayed');
+            this.logMessage(`📼 Replayed ${result.packetsWritten} packets from ${file.name} in ${(result.duration / 1000).toFixed(1)}s`);
+        } catch (error) {
+            this.updateStatus(`Replay failed: ${error.message}`);
+            this.logMessage(`Replay failed: ${error.message}`);
+        } finally {
+            this.hideProgress();
+            this.updateCaptureButtons();
+        }
+    }
+    
     async disconnect() {
         try {
             this.logMessage('Disconnecting from device...');
+            this.finishCapture();
             
             if (this.serialAdapter) {
                 await this.serialAdapter.disconnect();
@@ -950,6 +1347,7 @@ class TimexDatalinkApp {
             this.client = null;
             this.serialAdapter = null;
             this.currentPort = null;
+            this.currentPortKey = null;
             this.isConnected = false;
             
             // Reset calendar sync integration
@@ -1039,6 +1437,7 @@ class TimexDatalinkApp {
             // Update UI based on protocol capabilities
             this.updateUIForProtocol(selectedProtocol, protocolInfo);
             this.updateAdvancedUIForProtocol(selectedProtocol, protocolInfo);
+            this.updateEepromGauge();
         } else {
             this.protocolCapabilitiesList.textContent = 'Unknown protocol';
             if (this.protocolFunctionsList) {
@@ -1093,11 +1492,12 @@ class TimexDatalinkApp {
         const protocol6NightMode = document.getElementById('protocol6-night-mode');
         const protocol9Timers = document.getElementById('protocol9-timers');
         const protocol7Games = document.getElementById('protocol7-games');
-        const protocol4WristApps = document.getElementById('protocol4-wrist-apps');
+        const protocol7Vocabulary = document.getElementById('protocol7-vocabulary');
+        const wristApps = document.getElementById('wrist-apps');
         
         // Hide all sections
         [protocol6SoundOptions, protocol6PagerOptions, protocol6NightMode, 
-         protocol9Timers, protocol7Games, protocol4WristApps].forEach(element => {
+         protocol9Timers, protocol7Games, protocol7Vocabulary, wristApps].forEach(element => {
             if (element) element.style.display = 'none';
         });
         
@@ -1110,8 +1510,9 @@ class TimexDatalinkApp {
             if (protocol9Timers) protocol9Timers.style.display = 'block';
         } else if (protocol === 7) {
             if (protocol7Games) protocol7Games.style.display = 'block';
-        } else if (protocol === 4) {
-            if (protocol4WristApps) protocol4WristApps.style.display = 'block';
+            if (protocol7Vocabulary) protocol7Vocabulary.style.display = 'block';
+        } else if (protocol === 3 || protocol === 4) {
+            if (wristApps) wristApps.style.display = 'block';
         }
         
         // Update advanced tab visibility
@@ -1296,9 +1697,7 @@ class TimexDatalinkApp {
             this.client.models = workflow;
             
             try {
-                const result = await this.client.write();
-                
-                this.updateProgress(85);
+                const result = await this.runTransfer();
                 
                 if (result.success) {
                     this.updateStatus('Time synced successfully');
@@ -1324,63 +1723,14 @@ class TimexDatalinkApp {
         }
     }
     
-    async handleReadAlarms() {
-        if (!this.client) return;
+    // Watches are write-only: load the alarms last written to the watch
+    handleReadAlarms() {
+        const protocol = parseInt(this.protocolSelect.value);
+        const saved = this.loadWatchState(protocol);
         
-        try {
-            this.updateStatus('Reading alarms from device...');
-            this.logMessage('Reading alarm settings from watch...');
-            this.showProgress('Reading alarms...', 0);
-            
-            const protocol = parseInt(this.protocolSelect.value);
-            const protocolInfo = this.protocolCapabilities[protocol];
-            
-            if (!protocolInfo.features.includes('Alarms')) {
-                throw new Error(`Protocol ${protocol} does not support alarms`);
-            }
-            
-            // Most protocols are write-only
-            if (!protocolInfo.bidirectional) {
-                this.updateProgress(100);
-                this.updateStatus('Alarm read not supported - protocol is write-only');
-                this.logMessage(`Protocol ${protocol} (${protocolInfo.name}) is write-only. Cannot read alarms from device.`);
-                this.logMessage('Tip: Use "Write Alarms" to send alarm settings to the watch instead.');
-                this.displayAlarms.textContent = 'Read not supported (write-only protocol)';
-                this.hideProgress();
-                return;
-            }
-            
-            // For bidirectional protocols, implement actual reading
-            this.updateProgress(50);
-            this.logMessage('Sending read alarms request...');
-            
-            const result = await this.client.sync({
-                writeData: true,
-                readData: true,
-                expectedReadBytes: protocolInfo.maxAlarms * 16, // Estimate based on alarm count
-                readTimeout: 3000
-            });
-            
-            this.updateProgress(75);
-            
-            if (result.success && result.readResult && result.readResult.data.length > 0) {
-                const alarmData = this.parseAlarmResponse(result.readResult.data, protocol);
-                this.displayAlarms.textContent = `${alarmData.count} alarms configured`;
-                this.populateAlarmUI(alarmData.alarms);
-                this.updateStatus('Alarms read successfully');
-                this.logMessage(`Read ${alarmData.count} alarms from device`);
-            } else {
-                throw new Error('No valid alarm data received from device');
-            }
-            
-            this.updateProgress(100);
-            this.hideProgress();
-            
-        } catch (error) {
-            console.error('Read alarms error:', error);
-            this.updateStatus(`Read alarms failed: ${error.message}`);
-            this.logMessage(`Read alarms error: ${error.message}`);
-            this.hideProgress();
+        if (saved) {
+            this.showSyncedAlarms(saved);
+            this.updateStatus('Loaded alarms from the last sync');
         }
     }
     
@@ -1430,10 +1780,9 @@ class TimexDatalinkApp {
             this.client.models = workflow;
             
             try {
-                this.updateProgress(75);
                 this.logMessage('Sending alarm data to watch...');
                 
-                const result = await this.client.write();
+                const result = await this.runTransfer();
                 
                 if (result.success) {
                     this.updateStatus('Alarms written successfully');
@@ -1459,63 +1808,14 @@ class TimexDatalinkApp {
         }
     }
     
-    async handleReadEeprom() {
-        if (!this.client) return;
+    // Watches are write-only: load the EEPROM data last written to the watch
+    handleReadEeprom() {
+        const protocol = parseInt(this.protocolSelect.value);
+        const saved = this.loadWatchState(protocol);
         
-        try {
-            this.updateStatus('Reading EEPROM data from device...');
-            this.logMessage('Reading EEPROM data from watch...');
-            this.showProgress('Reading EEPROM...', 0);
-            
-            const protocol = parseInt(this.protocolSelect.value);
-            const protocolInfo = this.protocolCapabilities[protocol];
-            
-            if (!protocolInfo.features.includes('EEPROM Data')) {
-                throw new Error(`Protocol ${protocol} does not support EEPROM data`);
-            }
-            
-            // Most protocols are write-only
-            if (!protocolInfo.bidirectional) {
-                this.updateProgress(100);
-                this.updateStatus('EEPROM read not supported - protocol is write-only');
-                this.logMessage(`Protocol ${protocol} (${protocolInfo.name}) is write-only. Cannot read EEPROM from device.`);
-                this.logMessage('Tip: Use "Write EEPROM" to send phone numbers and appointments to the watch instead.');
-                this.displayEeprom.textContent = 'Read not supported (write-only protocol)';
-                this.hideProgress();
-                return;
-            }
-            
-            // For bidirectional protocols, implement actual reading
-            this.updateProgress(50);
-            this.logMessage('Sending read EEPROM request...');
-            
-            const result = await this.client.sync({
-                writeData: true,
-                readData: true,
-                expectedReadBytes: 512, // Typical EEPROM size
-                readTimeout: 5000
-            });
-            
-            this.updateProgress(75);
-            
-            if (result.success && result.readResult && result.readResult.data.length > 0) {
-                const eepromData = this.parseEepromResponse(result.readResult.data, protocol);
-                this.displayEeprom.textContent = `${eepromData.phoneNumbers.length} phone numbers, ${eepromData.appointments.length} appointments loaded`;
-                this.populateEepromUI(eepromData);
-                this.updateStatus('EEPROM data read successfully');
-                this.logMessage(`Read EEPROM: ${eepromData.phoneNumbers.length} phone numbers, ${eepromData.appointments.length} appointments`);
-            } else {
-                throw new Error('No valid EEPROM data received from device');
-            }
-            
-            this.updateProgress(100);
-            this.hideProgress();
-            
-        } catch (error) {
-            console.error('Read EEPROM error:', error);
-            this.updateStatus(`Read EEPROM failed: ${error.message}`);
-            this.logMessage(`Read EEPROM error: ${error.message}`);
-            this.hideProgress();
+        if (saved) {
+            this.showSyncedEeprom(saved);
+            this.updateStatus('Loaded EEPROM data from the last sync');
         }
     }
     
@@ -1549,26 +1849,20 @@ class TimexDatalinkApp {
             this.updateProgress(50);
             this.logMessage('Creating EEPROM sync workflow...');
             
-            // Create sync workflow with EEPROM data
-            // Note: Protocol factory expects lowercase keys that match component names
-            const syncData = {
-                start: {},
-                eeprom: eepromData, // This should work if eeprom components exist
-                end: {}
-            };
-            
-            // Create and execute sync workflow
-            const workflow = this.client.createProtocolSyncWorkflow(syncData);
+            // Compile the EEPROM tab through a watch profile so the items get
+            // the selected protocol's components
+            const { components, unsupported } = this.compileEepromFromUI(protocol);
+            unsupported.forEach(({ field, reason }) => this.logMessage(`⚠️ ${field} not written: ${reason}`));
+            const workflow = this.fitEeprom(components);
             
             // Replace client models with sync workflow
             const originalModels = this.client.models;
             this.client.models = workflow;
             
             try {
-                this.updateProgress(75);
                 this.logMessage('Sending EEPROM data to watch...');
                 
-                const result = await this.client.write();
+                const result = await this.runTransfer();
                 
                 if (result.success) {
                     this.updateStatus('EEPROM data written successfully');
@@ -1594,134 +1888,206 @@ class TimexDatalinkApp {
         }
     }
     
-    async handleReadAll() {
-        if (!this.client) return;
+    // Load the last known state of the watch into the alarm and EEPROM tabs
+    handleReadAll() {
+        const protocol = parseInt(this.protocolSelect.value);
+        const protocolInfo = this.protocolCapabilities[protocol];
+        const saved = this.loadWatchState(protocol);
+        
+        if (!saved) {
+            return;
+        }
+        
+        this.displayTime.textContent = `Last synced ${new Date(saved.syncedAt).toLocaleString()}`;
+        if (protocolInfo.features.includes('Alarms')) {
+            this.showSyncedAlarms(saved);
+        }
+        if (protocolInfo.features.includes('EEPROM Data')) {
+            this.showSyncedEeprom(saved);
+        }
+        this.updateStatus('Loaded the last synced watch state');
+    }
+    
+    // Log what writing the alarm and EEPROM tabs would change on the watch
+    handleShowChanges() {
+        const protocol = parseInt(this.protocolSelect.value);
+        const saved = this.watchState.load(this.watchStateId(protocol));
+        const diff = WatchState.diff(saved ? saved.profile : null, this.collectWatchProfileFromUI(), {
+            fields: ['alarms', 'appointments', 'phoneNumbers']
+        });
+        
+        if (!diff.known) {
+            this.logMessage(`No sync of ${this.watchLabel(protocol)} recorded yet, so everything is new`);
+        }
+        if (!diff.hasChanges) {
+            this.updateStatus('No changes since the last sync');
+            return;
+        }
+        
+        const lines = WatchState.describe(diff);
+        this.updateStatus(`${lines.length} change(s) since the last sync`);
+        lines.forEach(line => this.logMessage(line));
+    }
+    
+    // Fill the watch switcher with the saved watches
+    async refreshDeviceSelect(selectedId = this.deviceSelect ? this.deviceSelect.value : '') {
+        if (!this.deviceSelect) return;
         
         try {
-            this.updateStatus('Reading all data from device...');
-            this.logMessage('Reading all data from watch...');
-            this.showProgress('Reading all data...', 0);
-            
-            const protocol = parseInt(this.protocolSelect.value);
-            const protocolInfo = this.protocolCapabilities[protocol];
-            
-            // Check if protocol supports reading
-            if (!protocolInfo.bidirectional) {
-                this.updateProgress(100);
-                this.updateStatus('Read all not supported - protocol is write-only');
-                this.logMessage(`Protocol ${protocol} (${protocolInfo.name}) is write-only. Cannot read data from device.`);
-                this.logMessage('Tip: Use individual "Write" functions to send data to the watch instead.');
-                this.displayTime.textContent = 'Read not supported (write-only protocol)';
-                this.displayAlarms.textContent = 'Read not supported (write-only protocol)';
-                this.displayEeprom.textContent = 'Read not supported (write-only protocol)';
-                this.hideProgress();
-                return;
-            }
-            
-            let successCount = 0;
-            let totalOperations = 0;
-            
-            // Count available operations
-            if (protocolInfo.features.includes('Time')) totalOperations++;
-            if (protocolInfo.features.includes('Alarms')) totalOperations++;
-            if (protocolInfo.features.includes('EEPROM Data')) totalOperations++;
-            
-            if (totalOperations === 0) {
-                throw new Error('No readable features available for this protocol');
-            }
-            
-            let currentOperation = 0;
-            
-            // Read time if supported
-            if (protocolInfo.features.includes('Time')) {
-                try {
-                    this.updateProgress((currentOperation / totalOperations) * 100);
-                    this.logMessage('Reading time...');
-                    
-                    const timeResult = await this.readTimeData();
-                    if (timeResult.success) {
-                        this.displayTime.textContent = timeResult.data.formatted;
-                        successCount++;
-                        this.logMessage('✓ Time read successfully');
-                    } else {
-                        this.logMessage('✗ Time read failed: ' + timeResult.error);
-                        this.displayTime.textContent = 'Read failed';
-                    }
-                } catch (error) {
-                    this.logMessage('✗ Time read error: ' + error.message);
-                    this.displayTime.textContent = 'Read error';
-                }
-                currentOperation++;
-            }
-            
-            // Read alarms if supported
-            if (protocolInfo.features.includes('Alarms')) {
-                try {
-                    this.updateProgress((currentOperation / totalOperations) * 100);
-                    this.logMessage('Reading alarms...');
-                    
-                    const alarmResult = await this.readAlarmData();
-                    if (alarmResult.success) {
-                        this.displayAlarms.textContent = `${alarmResult.data.count} alarms configured`;
-                        this.populateAlarmUI(alarmResult.data.alarms);
-                        successCount++;
-                        this.logMessage('✓ Alarms read successfully');
-                    } else {
-                        this.logMessage('✗ Alarms read failed: ' + alarmResult.error);
-                        this.displayAlarms.textContent = 'Read failed';
-                    }
-                } catch (error) {
-                    this.logMessage('✗ Alarms read error: ' + error.message);
-                    this.displayAlarms.textContent = 'Read error';
-                }
-                currentOperation++;
-            }
-            
-            // Read EEPROM if supported
-            if (protocolInfo.features.includes('EEPROM Data')) {
-                try {
-                    this.updateProgress((currentOperation / totalOperations) * 100);
-                    this.logMessage('Reading EEPROM data...');
-                    
-                    const eepromResult = await this.readEepromData();
-                    if (eepromResult.success) {
-                        this.displayEeprom.textContent = `${eepromResult.data.phoneNumbers.length} phone numbers, ${eepromResult.data.appointments.length} appointments loaded`;
-                        this.populateEepromUI(eepromResult.data);
-                        successCount++;
-                        this.logMessage('✓ EEPROM read successfully');
-                    } else {
-                        this.logMessage('✗ EEPROM read failed: ' + eepromResult.error);
-                        this.displayEeprom.textContent = 'Read failed';
-                    }
-                } catch (error) {
-                    this.logMessage('✗ EEPROM read error: ' + error.message);
-                    this.displayEeprom.textContent = 'Read error';
-                }
-                currentOperation++;
-            }
-            
-            this.updateProgress(100);
-            
-            if (successCount === totalOperations) {
-                this.updateStatus('All data read successfully');
-                this.logMessage(`✓ All data read successfully (${successCount}/${totalOperations} operations)`);
-            } else if (successCount > 0) {
-                this.updateStatus(`Partial read completed (${successCount}/${totalOperations} successful)`);
-                this.logMessage(`⚠ Partial read completed: ${successCount}/${totalOperations} operations successful`);
-            } else {
-                throw new Error('All read operations failed');
-            }
-            
-            this.hideProgress();
+            const devices = await this.deviceRegistry.list();
+            this.deviceSelect.innerHTML = '<option value="">(No saved watch)</option>';
+            devices.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.id;
+                option.textContent = `${device.name} (Protocol ${device.protocol})`;
+                this.deviceSelect.appendChild(option);
+            });
+            this.deviceSelect.value = devices.some(device => device.id === selectedId) ? selectedId : '';
+        } catch (error) {
+            this.logMessage(`Saved watches not loaded: ${error.message}`);
+        }
+    }
+    
+    // Switch to the watch picked in the switcher: its protocol, timing and settings
+    async handleDeviceChange() {
+        if (!this.deviceSelect) return;
+        
+        const id = this.deviceSelect.value;
+        localStorage.setItem('timex_selected_device', id);
+        
+        try {
+            this.currentDevice = id ? await this.deviceRegistry.get(id) : null;
+        } catch (error) {
+            this.currentDevice = null;
+            this.logMessage(`Watch not loaded: ${error.message}`);
+        }
+        this.removeDeviceBtn.disabled = !this.currentDevice || this.isConnected;
+        
+        if (!this.currentDevice) return;
+        
+        const device = this.currentDevice;
+        this.protocolSelect.value = device.protocol;
+        this.handleProtocolChange();
+        if (device.timingProfile) {
+            this.setTimingInputs(TimingProfiles.get(device.timingProfile));
+        }
+        if (device.profile) {
+            this.populateProfileAlarms(device.profile.alarms ?? []);
+            this.populateEepromUI({ phoneNumbers: device.profile.phoneNumbers ?? [], appointments: device.profile.appointments ?? [] });
+            this.updateEepromGauge();
+        }
+        
+        const [lastSync] = device.history;
+        this.logMessage(`⌚ ${device.name}: Protocol ${device.protocol}, ` +
+            (lastSync ? `last synced ${new Date(lastSync.syncedAt).toLocaleString()} (${device.history.length} syncs)` : 'never synced'));
+    }
+    
+    // Save the protocol, timing and tabs as the selected watch, or as a new one
+    async handleSaveDevice() {
+        const protocol = parseInt(this.protocolSelect.value);
+        const timingProfile = this.timingProfileSelect && this.timingProfileSelect.value !== 'custom' ? this.timingProfileSelect.value : null;
+        const profile = this.collectWatchProfileFromUI();
+        
+        try {
+            if (this.currentDevice) {
+                this.currentDevice = await this.deviceRegistry.update(this.currentDevice.id, { protocol, timingProfile, profile });
+            } else {
+                const name = prompt('Name for this watch:');
+                if (!name) return;
+                this.currentDevice = await this.deviceRegistry.add({ name, protocol, timingProfile, profile });
+                localStorage.setItem('timex_selected_device', this.currentDevice.id);
+                this.removeDeviceBtn.disabled = this.isConnected;
+            }
             
+            await this.refreshDeviceSelect(this.currentDevice.id);
+            this.updateStatus(`Saved ${this.currentDevice.name}`);
+            this.logMessage(`Saved watch ${this.currentDevice.name} (Protocol ${protocol})`);
         } catch (error) {
-            console.error('Read all error:', error);
-            this.updateStatus(`Read all failed: ${error.message}`);
-            this.logMessage(`Read all error: ${error.message}`);
-            this.hideProgress();
+            this.updateStatus(`Save watch failed: ${error.message}`);
+            this.logMessage(`Save watch error: ${error.message}`);
+        }
+    }
+    
+    async handleRemoveDevice() {
+        const device = this.currentDevice;
+        if (!device || !confirm(`Remove ${device.name}? Its settings and sync history are deleted.`)) return;
+        
+        try {
+            await this.deviceRegistry.remove(device.id);
+            this.watchState.forget(device.id);
+            await this.refreshDeviceSelect('');
+            await this.handleDeviceChange();
+            this.logMessage(`Removed watch ${device.name}`);
+        } catch (error) {
+            this.logMessage(`Remove watch error: ${error.message}`);
+        }
+    }
+    
+    // Add a successful write to the selected watch's sync history
+    async recordDeviceSync(result) {
+        try {
+            this.currentDevice = await this.deviceRegistry.recordSync(this.currentDevice.id, {
+                packetsWritten: result.packetsWritten,
+                protocol: result.watchState.protocol
+            });
+        } catch (error) {
+            this.logMessage(`Sync history not saved: ${error.message}`);
         }
     }
     
+    // Last known state of the selected protocol's watch; logs when there is none
+    loadWatchState(protocol) {
+        const saved = this.watchState.load(this.watchStateId(protocol));
+        
+        if (!saved) {
+            this.updateStatus(`No sync of ${this.watchLabel(protocol)} recorded yet`);
+            this.logMessage('Watches cannot be read back; their state is remembered after each successful write.');
+            this.displayAlarms.textContent = 'Never synced';
+            this.displayEeprom.textContent = 'Never synced';
+        }
+        return saved;
+    }
+    
+    // Shadow copy key: the selected watch, or one per protocol without one
+    watchStateId(protocol) {
+        return this.currentDevice ? this.currentDevice.id : WatchState.defaultId(protocol);
+    }
+    
+    watchLabel(protocol) {
+        return this.currentDevice ? this.currentDevice.name : `a Protocol ${protocol} watch`;
+    }
+    
+    showSyncedAlarms(saved) {
+        const alarms = saved.profile.alarms ?? [];
+        
+        this.populateProfileAlarms(alarms);
+        this.displayAlarms.textContent = `${alarms.length} alarms as of ${new Date(saved.syncedAt).toLocaleString()}`;
+        this.logMessage(`Loaded ${alarms.length} alarms from the last sync`);
+    }
+    
+    // Alarm tab slots from watch profile alarms
+    populateProfileAlarms(alarms) {
+        this.populateAlarmUI([1, 2, 3].map(number => {
+            const alarm = alarms.find(entry => entry.number === number);
+            if (!alarm) {
+                return { enabled: false };
+            }
+            
+            const [hours, minutes] = alarm.time.split(':').map(Number);
+            return { enabled: alarm.audible !== false, hours, minutes };
+        }));
+    }
+    
+    showSyncedEeprom(saved) {
+        const phoneNumbers = saved.profile.phoneNumbers ?? [];
+        const appointments = saved.profile.appointments ?? [];
+        
+        this.populateEepromUI({ phoneNumbers, appointments });
+        this.displayEeprom.textContent = `${phoneNumbers.length} phone numbers, ${appointments.length} appointments as of ${new Date(saved.syncedAt).toLocaleString()}`;
+        this.logMessage(`Loaded ${phoneNumbers.length} phone numbers and ${appointments.length} appointments from the last sync`);
+        this.updateEepromGauge();
+    }
+    
     async handleWriteAll() {
         if (!this.client) return;
         
@@ -1831,10 +2197,9 @@ class TimexDatalinkApp {
             this.client.models = workflow;
             
             try {
-                this.updateProgress(85);
                 this.logMessage('Sending all data to watch...');
                 
-                const result = await this.client.write();
+                const result = await this.runTransfer();
                 
                 if (result.success) {
                     this.updateStatus('All data written successfully');
@@ -1871,6 +2236,122 @@ class TimexDatalinkApp {
         }
     }
     
+    updateProfileButtons() {
+        if (this.writeProfileBtn) {
+            this.writeProfileBtn.disabled = !this.isConnected || !this.client || !this.profileFile.files[0];
+        }
+    }
+    
+    // Compile a watch profile file for the selected protocol and write it
+    async handleWriteProfile() {
+        const file = this.profileFile.files[0];
+        if (!this.client || !file) return;
+        
+        const protocol = parseInt(this.protocolSelect.value);
+        
+        try {
+            this.writeProfileBtn.disabled = true;
+            this.updateStatus(`Writing ${file.name}...`);
+            
+            const { components, unsupported } = WatchProfile.compile(JSON.parse(await file.text()), protocol, {
+                phraseBuilder: this.phraseBuilder
+            });
+            unsupported.forEach(({ field, reason }) => this.logMessage(`⚠️ ${field} not written: ${reason}`));
+            
+            this.showProgress('Writing watch profile...', 0);
+            const originalModels = this.client.models;
+            this.client.models = this.fitEeprom(components);
+            
+            try {
+                const result = await this.runTransfer();
+                this.updateStatus('Watch profile written');
+                this.logMessage(`✓ Wrote ${file.name}: ${result.packetsWritten} packets`);
+            } finally {
+                this.client.models = originalModels;
+            }
+        } catch (error) {
+            console.error('Write profile error:', error);
+            this.updateStatus(`Write profile failed: ${error.message}`);
+            this.logMessage(`Write profile error: ${error.message}`);
+        } finally {
+            this.hideProgress();
+            this.updateProfileButtons();
+        }
+    }
+    
+    // Compile the EEPROM tab for a protocol with WatchProfile.compile()
+    compileEepromFromUI(protocol) {
+        const { appointments, phoneNumbers } = this.collectWatchProfileFromUI();
+        return WatchProfile.compile({ version: WatchProfile.VERSION, appointments, phoneNumbers }, protocol, {
+            phraseBuilder: this.phraseBuilder
+        });
+    }
+    
+    // Components with the EEPROM component fitted into memory when auto-fit is
+    // on; dropped items are logged
+    fitEeprom(components) {
+        if (!this.eepromAutoFitCheckbox || !this.eepromAutoFitCheckbox.checked) {
+            return components;
+        }
+        
+        return components.map(component => {
+            if (!EepromCapacity.supports(component)) {
+                return component;
+            }
+            
+            const { eeprom, dropped } = EepromCapacity.fit(component);
+            dropped.forEach(({ section, label, bytes }) => this.logMessage(`⚠️ Dropped ${section} "${label}" (${bytes} bytes) to fit EEPROM memory`));
+            return eeprom;
+        });
+    }
+    
+    // Show how much of the watch's EEPROM memory the EEPROM tab takes
+    updateEepromGauge() {
+        if (!this.eepromUsage) return;
+        
+        const protocol = parseInt(this.protocolSelect.value);
+        let report = null;
+        
+        try {
+            const { components } = this.compileEepromFromUI(protocol);
+            const eeprom = components.find(component => EepromCapacity.supports(component));
+            report = eeprom ? EepromCapacity.measure(eeprom) : null;
+        } catch (error) {
+            this.eepromUsage.value = 0;
+            this.eepromUsageText.textContent = error.message;
+            return;
+        }
+        
+        if (!report) {
+            this.eepromUsage.value = 0;
+            this.eepromUsageText.textContent = `Not available for Protocol ${protocol}`;
+            return;
+        }
+        
+        const sections = Object.entries(report.sections)
+            .filter(([, { count }]) => count > 0)
+            .map(([section, { bytes }]) => `${section} ${bytes}`);
+        const overflow = report.fits ? '' : ` (${-report.free} bytes over${this.eepromAutoFitCheckbox.checked ? ', lowest-priority items will be dropped' : ''})`;
+        
+        this.eepromUsage.value = Math.min(1, report.used / report.capacity);
+        this.eepromUsage.title = sections.join(', ');
+        this.eepromUsageText.textContent = `${report.used} / ${report.capacity} bytes${overflow}`;
+    }
+    
+    // Download the time, alarm and EEPROM tabs as a watch profile
+    handleSaveProfile() {
+        const profile = this.collectWatchProfileFromUI();
+        const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'timex-watch-profile.json';
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.logMessage('Saved watch profile');
+    }
+    
     updateStatus(message) {
         this.statusText.textContent = message;
         console.log('Status:', message);
@@ -1887,9 +2368,18 @@ class TimexDatalinkApp {
     }
     
     updateDeviceDetails(port, protocol) {
-        const portInfo = port.getInfo ? port.getInfo() : {};
-        this.portInfo.textContent = `USB ${portInfo.usbVendorId || 'Unknown'}:${portInfo.usbProductId || 'Unknown'}`;
+        if (port instanceof VirtualWatch) {
+            this.portInfo.textContent = 'Virtual watch';
+        } else if (port) {
+            const portInfo = port.getInfo ? port.getInfo() : {};
+            this.portInfo.textContent = `USB ${portInfo.usbVendorId || 'Unknown'}:${portInfo.usbProductId || 'Unknown'}`;
+        } else {
+            this.portInfo.textContent = `Screen (${this.serialAdapter.refreshRate}Hz)`;
+        }
         this.protocolInfo.textContent = `Protocol ${protocol}`;
+        if (this.watchInfo) {
+            this.watchInfo.textContent = this.currentDevice ? this.currentDevice.name : 'Unsaved watch';
+        }
         this.statusInfo.textContent = 'Connected';
         this.deviceDetails.classList.remove('hidden');
     }
@@ -1897,6 +2387,7 @@ class TimexDatalinkApp {
     hideDeviceDetails() {
         this.deviceDetails.classList.add('hidden');
         this.portInfo.textContent = '-';
+        if (this.watchInfo) this.watchInfo.textContent = '-';
         this.protocolInfo.textContent = '-';
         this.statusInfo.textContent = '-';
     }
@@ -1908,6 +2399,54 @@ class TimexDatalinkApp {
         this.deviceLog.scrollTop = this.deviceLog.scrollHeight;
     }
     
+    // Run a transfer with live progress and ETA in the progress bar and the
+    // Cancel Transfer button shown; write receives { signal, onProgress }
+    async runTransfer(write = options => this.client.write(options)) {
+        const label = this.syncProgress.querySelector('.progress-label');
+        const title = label.textContent;
+        
+        this.transferController = new AbortController();
+        this.updateProgress(0);
+        if (this.cancelTransferBtn) this.cancelTransferBtn.classList.remove('hidden');
+        
+        try {
+            const result = await write({
+                signal: this.transferController.signal,
+                onProgress: progress => {
+                    this.updateProgress(progress.percent);
+                    label.textContent = `${title} packet ${progress.packetIndex + 1}/${progress.packetCount}, ` +
+                        `${progress.bytesRemaining} bytes left, about ${this.formatEta(progress.eta)}`;
+                }
+            });
+            
+            if (this.currentDevice && result && result.watchState) {
+                await this.recordDeviceSync(result);
+            }
+            return result;
+        } catch (error) {
+            if (error instanceof TransferAbortedError) {
+                this.logMessage(`⏹️ Transfer cancelled after ${error.report?.packetsWritten ?? 0} packets`);
+            }
+            throw error;
+        } finally {
+            this.transferController = null;
+            if (this.cancelTransferBtn) this.cancelTransferBtn.classList.add('hidden');
+            label.textContent = title;
+        }
+    }
+    
+    handleCancelTransfer() {
+        if (this.transferController) {
+            this.logMessage('Cancelling transfer...');
+            this.transferController.abort();
+        }
+    }
+    
+    formatEta(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+    
     showProgress(label, percentage) {
         this.syncProgress.querySelector('.progress-label').textContent = label;
         this.progressFill.style.width = `${percentage}%`;
@@ -1964,6 +2503,7 @@ class TimexDatalinkApp {
         // Sync controls
         this.readAllBtn.disabled = !dataOperationsEnabled;
         this.writeAllBtn.disabled = !dataOperationsEnabled;
+        this.updateProfileButtons();
         
         // Calendar sync controls (only enable if both connected and authenticated)
         const calendarEnabled = dataOperationsEnabled && this.googleAuth.isUserAuthenticated();
@@ -1980,20 +2520,20 @@ class TimexDatalinkApp {
             this.readAdvancedBtn.disabled = !dataOperationsEnabled;
         }
         if (this.uploadWristAppBtn) {
-            this.uploadWristAppBtn.disabled = !enabled || protocol !== 4;
+            this.uploadWristAppBtn.disabled = !enabled || ![3, 4].includes(protocol);
         }
         if (this.uploadSoundThemeBtn) {
-            this.uploadSoundThemeBtn.disabled = !enabled || protocol !== 4;
+            this.uploadSoundThemeBtn.disabled = !enabled || ![3, 4].includes(protocol);
         }
         
         // Clear button titles (all protocols are now fully implemented)
         this.readTimeBtn.title = '';
         this.syncTimeBtn.title = '';
-        this.readAlarmsBtn.title = '';
+        this.readAlarmsBtn.title = 'Load the alarms last written to the watch';
         this.writeAlarmsBtn.title = '';
-        this.readEepromBtn.title = '';
+        this.readEepromBtn.title = 'Load the EEPROM data last written to the watch';
         this.writeEepromBtn.title = '';
-        this.readAllBtn.title = '';
+        this.readAllBtn.title = 'Load everything last written to the watch';
         this.writeAllBtn.title = '';
         this.syncCalendarBtn.title = '';
         if (this.writeAdvancedBtn) this.writeAdvancedBtn.title = '';
@@ -2001,9 +2541,19 @@ class TimexDatalinkApp {
         
         // Disable connection controls when connected
         this.protocolSelect.disabled = enabled;
+        if (this.deviceSelect) {
+            this.deviceSelect.disabled = enabled;
+            this.removeDeviceBtn.disabled = enabled || !this.currentDevice;
+        }
         this.byteSleepInput.disabled = enabled;
         this.packetSleepInput.disabled = enabled;
         this.verboseModeCheckbox.disabled = enabled;
+        if (this.verifyEchoCheckbox) this.verifyEchoCheckbox.disabled = enabled;
+        if (this.transmitterSelect) this.transmitterSelect.disabled = enabled;
+        if (this.timingProfileSelect) this.timingProfileSelect.disabled = enabled;
+        if (this.calibrateBtn) this.calibrateBtn.disabled = !enabled || this.serialAdapter.port instanceof VirtualWatch;
+        
+        this.updateCaptureButtons();
     }
     
     // Helper Methods for Data Collection and Parsing
@@ -2041,91 +2591,6 @@ class TimexDatalinkApp {
         }
     }
     
-    /**
-     * Parse alarm response data from device
-     */
-    parseAlarmResponse(data, protocol) {
-        try {
-            const alarms = [];
-            const protocolInfo = this.protocolCapabilities[protocol];
-            const maxAlarms = protocolInfo.maxAlarms || 5;
-            
-            // Parse alarm data (simplified - would need protocol-specific implementation)
-            for (let i = 0; i < Math.min(maxAlarms, Math.floor(data.length / 16)); i++) {
-                const offset = i * 16;
-                const alarmData = data.slice(offset, offset + 16);
-                
-                if (alarmData.length >= 8) {
-                    alarms.push({
-                        number: i + 1,
-                        hours: alarmData[2] || 0,
-                        minutes: alarmData[3] || 0,
-                        enabled: (alarmData[7] || 0) > 0,
-                        message: this.parseAlarmMessage(alarmData.slice(8, 16))
-                    });
-                }
-            }
-            
-            return {
-                count: alarms.filter(a => a.enabled).length,
-                alarms: alarms
-            };
-        } catch (error) {
-            return {
-                count: 0,
-                alarms: [],
-                error: error.message
-            };
-        }
-    }
-    
-    /**
-     * Parse EEPROM response data from device
-     */
-    parseEepromResponse(data, protocol) {
-        try {
-            const phoneNumbers = [];
-            const appointments = [];
-            
-            // Parse EEPROM data (simplified - would need protocol-specific implementation)
-            // This is a basic parser that would need to be enhanced for each protocol
-            
-            let offset = 0;
-            while (offset < data.length - 32) {
-                const entryType = data[offset];
-                
-                if (entryType === 0x01) { // Phone number entry
-                    const phoneData = data.slice(offset + 1, offset + 25);
-                    const phone = this.parsePhoneNumberEntry(phoneData);
-                    if (phone.name || phone.number) {
-                        phoneNumbers.push(phone);
-                    }
-                    offset += 25;
-                } else if (entryType === 0x02) { // Appointment entry
-                    const appointmentData = data.slice(offset + 1, offset + 17);
-                    const appointment = this.parseAppointmentEntry(appointmentData);
-                    if (appointment.message) {
-                        appointments.push(appointment);
-                    }
-                    offset += 17;
-                } else {
-                    offset++;
-                }
-            }
-            
-            return {
-                phoneNumbers: phoneNumbers,
-                appointments: appointments
-            };
-        } catch (error) {
-            return {
-                phoneNumbers: [],
-                appointments: [],
-                error: error.message
-            };
-        }
-    }
-    
     /**
      * Collect alarm data from UI
      */
@@ -2202,6 +2667,40 @@ class TimexDatalinkApp {
         };
     }
     
+    /**
+     * Collect a watch profile from the time, alarm and EEPROM tabs
+     */
+    collectWatchProfileFromUI() {
+        const pad = value => String(value).padStart(2, '0');
+        const clock = time => `${pad(time.getHours())}:${pad(time.getMinutes())}`;
+        const offset = Math.round(parseFloat(this.timeZoneSelect.value) * 60);
+        const profile = {
+            version: WatchProfile.VERSION,
+            timeZones: [{
+                zone: 1,
+                utcOffset: `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`
+            }]
+        };
+        
+        const alarms = this.collectAlarmDataFromUI();
+        if (alarms.length > 0) {
+            profile.alarms = alarms.map(({ number, audible, time, message }) => ({ number, time: clock(time), message, audible }));
+        }
+        
+        const { phoneNumbers, appointments } = this.collectEepromDataFromUI();
+        if (appointments.length > 0) {
+            profile.appointments = appointments.map(({ time, message }) => ({
+                time: `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}T${clock(time)}`,
+                message
+            }));
+        }
+        if (phoneNumbers.length > 0) {
+            profile.phoneNumbers = phoneNumbers.map(({ name, number }) => ({ name, number }));
+        }
+        
+        return profile;
+    }
+    
     /**
      * Populate alarm UI with data
      */
@@ -2260,106 +2759,6 @@ class TimexDatalinkApp {
             }
         });
     }
-    
-    /**
-     * Helper methods for parsing specific data types
-     */
-    parseAlarmMessage(messageBytes) {
-        // Convert bytes to string, removing null bytes
-        return String.fromCharCode(...messageBytes.filter(b => b > 0)).trim();
-    }
-    
-    parsePhoneNumberEntry(data) {
-        // Parse phone number entry (simplified)
-        const name = String.fromCharCode(...data.slice(0, 12).filter(b => b > 0)).trim();
-        const number = String.fromCharCode(...data.slice(12, 24).filter(b => b > 0)).trim();
-        
-        return { name, number };
-    }
-    
-    parseAppointmentEntry(data) {
-        // Parse appointment entry (simplified)
-        const message = String.fromCharCode(...data.slice(8, 16).filter(b => b > 0)).trim();
-        const month = data[0] || 1;
-        const day = data[1] || 1;
-        const hours = data[2] || 0;
-        const minutes = data[3] || 0;
-        
-        const appointmentDate = new Date(2024, month - 1, day, hours, minutes);
-        
-        return {
-            time: appointmentDate,
-            message: message
-        };
-    }
-    
-    /**
-     * Individual data reading methods for Read All functionality
-     */
-    async readTimeData() {
-        try {
-            const result = await this.client.sync({
-                writeData: true,
-                readData: true,
-                expectedReadBytes: 16,
-                readTimeout: 3000
-            });
-            
-            if (result.success && result.readResult && result.readResult.data.length > 0) {
-                const protocol = parseInt(this.protocolSelect.value);
-                const timeData = this.parseTimeResponse(result.readResult.data, protocol);
-                return { success: true, data: timeData };
-            } else {
-                return { success: false, error: 'No time data received' };
-            }
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
-    
-    async readAlarmData() {
-        try {
-            const protocol = parseInt(this.protocolSelect.value);
-            const protocolInfo = this.protocolCapabilities[protocol];
-            
-            const result = await this.client.sync({
-                writeData: true,
-                readData: true,
-                expectedReadBytes: protocolInfo.maxAlarms * 16,
-                readTimeout: 3000
-            });
-            
-            if (result.success && result.readResult && result.readResult.data.length > 0) {
-                const alarmData = this.parseAlarmResponse(result.readResult.data, protocol);
-                return { success: true, data: alarmData };
-            } else {
-                return { success: false, error: 'No alarm data received' };
-            }
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
-    
-    async readEepromData() {
-        try {
-            const result = await this.client.sync({
-                writeData: true,
-                readData: true,
-                expectedReadBytes: 512,
-                readTimeout: 5000
-            });
-            
-            if (result.success && result.readResult && result.readResult.data.length > 0) {
-                const protocol = parseInt(this.protocolSelect.value);
-                const eepromData = this.parseEepromResponse(result.readResult.data, protocol);
-                return { success: true, data: eepromData };
-            } else {
-                return { success: false, error: 'No EEPROM data received' };
-            }
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
 
     // Advanced Features Implementation
     
@@ -2407,10 +2806,9 @@ class TimexDatalinkApp {
             this.client.models = workflow;
             
             try {
-                this.updateProgress(75);
                 this.logMessage('Sending advanced settings to watch...');
                 
-                const result = await this.client.write();
+                const result = await this.runTransfer();
                 
                 if (result.success) {
                     this.updateStatus('Advanced settings written successfully');
@@ -2497,7 +2895,7 @@ class TimexDatalinkApp {
     async handleUploadWristApp() {
         const file = this.wristAppFile.files[0];
         if (!file) {
-            alert('Please select a .zap file first');
+            alert('Please select a .zap or raw wrist app file first');
             return;
         }
         
@@ -2506,14 +2904,30 @@ class TimexDatalinkApp {
             this.logMessage(`Loading wrist app: ${file.name}`);
             
             const arrayBuffer = await file.arrayBuffer();
-            this.wristAppData = new Uint8Array(arrayBuffer);
             
-            this.wristAppStatus.textContent = `${file.name} loaded (${this.wristAppData.length} bytes)`;
+            // Files without ZAP section delimiters are raw wrist app binaries and are sent as they are
+            if (!ZapFileParser.isZapFile(arrayBuffer)) {
+                this.wristAppData = new Uint8Array(arrayBuffer);
+                this.wristAppStatus.textContent = `${file.name} loaded as raw binary (${this.wristAppData.length} bytes)`;
+                this.updateStatus('Wrist app loaded successfully');
+                this.logMessage(`Wrist app loaded as raw binary (not a ZAP file): ${this.wristAppData.length} bytes`);
+                return;
+            }
+            
+            const zapFile = ZapFileParser.parse(arrayBuffer);
+            this.wristAppData = zapFile.wristAppData;
+            
+            const appName = [zapFile.name, zapFile.version].filter(Boolean).join(' ') || file.name;
+            this.wristAppStatus.textContent = `${appName} loaded (${this.wristAppData.length} bytes)`;
             this.updateStatus('Wrist app loaded successfully');
-            this.logMessage(`Wrist app loaded: ${this.wristAppData.length} bytes`);
+            this.logMessage(`Wrist app loaded: ${appName}, ${this.wristAppData.length} bytes`);
+            if (zapFile.description) {
+                this.logMessage(`Wrist app description: ${zapFile.description}`);
+            }
             
         } catch (error) {
             console.error('Wrist app upload error:', error);
+            this.wristAppData = null;
             this.updateStatus(`Wrist app upload failed: ${error.message}`);
             this.logMessage(`Wrist app upload error: ${error.message}`);
         }
@@ -2534,7 +2948,7 @@ class TimexDatalinkApp {
             this.logMessage(`Loading sound theme: ${file.name}`);
             
             const arrayBuffer = await file.arrayBuffer();
-            this.soundThemeData = new Uint8Array(arrayBuffer);
+            this.soundThemeData = SpcFileParser.parse(arrayBuffer).soundThemeData;
             
             this.soundThemeStatus.textContent = `${file.name} loaded (${this.soundThemeData.length} bytes)`;
             this.updateStatus('Sound theme loaded successfully');
@@ -2542,11 +2956,57 @@ class TimexDatalinkApp {
             
         } catch (error) {
             console.error('Sound theme upload error:', error);
+            this.soundThemeData = null;
             this.updateStatus(`Sound theme upload failed: ${error.message}`);
             this.logMessage(`Sound theme upload error: ${error.message}`);
         }
     }
 
+    /**
+     * Handle vocabulary database load (pcvocab.mdb or a JSON export of it)
+     */
+    async handleLoadVocabulary() {
+        const file = this.vocabularyFile.files[0];
+        if (!file) {
+            alert('Please select pcvocab.mdb or a vocabulary .json file first');
+            return;
+        }
+        
+        try {
+            this.updateStatus('Loading vocabulary...');
+            this.logMessage(`Loading vocabulary: ${file.name}`);
+            
+            const { PhraseBuilder } = Protocol7.getComponents();
+            this.phraseBuilder = new PhraseBuilder({ database: await file.arrayBuffer() });
+            
+            const wordCount = this.phraseBuilder.vocabulary.size;
+            this.vocabularyStatus.textContent = `${file.name} loaded (${wordCount} words)`;
+            this.updateStatus('Vocabulary loaded successfully');
+            this.logMessage(`Vocabulary loaded: ${wordCount} words`);
+            
+        } catch (error) {
+            console.error('Vocabulary load error:', error);
+            this.phraseBuilder = null;
+            this.vocabularyStatus.textContent = 'No vocabulary loaded';
+            this.updateStatus(`Vocabulary load failed: ${error.message}`);
+            this.logMessage(`Vocabulary load error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle vocabulary file change
+     */
+    handleVocabularyFileChange() {
+        const file = this.vocabularyFile.files[0];
+        this.loadVocabularyBtn.disabled = !file;
+        
+        if (file) {
+            this.vocabularyStatus.textContent = `Ready to load: ${file.name}`;
+        } else if (!this.phraseBuilder) {
+            this.vocabularyStatus.textContent = 'No vocabulary loaded';
+        }
+    }
+
     /**
      * Handle wrist app file change
      */
@@ -2688,14 +3148,14 @@ class TimexDatalinkApp {
             }
         }
         
-        // Protocol 4 wrist apps and sound themes
-        if (protocol === 4) {
+        // Protocol 3 and 4 wrist apps and sound themes
+        if (protocol === 3 || protocol === 4) {
             if (this.wristAppData) {
-                advancedData.wristAppData = this.wristAppData;
+                advancedData.wristApp = { wristAppData: this.wristAppData };
             }
             
             if (this.soundThemeData) {
-                advancedData.soundThemeData = this.soundThemeData;
+                advancedData.soundTheme = { soundThemeData: this.soundThemeData };
             }
         }
         
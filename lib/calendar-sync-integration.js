@@ -1,8 +1,10 @@
 // Calendar Sync Integration Module
 // Connects Google Calendar data to Protocol 3 EEPROM appointment writing
+// and Protocol 7 (DSI e-BRAIN) calendar events
 
 import Protocol3EepromAppointment from './protocol3/eeprom/appointment.js';
 import Protocol3Eeprom from './protocol3/eeprom.js';
+import { Protocol7 } from './protocol7.js';
 
 export class CalendarSyncIntegration {
     constructor(client) {
@@ -42,35 +44,7 @@ export class CalendarSyncIntegration {
                     continue;
                 }
                 
-                // Try to get a valid date from multiple possible sources
-                let appointmentDate = null;
-                
-                // Check appointment.time first (from local calendar conversion)
-                if (appointment.time && appointment.time instanceof Date && !isNaN(appointment.time.getTime())) {
-                    appointmentDate = appointment.time;
-                } 
-                // Then check appointment.date
-                else if (appointment.date && appointment.date instanceof Date && !isNaN(appointment.date.getTime())) {
-                    appointmentDate = appointment.date;
-                }
-                // Try to parse appointment.date as string
-                else if (appointment.date && typeof appointment.date === 'string') {
-                    appointmentDate = new Date(appointment.date);
-                    if (isNaN(appointmentDate.getTime())) {
-                        appointmentDate = null;
-                    }
-                }
-                // Try to parse appointment.time as string
-                else if (appointment.time && typeof appointment.time === 'string') {
-                    appointmentDate = new Date(appointment.time);
-                    if (isNaN(appointmentDate.getTime())) {
-                        appointmentDate = null;
-                    }
-                }
-                
-                if (!appointmentDate) {
-                    throw new Error(`No valid date found - date: ${appointment.date}, time: ${appointment.time}`);
-                }
+                const appointmentDate = this.appointmentDateFor(appointment);
                 
                 console.log(`✅ Valid date found:`, appointmentDate);
                 
@@ -86,7 +60,6 @@ export class CalendarSyncIntegration {
                 eepromAppointments.push(eepromAppointment);
                 
             } catch (error) {
-                console.error(`Error converting appointment "${appointment.originalTitle || appointment.title}":`, error);
                 this.syncStatus.errors.push({
                     appointment: appointment.originalTitle || appointment.title || 'Unknown',
                     error: error.message
@@ -97,20 +70,142 @@ export class CalendarSyncIntegration {
         return eepromAppointments;
     }
     
+    /**
+     * Get a valid date from the possible appointment date sources
+     * @param {Object} appointment - Calendar appointment
+     * @returns {Date} Appointment date
+     * @throws {Error} If no valid date is found
+     */
+    appointmentDateFor(appointment) {
+        // Try to get a valid date from multiple possible sources
+        let appointmentDate = null;
+        
+        // Check appointment.time first (from local calendar conversion)
+        if (appointment.time && appointment.time instanceof Date && !isNaN(appointment.time.getTime())) {
+            appointmentDate = appointment.time;
+        } 
+        // Then check appointment.date
+        else if (appointment.date && appointment.date instanceof Date && !isNaN(appointment.date.getTime())) {
+            appointmentDate = appointment.date;
+        }
+        // Try to parse appointment.date as string
+        else if (appointment.date && typeof appointment.date === 'string') {
+            appointmentDate = new Date(appointment.date);
+            if (isNaN(appointmentDate.getTime())) {
+                appointmentDate = null;
+            }
+        }
+        // Try to parse appointment.time as string
+        else if (appointment.time && typeof appointment.time === 'string') {
+            appointmentDate = new Date(appointment.time);
+            if (isNaN(appointmentDate.getTime())) {
+                appointmentDate = null;
+            }
+        }
+        
+        if (!appointmentDate) {
+            throw new Error(`No valid date found - date: ${appointment.date}, time: ${appointment.time}`);
+        }
+        
+        return appointmentDate;
+    }
+    
+    /**
+     * Convert calendar appointments to Protocol 7 calendar events
+     * 
+     * Titles are spoken with the vocabulary words they contain; words that are not in the
+     * vocabulary are left out and reported in syncStatus.errors. Titles without any known
+     * word cannot be spoken, so they are rejected before anything is written to the watch.
+     * @param {Array} calendarAppointments - Array of calendar appointments from GoogleCalendarClient
+     * @param {Object} phraseBuilder - Protocol 7 PhraseBuilder with a loaded vocabulary
+     * @param {Date} after - Skip appointments before this time (optional)
+     * @returns {Array} Array of Protocol 7 CalendarEvent instances
+     * @throws {Error} If an appointment title has no words in the vocabulary
+     */
+    convertCalendarAppointmentsToProtocol7Events(calendarAppointments, phraseBuilder, after = null) {
+        const { CalendarEvent } = Protocol7.getComponents();
+        const events = [];
+        const unspeakableTitles = [];
+        
+        for (const appointment of calendarAppointments) {
+            try {
+                // Skip all-day events as they don't have specific times
+                if (appointment.isAllDay) {
+                    continue;
+                }
+                
+                const time = this.appointmentDateFor(appointment);
+                
+                // Events before the calendar base time cannot be stored on the e-BRAIN
+                if (after && time < after) {
+                    continue;
+                }
+                
+                const message = appointment.message || appointment.description || appointment.title || appointment.originalTitle || 'Appointment';
+                const { ids, unknownWords } = phraseBuilder.phraseFor(message);
+                
+                if (ids.length === 0) {
+                    unspeakableTitles.push(message);
+                    continue;
+                }
+                
+                if (unknownWords.length > 0) {
+                    this.syncStatus.errors.push({
+                        appointment: appointment.originalTitle || appointment.title || 'Unknown',
+                        error: `Left out words that are not in the vocabulary: ${unknownWords.map(word => `"${word}"`).join(', ')}`
+                    });
+                }
+                
+                events.push(new CalendarEvent({ time, phrase: ids }));
+                
+            } catch (error) {
+                this.syncStatus.errors.push({
+                    appointment: appointment.originalTitle || appointment.title || 'Unknown',
+                    error: error.message
+                });
+            }
+        }
+        
+        if (unspeakableTitles.length > 0) {
+            throw new Error(
+                `None of the words in ${unspeakableTitles.map(title => `"${title}"`).join(', ')} are in the vocabulary. ` +
+                'Rename these appointments using vocabulary words or remove them, then sync again.'
+            );
+        }
+        
+        return events;
+    }
+    
     /**
      * Sync calendar appointments to watch
      * @param {Array} calendarAppointments - Calendar appointments to sync
      * @param {Object} options - Sync options
      * @param {number} options.appointmentNotificationMinutes - Notification minutes (0, 5, 10, 15, 20, 25, 30, or null)
      * @param {boolean} options.clearExisting - Whether to clear existing appointments
+     * @param {number} options.protocol - Watch protocol (3 for EEPROM appointments, 7 for DSI e-BRAIN calendar events)
+     * @param {Object} options.phraseBuilder - Protocol 7 PhraseBuilder used to speak event names (protocol 7 only)
+     * @param {Date} options.calendarTime - Protocol 7 calendar base time (defaults to now)
+     * @param {Object} options.eeprom - Protocol 7 EEPROM holding the activities, games, phone numbers
+     *   and speech to keep (protocol 7 only, defaults to the last Protocol 7 EEPROM in the client's models)
+     * @param {boolean} options.overwriteEeprom - Write the calendar without a current EEPROM to keep,
+     *   clearing the other sections on the watch (protocol 7 only)
      * @returns {Promise<Object>} Sync result
      */
     async syncCalendarToWatch(calendarAppointments, options = {}) {
         const {
             appointmentNotificationMinutes = 5,
-            clearExisting = true
+            clearExisting = true,
+            protocol = 3,
+            phraseBuilder = null,
+            calendarTime = new Date(),
+            eeprom = null,
+            overwriteEeprom = false
         } = options;
         
+        if (protocol === 7 && !phraseBuilder) {
+            throw new Error('Protocol 7 calendar sync requires a phrase builder with a loaded vocabulary');
+        }
+        
         if (this.syncStatus.inProgress) {
             throw new Error('Sync already in progress');
         }
@@ -135,6 +230,10 @@ export class CalendarSyncIntegration {
         this.syncStatus.appointmentsSynced = 0;
         
         try {
+            if (protocol === 7) {
+                return await this.syncProtocol7Calendar(calendarAppointments, phraseBuilder, calendarTime, { eeprom, overwriteEeprom });
+            }
+            
             // Debug input data thoroughly
             console.log('📅 CALENDAR SYNC DEBUG: Input calendar appointments:', calendarAppointments);
             console.log('📅 CALENDAR SYNC DEBUG: Input count:', calendarAppointments.length);
@@ -234,6 +333,76 @@ export class CalendarSyncIntegration {
         }
     }
     
+    /**
+     * Write calendar appointments to a DSI e-BRAIN as Protocol 7 calendar events
+     * 
+     * The e-BRAIN EEPROM is written as a whole, so the calendar is merged into the current
+     * EEPROM configuration. Without one, the sync stops before writing unless overwriteEeprom
+     * allows clearing the activities, games, phone numbers and speech on the watch.
+     * @private
+     * @param {Array} calendarAppointments - Calendar appointments to sync
+     * @param {Object} phraseBuilder - Protocol 7 PhraseBuilder
+     * @param {Date} calendarTime - Calendar base time
+     * @param {Object} options - Merge options
+     * @param {Object} options.eeprom - Protocol 7 EEPROM configuration to keep
+     * @param {boolean} options.overwriteEeprom - Write without a configuration to keep
+     * @returns {Promise<Object>} Sync result
+     * @throws {Error} If there is no EEPROM configuration to keep and overwriteEeprom is not set
+     */
+    async syncProtocol7Calendar(calendarAppointments, phraseBuilder, calendarTime, { eeprom = null, overwriteEeprom = false } = {}) {
+        const { Calendar } = Protocol7.getComponents();
+        
+        // Titles are mapped to vocabulary words before anything is written to the watch
+        const events = this.convertCalendarAppointmentsToProtocol7Events(calendarAppointments, phraseBuilder, calendarTime);
+        
+        if (events.length === 0) {
+            throw new Error('No valid appointments to sync');
+        }
+        
+        const calendar = new Calendar({ time: calendarTime, events });
+        calendar.validate();
+        
+        const current = eeprom || this.currentProtocol7Eeprom();
+        
+        if (!current && !overwriteEeprom) {
+            throw new Error(
+                'Writing a Protocol 7 calendar replaces the whole e-BRAIN EEPROM, including its activities, ' +
+                'games, phone numbers and speech. Sync them together with the calendar, or allow overwriting them.'
+            );
+        }
+        
+        this.client.models = Protocol7.createSyncSequence({
+            activities: current ? current.activities : null,
+            games: current ? current.games : null,
+            phoneNumbers: current ? current.phoneNumbers : null,
+            speech: current ? current.speech : null,
+            calendar
+        });
+        await this.client.write();
+        
+        this.syncStatus.appointmentsSynced = events.length;
+        this.syncStatus.lastSync = new Date();
+        
+        return {
+            success: true,
+            appointmentsSynced: events.length,
+            totalRequested: calendarAppointments.length,
+            errors: this.syncStatus.errors,
+            syncTime: this.syncStatus.lastSync
+        };
+    }
+    
+    /**
+     * Get the last Protocol 7 EEPROM in the client's models
+     * @returns {Object|null} Protocol 7 Eeprom component, or null if there is none
+     */
+    currentProtocol7Eeprom() {
+        const { Eeprom } = Protocol7.getComponents();
+        const models = this.client ? this.client.models : [];
+        
+        return [...models].reverse().find(model => model instanceof Eeprom) || null;
+    }
+    
     /**
      * Preview what will be synced without actually syncing
      * @param {Array} calendarAppointments - Calendar appointments to preview
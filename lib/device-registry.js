@@ -0,0 +1,195 @@
+// Registry of named watches
+// Each device keeps its protocol, the timing profile for its adapter (null to
+// use the timings remembered per adapter, see timing-profiles.js), a watch
+// profile with its configuration (see watch-profile.js) and a history of
+// successful syncs. Devices are stored in IndexedDB, or in memory where
+// IndexedDB is not available.
+
+import DeepClone from './helpers/deep-clone.js';
+import { ProtocolFactory } from './protocol-factory.js';
+import { TimingProfiles } from './timing-profiles.js';
+import { WatchProfile } from './watch-profile.js';
+
+// Device records in an IndexedDB object store
+export class IndexedDbStore {
+    constructor({ indexedDB = globalThis.indexedDB, name = DeviceRegistry.DB_NAME, storeName = 'devices', version = 1 } = {}) {
+        if (!indexedDB) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        this.indexedDB = indexedDB;
+        this.name = name;
+        this.storeName = storeName;
+        this.version = version;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.storeName)) {
+                        request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // Run one request in its own transaction; resolves once the transaction completes
+    async request(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    async get(id) {
+        return (await this.request('readonly', store => store.get(id))) ?? null;
+    }
+
+    put(record) {
+        return this.request('readwrite', store => store.put(record));
+    }
+
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+// Device records kept in memory, copied in and out like IndexedDB does
+export class MemoryStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async getAll() {
+        return [...this.records.values()].map(record => DeepClone.clone(record));
+    }
+
+    async get(id) {
+        return this.records.has(id) ? DeepClone.clone(this.records.get(id)) : null;
+    }
+
+    async put(record) {
+        this.records.set(record.id, DeepClone.clone(record));
+    }
+
+    async delete(id) {
+        this.records.delete(id);
+    }
+}
+
+export class DeviceRegistry {
+    static DB_NAME = 'timex-datalink';
+    static HISTORY_LIMIT = 50;
+
+    constructor({ store = null, indexedDB = globalThis.indexedDB ?? null } = {}) {
+        this.store = store ?? (indexedDB ? new IndexedDbStore({ indexedDB }) : new MemoryStore());
+    }
+
+    // All devices, sorted by name
+    async list() {
+        const devices = await this.store.getAll();
+        return devices.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Device by id, or null
+    get(id) {
+        return this.store.get(id);
+    }
+
+    // Register a watch; resolves to the stored device
+    async add({ name, protocol, timingProfile = null, profile = null }) {
+        const now = new Date().toISOString();
+        const device = DeviceRegistry.validate({
+            id: DeviceRegistry.newId(),
+            name,
+            protocol,
+            timingProfile,
+            profile,
+            history: [],
+            createdAt: now,
+            updatedAt: now
+        });
+
+        await this.assertUniqueName(device);
+        await this.store.put(device);
+        return device;
+    }
+
+    // Change a device's name, protocol, timingProfile or profile
+    async update(id, changes) {
+        const device = await this.require(id);
+        const { name = device.name, protocol = device.protocol, timingProfile = device.timingProfile, profile = device.profile } = changes;
+        const updated = DeviceRegistry.validate({ ...device, name, protocol, timingProfile, profile, updatedAt: new Date().toISOString() });
+
+        await this.assertUniqueName(updated);
+        await this.store.put(updated);
+        return updated;
+    }
+
+    remove(id) {
+        return this.store.delete(id);
+    }
+
+    // Add a successful sync to a device's history, newest first
+    async recordSync(id, { packetsWritten = 0, syncedAt = new Date(), protocol = null } = {}) {
+        const device = await this.require(id);
+        const entry = { syncedAt: syncedAt.toISOString(), protocol: protocol ?? device.protocol, packetsWritten };
+
+        device.history = [entry, ...device.history].slice(0, DeviceRegistry.HISTORY_LIMIT);
+        await this.store.put(device);
+        return device;
+    }
+
+    async require(id) {
+        const device = await this.store.get(id);
+        if (!device) {
+            throw new Error(`Unknown device: ${id}`);
+        }
+        return device;
+    }
+
+    async assertUniqueName(device) {
+        const devices = await this.store.getAll();
+        if (devices.some(other => other.id !== device.id && other.name.toLowerCase() === device.name.toLowerCase())) {
+            throw new Error(`A watch named "${device.name}" already exists`);
+        }
+    }
+
+    // Check a device record and return it with its name trimmed
+    static validate(device) {
+        const name = typeof device.name === 'string' ? device.name.trim() : '';
+        if (!name) {
+            throw new Error('A watch needs a name');
+        }
+
+        ProtocolFactory.resolveProtocol(device.protocol);
+        if (device.timingProfile !== null) {
+            TimingProfiles.get(device.timingProfile);
+        }
+        if (device.profile !== null) {
+            WatchProfile.assertValid(device.profile);
+        }
+
+        return { ...device, name };
+    }
+
+    static newId() {
+        return globalThis.crypto?.randomUUID?.() ?? `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,159 @@
+// File sink transport for recording packets instead of sending them
+// Useful for checking an encoding without a watch or feeding another tool
+//
+// Packets are written as raw bytes, or as hex text (one packet per line)
+// when the format is 'hex' or the path ends in .hex or .txt. Timing options
+// are ignored. Node.js only: do not import this from browser code.
+
+import { open } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { Transport } from './transport.js';
+
+export class FileSinkTransport extends Transport {
+    static FORMATS = ['binary', 'hex'];
+    static HEX_EXTENSIONS = ['.hex', '.txt'];
+
+    constructor({
+        path,
+        format = null,
+        verbose = false,
+        openFile = (filePath) => open(filePath, 'w')
+    } = {}) {
+        super();
+        this.path = path;
+        this.format = format || FileSinkTransport.formatForPath(path);
+        this.verbose = verbose;
+        this.openFile = openFile;
+        this.handle = null;
+        this.bytesWritten = 0;
+        this.isConnected = false;
+
+        if (!FileSinkTransport.FORMATS.includes(this.format)) {
+            throw new Error(`Unknown file sink format: ${this.format} (expected ${FileSinkTransport.FORMATS.join(' or ')})`);
+        }
+    }
+
+    // Hex text for .hex and .txt files, raw bytes otherwise
+    static formatForPath(path) {
+        return FileSinkTransport.HEX_EXTENSIONS.includes(extname(path || '').toLowerCase()) ? 'hex' : 'binary';
+    }
+
+    // One packet as space separated hex bytes
+    static formatHex(packet) {
+        return packet.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+    }
+
+    // Create or truncate the output file
+    async connect() {
+        if (!this.path) {
+            throw new Error('No output file path provided');
+        }
+
+        if (this.isConnected) {
+            return;
+        }
+
+        try {
+            this.handle = await this.openFile(this.path);
+        } catch (error) {
+            throw new Error(`Cannot open output file ${this.path}: ${error.message}`);
+        }
+
+        this.bytesWritten = 0;
+        this.isConnected = true;
+        this.emit('connect');
+
+        if (this.verbose) {
+            console.log(`Writing ${this.format} packets to ${this.path}`);
+        }
+    }
+
+    async disconnect() {
+        const handle = this.handle;
+        this.handle = null;
+
+        if (handle) {
+            await handle.close();
+        }
+
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.emit('disconnect');
+        }
+    }
+
+    // Append packets to the file; the file is written in one go, so a signal
+    // can only stop a write that has not started
+    async write(packets, { signal = null } = {}) {
+        if (!this.isConnected || !this.handle) {
+            throw new Error('Output file not open');
+        }
+
+        Transport.throwIfAborted(signal);
+
+        if (!Array.isArray(packets)) {
+            throw new Error('Packets must be an array');
+        }
+
+        packets.forEach((packet, i) => {
+            if (!Array.isArray(packet)) {
+                throw new Error(`Packet ${i} is not an array`);
+            }
+
+            packet.forEach((byte, j) => {
+                if (typeof byte !== 'number' || byte < 0 || byte > 255 || !Number.isInteger(byte)) {
+                    throw new Error(`Invalid byte value at packet ${i}, position ${j}: ${byte}`);
+                }
+            });
+        });
+
+        const nonEmpty = packets.filter(packet => packet.length > 0);
+        const contents = this.format === 'hex'
+            ? Buffer.from(nonEmpty.map(packet => `${FileSinkTransport.formatHex(packet)}\n`).join(''), 'ascii')
+            : Buffer.from(nonEmpty.flat());
+
+        try {
+            await this.handle.write(contents);
+        } catch (error) {
+            const writeError = new Error(`Write to ${this.path} failed: ${error.message}`);
+            this.emit('error', writeError);
+            throw writeError;
+        }
+
+        this.bytesWritten += contents.length;
+
+        return { packetsWritten: nonEmpty.length };
+    }
+
+    // Files cannot answer like a watch
+    async read() {
+        throw new Error('File sink is write-only; reading is not supported');
+    }
+
+    // Check if the output file is open
+    isPortConnected() {
+        return this.isConnected && this.handle !== null;
+    }
+
+    async checkConnection() {
+        return this.isPortConnected();
+    }
+
+    // Get current configuration
+    getConfig() {
+        return {
+            path: this.path,
+            format: this.format,
+            verbose: this.verbose,
+            bytesWritten: this.bytesWritten,
+            isConnected: this.isConnected
+        };
+    }
+
+    // Update configuration; timing options have no effect on a file
+    updateConfig({ verbose }) {
+        if (verbose !== undefined) {
+            this.verbose = Boolean(verbose);
+        }
+    }
+}
\ No newline at end of file
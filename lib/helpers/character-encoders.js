@@ -115,6 +115,57 @@ class CharacterEncoders {
 
     return bytes.length > 0 ? bytes : [0];
   }
+
+  /**
+   * Convert numeric indices back to a string (inverse of charsFor)
+   * @param {number[]} indices - Character indices
+   * @param {Object} options - Decoding options
+   * @param {string} options.charMap - Character map to use (default: CHARS)
+   * @returns {string} Decoded string; unknown indices become INVALID_CHAR
+   */
+  static stringFor(indices, { charMap = this.CHARS } = {}) {
+    return indices.map(index => charMap[index] ?? this.INVALID_CHAR).join('');
+  }
+
+  /**
+   * Unpack 6-bit EEPROM characters up to the terminator (inverse of eepromCharsFor)
+   * @param {number[]} bytes - Packed bytes in little-endian format
+   * @returns {{string: string, terminated: boolean}} Decoded string and whether the terminator was found
+   */
+  static eepromStringFor(bytes) {
+    let packedInt = 0n;
+    bytes.forEach((byte, index) => {
+      packedInt += BigInt(byte) << BigInt(8 * index);
+    });
+
+    const indices = [];
+    for (let i = 0; i < Math.floor(bytes.length * 8 / 6); i++) {
+      const char = Number((packedInt >> BigInt(6 * i)) & 0x3Fn);
+
+      if (char === this.EEPROM_TERMINATOR) {
+        return { string: this.stringFor(indices, { charMap: this.EEPROM_CHARS }), terminated: true };
+      }
+      indices.push(char);
+    }
+
+    return { string: this.stringFor(indices, { charMap: this.EEPROM_CHARS }), terminated: false };
+  }
+
+  /**
+   * Unpack 4-bit phone characters (inverse of phoneCharsFor)
+   * @param {number[]} bytes - Packed bytes in little-endian format
+   * @param {number} length - Number of characters to unpack
+   * @returns {string} Decoded phone characters
+   */
+  static phoneStringFor(bytes, length = 12) {
+    const indices = [];
+    for (let i = 0; i < length; i++) {
+      const byte = bytes[Math.floor(i / 2)] ?? 0;
+      indices.push(i % 2 === 0 ? byte & 0x0F : byte >> 4);
+    }
+
+    return this.stringFor(indices, { charMap: this.PHONE_CHARS });
+  }
 }
 
 export { CharacterEncoders };
\ No newline at end of file
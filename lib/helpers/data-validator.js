@@ -91,7 +91,7 @@ class DataValidator {
    * @private
    */
   runValidation(obj, validation) {
-    const { type, field, options } = validation;
+    const { type, field, options = {} } = validation;
     const value = obj[field];
 
     // Check conditional execution
@@ -0,0 +1,56 @@
+/**
+ * Deep copy utility
+ *
+ * Copies the plain data the library keeps as state (objects, arrays, dates,
+ * typed arrays, maps and sets) without structuredClone, which Node.js 16
+ * does not have.
+ */
+
+class DeepClone {
+  /**
+   * Deep copy a value
+   * @param {*} value - Value to copy
+   * @returns {*} Copy that shares no objects with the value
+   */
+  static clone(value) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+
+    if (value instanceof ArrayBuffer) {
+      return value.slice(0);
+    }
+
+    if (value instanceof DataView) {
+      return new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+    }
+
+    if (ArrayBuffer.isView(value)) {
+      return value.slice();
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => DeepClone.clone(item));
+    }
+
+    if (value instanceof Map) {
+      return new Map([...value].map(([key, item]) => [DeepClone.clone(key), DeepClone.clone(item)]));
+    }
+
+    if (value instanceof Set) {
+      return new Set([...value].map(item => DeepClone.clone(item)));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = DeepClone.clone(item);
+    }
+    return copy;
+  }
+}
+
+export default DeepClone;
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * EEPROM capacity planner
+ *
+ * Measures how many bytes each section of an EEPROM component (Protocol 1, 3,
+ * 4 or 9) takes against the watch's memory, using the items' real packets
+ * (length-prefixed, 6-bit packed text), and fits the data into memory by
+ * dropping the lowest-priority items.
+ */
+
+export class EepromCapacity {
+  /**
+   * Item sections in the order EEPROM components store them
+   */
+  static SECTIONS = ['appointments', 'lists', 'phoneNumbers', 'anniversaries'];
+
+  /**
+   * Sections fit() drops items from, in order
+   */
+  static DROP_ORDER = ['appointments', 'lists', 'anniversaries', 'phoneNumbers'];
+
+  /**
+   * Check whether an EEPROM component reports its memory use
+   * @param {Object} eeprom - EEPROM component
+   * @returns {boolean} True if measure() and fit() can handle it
+   */
+  static supports(eeprom) {
+    return Boolean(eeprom) &&
+      typeof eeprom.usedBytes === 'function' &&
+      typeof eeprom.constructor.availableBytes === 'function';
+  }
+
+  /**
+   * Bytes used by each section against the memory available
+   * @param {Object} eeprom - EEPROM component
+   * @returns {Object} { capacity, used, free, fits, sections } where sections
+   *   maps each section to { count, bytes }
+   * @throws {Error} If the component does not report its memory use
+   */
+  static measure(eeprom) {
+    if (!this.supports(eeprom)) {
+      throw new Error(`${eeprom?.constructor?.name ?? eeprom} does not report its EEPROM memory use`);
+    }
+
+    const capacity = eeprom.constructor.availableBytes();
+    const used = eeprom.usedBytes();
+    const sections = {};
+
+    for (const section of this.SECTIONS) {
+      if (Array.isArray(eeprom[section])) {
+        sections[section] = {
+          count: eeprom[section].length,
+          bytes: eeprom[section].reduce((sum, item) => sum + item.packet().length, 0)
+        };
+      }
+    }
+
+    if (eeprom.chrono) {
+      sections.chrono = { count: eeprom.chrono.laps, bytes: eeprom.chrono.packet().length + eeprom.chrono.memoryBytes() };
+    }
+
+    return { capacity, used, free: capacity - used, fits: used <= capacity, sections };
+  }
+
+  /**
+   * Drop the lowest-priority items until the data fits in memory. Past
+   * appointments go first, then items from each section in DROP_ORDER:
+   * appointments ranked like GoogleCalendarClient.prioritizeEvents (today's
+   * before upcoming ones, soonest first), list entries by priority,
+   * anniversaries by how soon they come round, and phone numbers from the last.
+   * @param {Object} eeprom - EEPROM component
+   * @param {Object} options - Options
+   * @param {Date} options.now - Time to rank appointments and anniversaries from
+   * @param {Array<string>} options.order - Sections to drop items from, in order
+   * @returns {Object} { eeprom, dropped, capacity } with a new EEPROM component
+   *   (the same one when it fits), the dropped { section, item, label, bytes }
+   *   and its measure()
+   */
+  static fit(eeprom, { now = new Date(), order = this.DROP_ORDER } = {}) {
+    const measured = this.measure(eeprom);
+
+    if (measured.fits) {
+      return { eeprom, dropped: [], capacity: measured };
+    }
+
+    let used = measured.used;
+
+    const kept = {};
+    const candidates = [];
+
+    for (const section of this.SECTIONS) {
+      if (Array.isArray(eeprom[section])) {
+        kept[section] = new Set(eeprom[section]);
+      }
+    }
+
+    const appointments = this.rank('appointments', eeprom.appointments ?? [], now);
+    candidates.push(...appointments.filter(item => item.time < now).reverse().map(item => ['appointments', item]));
+
+    for (const section of order.filter(name => kept[name])) {
+      candidates.push(...this.rank(section, eeprom[section], now).reverse().map(item => [section, item]));
+    }
+
+    const dropped = [];
+
+    for (const [section, item] of candidates) {
+      if (used <= measured.capacity) {
+        break;
+      }
+      if (!kept[section].has(item)) {
+        continue;
+      }
+
+      const bytes = item.packet().length;
+      kept[section].delete(item);
+      used -= bytes;
+      dropped.push({ section, item, label: this.label(item), bytes });
+    }
+
+    const options = {};
+    for (const key of [...this.SECTIONS, 'appointmentNotificationMinutes', 'chrono']) {
+      if (eeprom[key] !== undefined) {
+        options[key] = kept[key] ? eeprom[key].filter(item => kept[key].has(item)) : eeprom[key];
+      }
+    }
+
+    const fitted = new eeprom.constructor(options);
+    return { eeprom: fitted, dropped, capacity: this.measure(fitted) };
+  }
+
+  /**
+   * Items of a section from highest to lowest priority
+   * @private
+   */
+  static rank(section, items, now) {
+    const ranked = [...items];
+
+    switch (section) {
+      case 'appointments': {
+        const today = (time) => time.toDateString() === now.toDateString();
+        return ranked.sort((a, b) => {
+          const aPast = a.time < now;
+          const bPast = b.time < now;
+
+          if (aPast !== bPast) return aPast ? 1 : -1;
+          if (aPast) return b.time - a.time;
+          if (today(a.time) !== today(b.time)) return today(a.time) ? -1 : 1;
+          return a.time - b.time;
+        });
+      }
+
+      case 'lists':
+        return ranked.sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity));
+
+      case 'anniversaries':
+        return ranked.sort((a, b) => this.daysUntil(a.time, now) - this.daysUntil(b.time, now));
+
+      default:
+        return ranked;
+    }
+  }
+
+  /**
+   * Days until the next time a date's month and day come round
+   * @private
+   */
+  static daysUntil(time, now) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let next = new Date(now.getFullYear(), time.getMonth(), time.getDate());
+
+    if (next < today) {
+      next = new Date(now.getFullYear() + 1, time.getMonth(), time.getDate());
+    }
+    return Math.round((next - today) / 86400000);
+  }
+
+  /**
+   * Text identifying an item
+   * @private
+   */
+  static label(item) {
+    return item.message ?? item.listEntry ?? item.name ?? item.anniversary ?? '';
+  }
+}
\ No newline at end of file
@@ -0,0 +1,679 @@
+/**
+ * Read-only Microsoft Access (Jet 3 / Jet 4) database reader
+ *
+ * Parses the page-based MDB format well enough to list tables and read
+ * their rows.  Used to load pcvocab.mdb from the DSI e-BRAIN software
+ * without the mdbtools library the Ruby client depends on.
+ */
+
+class MdbReader {
+  static PAGE_TYPE_DATA = 0x01;
+  static PAGE_TYPE_TABLE_DEFINITION = 0x02;
+
+  static SYSTEM_OBJECTS_PAGE = 2;
+  static OBJECT_TYPE_TABLE = 1;
+  static OBJECT_ID_MASK = 0x00ffffff;
+  static SYSTEM_OBJECT_FLAGS = 0x80000002;
+
+  static ROW_DELETED_FLAG = 0x8000;
+  static ROW_LOOKUP_FLAG = 0x4000;
+  static ROW_OFFSET_MASK = 0x1fff;
+
+  static COLUMN_FIXED_FLAG = 0x01;
+
+  static COLUMN_TYPES = {
+    BOOLEAN: 0x01,
+    BYTE: 0x02,
+    INT: 0x03,
+    LONG: 0x04,
+    MONEY: 0x05,
+    FLOAT: 0x06,
+    DOUBLE: 0x07,
+    DATETIME: 0x08,
+    BINARY: 0x09,
+    TEXT: 0x0a,
+    OLE: 0x0b,
+    MEMO: 0x0c,
+    GUID: 0x0f,
+    NUMERIC: 0x10
+  };
+
+  // Offsets from the mdbtools format description for each Jet version
+  static FORMATS = {
+    jet3: {
+      pageSize: 2048,
+      rowCountOffset: 0x08,
+      tableRowsOffset: 12,
+      tableColumnCountOffset: 25,
+      tableIndexCountOffset: 27,
+      tableRealIndexCountOffset: 31,
+      tableUsageMapOffset: 35,
+      tableColumnsStartOffset: 43,
+      realIndexEntrySize: 8,
+      columnEntrySize: 18,
+      columnTypeOffset: 0,
+      columnNumberOffset: 5,
+      columnVarOffset: 3,
+      columnFlagsOffset: 13,
+      columnFixedOffset: 14,
+      columnSizeOffset: 16,
+      rowColumnCountSize: 1
+    },
+    jet4: {
+      pageSize: 4096,
+      rowCountOffset: 0x0c,
+      tableRowsOffset: 16,
+      tableColumnCountOffset: 45,
+      tableIndexCountOffset: 47,
+      tableRealIndexCountOffset: 51,
+      tableUsageMapOffset: 55,
+      tableColumnsStartOffset: 63,
+      realIndexEntrySize: 12,
+      columnEntrySize: 25,
+      columnTypeOffset: 0,
+      columnNumberOffset: 9,
+      columnVarOffset: 7,
+      columnFlagsOffset: 15,
+      columnFixedOffset: 21,
+      columnSizeOffset: 23,
+      rowColumnCountSize: 2
+    }
+  };
+
+  /**
+   * Create a reader for MDB file contents
+   * @param {ArrayBuffer|Uint8Array} data - Raw contents of the .mdb file
+   */
+  constructor(data) {
+    if (data instanceof ArrayBuffer) {
+      this.bytes = new Uint8Array(data);
+    } else if (ArrayBuffer.isView(data)) {
+      this.bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+      throw new Error('MDB data must be an ArrayBuffer or Uint8Array');
+    }
+
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.format = this.detectFormat();
+    this.tableDefinitions = new Map();
+    this.catalog = null;
+  }
+
+  /**
+   * Detect the Jet version from the header page
+   * @returns {Object} Format offsets for the detected version
+   * @private
+   */
+  detectFormat() {
+    if (this.bytes.length < 0x20 || this.bytes[0] !== 0x00 || this.bytes[1] !== 0x01) {
+      throw new Error('Not a Microsoft Access database: missing Jet header page');
+    }
+
+    const signature = String.fromCharCode(...this.bytes.subarray(4, 19));
+    if (signature !== 'Standard Jet DB') {
+      throw new Error('Not a Microsoft Access database: unsupported file signature');
+    }
+
+    this.version = this.bytes[0x14];
+
+    const format = this.version === 0 ? MdbReader.FORMATS.jet3 : MdbReader.FORMATS.jet4;
+
+    if (this.bytes.length % format.pageSize !== 0) {
+      throw new Error(`Truncated MDB file: ${this.bytes.length} bytes is not a whole number of ${format.pageSize} byte pages`);
+    }
+
+    return format;
+  }
+
+  /**
+   * Whether the database uses the Jet 4 (Access 2000+) page format
+   * @returns {boolean} True for Jet 4 and later
+   */
+  isJet4() {
+    return this.format === MdbReader.FORMATS.jet4;
+  }
+
+  /**
+   * Number of pages in the file
+   * @returns {number} Page count
+   */
+  pageCount() {
+    return this.bytes.length / this.format.pageSize;
+  }
+
+  /**
+   * Get the bytes of a page
+   * @param {number} pageNumber - Page number
+   * @returns {Uint8Array} Page bytes
+   * @private
+   */
+  page(pageNumber) {
+    if (pageNumber < 0 || pageNumber >= this.pageCount()) {
+      throw new Error(`Page ${pageNumber} is outside of the MDB file (${this.pageCount()} pages)`);
+    }
+
+    const start = pageNumber * this.format.pageSize;
+    return this.bytes.subarray(start, start + this.format.pageSize);
+  }
+
+  /**
+   * List user table names
+   * @returns {Array<string>} Table names
+   */
+  tableNames() {
+    return this.readCatalog()
+      .filter(entry => !entry.system)
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Read all rows of a table
+   * @param {string} tableName - Table name (case-insensitive)
+   * @returns {Array<Object>} Rows keyed by column name
+   */
+  readTable(tableName) {
+    const entry = this.readCatalog().find(item => item.name.toLowerCase() === tableName.toLowerCase());
+
+    if (!entry) {
+      throw new Error(`Table "${tableName}" not found in MDB file`);
+    }
+
+    return this.readRows(this.readTableDefinition(entry.page));
+  }
+
+  /**
+   * Read table entries from the MSysObjects system table
+   * @returns {Array<Object>} Catalog entries with name, page and system flag
+   * @private
+   */
+  readCatalog() {
+    if (this.catalog) {
+      return this.catalog;
+    }
+
+    const definition = this.readTableDefinition(MdbReader.SYSTEM_OBJECTS_PAGE);
+
+    this.catalog = this.readRows(definition)
+      .filter(row => row.Type === MdbReader.OBJECT_TYPE_TABLE && typeof row.Name === 'string')
+      .map(row => ({
+        name: row.Name,
+        page: row.Id & MdbReader.OBJECT_ID_MASK,
+        system: row.Name.startsWith('MSys') || ((row.Flags || 0) & MdbReader.SYSTEM_OBJECT_FLAGS) !== 0
+      }));
+
+    return this.catalog;
+  }
+
+  /**
+   * Parse a table definition (TDEF) page chain
+   * @param {number} pageNumber - First TDEF page
+   * @returns {Object} Table definition with columns and usage map pointer
+   * @private
+   */
+  readTableDefinition(pageNumber) {
+    if (this.tableDefinitions.has(pageNumber)) {
+      return this.tableDefinitions.get(pageNumber);
+    }
+
+    const format = this.format;
+    const buffer = this.tableDefinitionBuffer(pageNumber);
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+    const columnCount = view.getUint16(format.tableColumnCountOffset, true);
+    const realIndexCount = view.getUint32(format.tableRealIndexCountOffset, true);
+
+    let offset = format.tableColumnsStartOffset + realIndexCount * format.realIndexEntrySize;
+    const columns = [];
+
+    for (let i = 0; i < columnCount; i++) {
+      const flags = buffer[offset + format.columnFlagsOffset];
+
+      columns.push({
+        type: buffer[offset + format.columnTypeOffset],
+        number: view.getUint16(offset + format.columnNumberOffset, true),
+        varIndex: view.getUint16(offset + format.columnVarOffset, true),
+        fixedOffset: view.getUint16(offset + format.columnFixedOffset, true),
+        size: view.getUint16(offset + format.columnSizeOffset, true),
+        fixed: (flags & MdbReader.COLUMN_FIXED_FLAG) !== 0
+      });
+
+      offset += format.columnEntrySize;
+    }
+
+    for (const column of columns) {
+      if (this.isJet4()) {
+        const length = view.getUint16(offset, true);
+        column.name = this.decodeText(buffer.subarray(offset + 2, offset + 2 + length));
+        offset += 2 + length;
+      } else {
+        const length = buffer[offset];
+        column.name = this.decodeText(buffer.subarray(offset + 1, offset + 1 + length));
+        offset += 1 + length;
+      }
+    }
+
+    const definition = {
+      page: pageNumber,
+      rowCount: view.getUint32(format.tableRowsOffset, true),
+      usageMap: view.getUint32(format.tableUsageMapOffset, true),
+      columns
+    };
+
+    this.tableDefinitions.set(pageNumber, definition);
+    return definition;
+  }
+
+  /**
+   * Join a TDEF page with its continuation pages
+   * @param {number} pageNumber - First TDEF page
+   * @returns {Uint8Array} Contiguous definition bytes
+   * @private
+   */
+  tableDefinitionBuffer(pageNumber) {
+    const first = this.page(pageNumber);
+
+    if (first[0] !== MdbReader.PAGE_TYPE_TABLE_DEFINITION) {
+      throw new Error(`Page ${pageNumber} is not a table definition page`);
+    }
+
+    const chunks = [first];
+    const visited = new Set([pageNumber]);
+    let next = this.readUint32(pageNumber, 4);
+
+    while (next !== 0) {
+      if (visited.has(next)) {
+        throw new Error(`Table definition page chain loops at page ${next}`);
+      }
+      visited.add(next);
+
+      chunks.push(this.page(next).subarray(8));
+      next = this.readUint32(next, 4);
+    }
+
+    const buffer = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      buffer.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Read all live rows of a table
+   * @param {Object} definition - Table definition
+   * @returns {Array<Object>} Rows keyed by column name
+   * @private
+   */
+  readRows(definition) {
+    const rows = [];
+
+    for (const pageNumber of this.dataPages(definition)) {
+      const page = this.page(pageNumber);
+      const rowCount = this.readUint16(pageNumber, this.format.rowCountOffset);
+
+      for (let row = 0; row < rowCount; row++) {
+        const bounds = this.rowBounds(pageNumber, row);
+
+        if (!bounds || bounds.deleted) {
+          continue;
+        }
+
+        if (bounds.lookup) {
+          const pointer = this.readUint32(pageNumber, bounds.start);
+          const target = this.rowBounds(pointer >>> 8, pointer & 0xff);
+          if (!target || target.deleted) {
+            continue;
+          }
+          rows.push(this.crackRow(definition, this.page(pointer >>> 8), target.start, target.end));
+          continue;
+        }
+
+        rows.push(this.crackRow(definition, page, bounds.start, bounds.end));
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Find the byte range of a row on a data page
+   * @param {number} pageNumber - Data page number
+   * @param {number} row - Row index
+   * @returns {Object|null} Row start (inclusive), end (exclusive) and flags
+   * @private
+   */
+  rowBounds(pageNumber, row) {
+    const format = this.format;
+    const rowCount = this.readUint16(pageNumber, format.rowCountOffset);
+
+    if (row >= rowCount) {
+      return null;
+    }
+
+    const rawOffset = this.readUint16(pageNumber, format.rowCountOffset + 2 + row * 2);
+    const end = row === 0
+      ? format.pageSize
+      : this.readUint16(pageNumber, format.rowCountOffset + row * 2) & MdbReader.ROW_OFFSET_MASK;
+
+    return {
+      start: rawOffset & MdbReader.ROW_OFFSET_MASK,
+      end,
+      deleted: (rawOffset & MdbReader.ROW_DELETED_FLAG) !== 0,
+      lookup: (rawOffset & MdbReader.ROW_LOOKUP_FLAG) !== 0
+    };
+  }
+
+  /**
+   * List data pages belonging to a table
+   *
+   * Uses the table's usage map when present, falling back to scanning
+   * every data page for a matching owner.
+   *
+   * @param {Object} definition - Table definition
+   * @returns {Array<number>} Data page numbers
+   * @private
+   */
+  dataPages(definition) {
+    const fromMap = definition.usageMap ? this.usageMapPages(definition.usageMap) : null;
+    const candidates = fromMap || Array.from({ length: this.pageCount() }, (_, page) => page);
+
+    return candidates.filter(pageNumber => {
+      const page = this.page(pageNumber);
+      return page[0] === MdbReader.PAGE_TYPE_DATA && this.readUint32(pageNumber, 4) === definition.page;
+    });
+  }
+
+  /**
+   * Decode a usage map into page numbers
+   * @param {number} pointer - Usage map row pointer (row in low byte, page in upper bytes)
+   * @returns {Array<number>|null} Page numbers, or null if the map cannot be read
+   * @private
+   */
+  usageMapPages(pointer) {
+    const bounds = this.rowBounds(pointer >>> 8, pointer & 0xff);
+    if (!bounds) {
+      return null;
+    }
+
+    const map = this.page(pointer >>> 8).subarray(bounds.start, bounds.end);
+    const pages = [];
+
+    if (map[0] === 0) {
+      const startPage = new DataView(map.buffer, map.byteOffset, map.byteLength).getUint32(1, true);
+      this.collectBitmapPages(map.subarray(5), startPage, pages);
+      return pages;
+    }
+
+    if (map[0] === 1) {
+      const bitsPerMapPage = (this.format.pageSize - 4) * 8;
+      const view = new DataView(map.buffer, map.byteOffset, map.byteLength);
+
+      for (let i = 0; (i * 4) + 5 <= map.length; i++) {
+        const mapPage = view.getUint32(1 + i * 4, true);
+        if (mapPage === 0) {
+          continue;
+        }
+        this.collectBitmapPages(this.page(mapPage).subarray(4), i * bitsPerMapPage, pages);
+      }
+      return pages;
+    }
+
+    return null;
+  }
+
+  /**
+   * Append the pages marked in a usage bitmap
+   * @private
+   */
+  collectBitmapPages(bitmap, firstPage, pages) {
+    for (let byte = 0; byte < bitmap.length; byte++) {
+      for (let bit = 0; bit < 8; bit++) {
+        if (bitmap[byte] & (1 << bit)) {
+          const pageNumber = firstPage + byte * 8 + bit;
+          if (pageNumber < this.pageCount()) {
+            pages.push(pageNumber);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Split a row into column values
+   * @param {Object} definition - Table definition
+   * @param {Uint8Array} page - Page containing the row
+   * @param {number} start - Row start offset (inclusive)
+   * @param {number} end - Row end offset (exclusive)
+   * @returns {Object} Row keyed by column name
+   * @private
+   */
+  crackRow(definition, page, start, end) {
+    const format = this.format;
+    const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+
+    const rowColumns = format.rowColumnCountSize === 2 ? view.getUint16(start, true) : page[start];
+    const nullMaskSize = Math.floor((rowColumns + 7) / 8);
+    const nullMaskStart = end - nullMaskSize;
+    const varOffsets = this.isJet4()
+      ? this.varOffsetsJet4(view, start, nullMaskStart)
+      : this.varOffsetsJet3(page, start, end, nullMaskStart);
+
+    const row = {};
+
+    for (const column of definition.columns) {
+      const present = column.number < rowColumns &&
+        (page[nullMaskStart + (column.number >> 3)] & (1 << (column.number & 7))) !== 0;
+
+      if (column.type === MdbReader.COLUMN_TYPES.BOOLEAN) {
+        row[column.name] = present;
+        continue;
+      }
+
+      if (!present) {
+        row[column.name] = null;
+        continue;
+      }
+
+      if (column.fixed) {
+        const dataStart = start + format.rowColumnCountSize + column.fixedOffset;
+        row[column.name] = this.decodeValue(column, page.subarray(dataStart, dataStart + column.size));
+        continue;
+      }
+
+      if (column.varIndex + 1 >= varOffsets.length) {
+        row[column.name] = null;
+        continue;
+      }
+
+      const dataStart = start + varOffsets[column.varIndex];
+      const dataEnd = start + varOffsets[column.varIndex + 1];
+      row[column.name] = this.decodeValue(column, page.subarray(dataStart, dataEnd));
+    }
+
+    return row;
+  }
+
+  /**
+   * Read Jet 4 variable column offsets (stored in reverse before the null mask)
+   * @private
+   */
+  varOffsetsJet4(view, start, nullMaskStart) {
+    const varCount = view.getUint16(nullMaskStart - 2, true);
+    const offsets = [];
+
+    for (let i = 0; i <= varCount; i++) {
+      offsets.push(view.getUint16(nullMaskStart - 4 - i * 2, true));
+    }
+
+    return offsets;
+  }
+
+  /**
+   * Read Jet 3 variable column offsets, applying the 256 byte jump table
+   * @private
+   */
+  varOffsetsJet3(page, start, end, nullMaskStart) {
+    const varCount = page[nullMaskStart - 1];
+    const rowLength = end - start;
+    let jumpCount = Math.floor((rowLength - 1) / 256);
+    const offsetsEnd = nullMaskStart - 1 - jumpCount;
+
+    if (Math.floor((offsetsEnd - 1 - start - varCount) / 256) < jumpCount) {
+      jumpCount--;
+    }
+
+    const offsets = [];
+    let jumpsUsed = 0;
+
+    for (let i = 0; i <= varCount; i++) {
+      while (jumpsUsed < jumpCount && i === page[nullMaskStart - 2 - jumpsUsed]) {
+        jumpsUsed++;
+      }
+      offsets.push(page[offsetsEnd - 1 - i] + jumpsUsed * 256);
+    }
+
+    return offsets;
+  }
+
+  /**
+   * Decode a column value
+   * @param {Object} column - Column definition
+   * @param {Uint8Array} data - Raw column bytes
+   * @returns {*} Decoded value
+   * @private
+   */
+  decodeValue(column, data) {
+    const types = MdbReader.COLUMN_TYPES;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    switch (column.type) {
+      case types.BYTE:
+        return data[0];
+      case types.INT:
+        return view.getInt16(0, true);
+      case types.LONG:
+        return view.getInt32(0, true);
+      case types.MONEY:
+        return Number(view.getBigInt64(0, true)) / 10000;
+      case types.FLOAT:
+        return view.getFloat32(0, true);
+      case types.DOUBLE:
+        return view.getFloat64(0, true);
+      case types.DATETIME:
+        // Days since 1899-12-30, fractional part is the time of day
+        return new Date(Date.UTC(1899, 11, 30) + view.getFloat64(0, true) * 86400000);
+      case types.TEXT:
+        return this.decodeText(data);
+      case types.MEMO:
+        return this.decodeText(this.readLongValue(data));
+      case types.OLE:
+        return this.readLongValue(data);
+      default:
+        return Array.from(data);
+    }
+  }
+
+  /**
+   * Read memo/OLE data that may be stored inline or on LVAL pages
+   * @param {Uint8Array} data - 12 byte memo header followed by inline data
+   * @returns {Uint8Array} Value bytes
+   * @private
+   */
+  readLongValue(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const header = view.getUint32(0, true);
+    const length = header & 0x3fffffff;
+
+    if (header & 0x80000000) {
+      return data.subarray(12, 12 + length);
+    }
+
+    let pointer = view.getUint32(4, true);
+    const chunks = [];
+    let collected = 0;
+
+    while (pointer !== 0 && collected < length) {
+      const bounds = this.rowBounds(pointer >>> 8, pointer & 0xff);
+      if (!bounds) {
+        break;
+      }
+
+      const row = this.page(pointer >>> 8).subarray(bounds.start, bounds.end);
+
+      if (header & 0x40000000) {
+        chunks.push(row.subarray(0, length));
+        collected += length;
+        break;
+      }
+
+      chunks.push(row.subarray(4));
+      collected += row.length - 4;
+      pointer = new DataView(row.buffer, row.byteOffset, row.byteLength).getUint32(0, true);
+    }
+
+    const value = new Uint8Array(collected);
+    let offset = 0;
+    for (const chunk of chunks) {
+      value.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    return value.subarray(0, length);
+  }
+
+  /**
+   * Decode text (UCS-2 with optional Jet 4 compression, or Jet 3 single byte)
+   * @param {Uint8Array} data - Raw text bytes
+   * @returns {string} Decoded string
+   * @private
+   */
+  decodeText(data) {
+    if (!this.isJet4()) {
+      return String.fromCharCode(...data);
+    }
+
+    if (data.length >= 2 && data[0] === 0xff && data[1] === 0xfe) {
+      let compressed = true;
+      let text = '';
+
+      for (let i = 2; i < data.length;) {
+        if (data[i] === 0x00) {
+          compressed = !compressed;
+          i++;
+        } else if (compressed) {
+          text += String.fromCharCode(data[i]);
+          i++;
+        } else {
+          text += String.fromCharCode(data[i] | ((data[i + 1] || 0) << 8));
+          i += 2;
+        }
+      }
+
+      return text;
+    }
+
+    let text = '';
+    for (let i = 0; i + 1 < data.length; i += 2) {
+      text += String.fromCharCode(data[i] | (data[i + 1] << 8));
+    }
+    return text;
+  }
+
+  /**
+   * @private
+   */
+  readUint16(pageNumber, offset) {
+    return this.view.getUint16(pageNumber * this.format.pageSize + offset, true);
+  }
+
+  /**
+   * @private
+   */
+  readUint32(pageNumber, offset) {
+    return this.view.getUint32(pageNumber * this.format.pageSize + offset, true);
+  }
+}
+
+export default MdbReader;
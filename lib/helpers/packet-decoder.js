@@ -0,0 +1,493 @@
+/**
+ * Packet decoder base
+ *
+ * Turns CRC-wrapped packets back into component objects, the inverse of
+ * packets().  Input is packets() output, a raw byte stream as written to the
+ * Notebook Adapter, or a PacketCapture.  Protocol decoders extend this class
+ * with a HANDLERS map from opcode to decode method.
+ *
+ * Protocols 1, 3, 4, 6 and 9 have decoders.  Protocol 7 has none: its EEPROM
+ * data joins the activity, game, calendar, phone number and speech sections
+ * without markers, and the layout is not yet checked against the Ruby client.
+ *
+ * Problems such as a bad CRC, a wrong length byte or a missing section page
+ * are collected as PacketDecodeError entries so the rest of a transfer can
+ * still be inspected; pass strict: true to throw the first one instead.
+ */
+
+import CrcPacketsWrapper from './crc-packets-wrapper.js';
+import { CharacterEncoders } from './character-encoders.js';
+
+class PacketDecodeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Where the error happened
+   * @param {number|null} details.index - Index of the packet in the input
+   * @param {Array<number>|null} details.packet - Packet bytes
+   */
+  constructor(message, { index = null, packet = null } = {}) {
+    super(index === null ? message : `Packet ${index + 1}: ${message}`);
+    this.name = 'PacketDecodeError';
+    this.index = index;
+    this.packet = packet;
+  }
+}
+
+class PacketDecoder {
+  static PING_BYTE = 0x78;
+  static SYNC_1_BYTE = 0x55;
+  static SYNC_2_BYTE = 0xaa;
+  static SYNC_BYTES = [PacketDecoder.SYNC_1_BYTE, PacketDecoder.SYNC_2_BYTE]; // Bytes that may follow the ping byte
+  static MIN_PACKET_LENGTH = 4; // Length byte, opcode and CRC
+  static EEPROM_HEADER_LENGTH = 14;
+
+  /**
+   * Set by protocol decoders: protocol number, component classes by name
+   * (Start, Sync, End, Eeprom and its items, ...) and opcode to decode method
+   */
+  static PROTOCOL = null;
+  static COMPONENTS = {};
+  static HANDLERS = {};
+
+  /**
+   * Create a decoder
+   * @param {Object} options - Decoder options
+   * @param {boolean} options.strict - Throw the first error instead of collecting it
+   */
+  constructor({ strict = false } = {}) {
+    this.strict = strict;
+  }
+
+  /**
+   * Decode packets with a new decoder
+   * @param {Array<Array<number>>|Array<number>|Uint8Array|Object} input - Packets, byte stream or PacketCapture
+   * @param {Object} options - Decoder options
+   * @returns {{components: Array<Object>, errors: Array<PacketDecodeError>}} Decoded components and errors
+   */
+  static decode(input, options = {}) {
+    return new this(options).decode(input);
+  }
+
+  /**
+   * Split a raw byte stream into sync sequences and length-framed packets
+   * @param {Array<number>|Uint8Array} bytes - Bytes as written to the watch
+   * @returns {{packets: Array<Array<number>>, errors: Array<PacketDecodeError>}} Framed packets and framing errors
+   */
+  static frame(bytes) {
+    const data = Array.from(bytes);
+    const packets = [];
+    const errors = [];
+    let position = 0;
+
+    while (position < data.length) {
+      const byte = data[position];
+
+      if (byte === PacketDecoder.PING_BYTE) {
+        let end = position + 1;
+        while (end < data.length && this.SYNC_BYTES.includes(data[end])) {
+          end++;
+        }
+        packets.push(data.slice(position, end));
+        position = end;
+      } else if (byte < PacketDecoder.MIN_PACKET_LENGTH) {
+        errors.push(new PacketDecodeError(`Invalid length byte ${byte} at byte ${position}`, { index: packets.length }));
+        position++;
+      } else {
+        packets.push(data.slice(position, position + byte));
+        position += byte;
+      }
+    }
+
+    return { packets, errors };
+  }
+
+  /**
+   * Decode packets into component objects
+   * @param {Array<Array<number>>|Array<number>|Uint8Array|Object} input - Packets, byte stream or PacketCapture
+   * @returns {{components: Array<Object>, errors: Array<PacketDecodeError>}} Decoded components and errors
+   */
+  decode(input) {
+    this.components = [];
+    this.errors = [];
+    this.section = null;
+    this.index = null;
+    this.packet = null;
+
+    this.packetsFor(input).forEach((packet, index) => {
+      this.index = index;
+      this.packet = packet;
+
+      try {
+        const component = packet[0] === PacketDecoder.PING_BYTE
+          ? this.decodeSync(packet)
+          : this.decodePayload(this.unwrap(packet));
+
+        if (component) {
+          this.components.push(component);
+        }
+      } catch (error) {
+        if (!(error instanceof PacketDecodeError)) {
+          throw error;
+        }
+        this.addError(error);
+      }
+    });
+
+    if (this.section) {
+      this.addError(new PacketDecodeError(`${this.section.type} section has no end packet`));
+    }
+
+    return { components: this.components, errors: this.errors };
+  }
+
+  /**
+   * Normalise decoder input to a list of packets
+   * @private
+   * @param {Array<Array<number>>|Array<number>|Uint8Array|Object} input - Decoder input
+   * @returns {Array<Array<number>>} Packets
+   */
+  packetsFor(input) {
+    if (input && typeof input.packets === 'function') {
+      return input.packets();
+    }
+
+    if (Array.isArray(input) && input.every(Array.isArray)) {
+      return input;
+    }
+
+    if (Array.isArray(input) || ArrayBuffer.isView(input)) {
+      const { packets, errors } = this.constructor.frame(input);
+      errors.forEach(error => this.addError(error));
+      return packets;
+    }
+
+    throw new TypeError('Decoder input must be packets, a byte array or a packet capture');
+  }
+
+  /**
+   * Check the length byte and CRC of a packet
+   * @private
+   * @param {Array<number>} packet - CRC-wrapped packet
+   * @returns {Array<number>} Payload without length byte and CRC
+   * @throws {PacketDecodeError} If the length or CRC is wrong
+   */
+  unwrap(packet) {
+    if (packet.length < PacketDecoder.MIN_PACKET_LENGTH || packet[0] !== packet.length) {
+      throw this.error(`Length byte ${packet[0]} does not match packet length ${packet.length}`);
+    }
+
+    const payload = packet.slice(1, -2);
+    const [crcHigh, crcLow] = CrcPacketsWrapper.crcFooter(payload);
+
+    if (packet[packet.length - 2] !== crcHigh || packet[packet.length - 1] !== crcLow) {
+      throw this.error('CRC mismatch');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Dispatch a payload to the decode method for its opcode
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object|null} Component, or null when the packet is part of a larger component
+   */
+  decodePayload(payload) {
+    const handler = this.constructor.HANDLERS[payload[0]];
+
+    if (!handler) {
+      throw this.error(`Unknown opcode 0x${payload[0].toString(16).padStart(2, '0')}`);
+    }
+
+    return this[handler](payload);
+  }
+
+  /**
+   * Decode a start packet: [0x20, 0x00, 0x00, protocol]
+   * @protected
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Start component
+   */
+  decodeStart(payload) {
+    this.expectLength(payload, 4);
+
+    if (payload[3] !== this.constructor.PROTOCOL) {
+      throw this.error(`Start packet is for Protocol ${payload[3]}, not Protocol ${this.constructor.PROTOCOL}`);
+    }
+
+    return new this.constructor.COMPONENTS.Start();
+  }
+
+  /**
+   * Decode a sync sequence: 0x78, sync 1 bytes, sync 2 bytes
+   * @protected
+   * @param {Array<number>} packet - Sync bytes
+   * @returns {Object} Sync component
+   */
+  decodeSync(packet) {
+    const { Sync } = this.constructor.COMPONENTS;
+    const sync1 = packet.filter(byte => byte === Sync.SYNC_1_BYTE[0]).length;
+    const sync2 = packet.filter(byte => byte === Sync.SYNC_2_BYTE[0]).length;
+
+    if (sync1 + sync2 + 1 !== packet.length) {
+      throw this.error('Sync contains bytes other than sync bytes');
+    }
+
+    if (sync2 !== Sync.SYNC_2_LENGTH) {
+      throw this.error(`Sync has ${sync2} sync 2 bytes, expected ${Sync.SYNC_2_LENGTH}`);
+    }
+
+    return new Sync({ length: sync1 });
+  }
+
+  /**
+   * Decode an end packet: [0x21]
+   * @protected
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} End component
+   */
+  decodeEnd(payload) {
+    this.expectLength(payload, 1);
+    return new this.constructor.COMPONENTS.End();
+  }
+
+  /**
+   * Start collecting a paginated section
+   * @protected
+   * @param {string} type - Section name
+   * @param {number} pages - Number of data pages announced
+   * @param {Array<number>} header - Remaining bytes of the section packet
+   */
+  openSection(type, pages, header = []) {
+    if (this.section) {
+      this.addError(this.error(`${this.section.type} section has no end packet`));
+    }
+
+    this.section = { type, pages, header, data: [], nextPage: 1 };
+  }
+
+  /**
+   * Add a data page to the open section
+   * @protected
+   * @param {string} type - Section name
+   * @param {number} page - Page number, starting at 1
+   * @param {Array<number>} data - Page data
+   */
+  addSectionData(type, page, data) {
+    if (!this.section || this.section.type !== type) {
+      throw this.error(`${type} data outside its section`);
+    }
+
+    if (page !== this.section.nextPage) {
+      this.section.broken = true;
+      throw this.error(`${type} page ${page} received, expected page ${this.section.nextPage}`);
+    }
+
+    this.section.data.push(...data);
+    this.section.nextPage++;
+  }
+
+  /**
+   * Finish the open section
+   * @protected
+   * @param {string} type - Section name
+   * @returns {{header: Array<number>, data: Array<number>}} Section header and data
+   * @throws {PacketDecodeError} If the section is missing or incomplete
+   */
+  closeSection(type) {
+    const section = this.section;
+    this.section = null;
+
+    if (!section || section.type !== type) {
+      throw this.error(`${type} section end without its section packet`);
+    }
+
+    if (section.broken || section.nextPage - 1 !== section.pages) {
+      throw this.error(`${type} section announced ${section.pages} pages, received ${section.nextPage - 1}`);
+    }
+
+    return { header: section.header, data: section.data };
+  }
+
+  /**
+   * Decode the EEPROM data shared by Protocols 1, 3 and 4: item addresses
+   * (4 x 16-bit LSB, MSB), item counts (4), the earliest appointment year and
+   * notification minutes / 5, followed by the length-prefixed items
+   * @param {Array<number>} bytes - EEPROM header and item bytes
+   * @param {Object} layout - Protocol EEPROM constants
+   * @param {number} layout.startAddress - Address of the first item
+   * @param {number} layout.noNotification - Notification value for no notification
+   * @returns {Object} Year and notification minutes, and the appointments, lists, phone numbers and anniversaries as plain fields
+   * @throws {PacketDecodeError} If the header, an address or an item is invalid
+   */
+  eepromEntries(bytes, { startAddress, noNotification }) {
+    const headerLength = PacketDecoder.EEPROM_HEADER_LENGTH;
+
+    if (bytes.length < headerLength) {
+      throw this.error(`EEPROM data has ${bytes.length} bytes, shorter than its ${headerLength} byte header`);
+    }
+
+    const notification = bytes[13];
+    const [appointments, lists, phoneNumbers, anniversaries] = this.splitEepromItems({
+      addresses: bytes.slice(0, 8),
+      counts: bytes.slice(8, 12),
+      startAddress
+    }, bytes.slice(headerLength));
+
+    return {
+      year: this.fullYear(bytes[12]),
+      appointments: appointments.map(item => ({
+        month: item[0],
+        day: item[1],
+        hour: Math.floor(item[2] / 4),
+        minute: (item[2] % 4) * 15,
+        message: this.eepromString(item.slice(3))
+      })),
+      lists: lists.map(item => ({
+        entry: this.eepromString(item.slice(1)),
+        priority: item[0] === 0 ? null : item[0]
+      })),
+      phoneNumbers: phoneNumbers.map(item => {
+        const numberWithType = CharacterEncoders.phoneStringFor(item.slice(0, 6));
+        return {
+          number: numberWithType.slice(0, -2).trim(),
+          type: numberWithType.slice(-1),
+          name: this.eepromString(item.slice(6))
+        };
+      }),
+      anniversaries: anniversaries.map(item => ({
+        month: item[0],
+        day: item[1],
+        anniversary: this.eepromString(item.slice(2))
+      })),
+      appointmentNotificationMinutes: notification === noNotification ? null : notification * 5
+    };
+  }
+
+  /**
+   * Split EEPROM item data by its address table
+   * @protected
+   * @param {Object} table - EEPROM header fields
+   * @param {Array<number>} table.addresses - Start address of each item type (LSB, MSB pairs)
+   * @param {Array<number>} table.counts - Number of items of each type
+   * @param {number} table.startAddress - Address of the first item
+   * @param {Array<number>} items - Length-prefixed item bytes
+   * @returns {Array<Array<Array<number>>>} Item bytes without length prefix, grouped by type
+   */
+  splitEepromItems({ addresses, counts, startAddress }, items) {
+    let offset = 0;
+
+    const groups = counts.map((count, type) => {
+      const address = addresses[type * 2] + (addresses[type * 2 + 1] << 8);
+      if (address !== startAddress + offset) {
+        throw this.error(`EEPROM item type ${type + 1} address 0x${address.toString(16)} should be 0x${(startAddress + offset).toString(16)}`);
+      }
+
+      const group = [];
+      for (let i = 0; i < count; i++) {
+        const length = items[offset];
+        if (!length || offset + length > items.length) {
+          throw this.error(`EEPROM item type ${type + 1} entry ${i + 1} is truncated`);
+        }
+
+        group.push(items.slice(offset + 1, offset + length));
+        offset += length;
+      }
+      return group;
+    });
+
+    if (offset !== items.length) {
+      throw this.error(`EEPROM data has ${items.length - offset} trailing bytes`);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Build Eeprom constructor options from EEPROM data.  Appointments only
+   * store month and day, so they and the anniversaries get the header's
+   * earliest appointment year.
+   * @protected
+   * @param {Array<number>} bytes - EEPROM header and item bytes
+   * @param {Object} layout - Protocol EEPROM constants, see eepromEntries()
+   * @returns {Object} Eeprom options
+   */
+  eepromOptions(bytes, layout) {
+    const { Appointment, Anniversary, PhoneNumber, List } = this.constructor.COMPONENTS;
+    const { year, appointments, lists, phoneNumbers, anniversaries, appointmentNotificationMinutes } = this.eepromEntries(bytes, layout);
+
+    return {
+      appointments: appointments.map(({ month, day, hour, minute, message }) => new Appointment({
+        time: new Date(year, month - 1, day, hour, minute),
+        message
+      })),
+      lists: lists.map(({ entry, priority }) => new List({ listEntry: entry, priority })),
+      phoneNumbers: phoneNumbers.map(({ name, number, type }) => new PhoneNumber({ name, number, type })),
+      anniversaries: anniversaries.map(({ month, day, anniversary }) => new Anniversary({
+        time: new Date(year, month - 1, day),
+        anniversary
+      })),
+      appointmentNotificationMinutes
+    };
+  }
+
+  /**
+   * Unpack 6-bit EEPROM text, which must end with the terminator
+   * @protected
+   * @param {Array<number>} bytes - Packed text
+   * @returns {string} Text
+   */
+  eepromString(bytes) {
+    const { string, terminated } = CharacterEncoders.eepromStringFor(bytes);
+
+    if (!terminated) {
+      throw this.error(`EEPROM text "${string}" has no terminator`);
+    }
+    return string;
+  }
+
+  /**
+   * @protected
+   * @param {Array<number>} payload - Packet payload
+   * @param {number} length - Expected payload length
+   * @throws {PacketDecodeError} If the payload length differs
+   */
+  expectLength(payload, length) {
+    if (payload.length !== length) {
+      throw this.error(`Opcode 0x${payload[0].toString(16)} payload has ${payload.length} bytes, expected ${length}`);
+    }
+  }
+  /**
+   * Build an error for the current packet
+   * @protected
+   * @param {string} message - Error message
+   * @returns {PacketDecodeError} Error
+   */
+  error(message) {
+    return new PacketDecodeError(message, { index: this.index, packet: this.packet });
+  }
+
+  /**
+   * Expand a two-digit year as sent to the watch
+   * @protected
+   * @param {number} year - Year mod 100
+   * @returns {number} Four-digit year (1970-2069)
+   */
+  fullYear(year) {
+    return year < 70 ? 2000 + year : 1900 + year;
+  }
+
+  /**
+   * Record an error, or throw it in strict mode
+   * @private
+   * @param {PacketDecodeError} error - Error
+   */
+  addError(error) {
+    if (this.strict) {
+      throw error;
+    }
+    this.errors.push(error);
+  }
+}
+
+export { PacketDecoder, PacketDecodeError };
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Per-packet timing requirements
+ *
+ * Timing metadata for packets that need more (or less) time than the
+ * transport's global byteSleep/packetSleep.  No component attaches any yet:
+ * the Ruby client sends every packet with the same timings, so there is no
+ * known per-packet requirement to declare.  The metadata is stored as a
+ * non-enumerable `timing` property, so packets stay plain byte arrays for
+ * comparison and serialization.
+ */
+
+class PacketTiming {
+  /**
+   * Timing fields, all in milliseconds:
+   * - postDelay: minimum pause after the packet
+   * - minByteSleep: minimum pause between the packet's bytes
+   * - maxByteSleep: maximum pause between the packet's bytes
+   */
+  static FIELDS = ['postDelay', 'minByteSleep', 'maxByteSleep'];
+
+  /**
+   * Attach timing requirements to a packet, merged with any already attached
+   * @param {Array<number>} packet - Packet bytes
+   * @param {Object} timing - Timing fields
+   * @returns {Array<number>} The same packet
+   */
+  static attach(packet, timing) {
+    if (!Array.isArray(packet)) {
+      throw new Error('Packet must be an array');
+    }
+
+    for (const [field, value] of Object.entries(timing)) {
+      if (!this.FIELDS.includes(field)) {
+        throw new Error(`Unknown packet timing field: ${field} (expected one of ${this.FIELDS.join(', ')})`);
+      }
+      if (typeof value !== 'number' || !(value >= 0)) {
+        throw new Error(`Packet timing ${field} must be a non-negative number of milliseconds, got ${value}`);
+      }
+    }
+
+    Object.defineProperty(packet, 'timing', {
+      value: Object.freeze({ ...this.of(packet), ...timing }),
+      enumerable: false,
+      configurable: true
+    });
+    return packet;
+  }
+
+  /**
+   * Timing requirements attached to a packet
+   * @param {Array<number>} packet - Packet bytes
+   * @returns {Object|null} Timing fields, or null when none are attached
+   */
+  static of(packet) {
+    return Object.prototype.hasOwnProperty.call(packet, 'timing') ? packet.timing : null;
+  }
+
+  /**
+   * Effective timings for a packet: the transport's byteSleep clamped to the
+   * packet's byte sleep range, and packetSleep raised to its postDelay
+   * @param {Array<number>} packet - Packet bytes
+   * @param {Object} config - Transport timings
+   * @param {number} config.byteSleep - Global pause between bytes
+   * @param {number} config.packetSleep - Global pause between packets
+   * @returns {Object} { byteSleep, packetSleep } for this packet
+   */
+  static resolve(packet, { byteSleep = 0, packetSleep = 0 } = {}) {
+    const timing = this.of(packet);
+
+    if (!timing) {
+      return { byteSleep, packetSleep };
+    }
+
+    return {
+      byteSleep: Math.min(Math.max(byteSleep, timing.minByteSleep ?? 0), timing.maxByteSleep ?? Infinity),
+      packetSleep: Math.max(packetSleep, timing.postDelay ?? 0)
+    };
+  }
+}
+
+export default PacketTiming;
\ No newline at end of file
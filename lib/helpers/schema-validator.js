@@ -0,0 +1,123 @@
+/**
+ * JSON Schema validator
+ *
+ * Checks a parsed JSON document against the subset of JSON Schema used by
+ * the watch profile schema: type, const, enum, properties, required,
+ * additionalProperties, items, minItems/maxItems, minimum/maximum,
+ * minLength/maxLength and pattern. Unknown keywords (title, description,
+ * $schema...) are ignored; a pattern's first example is shown in its error.
+ */
+
+export class SchemaValidator {
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Parsed JSON value
+   * @param {Object} schema - JSON Schema
+   * @param {string} path - Path of the value, used in error messages
+   * @returns {Array<Object>} Errors as { path, message }, empty when valid
+   */
+  static validate(value, schema, path = '') {
+    const errors = [];
+    const fail = (message) => errors.push({ path: path || '(root)', message });
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.isType(value, type))) {
+        fail(`must be ${types.join(' or ')}`);
+        return errors;
+      }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum !== undefined && !schema.enum.includes(value)) {
+      fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail(`must be at most ${schema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(`must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        fail(schema.examples ? `must look like ${JSON.stringify(schema.examples[0])}` : `must match ${schema.pattern}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`)));
+      }
+    }
+
+    if (this.isType(value, 'object')) {
+      const properties = schema.properties ?? {};
+
+      for (const key of schema.required ?? []) {
+        if (value[key] === undefined) {
+          errors.push({ path: this.join(path, key), message: 'is required' });
+        }
+      }
+
+      for (const [key, item] of Object.entries(value)) {
+        if (properties[key]) {
+          errors.push(...this.validate(item, properties[key], this.join(path, key)));
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: this.join(path, key), message: 'is not a known property' });
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a value against a JSON Schema type name
+   * @param {*} value - Value
+   * @param {string} type - Type name
+   * @returns {boolean} True if the value has the type
+   */
+  static isType(value, type) {
+    switch (type) {
+      case 'null':
+        return value === null;
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Path of a property
+   * @private
+   */
+  static join(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * SPC file parser utility
+ *
+ * Parses Timex Datalink sound theme (.spc) files for protocols 3 and 4.  An
+ * SPC file is the SOUND_DATA_HEADER magic followed by the raw sound theme
+ * data that is sent to the watch.  Files without the header are rejected, so
+ * that other files picked by mistake are never sent as sound data.
+ */
+
+class SpcFileParser {
+  static SOUND_DATA_HEADER = [0x25, 0x04, 0x19, 0x69]; // "%\x04\x19i"
+  static SOUND_DATA_MAX_LENGTH = 0x100;
+
+  /**
+   * Parse an SPC file
+   * @param {ArrayBuffer|Uint8Array|Array<number>} data - SPC file contents
+   * @param {Object} options - Parse options
+   * @param {Array<number>|Uint8Array} options.header - Expected file header
+   * @returns {Object} Parsed file with soundThemeData (header removed)
+   * @throws {Error} If the header is missing, or there is no sound data or it is too long for the watch
+   */
+  static parse(data, { header = SpcFileParser.SOUND_DATA_HEADER } = {}) {
+    const bytes = SpcFileParser.toBytes(data);
+    const expectedHeader = Array.from(header);
+
+    const hasHeader = bytes.length >= expectedHeader.length &&
+      expectedHeader.every((byte, index) => bytes[index] === byte);
+
+    if (!hasHeader) {
+      throw new Error('Not an SPC file: missing the sound data header "%\\x04\\x19i"');
+    }
+
+    const soundThemeData = bytes.slice(expectedHeader.length);
+
+    if (soundThemeData.length === 0) {
+      throw new Error('Empty SPC file: no sound data');
+    }
+
+    if (soundThemeData.length > SpcFileParser.SOUND_DATA_MAX_LENGTH) {
+      throw new Error(`SPC sound data is ${soundThemeData.length} bytes, which exceeds the maximum of ${SpcFileParser.SOUND_DATA_MAX_LENGTH} bytes`);
+    }
+
+    return { soundThemeData };
+  }
+
+  /**
+   * Convert file contents to bytes
+   * @private
+   * @param {ArrayBuffer|Uint8Array|Array<number>} data - File contents
+   * @returns {Uint8Array} File bytes
+   */
+  static toBytes(data) {
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    if (Array.isArray(data)) {
+      return Uint8Array.from(data);
+    }
+
+    throw new Error('SPC file data must be an ArrayBuffer, Uint8Array or byte array');
+  }
+}
+
+export default SpcFileParser;
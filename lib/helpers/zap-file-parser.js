@@ -0,0 +1,156 @@
+/**
+ * ZAP file parser utility
+ *
+ * Parses Timex Datalink WristApp (.zap) files.  A ZAP file is text split into
+ * sections by delimiter lines that start with 0xac ("¬") and end with CRLF.
+ * One section holds the WristApp code as hexadecimal text, which is packed
+ * into binary the same way the Ruby client does with [data].pack("H*").
+ */
+
+class ZapFileParser {
+  static DELIMITER_BYTE = 0xac;
+  static WRIST_APP_DELIMITER = /\xac[^\n]*\r\n/;
+  static WRIST_APP_CODE_INDEX = 18;
+
+  static METADATA_LABELS = {
+    name: /name|title/i,
+    version: /version/i,
+    description: /description|help|comment/i
+  };
+
+  /**
+   * Check whether file contents look like a ZAP file
+   *
+   * Contents without any section delimiter line are raw WristApp binaries,
+   * which callers can send as they are.
+   *
+   * @param {ArrayBuffer|Uint8Array|string} data - File contents
+   * @returns {boolean} True if the contents have ZAP section delimiters
+   */
+  static isZapFile(data) {
+    return ZapFileParser.WRIST_APP_DELIMITER.test(ZapFileParser.toBinaryString(data));
+  }
+
+  /**
+   * Parse a ZAP file
+   * @param {ArrayBuffer|Uint8Array|string} data - ZAP file contents
+   * @param {Object} options - Parse options
+   * @param {number} options.codeIndex - Index of the WristApp code section
+   * @returns {Object} Parsed file with name, version, description, sections and wristAppData
+   * @throws {Error} If the contents are not a ZAP file or the code section is invalid
+   */
+  static parse(data, { codeIndex = ZapFileParser.WRIST_APP_CODE_INDEX } = {}) {
+    const text = ZapFileParser.toBinaryString(data);
+
+    if (!text.includes(String.fromCharCode(ZapFileParser.DELIMITER_BYTE))) {
+      throw new Error('Not a ZAP file: no section delimiters found');
+    }
+
+    const sections = text.split(ZapFileParser.WRIST_APP_DELIMITER);
+    const labels = ZapFileParser.delimiterLabels(text);
+
+    if (sections.length <= codeIndex) {
+      throw new Error(`Truncated ZAP file: expected WristApp code in section ${codeIndex}, but the file only has ${sections.length} sections`);
+    }
+
+    const labeledSections = sections.map((content, index) => ({
+      label: index === 0 ? null : labels[index - 1],
+      content
+    }));
+
+    return {
+      ...ZapFileParser.metadata(labeledSections),
+      sections: labeledSections,
+      wristAppData: ZapFileParser.hexToBytes(sections[codeIndex])
+    };
+  }
+
+  /**
+   * Convert file contents to a string with one character per byte
+   * @private
+   * @param {ArrayBuffer|Uint8Array|string} data - File contents
+   * @returns {string} Binary string
+   */
+  static toBinaryString(data) {
+    if (typeof data === 'string') {
+      return data;
+    }
+
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+      let text = '';
+      for (let i = 0; i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[i]);
+      }
+      return text;
+    }
+
+    throw new Error('ZAP file data must be an ArrayBuffer, Uint8Array or string');
+  }
+
+  /**
+   * Get the label text of each delimiter line
+   * @private
+   * @param {string} text - ZAP file contents
+   * @returns {Array<string>} Delimiter labels in file order
+   */
+  static delimiterLabels(text) {
+    const pattern = new RegExp(ZapFileParser.WRIST_APP_DELIMITER.source, 'g');
+
+    return [...text.matchAll(pattern)].map(match =>
+      match[0].slice(1, -2).replace(/\xac/g, '').trim()
+    );
+  }
+
+  /**
+   * Find app metadata in sections whose delimiter labels name it
+   * @private
+   * @param {Array<Object>} sections - Labeled sections
+   * @returns {Object} Name, version and description (null when not present)
+   */
+  static metadata(sections) {
+    const metadata = {};
+
+    for (const [field, pattern] of Object.entries(ZapFileParser.METADATA_LABELS)) {
+      const section = sections.find(item => item.label && pattern.test(item.label));
+      const value = section ? section.content.trim() : '';
+
+      metadata[field] = value.length > 0 ? value : null;
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Pack hexadecimal text into bytes, ignoring whitespace
+   * @private
+   * @param {string} hex - Hexadecimal text
+   * @returns {Uint8Array} Packed bytes
+   */
+  static hexToBytes(hex) {
+    const digits = hex.replace(/\s+/g, '');
+
+    if (digits.length === 0) {
+      throw new Error('ZAP file WristApp code section is empty');
+    }
+
+    if (!/^[0-9a-fA-F]+$/.test(digits)) {
+      throw new Error('ZAP file WristApp code section is not hexadecimal');
+    }
+
+    // Like pack("H*"), an odd trailing digit fills the high nibble of the last byte
+    const padded = digits.length % 2 === 0 ? digits : `${digits}0`;
+    const bytes = new Uint8Array(padded.length / 2);
+
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(padded.substr(i * 2, 2), 16);
+    }
+
+    return bytes;
+  }
+}
+
+export default ZapFileParser;
@@ -0,0 +1,333 @@
+// Node.js serial transport for headless hosts (Linux, Raspberry Pi)
+// Drives a Notebook Adapter or compatible device through a /dev/tty* path
+//
+// The port is configured with stty (raw, 8N1, no flow control, VMIN=0 and
+// VTIME=1 so reads return every 100ms), then opened as a file. No native
+// modules are needed. Node.js only: do not import this from browser code.
+//
+// The default configurePort runs GNU stty, whose -F option only exists on
+// Linux; on other systems pass a configurePort that sets up the line.
+
+import { open, constants } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { Transport, TransferAbortedError } from './transport.js';
+import { TransferProgress } from './transfer-progress.js';
+
+const execFileAsync = promisify(execFile);
+
+export class NodeSerialTransport extends Transport {
+    static READ_CHUNK_SIZE = 256;
+    static IDLE_READ_MS = 100;
+
+    // Unread bytes kept for read(); the adapter echoes every byte written, so
+    // older bytes are dropped when nobody reads them
+    static RECEIVE_BUFFER_MAX = 4096;
+
+    constructor({
+        path,
+        baudRate = 9600,
+        byteSleep = 25,
+        packetSleep = 250,
+        verbose = false,
+        packetTiming = true,
+        configurePort = NodeSerialTransport.configureWithStty,
+        openPort = NodeSerialTransport.openDevice
+    } = {}) {
+        super();
+        this.path = path;
+        this.baudRate = baudRate;
+        this.byteSleep = byteSleep;
+        this.packetSleep = packetSleep;
+        this.verbose = verbose;
+        this.packetTiming = packetTiming;
+        this.configurePort = configurePort;
+        this.openPort = openPort;
+        this.handle = null;
+        this.received = [];
+        this.pumping = null;
+        this.isConnected = false;
+    }
+
+    // stty arguments for the Notebook Adapter line settings
+    static sttyArguments(path, baudRate) {
+        return [
+            '-F', path,
+            String(baudRate),
+            'cs8', '-cstopb', '-parenb',
+            'raw', '-echo', '-crtscts', '-ixon', '-ixoff', 'clocal',
+            'min', '0', 'time', '1'
+        ];
+    }
+
+    static async configureWithStty(path, { baudRate }) {
+        if (process.platform !== 'linux') {
+            throw new Error(`Configuring ${path} with stty -F needs Linux; pass configurePort on ${process.platform}`);
+        }
+
+        try {
+            await execFileAsync('stty', NodeSerialTransport.sttyArguments(path, baudRate));
+        } catch (error) {
+            throw new Error(`Failed to configure ${path} at ${baudRate} baud: ${error.stderr?.trim() || error.message}`);
+        }
+    }
+
+    static openDevice(path) {
+        return open(path, constants.O_RDWR | constants.O_NOCTTY);
+    }
+
+    // Configure and open the serial device
+    async connect() {
+        if (!this.path) {
+            throw new Error('No serial device path provided');
+        }
+
+        if (this.isConnected) {
+            if (this.verbose) {
+                console.log('Already connected to serial device');
+            }
+            return;
+        }
+
+        try {
+            await this.configurePort(this.path, { baudRate: this.baudRate });
+            this.handle = await this.openPort(this.path);
+        } catch (error) {
+            this.handle = null;
+
+            if (error.code === 'ENOENT') {
+                throw new Error(`Serial device not found: ${this.path}`);
+            } else if (error.code === 'EACCES') {
+                throw new Error(`Permission denied opening ${this.path} (is the user in the dialout group?)`);
+            } else if (error.code === 'EBUSY') {
+                throw new Error(`Serial device ${this.path} is in use by another application`);
+            }
+            throw error;
+        }
+
+        this.received = [];
+        this.isConnected = true;
+        this.pumping = this.pump(this.handle);
+        this.emit('connect');
+
+        if (this.verbose) {
+            console.log(`Serial device ${this.path} connected at ${this.baudRate} baud`);
+        }
+    }
+
+    // Stop reading and close the serial device
+    async disconnect() {
+        const handle = this.handle;
+        this.handle = null;
+
+        if (this.pumping) {
+            await this.pumping;
+            this.pumping = null;
+        }
+
+        if (handle) {
+            await handle.close();
+        }
+
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.emit('disconnect');
+        }
+
+        if (this.verbose) {
+            console.log('Serial device disconnected');
+        }
+    }
+
+    // Read loop: buffer incoming bytes and emit them as 'data' events
+    async pump(handle) {
+        const buffer = Buffer.alloc(NodeSerialTransport.READ_CHUNK_SIZE);
+
+        while (this.handle === handle) {
+            let bytesRead;
+            try {
+                ({ bytesRead } = await handle.read(buffer, 0, buffer.length, null));
+            } catch (error) {
+                if (this.handle === handle) {
+                    this.handle = null;
+                    this.isConnected = false;
+                    this.emit('error', new Error(`Read from ${this.path} failed: ${error.message}`));
+                    this.emit('disconnect');
+                }
+                return;
+            }
+
+            if (bytesRead > 0) {
+                const bytes = Array.from(buffer.subarray(0, bytesRead));
+                this.received.push(...bytes);
+                if (this.received.length > NodeSerialTransport.RECEIVE_BUFFER_MAX) {
+                    this.received.splice(0, this.received.length - NodeSerialTransport.RECEIVE_BUFFER_MAX);
+                }
+                this.emit('data', bytes);
+            } else {
+                // VTIME already waited on a tty; avoid spinning on other files
+                await this.sleep(NodeSerialTransport.IDLE_READ_MS);
+            }
+        }
+    }
+
+    // Write packets to the device byte by byte, emitting 'packet' and
+    // 'progress' events; aborting options.signal stops after the current byte
+    async write(packets, { signal = null } = {}) {
+        if (!this.isConnected || !this.handle) {
+            throw new Error('Serial device not connected');
+        }
+
+        if (!Array.isArray(packets)) {
+            throw new Error('Packets must be an array');
+        }
+
+        let packetsWritten = 0;
+        const progress = new TransferProgress(packets, {
+            timingFor: packet => this.timingFor(packet),
+            byteDuration: 10000 / this.baudRate
+        });
+
+        try {
+            Transport.throwIfAborted(signal);
+
+            for (let i = 0; i < packets.length; i++) {
+                const packet = packets[i];
+
+                if (!Array.isArray(packet)) {
+                    throw new Error(`Packet ${i} is not an array`);
+                }
+
+                if (packet.length === 0) {
+                    continue;
+                }
+
+                if (this.verbose) {
+                    console.log(`Writing packet ${i + 1}/${packets.length}: [${packet.join(', ')}]`);
+                }
+
+                // Packets can ask for a longer pause or a different byte rate
+                const timing = this.timingFor(packet);
+                this.recordPacket(packet);
+                progress.startPacket(i);
+                this.emit('packet', { index: i, total: packets.length, bytes: packet });
+
+                for (let j = 0; j < packet.length; j++) {
+                    const byte = packet[j];
+                    Transport.throwIfAborted(signal);
+
+                    if (typeof byte !== 'number' || byte < 0 || byte > 255 || !Number.isInteger(byte)) {
+                        throw new Error(`Invalid byte value at packet ${i}, position ${j}: ${byte}`);
+                    }
+
+                    try {
+                        await this.handle.write(Buffer.from([byte]));
+                    } catch (error) {
+                        const writeError = new Error(`Write failed at packet ${i + 1}, byte ${j + 1}: ${error.message}`);
+                        this.emit('error', writeError);
+                        throw writeError;
+                    }
+
+                    progress.addBytes(1);
+                    this.emit('progress', progress.snapshot());
+
+                    if (timing.byteSleep > 0) {
+                        await this.sleep(timing.byteSleep, signal);
+                    }
+                }
+
+                packetsWritten++;
+
+                if (timing.packetSleep > 0 && i < packets.length - 1) {
+                    await this.sleep(timing.packetSleep, signal);
+                }
+            }
+        } catch (error) {
+            if (error instanceof TransferAbortedError) {
+                error.report = { packetsWritten, aborted: true };
+            }
+            throw error;
+        }
+
+        return { packetsWritten };
+    }
+
+    // Read buffered bytes, returning once the line has been idle for IDLE_READ_MS
+    async read(timeout = 5000) {
+        if (!this.isConnected) {
+            throw new Error('Serial device not connected');
+        }
+
+        const deadline = Date.now() + timeout;
+        let lastLength = this.received.length;
+
+        while (Date.now() < deadline) {
+            await this.sleep(Math.min(NodeSerialTransport.IDLE_READ_MS, deadline - Date.now()));
+
+            if (this.received.length === lastLength) {
+                break;
+            }
+            lastLength = this.received.length;
+        }
+
+        return this.received.splice(0);
+    }
+
+    // Read data with specific byte count expectation
+    async readBytes(expectedBytes, timeout = 5000) {
+        if (!this.isConnected) {
+            throw new Error('Serial device not connected');
+        }
+
+        const deadline = Date.now() + timeout;
+
+        while (this.received.length < expectedBytes && Date.now() < deadline) {
+            await this.sleep(10);
+        }
+
+        return this.received.splice(0, expectedBytes);
+    }
+
+    // Check if connected
+    isPortConnected() {
+        return this.isConnected && this.handle !== null;
+    }
+
+    async checkConnection() {
+        return this.isPortConnected();
+    }
+
+    // Sleep utility function; an aborted signal ends the sleep early
+    sleep(ms, signal = null) {
+        return Transport.delay(ms, signal);
+    }
+
+    // Get current configuration
+    getConfig() {
+        return {
+            path: this.path,
+            baudRate: this.baudRate,
+            byteSleep: this.byteSleep,
+            packetSleep: this.packetSleep,
+            verbose: this.verbose,
+            packetTiming: this.packetTiming,
+            isConnected: this.isConnected
+        };
+    }
+
+    // Update configuration
+    updateConfig({ byteSleep, packetSleep, verbose, packetTiming }) {
+        if (byteSleep !== undefined) {
+            this.byteSleep = Math.max(0, byteSleep);
+        }
+        if (packetSleep !== undefined) {
+            this.packetSleep = Math.max(0, packetSleep);
+        }
+        if (verbose !== undefined) {
+            this.verbose = Boolean(verbose);
+        }
+        if (packetTiming !== undefined) {
+            this.packetTiming = Boolean(packetTiming);
+        }
+    }
+}
\ No newline at end of file
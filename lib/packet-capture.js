@@ -0,0 +1,267 @@
+// Packet capture recording and replay
+// Records every packet a transport sends with its send time and the settings
+// in effect, so a transfer can be attached to a bug report or re-sent later
+//
+// Captures are saved as JSON, see docs/packet-capture-format.md:
+//
+//   {
+//     "format": "timex-datalink-capture",
+//     "version": 1,
+//     "appVersion": "1.0.0",
+//     "createdAt": "2026-10-19T12:00:00.000Z",
+//     "transport": "SerialAdapter",
+//     "protocol": 3,
+//     "byteSleep": 25,
+//     "packetSleep": 250,
+//     "packets": [{ "time": 0, "bytes": "07 20 00 00 03 01 fe" }, ...]
+//   }
+//
+// "time" is milliseconds from the first packet to the start of this packet.
+// Packets that carried their own timing requirements (see PacketTiming) keep
+// them in "timing", so replay sends their bytes at the same rate.
+// Packets resent after an echo mismatch are recorded again, and an attempt
+// cut short by byte echo verification keeps only the bytes that were sent,
+// so a capture holds exactly the bytes that went out on the line.
+
+import PacketTiming from './helpers/packet-timing.js';
+import { Transport } from './transport.js';
+
+// Version of this client from package.json: read from disk under Node and
+// fetched next to lib/ in the browser (build.js copies package.json into
+// dist); null when it cannot be read
+async function readAppVersion() {
+    const url = new URL('../package.json', import.meta.url);
+
+    try {
+        if (url.protocol === 'file:') {
+            const { readFile } = await import('node:fs/promises');
+            return JSON.parse(await readFile(url, 'utf8')).version ?? null;
+        }
+
+        const response = await fetch(url);
+        return response.ok ? (await response.json()).version ?? null : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+const APP_VERSION = await readAppVersion();
+
+// Thrown when a capture file cannot be read
+export class CaptureFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CaptureFormatError';
+    }
+}
+
+export class PacketCapture {
+    static FORMAT = 'timex-datalink-capture';
+    static VERSION = 1;
+    static APP_VERSION = APP_VERSION;
+
+    constructor({
+        protocol = null,
+        byteSleep = null,
+        packetSleep = null,
+        transport = null,
+        appVersion = PacketCapture.APP_VERSION,
+        createdAt = new Date().toISOString(),
+        packets = [],
+        now = () => Date.now()
+    } = {}) {
+        this.protocol = protocol;
+        this.byteSleep = byteSleep;
+        this.packetSleep = packetSleep;
+        this.transport = transport;
+        this.appVersion = appVersion;
+        this.createdAt = createdAt;
+        this.entries = packets.map(({ time, bytes, timing = null }) => PacketCapture.entry(time, bytes, timing));
+        this.now = now;
+        this.startTime = null;
+    }
+
+    // Capture entry; timing is only kept when the packet had any
+    static entry(time, bytes, timing = null) {
+        return timing ? { time, bytes: [...bytes], timing: { ...timing } } : { time, bytes: [...bytes] };
+    }
+
+    // Space separated hex bytes, as in the capture file
+    static formatBytes(bytes) {
+        return bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+    }
+
+    static parseBytes(text) {
+        const tokens = text.trim() === '' ? [] : text.trim().split(/\s+/);
+
+        return tokens.map(token => {
+            if (!/^[0-9a-f]{1,2}$/i.test(token)) {
+                throw new CaptureFormatError(`Invalid byte "${token}"`);
+            }
+            return parseInt(token, 16);
+        });
+    }
+
+    // Read a capture from file contents (JSON text) or a parsed object
+    static parse(input) {
+        let data = input;
+
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new CaptureFormatError(`Capture is not valid JSON: ${error.message}`);
+            }
+        }
+
+        if (!data || typeof data !== 'object' || data.format !== PacketCapture.FORMAT) {
+            throw new CaptureFormatError(`Not a packet capture (expected format "${PacketCapture.FORMAT}")`);
+        }
+
+        if (data.version !== PacketCapture.VERSION) {
+            throw new CaptureFormatError(`Unsupported capture version ${data.version} (expected ${PacketCapture.VERSION})`);
+        }
+
+        if (!Array.isArray(data.packets)) {
+            throw new CaptureFormatError('Capture has no packets array');
+        }
+
+        const packets = data.packets.map((entry, i) => {
+            if (!entry || typeof entry.time !== 'number' || entry.time < 0 || typeof entry.bytes !== 'string') {
+                throw new CaptureFormatError(`Packet ${i + 1} needs a time and a bytes string`);
+            }
+
+            if (entry.timing !== undefined && (!entry.timing || typeof entry.timing !== 'object' || Array.isArray(entry.timing))) {
+                throw new CaptureFormatError(`Packet ${i + 1} timing must be an object`);
+            }
+
+            try {
+                if (entry.timing) {
+                    PacketTiming.attach([], entry.timing);
+                }
+                return { time: entry.time, bytes: PacketCapture.parseBytes(entry.bytes), timing: entry.timing ?? null };
+            } catch (error) {
+                throw new CaptureFormatError(`Packet ${i + 1}: ${error.message}`);
+            }
+        });
+
+        packets.forEach((entry, i) => {
+            if (i > 0 && entry.time < packets[i - 1].time) {
+                throw new CaptureFormatError(`Packet ${i + 1} is earlier than packet ${i}`);
+            }
+        });
+
+        return new PacketCapture({
+            protocol: data.protocol ?? null,
+            byteSleep: data.byteSleep ?? null,
+            packetSleep: data.packetSleep ?? null,
+            transport: data.transport ?? null,
+            appVersion: data.appVersion ?? null,
+            createdAt: data.createdAt ?? null,
+            packets
+        });
+    }
+
+    // Record one packet as it starts going out, with the transport timing in
+    // effect and the packet's own timing requirements, if they were applied
+    record(packet, { byteSleep, packetSleep, timing = null } = {}) {
+        const now = this.now();
+
+        if (this.startTime === null) {
+            this.startTime = now;
+        }
+
+        if (byteSleep !== undefined) {
+            this.byteSleep = byteSleep;
+        }
+        if (packetSleep !== undefined) {
+            this.packetSleep = packetSleep;
+        }
+
+        const entry = PacketCapture.entry(now - this.startTime, packet, timing);
+        this.entries.push(entry);
+        return entry;
+    }
+
+    // Packets as byte arrays, like a model's packets()
+    packets() {
+        return this.entries.map(entry => [...entry.bytes]);
+    }
+
+    // Time from the first packet to the last, in milliseconds
+    duration() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1].time : 0;
+    }
+
+    toJSON() {
+        return {
+            format: PacketCapture.FORMAT,
+            version: PacketCapture.VERSION,
+            appVersion: this.appVersion,
+            createdAt: this.createdAt,
+            transport: this.transport,
+            protocol: this.protocol,
+            byteSleep: this.byteSleep,
+            packetSleep: this.packetSleep,
+            packets: this.entries.map(entry => ({
+                time: entry.time,
+                bytes: PacketCapture.formatBytes(entry.bytes),
+                ...(entry.timing && { timing: entry.timing })
+            }))
+        };
+    }
+
+    // Capture file contents
+    serialize() {
+        return JSON.stringify(this.toJSON(), null, 2);
+    }
+
+    // Re-send the captured bytes through a connected transport, starting each
+    // packet at its recorded time and using the recorded byteSleep, adjusted
+    // by each packet's recorded timing; aborting signal stops the replay,
+    // also while waiting for the next packet, with TransferAbortedError
+    async replay(transport, {
+        sleep = (ms, signal) => Transport.delay(ms, signal),
+        onPacket = null,
+        signal = null
+    } = {}) {
+        if (!transport || !transport.isPortConnected()) {
+            throw new Error('Transport not connected');
+        }
+
+        const previous = transport.getConfig();
+        transport.updateConfig({
+            byteSleep: this.byteSleep ?? previous.byteSleep,
+            packetSleep: 0,
+            packetTiming: true
+        });
+
+        const startTime = this.now();
+        let packetsWritten = 0;
+
+        try {
+            for (const [i, entry] of this.entries.entries()) {
+                const wait = entry.time - (this.now() - startTime);
+                if (wait > 0) {
+                    await sleep(wait, signal);
+                }
+
+                const bytes = entry.timing ? PacketTiming.attach([...entry.bytes], entry.timing) : entry.bytes;
+                await transport.write([bytes], { signal });
+                packetsWritten++;
+
+                if (onPacket) {
+                    onPacket({ index: i, total: this.entries.length, bytes: entry.bytes });
+                }
+            }
+        } finally {
+            transport.updateConfig({
+                byteSleep: previous.byteSleep,
+                packetSleep: previous.packetSleep,
+                packetTiming: previous.packetTiming
+            });
+        }
+
+        return { packetsWritten, duration: this.now() - startTime };
+    }
+}
\ No newline at end of file
@@ -8,6 +8,14 @@
 import { protocolRegistry } from './protocol-registry.js';
 
 export class ProtocolFactory {
+  /**
+   * Component order of a sync workflow: Start -> Data Components -> End
+   */
+  static WORKFLOW_ORDER = [
+    'Start', 'Sync', 'Time', 'TimeName', 'Alarm', 'Timer', 'Eeprom',
+    'SoundOptions', 'SoundScrollOptions', 'SoundTheme', 'WristApp', 'End'
+  ];
+
   /**
    * Create a protocol instance by version
    * @param {number} version - Protocol version
@@ -174,13 +182,11 @@ export class ProtocolFactory {
   }
 
   /**
-   * Create a complete sync workflow for a protocol
+   * Get a protocol class from a registered version number or a class
    * @param {number|class} protocol - Protocol version or class
-   * @param {Object} syncData - Data to sync
-   * @param {Object} options - Sync options
-   * @returns {Array<Object>} Array of component instances for sync workflow
+   * @returns {class} Protocol class
    */
-  static createSyncWorkflow(protocol, syncData = {}, options = {}) {
+  static resolveProtocol(protocol) {
     let ProtocolClass;
 
     if (typeof protocol === 'number') {
@@ -195,25 +201,45 @@ export class ProtocolFactory {
       throw new Error(`Protocol not found: ${protocol}`);
     }
 
+    return ProtocolClass;
+  }
+
+  /**
+   * Create a complete sync workflow for a protocol
+   * @param {number|class} protocol - Protocol version or class
+   * @param {Object} syncData - Data to sync
+   * @param {Object} options - Sync options
+   * @returns {Array<Object>} Array of component instances for sync workflow
+   */
+  static createSyncWorkflow(protocol, syncData = {}, options = {}) {
+    const ProtocolClass = this.resolveProtocol(protocol);
     const workflow = [];
     const components = ProtocolClass.getComponents();
 
-    // Standard sync workflow: Start -> Data Components -> End
-    const workflowOrder = ['Start', 'Sync', 'Time', 'Alarm', 'Eeprom', 'SoundOptions', 'End'];
+    const workflowOrder = this.WORKFLOW_ORDER;
 
     for (const componentName of workflowOrder) {
-      if (componentName in components && syncData[componentName.toLowerCase()]) {
+      // Accept both camelCase (wristApp) and lowercase (wristapp) sync data keys
+      const componentData = syncData[componentName.charAt(0).toLowerCase() + componentName.slice(1)] ||
+        syncData[componentName.toLowerCase()];
+
+      if (componentName in components && componentData) {
         try {
-          const component = this.createComponent(
-            ProtocolClass, 
-            componentName, 
-            syncData[componentName.toLowerCase()]
-          );
-          workflow.push({
-            name: componentName,
-            component: component,
-            order: workflowOrder.indexOf(componentName)
-          });
+          // An array creates one component per entry (e.g. several alarms)
+          const entries = Array.isArray(componentData) ? componentData : [componentData];
+
+          for (const entry of entries) {
+            const component = this.createComponent(
+              ProtocolClass, 
+              componentName, 
+              entry
+            );
+            workflow.push({
+              name: componentName,
+              component: component,
+              order: workflowOrder.indexOf(componentName)
+            });
+          }
         } catch (error) {
           if (options.strict) {
             throw new Error(`Failed to create workflow component ${componentName}: ${error.message}`);
@@ -224,7 +250,8 @@ export class ProtocolFactory {
       }
     }
 
-    // Always include Start and End if available
+    // Always include Start, Sync and End if available; without the sync
+    // bytes the watch does not pick up the packets that follow
     if ('Start' in components && !workflow.find(w => w.name === 'Start')) {
       workflow.unshift({
         name: 'Start',
@@ -233,6 +260,14 @@ export class ProtocolFactory {
       });
     }
 
+    if ('Sync' in components && !workflow.find(w => w.name === 'Sync')) {
+      workflow.push({
+        name: 'Sync',
+        component: this.createComponent(ProtocolClass, 'Sync'),
+        order: workflowOrder.indexOf('Sync')
+      });
+    }
+
     if ('End' in components && !workflow.find(w => w.name === 'End')) {
       workflow.push({
         name: 'End',
@@ -0,0 +1,162 @@
+/**
+ * Protocol Migration
+ *
+ * Moves a configuration built from one protocol's components to another
+ * protocol, e.g. from a Datalink 150 (Protocol 3) to a 150s (Protocol 4) or an
+ * Ironman Triathlon (Protocol 9). The components are described as a watch
+ * profile (WatchProfile.fromComponents) and compiled for the target, and the
+ * report lists every value that was truncated, re-encoded or dropped on the way.
+ */
+
+import { WatchProfile } from './watch-profile.js';
+import { ProtocolFactory } from './protocol-factory.js';
+import { protocolManager } from './protocol-manager.js';
+import { CharacterEncoders } from './helpers/character-encoders.js';
+
+export class ProtocolMigration {
+  /**
+   * CAPABILITIES flags that describe the protocol rather than data on the watch
+   */
+  static IGNORED_CAPABILITIES = ['bidirectional', 'sync', 'timeName', 'phraseBuilder'];
+
+  /**
+   * CharacterEncoders map each protocol encodes text with: short display text
+   * (zone names, alarm messages, timer labels), EEPROM text and phone numbers.
+   * Protocol 7 speaks its text, so only phone numbers are characters.
+   */
+  static CHARACTER_MAPS = {
+    1: { display: 'CHARS', eeprom: 'EEPROM_CHARS', phone: 'PHONE_CHARS' },
+    3: { display: 'CHARS', eeprom: 'EEPROM_CHARS', phone: 'PHONE_CHARS' },
+    4: { display: 'CHARS', eeprom: 'EEPROM_CHARS', phone: 'PHONE_CHARS' },
+    6: { display: 'CHARS_PROTOCOL_6', eeprom: 'CHARS_PROTOCOL_6', phone: 'CHARS_PROTOCOL_6' },
+    7: { phone: 'PHONE_CHARS' },
+    9: { display: 'CHARS', eeprom: 'EEPROM_CHARS', phone: 'PHONE_CHARS' }
+  };
+
+  /**
+   * Watch profile text fields as [list, property, character map kind]
+   */
+  static TEXT_FIELDS = [
+    ['timeZones', 'name', 'display'],
+    ['alarms', 'message', 'display'],
+    ['timers', 'label', 'display'],
+    ['appointments', 'message', 'eeprom'],
+    ['anniversaries', 'message', 'eeprom'],
+    ['lists', 'entry', 'eeprom'],
+    ['phoneNumbers', 'name', 'eeprom'],
+    ['phoneNumbers', 'number', 'phone'],
+    ['phoneNumbers', 'type', 'phone']
+  ];
+
+  /**
+   * Convert one protocol's sync workflow into another protocol's
+   * @param {Array<Object>} components - Workflow components of the source protocol
+   * @param {number|class|Object} target - Target protocol version or class, or
+   *   device info ({ model, protocol, ... }) to use the best recommended protocol for
+   * @param {Object} options - Options
+   * @param {number|class|null} options.from - Source protocol; found from the components when left out
+   * @param {Date} options.time - Time the source clocks were set from and the target clocks are set from
+   * @param {Object} options.phraseBuilder - Protocol 7 phrase builder for spoken names and messages
+   * @returns {Object} { from, to, profile, components, report, capabilities }
+   *   where report lists { field, kind, reason } with kind 'truncated',
+   *   'reencoded' or 'dropped', and capabilities lists the CAPABILITIES the
+   *   target has lost and gained
+   */
+  static migrate(components, target, { from = null, time = new Date(), phraseBuilder = null } = {}) {
+    const TargetClass = this.resolveTarget(target);
+    const source = WatchProfile.fromComponents(components, { protocol: from, time });
+    const SourceClass = ProtocolFactory.resolveProtocol(source.protocol);
+    const compiled = WatchProfile.compile(source.profile, TargetClass, { time, phraseBuilder });
+    const report = [...source.unsupported, ...compiled.unsupported];
+
+    report.push(...this.reencoded(source.profile, SourceClass, TargetClass, report));
+
+    return {
+      from: SourceClass.VERSION,
+      to: TargetClass.VERSION,
+      profile: source.profile,
+      components: compiled.components,
+      report,
+      capabilities: this.compareCapabilities(SourceClass, TargetClass)
+    };
+  }
+
+  /**
+   * Target protocol class from a version, class or device info
+   * @param {number|class|Object} target - Target
+   * @returns {class} Protocol class
+   * @throws {Error} If no registered protocol matches
+   */
+  static resolveTarget(target) {
+    if (target === null || typeof target !== 'object') {
+      return ProtocolFactory.resolveProtocol(target);
+    }
+
+    const [recommendation] = protocolManager.getProtocolRecommendations(target);
+    if (!recommendation) {
+      throw new Error(`No protocol found for device ${JSON.stringify(target)}`);
+    }
+    return ProtocolFactory.resolveProtocol(recommendation.version);
+  }
+
+  /**
+   * CAPABILITIES one protocol has and the other lacks
+   * @param {class} FromClass - Source protocol class
+   * @param {class} ToClass - Target protocol class
+   * @returns {Object} { lost, gained } capability names
+   */
+  static compareCapabilities(FromClass, ToClass) {
+    const enabled = (ProtocolClass) => Object.entries(ProtocolClass.CAPABILITIES)
+      .filter(([key, value]) => value === true && !this.IGNORED_CAPABILITIES.includes(key))
+      .map(([key]) => key);
+
+    const from = enabled(FromClass);
+    const to = enabled(ToClass);
+
+    return {
+      lost: from.filter(key => !to.includes(key)),
+      gained: to.filter(key => !from.includes(key))
+    };
+  }
+
+  /**
+   * Report entries for carried text whose character map changes
+   * @private
+   */
+  static reencoded(profile, SourceClass, TargetClass, report) {
+    const fromMaps = this.CHARACTER_MAPS[SourceClass.VERSION] ?? {};
+    const toMaps = this.CHARACTER_MAPS[TargetClass.VERSION] ?? {};
+    const dropped = report.filter(({ kind }) => kind === 'dropped').map(({ field }) => field);
+    const entries = [];
+
+    for (const [key, property, kind] of this.TEXT_FIELDS) {
+      const fromMap = fromMaps[kind];
+      const toMap = toMaps[kind];
+
+      if (!fromMap || !toMap || fromMap === toMap) {
+        continue;
+      }
+
+      (profile[key] ?? []).forEach((item, index) => {
+        const field = `${key}[${index}].${property}`;
+        const text = item[property];
+
+        if (!text || dropped.some(skipped => field === skipped || field.startsWith(`${skipped}.`))) {
+          return;
+        }
+
+        const blanks = [...new Set(text.toLowerCase())]
+          .filter(char => CharacterEncoders[fromMap].includes(char) && !CharacterEncoders[toMap].includes(char));
+        const reason = `${TargetClass.NAME} encodes it with ${toMap} instead of ${fromMap}`;
+
+        entries.push({
+          field,
+          kind: 'reencoded',
+          reason: blanks.length > 0 ? `${reason}; ${blanks.map(char => JSON.stringify(char)).join(', ')} show as blanks` : reason
+        });
+      });
+    }
+
+    return entries;
+  }
+}
\ No newline at end of file
@@ -8,9 +8,10 @@
 import { ProtocolBase } from './protocol-base.js';
 
 export class ProtocolRegistry {
-  constructor() {
+  constructor({ verbose = false } = {}) {
     this.protocols = new Map();
     this.deviceMappings = new Map();
+    this.verbose = verbose;
   }
 
   /**
@@ -45,7 +46,9 @@ export class ProtocolRegistry {
       this.deviceMappings.get(device).push(version);
     }
 
-    console.log(`Registered protocol: ${name} (version ${version})`);
+    if (this.verbose) {
+      console.log(`Registered protocol: ${name} (version ${version})`);
+    }
   }
 
   /**
@@ -73,7 +76,9 @@ export class ProtocolRegistry {
     }
 
     this.protocols.delete(version);
-    console.log(`Unregistered protocol version ${version}`);
+    if (this.verbose) {
+      console.log(`Unregistered protocol version ${version}`);
+    }
     return true;
   }
 
@@ -301,7 +306,9 @@ export class ProtocolRegistry {
   clear() {
     this.protocols.clear();
     this.deviceMappings.clear();
-    console.log('Protocol registry cleared');
+    if (this.verbose) {
+      console.log('Protocol registry cleared');
+    }
   }
 
   /**
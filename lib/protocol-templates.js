@@ -321,15 +321,22 @@ export function getAllProtocolTemplates() {
 }
 
 /**
- * Register all template protocols with the registry
+ * Register all template protocols with the registry; versions that already
+ * have a full implementation registered keep it
  */
 export function registerAllTemplates(registry) {
   const templates = getAllProtocolTemplates();
   
   for (const ProtocolClass of templates) {
+    if (registry.getProtocol(ProtocolClass.VERSION)) {
+      continue;
+    }
+
     try {
       registry.register(ProtocolClass);
-      console.log(`Registered template: ${ProtocolClass.NAME}`);
+      if (registry.verbose) {
+        console.log(`Registered template: ${ProtocolClass.NAME}`);
+      }
     } catch (error) {
       console.warn(`Failed to register template ${ProtocolClass.NAME}: ${error.message}`);
     }
@@ -54,6 +54,15 @@ class Protocol1Eeprom {
     this.validator.validate(this);
   }
 
+  /**
+   * Bytes of EEPROM memory used by the items; the Protocol 1 memory size is
+   * not documented, so there is no availableBytes() to check it against
+   * @returns {number} Used bytes
+   */
+  usedBytes() {
+    return this.allPackets().length;
+  }
+
   /**
    * Compile packets for EEPROM data
    * @throws {ValidationError} One or more model values are invalid
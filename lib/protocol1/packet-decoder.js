@@ -0,0 +1,164 @@
+/**
+ * Protocol 1 packet decoder
+ * Decodes Protocol 1 packets back into Start, Sync, Time, TimeName, Alarm,
+ * Eeprom and End components
+ */
+
+import { PacketDecoder } from '../helpers/packet-decoder.js';
+import { CharacterEncoders } from '../helpers/character-encoders.js';
+import Protocol1Start from './start.js';
+import Protocol1Sync from './sync.js';
+import Protocol1Time from './time.js';
+import Protocol1TimeName from './time-name.js';
+import Protocol1Alarm from './alarm.js';
+import Protocol1Eeprom from './eeprom.js';
+import Protocol1Appointment from './eeprom/appointment.js';
+import Protocol1Anniversary from './eeprom/anniversary.js';
+import Protocol1PhoneNumber from './eeprom/phone-number.js';
+import Protocol1List from './eeprom/list.js';
+import Protocol1End from './end.js';
+
+class Protocol1PacketDecoder extends PacketDecoder {
+  static PROTOCOL = 1;
+
+  static COMPONENTS = {
+    Start: Protocol1Start,
+    Sync: Protocol1Sync,
+    Time: Protocol1Time,
+    TimeName: Protocol1TimeName,
+    Alarm: Protocol1Alarm,
+    Eeprom: Protocol1Eeprom,
+    Appointment: Protocol1Appointment,
+    Anniversary: Protocol1Anniversary,
+    PhoneNumber: Protocol1PhoneNumber,
+    List: Protocol1List,
+    End: Protocol1End
+  };
+
+  static HANDLERS = {
+    0x20: 'decodeStart',
+    0x21: 'decodeEnd',
+    0x30: 'decodeTime',
+    0x31: 'decodeTimeName',
+    0x50: 'decodeAlarm',
+    0x60: 'decodeEepromSect',
+    0x61: 'decodeEepromData',
+    0x62: 'decodeEepromEnd',
+    0x70: 'decodeAlarmSilent'
+  };
+
+  /**
+   * Decode a time packet: [0x30, zone, hour, minute, month, day, year, weekday, second, 12/24h]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Protocol1Time} Time component
+   */
+  decodeTime(payload) {
+    this.expectLength(payload, 10);
+
+    const [, zone, hour, minute, month, day, year, , second, is24h] = payload;
+
+    return new Protocol1Time({
+      zone,
+      is24h: is24h === 2,
+      time: new Date(this.fullYear(year), month - 1, day, hour, minute, second)
+    });
+  }
+
+  /**
+   * Decode a time name packet: [0x31, zone, name x3]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Protocol1TimeName} TimeName component
+   */
+  decodeTimeName(payload) {
+    this.expectLength(payload, 5);
+
+    return new Protocol1TimeName({
+      zone: payload[1],
+      name: CharacterEncoders.stringFor(payload.slice(2, 5)).trimEnd()
+    });
+  }
+
+  /**
+   * Decode an alarm packet: [0x50, number, hour, minute, month, day, message x8, audible]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Protocol1Alarm} Alarm component
+   */
+  decodeAlarm(payload) {
+    this.expectLength(payload, 15);
+
+    const [, number, hour, minute, month, day] = payload;
+
+    return new Protocol1Alarm({
+      number,
+      audible: payload[14] === 1,
+      time: new Date(2000, 0, 1, hour, minute),
+      message: CharacterEncoders.stringFor(payload.slice(6, 14)).trimEnd(),
+      month: month || null,
+      day: day || null
+    });
+  }
+
+  /**
+   * Check an alarm silent packet: [0x70, 0x00, 0x61 + alarm number, 0x00]
+   * It follows the packet of a silent alarm, which already decoded as silent.
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {null} Nothing
+   */
+  decodeAlarmSilent(payload) {
+    this.expectLength(payload, 4);
+
+    const number = payload[2] - Protocol1Alarm.ALARM_SILENT_START_INDEX;
+    const alarm = this.components[this.components.length - 1];
+
+    if (!(alarm instanceof Protocol1Alarm) || alarm.number !== number || alarm.audible) {
+      throw this.error(`Alarm silent packet for alarm ${number} does not follow that silent alarm`);
+    }
+    return null;
+  }
+
+  /**
+   * Decode an EEPROM section packet: [0x60, pages]
+   * @private
+   * @returns {null} Nothing until the section ends
+   */
+  decodeEepromSect(payload) {
+    this.expectLength(payload, 2);
+    this.openSection('eeprom', payload[1]);
+    return null;
+  }
+
+  /**
+   * Decode an EEPROM data packet: [0x61, page, data...]
+   * @private
+   * @returns {null} Nothing until the section ends
+   */
+  decodeEepromData(payload) {
+    this.addSectionData('eeprom', payload[1], payload.slice(2));
+    return null;
+  }
+
+  /**
+   * Decode an EEPROM end packet: [0x62].  The data starts with item indexes
+   * (4 x 16-bit), item counts (4), the earliest appointment year and
+   * notification minutes / 5, followed by the items.
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Protocol1Eeprom} Eeprom component
+   */
+  decodeEepromEnd(payload) {
+    this.expectLength(payload, 1);
+
+    const { data } = this.closeSection('eeprom');
+
+    return new Protocol1Eeprom(this.eepromOptions(data, {
+      startAddress: Protocol1Eeprom.START_INDEX,
+      noNotification: Protocol1Eeprom.APPOINTMENT_NO_NOTIFICATION
+    }));
+  }
+}
+
+export default Protocol1PacketDecoder;
\ No newline at end of file
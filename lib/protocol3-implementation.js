@@ -17,6 +17,11 @@ import End from './protocol3/end.js';
 import Eeprom from './protocol3/eeprom.js';
 import SoundOptions from './protocol3/sound-options.js';
 import SoundTheme from './protocol3/sound-theme.js';
+import WristApp from './protocol3/wrist-app.js';
+import Anniversary from './protocol3/eeprom/anniversary.js';
+import Appointment from './protocol3/eeprom/appointment.js';
+import List from './protocol3/eeprom/list.js';
+import PhoneNumber from './protocol3/eeprom/phone-number.js';
 
 export class Protocol3 extends ProtocolBase {
   /**
@@ -55,10 +60,15 @@ export class Protocol3 extends ProtocolBase {
       time: true,
       alarms: true,
       eeprom: true,
+      appointments: true,
+      anniversaries: true,
+      phoneNumbers: true,
+      lists: true,
       soundOptions: true,
       soundTheme: true,
-      wristApps: false, // Not implemented yet
-      sync: true
+      wristApps: true,
+      sync: true,
+      maxAlarms: 5
     };
   }
 
@@ -81,7 +91,12 @@ export class Protocol3 extends ProtocolBase {
       End,
       Eeprom,
       SoundOptions,
-      SoundTheme
+      SoundTheme,
+      WristApp,
+      Anniversary,
+      Appointment,
+      List,
+      PhoneNumber
     };
   }
 
@@ -191,6 +206,7 @@ export class Protocol3 extends ProtocolBase {
         'Multiple alarms with custom messages',
         'EEPROM data (appointments, phone numbers, anniversaries, lists)',
         'Sound options and themes',
+        'Wrist apps (.zap files)',
         'CRC packet validation'
       ],
       packetTypes: {
@@ -255,6 +271,11 @@ export class Protocol3 extends ProtocolBase {
       sequence.push(new SoundTheme(syncData.soundTheme));
     }
 
+    // Add Wrist App if provided
+    if (syncData.wristApp) {
+      sequence.push(new WristApp(syncData.wristApp));
+    }
+
     // Always end with End component
     sequence.push(new End());
 
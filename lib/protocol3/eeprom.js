@@ -7,6 +7,7 @@
 
 import CrcPacketsWrapper from '../helpers/crc-packets-wrapper.js';
 import CpacketPaginator from '../helpers/cpacket-paginator.js';
+import { DataValidator } from '../helpers/data-validator.js';
 
 class Protocol3Eeprom {
   static CPACKET_CLEAR = [0x93, 0x01];
@@ -16,6 +17,7 @@ class Protocol3Eeprom {
 
   static CPACKET_DATA_LENGTH = 32;
   static START_ADDRESS = 0x0236;
+  static END_ADDRESS = 0x0800;
   static APPOINTMENT_NO_NOTIFICATION = 0xff;
   static APPOINTMENT_NOTIFICATION_VALID_MINUTES = [0, 5, 10, 15, 20, 25, 30];
 
@@ -42,6 +44,14 @@ class Protocol3Eeprom {
     this.appointmentNotificationMinutes = appointmentNotificationMinutes;
     
     this.validate();
+
+    // Checked when compiling, so EepromCapacity can measure data that does not fit
+    this.memoryValidator = new DataValidator();
+    this.memoryValidator.validateCustom(
+      'appointments',
+      (obj) => obj.usedBytes() <= Protocol3Eeprom.availableBytes(),
+      'EEPROM data does not fit in memory!  Remove appointments, lists, phone numbers or anniversaries.'
+    );
   }
 
   /**
@@ -57,12 +67,30 @@ class Protocol3Eeprom {
     }
   }
 
+  /**
+   * Bytes of EEPROM memory available for item data
+   * @returns {number} Available bytes
+   */
+  static availableBytes() {
+    return Protocol3Eeprom.END_ADDRESS - Protocol3Eeprom.START_ADDRESS;
+  }
+
+  /**
+   * Bytes of EEPROM memory used by the items
+   * @returns {number} Used bytes
+   */
+  usedBytes() {
+    return this.allPackets().length;
+  }
+
   /**
    * Compile packets for EEPROM data
+   * @throws {ValidationError} If the items do not fit in EEPROM memory
    * @returns {Array<Array<number>>} Two-dimensional array of integers that represent bytes
    */
   packets() {
     this.validate();
+    this.memoryValidator.validate(this);
 
     const packets = [
       Protocol3Eeprom.CPACKET_CLEAR,
@@ -36,14 +36,6 @@ class Protocol3EepromAppointment {
    * @returns {Array<number>} Array of integers that represent bytes
    */
   packet() {
-    console.log('🔍 PACKET DEBUG: Creating packet for appointment:', {
-      time: this.time,
-      timeType: typeof this.time,
-      isDate: this.time instanceof Date,
-      isValid: this.time instanceof Date && !isNaN(this.time.getTime()),
-      message: this.message
-    });
-    
     if (!this.time) {
       throw new Error('Cannot create packet: appointment time is null/undefined');
     }
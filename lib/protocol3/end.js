@@ -8,7 +8,7 @@
 
 import CrcPacketsWrapper from '../helpers/crc-packets-wrapper.js';
 
-class End {
+class Protocol3End {
   /**
    * End packet constant - matches Ruby CPACKET_SKIP
    */
@@ -20,9 +20,9 @@ class End {
    * @returns {Array<Array<number>>} Array of CRC-wrapped packet arrays
    */
   packets() {
-    const rawPackets = [End.CPACKET_SKIP];
+    const rawPackets = [Protocol3End.CPACKET_SKIP];
     return CrcPacketsWrapper.wrapPackets(rawPackets);
   }
 }
 
-export default End;
\ No newline at end of file
+export default Protocol3End;
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * Protocol 3 packet decoder
+ *
+ * Decodes Protocol 3 packets back into Start, Sync, Time, Alarm, Eeprom,
+ * SoundOptions, SoundTheme, WristApp and End components.
+ */
+
+import { PacketDecoder } from '../helpers/packet-decoder.js';
+import { CharacterEncoders } from '../helpers/character-encoders.js';
+import Start from './start.js';
+import Sync from './sync.js';
+import Time from './time.js';
+import Alarm from './alarm.js';
+import Eeprom from './eeprom.js';
+import Appointment from './eeprom/appointment.js';
+import Anniversary from './eeprom/anniversary.js';
+import PhoneNumber from './eeprom/phone-number.js';
+import List from './eeprom/list.js';
+import SoundOptions from './sound-options.js';
+import SoundTheme from './sound-theme.js';
+import WristApp from './wrist-app.js';
+import End from './end.js';
+
+class Protocol3PacketDecoder extends PacketDecoder {
+  static PROTOCOL = 3;
+
+  static COMPONENTS = {
+    Start, Sync, Time, Alarm, Eeprom, Appointment, Anniversary, PhoneNumber, List, SoundOptions, SoundTheme, WristApp, End
+  };
+
+  static HANDLERS = {
+    0x20: 'decodeStart',
+    0x21: 'decodeEnd',
+    0x32: 'decodeTime',
+    0x50: 'decodeAlarm',
+    0x71: 'decodeSoundOptions',
+    0x90: 'decodeSect',
+    0x91: 'decodeData',
+    0x92: 'decodeSectionEnd',
+    0x93: 'decodeClear'
+  };
+
+  /**
+   * Section numbers (second byte of 0x90-0x93 packets)
+   */
+  static SECTIONS = { 0x01: 'eeprom', 0x02: 'wristApp', 0x03: 'soundTheme' };
+
+  /**
+   * Date format values to strftime formats
+   */
+  static DATE_FORMATS = Object.fromEntries(
+    Object.entries(Time.DATE_FORMAT_MAP).map(([format, value]) => [value, format])
+  );
+
+  /**
+   * Decode a time packet:
+   * [0x32, zone, second, hour, minute, month, day, year, name x3, weekday, 12/24h, date format]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Time component
+   */
+  decodeTime(payload) {
+    this.expectLength(payload, 14);
+
+    const [, zone, second, hour, minute, month, day, year] = payload;
+    const dateFormat = this.constructor.DATE_FORMATS[payload[13]];
+
+    if (dateFormat === undefined) {
+      throw this.error(`Unknown date format ${payload[13]}`);
+    }
+
+    return new this.constructor.COMPONENTS.Time({
+      zone,
+      is24h: payload[12] === 2,
+      dateFormat,
+      time: new Date(this.fullYear(year), month - 1, day, hour, minute, second),
+      name: CharacterEncoders.stringFor(payload.slice(8, 11)).trimEnd()
+    });
+  }
+
+  /**
+   * Decode an alarm packet: [0x50, number, hour, minute, 0, 0, message x8, audible]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Alarm component
+   */
+  decodeAlarm(payload) {
+    this.expectLength(payload, 15);
+
+    const [, number, hour, minute] = payload;
+
+    return new this.constructor.COMPONENTS.Alarm({
+      number,
+      audible: payload[14] === 1,
+      time: new Date(2000, 0, 1, hour, minute),
+      message: CharacterEncoders.stringFor(payload.slice(6, 14)).trimEnd()
+    });
+  }
+
+  /**
+   * Decode a sound options packet: [0x71, hourly chime, button beep]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} SoundOptions component
+   */
+  decodeSoundOptions(payload) {
+    this.expectLength(payload, 3);
+
+    return new this.constructor.COMPONENTS.SoundOptions({
+      hourlyChime: payload[1] === 1,
+      buttonBeep: payload[2] === 1
+    });
+  }
+
+  /**
+   * Clear packets are regenerated by the section's component
+   * @private
+   * @returns {null} Nothing
+   */
+  decodeClear(payload) {
+    this.sectionType(payload);
+    return null;
+  }
+
+  /**
+   * Decode a section packet: [0x90, section, pages, header...]
+   * @private
+   * @returns {null} Nothing until the section ends
+   */
+  decodeSect(payload) {
+    this.openSection(this.sectionType(payload), payload[2], payload.slice(3));
+    return null;
+  }
+
+  /**
+   * Decode a data packet: [0x91, section, page, data...]
+   * @private
+   * @returns {null} Nothing until the section ends
+   */
+  decodeData(payload) {
+    this.addSectionData(this.sectionType(payload), payload[2], payload.slice(3));
+    return null;
+  }
+
+  /**
+   * Decode a section end packet: [0x92, section] into the section's component
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Eeprom, SoundTheme or WristApp component
+   */
+  decodeSectionEnd(payload) {
+    const type = this.sectionType(payload);
+    const { header, data } = this.closeSection(type);
+    const { SoundTheme, WristApp } = this.constructor.COMPONENTS;
+
+    if (type === 'eeprom') {
+      return this.decodeEeprom(header, data);
+    }
+
+    if (type === 'soundTheme') {
+      if (header[0] !== 0x100 - data.length) {
+        throw this.error(`Sound theme offset 0x${header[0].toString(16)} does not match ${data.length} bytes of sound data`);
+      }
+      return new SoundTheme({ soundThemeData: Uint8Array.from(data) });
+    }
+
+    return new WristApp({ wristAppData: Uint8Array.from(data) });
+  }
+
+  /**
+   * Decode EEPROM data; the header holds item addresses (4 x 16-bit), item
+   * counts (4), the earliest appointment year and notification minutes / 5
+   * @private
+   * @param {Array<number>} header - Section header bytes
+   * @param {Array<number>} items - Length-prefixed item bytes
+   * @returns {Object} Eeprom component
+   */
+  decodeEeprom(header, items) {
+    const { Eeprom } = this.constructor.COMPONENTS;
+
+    if (header.length !== this.constructor.EEPROM_HEADER_LENGTH) {
+      throw this.error(`EEPROM header has ${header.length} bytes, expected ${this.constructor.EEPROM_HEADER_LENGTH}`);
+    }
+
+    return new Eeprom(this.eepromOptions([...header, ...items], {
+      startAddress: Eeprom.START_ADDRESS,
+      noNotification: Eeprom.APPOINTMENT_NO_NOTIFICATION
+    }));
+  }
+
+  /**
+   * Look up the section of a 0x90-0x93 packet
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {string} Section name
+   */
+  sectionType(payload) {
+    const type = this.constructor.SECTIONS[payload[1]];
+
+    if (!type) {
+      throw this.error(`Unknown section ${payload[1]}`);
+    }
+    return type;
+  }
+}
+
+export default Protocol3PacketDecoder;
\ No newline at end of file
@@ -7,6 +7,7 @@
 
 import CrcPacketsWrapper from '../helpers/crc-packets-wrapper.js';
 import CpacketPaginator from '../helpers/cpacket-paginator.js';
+import SpcFileParser from '../helpers/spc-file-parser.js';
 
 class Protocol3SoundTheme {
   static CPACKET_SECT = [0x90, 0x03];
@@ -20,7 +21,7 @@ class Protocol3SoundTheme {
    * Create a SoundTheme instance
    * @param {Object} options - Sound theme configuration
    * @param {string|Uint8Array|null} options.soundThemeData - Sound theme data
-   * @param {string|null} options.spcFile - Path to SPC file (not supported in browser)
+   * @param {ArrayBuffer|Uint8Array|null} options.spcFile - Contents of an SPC file
    */
   constructor({ soundThemeData = null, spcFile = null }) {
     this.soundThemeData = soundThemeData;
@@ -84,7 +85,9 @@ class Protocol3SoundTheme {
     }
 
     if (this.spcFile !== null) {
-      throw new Error('SPC file loading is not supported in browser environment. Use soundThemeData instead.');
+      return SpcFileParser.parse(this.spcFile, {
+        header: Protocol3SoundTheme.SOUND_DATA_HEADER
+      }).soundThemeData;
     }
 
     throw new Error('Either soundThemeData or spcFile must be provided');
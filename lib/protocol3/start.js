@@ -8,7 +8,7 @@
 
 import CrcPacketsWrapper from '../helpers/crc-packets-wrapper.js';
 
-class Start {
+class Protocol3Start {
   /**
    * Start packet constant - matches Ruby CPACKET_START
    */
@@ -20,9 +20,9 @@ class Start {
    * @returns {Array<Array<number>>} Array of CRC-wrapped packet arrays
    */
   packets() {
-    const rawPackets = [Start.CPACKET_START];
+    const rawPackets = [Protocol3Start.CPACKET_START];
     return CrcPacketsWrapper.wrapPackets(rawPackets);
   }
 }
 
-export default Start;
\ No newline at end of file
+export default Protocol3Start;
\ No newline at end of file
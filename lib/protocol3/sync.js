@@ -6,7 +6,7 @@
  * with Protocol 3 compatible Timex Datalink devices.
  */
 
-class Sync {
+class Protocol3Sync {
   /**
    * Sync byte constants
    */
@@ -32,7 +32,7 @@ class Sync {
    */
   packets() {
     const syncPacket = [
-      ...Sync.PING_BYTE,
+      ...Protocol3Sync.PING_BYTE,
       ...this.renderSync1(),
       ...this.renderSync2()
     ];
@@ -47,7 +47,7 @@ class Sync {
    * @private
    */
   renderSync1() {
-    return new Array(this.length).fill(Sync.SYNC_1_BYTE[0]);
+    return new Array(this.length).fill(Protocol3Sync.SYNC_1_BYTE[0]);
   }
 
   /**
@@ -57,8 +57,8 @@ class Sync {
    * @private
    */
   renderSync2() {
-    return new Array(Sync.SYNC_2_LENGTH).fill(Sync.SYNC_2_BYTE[0]);
+    return new Array(Protocol3Sync.SYNC_2_LENGTH).fill(Protocol3Sync.SYNC_2_BYTE[0]);
   }
 }
 
-export default Sync;
\ No newline at end of file
+export default Protocol3Sync;
\ No newline at end of file
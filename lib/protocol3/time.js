@@ -9,7 +9,7 @@ import { CharacterEncoders } from '../helpers/character-encoders.js';
 import CrcPacketsWrapper from '../helpers/crc-packets-wrapper.js';
 import { DataValidator, ValidationError, range } from '../helpers/data-validator.js';
 
-class Time {
+class Protocol3Time {
   /**
    * Time packet constant
    */
@@ -62,8 +62,8 @@ class Time {
 
     // Date format validation
     this.validator.validateInclusion('dateFormat', {
-      in: Object.keys(Time.DATE_FORMAT_MAP),
-      message: `Date format %{value} is invalid!  Valid date formats are ${JSON.stringify(Object.keys(Time.DATE_FORMAT_MAP))}.`
+      in: Object.keys(Protocol3Time.DATE_FORMAT_MAP),
+      message: `Date format %{value} is invalid!  Valid date formats are ${JSON.stringify(Object.keys(Protocol3Time.DATE_FORMAT_MAP))}.`
     });
   }
 
@@ -78,7 +78,7 @@ class Time {
     this.validator.validate(this);
 
     const packet = [
-      ...Time.CPACKET_TIME,
+      ...Protocol3Time.CPACKET_TIME,
       this.zone,
       this.time.getSeconds(),
       this.time.getHours(),
@@ -157,8 +157,8 @@ class Time {
    * @private
    */
   dateFormatValue() {
-    return Time.DATE_FORMAT_MAP[this.dateFormat];
+    return Protocol3Time.DATE_FORMAT_MAP[this.dateFormat];
   }
 }
 
-export default Time;
\ No newline at end of file
+export default Protocol3Time;
\ No newline at end of file
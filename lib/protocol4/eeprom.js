@@ -14,6 +14,7 @@ class Protocol4Eeprom {
   static CPACKET_END = [0x92, 0x01];
   static CPACKET_DATA_LENGTH = 32;
   static START_ADDRESS = 0x0236;
+  static END_ADDRESS = 0x0800;
   static APPOINTMENT_NO_NOTIFICATION = 0xff;
   static APPOINTMENT_NOTIFICATION_VALID_MINUTES = [0, 5, 10, 15, 20, 25, 30];
 
@@ -45,6 +46,12 @@ class Protocol4Eeprom {
       message: 'value %{value} is invalid!  Valid appointment notification minutes values are' +
                ` ${JSON.stringify(Protocol4Eeprom.APPOINTMENT_NOTIFICATION_VALID_MINUTES)} or nil.`
     });
+
+    this.validator.validateCustom(
+      'appointments',
+      (obj) => obj.usedBytes() <= Protocol4Eeprom.availableBytes(),
+      'EEPROM data does not fit in memory!  Remove appointments, lists, phone numbers or anniversaries.'
+    );
   }
 
   /**
@@ -55,6 +62,22 @@ class Protocol4Eeprom {
     this.validator.validate(this);
   }
 
+  /**
+   * Bytes of EEPROM memory available for item data
+   * @returns {number} Available bytes
+   */
+  static availableBytes() {
+    return Protocol4Eeprom.END_ADDRESS - Protocol4Eeprom.START_ADDRESS;
+  }
+
+  /**
+   * Bytes of EEPROM memory used by the items
+   * @returns {number} Used bytes
+   */
+  usedBytes() {
+    return this.allPackets().length;
+  }
+
   /**
    * Compile packets for EEPROM data
    * @throws {ValidationError} One or more model values are invalid
@@ -0,0 +1,42 @@
+/**
+ * Protocol 4 packet decoder
+ * Protocol 4 packets match Protocol 3, so this decodes them the same way into
+ * Protocol 4 components
+ */
+
+import Protocol3PacketDecoder from '../protocol3/packet-decoder.js';
+import Protocol4Start from './start.js';
+import Protocol4Sync from './sync.js';
+import Protocol4Time from './time.js';
+import Protocol4Alarm from './alarm.js';
+import Protocol4Eeprom from './eeprom.js';
+import Protocol4Appointment from './eeprom/appointment.js';
+import Protocol4Anniversary from './eeprom/anniversary.js';
+import Protocol4PhoneNumber from './eeprom/phone-number.js';
+import Protocol4List from './eeprom/list.js';
+import Protocol4SoundOptions from './sound-options.js';
+import Protocol4SoundTheme from './sound-theme.js';
+import Protocol4WristApp from './wrist-app.js';
+import Protocol4End from './end.js';
+
+class Protocol4PacketDecoder extends Protocol3PacketDecoder {
+  static PROTOCOL = 4;
+
+  static COMPONENTS = {
+    Start: Protocol4Start,
+    Sync: Protocol4Sync,
+    Time: Protocol4Time,
+    Alarm: Protocol4Alarm,
+    Eeprom: Protocol4Eeprom,
+    Appointment: Protocol4Appointment,
+    Anniversary: Protocol4Anniversary,
+    PhoneNumber: Protocol4PhoneNumber,
+    List: Protocol4List,
+    SoundOptions: Protocol4SoundOptions,
+    SoundTheme: Protocol4SoundTheme,
+    WristApp: Protocol4WristApp,
+    End: Protocol4End
+  };
+}
+
+export default Protocol4PacketDecoder;
\ No newline at end of file
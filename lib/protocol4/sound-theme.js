@@ -5,6 +5,7 @@
 
 import CpacketPaginator from '../helpers/cpacket-paginator.js';
 import CrcPacketsWrapper from '../helpers/crc-packets-wrapper.js';
+import SpcFileParser from '../helpers/spc-file-parser.js';
 
 class Protocol4SoundTheme {
   static CPACKET_SECT = [0x90, 0x03];
@@ -13,6 +14,12 @@ class Protocol4SoundTheme {
   static CPACKET_DATA_LENGTH = 32;
   static SOUND_DATA_HEADER = [0x25, 0x04, 0x19, 0x69]; // "\x25\x04\x19\x69" as bytes
 
+  /**
+   * Create a SoundTheme instance
+   * @param {Object} options - Sound theme options
+   * @param {Uint8Array|Array<number>} options.soundThemeData - Sound theme data
+   * @param {ArrayBuffer|Uint8Array} options.spcFile - Contents of an SPC file
+   */
   constructor({ soundThemeData = null, spcFile = null }) {
     this.soundThemeData = soundThemeData;
     this.spcFile = spcFile;
@@ -82,9 +89,9 @@ class Protocol4SoundTheme {
    * @returns {Uint8Array} SPC file data without header
    */
   spcFileDataWithoutHeader() {
-    // In a browser environment, we can't read files directly
-    // This would need to be handled by the caller passing the file data
-    throw new Error('SPC file reading not implemented in browser environment. Pass soundThemeData instead.');
+    return SpcFileParser.parse(this.spcFile, {
+      header: Protocol4SoundTheme.SOUND_DATA_HEADER
+    }).soundThemeData;
   }
 
   /**
@@ -5,6 +5,7 @@
 
 import CpacketPaginator from '../helpers/cpacket-paginator.js';
 import CrcPacketsWrapper from '../helpers/crc-packets-wrapper.js';
+import ZapFileParser from '../helpers/zap-file-parser.js';
 
 class Protocol4WristApp {
   static CPACKET_CLEAR = [0x93, 0x02];
@@ -14,6 +15,12 @@ class Protocol4WristApp {
   static CPACKET_DATA_LENGTH = 32;
   static WRIST_APP_CODE_INDEX = 18;
 
+  /**
+   * Create a WristApp instance
+   * @param {Object} options - WristApp options
+   * @param {Uint8Array|Array<number>} options.wristAppData - Binary WristApp code
+   * @param {ArrayBuffer|Uint8Array|string} options.zapFile - Contents of a ZAP file
+   */
   constructor({ wristAppData = null, zapFile = null }) {
     this.wristAppData = wristAppData;
     this.zapFile = zapFile;
@@ -84,9 +91,9 @@ class Protocol4WristApp {
    * @returns {Uint8Array} Binary wrist app data
    */
   zapFileDataBinary() {
-    // In a browser environment, we can't read files directly
-    // This would need to be handled by the caller passing the file data
-    throw new Error('ZAP file reading not implemented in browser environment. Pass wristAppData instead.');
+    return ZapFileParser.parse(this.zapFile, {
+      codeIndex: Protocol4WristApp.WRIST_APP_CODE_INDEX
+    }).wristAppData;
   }
 }
 
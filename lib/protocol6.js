@@ -7,6 +7,7 @@
 import { ProtocolBase } from './protocol-base.js';
 import { DataValidator, ValidationError, range } from './helpers/data-validator.js';
 import { CharacterEncoders } from './helpers/character-encoders.js';
+import CpacketPaginator from './helpers/cpacket-paginator.js';
 import CrcPacketsWrapper from './helpers/crc-packets-wrapper.js';
 
 // Protocol 6 Start Component
@@ -278,6 +279,124 @@ class Protocol6SoundScrollOptions {
   }
 }
 
+// Protocol 6 EEPROM PhoneNumber Component
+class Protocol6PhoneNumber {
+  static NAME_LENGTH = 16;
+  static NUMBER_LENGTH = 12;
+  static TYPE_LENGTH = 2;
+
+  constructor({ name, number, type = ' ' }) {
+    this.name = name;
+    this.number = number;
+    this.type = type;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  /**
+   * Check that a field is a string of up to length Protocol 6 characters
+   * @param {*} value - Field value
+   * @param {number} length - Maximum length
+   * @returns {boolean} Whether the field can be encoded without loss
+   */
+  static isEncodable(value, length) {
+    return typeof value === 'string' &&
+      value.length <= length &&
+      Array.from(value.toLowerCase()).every(char => CharacterEncoders.CHARS_PROTOCOL_6.includes(char));
+  }
+
+  setupValidations() {
+    this.validator.validateCustom(
+      'name',
+      (obj) => Protocol6PhoneNumber.isEncodable(obj.name, Protocol6PhoneNumber.NAME_LENGTH),
+      `Name is invalid!  Name must be a string of up to ${Protocol6PhoneNumber.NAME_LENGTH} Protocol 6 characters.`
+    );
+
+    this.validator.validateCustom(
+      'number',
+      (obj) => Protocol6PhoneNumber.isEncodable(obj.number, Protocol6PhoneNumber.NUMBER_LENGTH),
+      `Number is invalid!  Number must be a string of up to ${Protocol6PhoneNumber.NUMBER_LENGTH} Protocol 6 characters.`
+    );
+
+    this.validator.validateCustom(
+      'type',
+      (obj) => Protocol6PhoneNumber.isEncodable(obj.type, Protocol6PhoneNumber.TYPE_LENGTH),
+      `Type is invalid!  Type must be a string of up to ${Protocol6PhoneNumber.TYPE_LENGTH} Protocol 6 characters.`
+    );
+  }
+
+  validate() {
+    this.validator.validate(this);
+  }
+
+  packet() {
+    this.validate();
+
+    return [
+      ...this.nameCharacters(),
+      ...this.numberCharacters(),
+      ...this.typeCharacters()
+    ];
+  }
+
+  nameCharacters() {
+    return CharacterEncoders.protocol6CharsFor(this.name, { length: Protocol6PhoneNumber.NAME_LENGTH, pad: true });
+  }
+
+  numberCharacters() {
+    return CharacterEncoders.protocol6CharsFor(this.number, { length: Protocol6PhoneNumber.NUMBER_LENGTH, pad: true });
+  }
+
+  typeCharacters() {
+    return CharacterEncoders.protocol6CharsFor(this.type, { length: Protocol6PhoneNumber.TYPE_LENGTH, pad: true });
+  }
+}
+
+// Protocol 6 EEPROM Component
+class Protocol6Eeprom {
+  static CPACKET_CLEAR = [0x93, 0x01];
+  static CPACKET_SECT = [0x90, 0x01];
+  static CPACKET_DATA = [0x91, 0x01];
+  static CPACKET_END = [0x92, 0x01];
+  static CPACKET_DATA_LENGTH = 32;
+
+  constructor({ phoneNumbers = [] } = {}) {
+    this.phoneNumbers = phoneNumbers;
+  }
+
+  packets() {
+    const payloads = this.payloads();
+
+    return CrcPacketsWrapper.wrapPackets([
+      Protocol6Eeprom.CPACKET_CLEAR,
+      this.header(payloads),
+      ...payloads,
+      Protocol6Eeprom.CPACKET_END
+    ]);
+  }
+
+  header(payloads = this.payloads()) {
+    return [
+      ...Protocol6Eeprom.CPACKET_SECT,
+      payloads.length,
+      this.phoneNumbers.length
+    ];
+  }
+
+  payloads() {
+    return CpacketPaginator.paginateCpackets({
+      header: Protocol6Eeprom.CPACKET_DATA,
+      length: Protocol6Eeprom.CPACKET_DATA_LENGTH,
+      cpackets: this.allPackets()
+    });
+  }
+
+  allPackets() {
+    return this.phoneNumbers.flatMap(phoneNumber => phoneNumber.packet());
+  }
+}
+
 // Main Protocol 6 Class
 export class Protocol6 extends ProtocolBase {
   static get VERSION() { return 6; }
@@ -293,6 +412,7 @@ export class Protocol6 extends ProtocolBase {
       time: true,
       alarms: true,
       eeprom: true,
+      phoneNumbers: true,
       soundOptions: true,
       pagerOptions: true,
       nightMode: true,
@@ -313,7 +433,9 @@ export class Protocol6 extends ProtocolBase {
       Alarm: Protocol6Alarm,
       PagerOptions: Protocol6PagerOptions,
       NightModeOptions: Protocol6NightModeOptions,
-      SoundScrollOptions: Protocol6SoundScrollOptions
+      SoundScrollOptions: Protocol6SoundScrollOptions,
+      Eeprom: Protocol6Eeprom,
+      PhoneNumber: Protocol6PhoneNumber
     };
   }
 
@@ -343,6 +465,7 @@ export class Protocol6 extends ProtocolBase {
       pagerOptions = null,
       nightModeOptions = null,
       soundScrollOptions = null,
+      phoneNumbers = [],
       syncLength = 300
     } = options;
 
@@ -368,6 +491,10 @@ export class Protocol6 extends ProtocolBase {
       sequence.push(new Protocol6SoundScrollOptions(soundScrollOptions));
     }
 
+    if (phoneNumbers.length > 0) {
+      sequence.push(new Protocol6Eeprom({ phoneNumbers }));
+    }
+
     sequence.push(new Protocol6End());
 
     return sequence;
@@ -0,0 +1,226 @@
+/**
+ * Protocol 6 packet decoder
+ *
+ * Decodes Protocol 6 packets back into Start, Sync, Time, Alarm,
+ * PagerOptions, NightModeOptions, SoundScrollOptions, Eeprom and End
+ * components.  Sections use the Protocol 3 packets, with the EEPROM as the
+ * only section.
+ */
+
+import Protocol3PacketDecoder from '../protocol3/packet-decoder.js';
+import { CharacterEncoders } from '../helpers/character-encoders.js';
+import { Protocol6 } from '../protocol6.js';
+
+const components = Protocol6.getComponents();
+
+class Protocol6PacketDecoder extends Protocol3PacketDecoder {
+  static PROTOCOL = 6;
+
+  static COMPONENTS = components;
+
+  static HANDLERS = {
+    0x20: 'decodeStart',
+    0x21: 'decodeEnd',
+    0x32: 'decodeTime',
+    0x33: 'decodeTime',
+    0x51: 'decodeAlarm',
+    0x71: 'decodeSoundScrollOptions',
+    0x72: 'decodeNightModeOptions',
+    0x73: 'decodePagerOptions',
+    0x90: 'decodeSect',
+    0x91: 'decodeData',
+    0x92: 'decodeSectionEnd',
+    0x93: 'decodeClear'
+  };
+
+  static SECTIONS = { 0x01: 'eeprom' };
+
+  /**
+   * The sync starts with the fast mode byte after the ping byte
+   */
+  static SYNC_BYTES = [...Protocol3PacketDecoder.SYNC_BYTES, components.Sync.FAST_MODE_BYTE[0]];
+
+  static DATE_FORMATS = Object.fromEntries(
+    Object.entries(components.Time.DATE_FORMAT_MAP).map(([format, value]) => [value, format])
+  );
+
+  static ALARM_STATUSES = Object.fromEntries(
+    Object.entries(components.Alarm.ALARM_STATUS_MAP).map(([status, value]) => [value, status])
+  );
+
+  /**
+   * Decode a sync sequence: 0x78, 0x56, sync 1 bytes, sync 2 bytes
+   * @protected
+   * @param {Array<number>} packet - Sync bytes
+   * @returns {Object} Sync component
+   */
+  decodeSync(packet) {
+    const { Sync } = this.constructor.COMPONENTS;
+
+    if (packet[1] !== Sync.FAST_MODE_BYTE[0]) {
+      throw this.error('Sync has no fast mode byte');
+    }
+
+    return super.decodeSync([packet[0], ...packet.slice(2)]);
+  }
+
+  /**
+   * Decode a time packet: [0x32 or 0x33 (flex time), zone, second, hour,
+   * minute, month, day, year, name x3, weekday, time zone, 12/24h, date format]
+   *
+   * The time zone byte is taken from the local UTC offset of the time, so
+   * packets built in another time zone cannot be decoded.
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Time component
+   */
+  decodeTime(payload) {
+    this.expectLength(payload, 15);
+
+    const { Time } = this.constructor.COMPONENTS;
+    const [opcode, zone, second, hour, minute, month, day, year] = payload;
+    const flexTime = opcode === Time.CPACKET_FLEX_TIME[0];
+    const flexTimeZone = payload[12] === Time.FLEX_TIME_ZONE;
+    const flexDst = (payload[14] & Time.FLEX_DST_VALUE) !== 0;
+    const dateFormat = this.constructor.DATE_FORMATS[payload[14] & ~Time.FLEX_DST_VALUE];
+
+    if (dateFormat === undefined) {
+      throw this.error(`Unknown date format ${payload[14]}`);
+    }
+
+    const time = new Time({
+      zone,
+      is24h: payload[13] === 2,
+      dateFormat,
+      time: flexTime ? new Date(2000, 0, 1) : new Date(this.fullYear(year), month - 1, day, hour, minute, second),
+      name: CharacterEncoders.stringFor(payload.slice(8, 11), { charMap: CharacterEncoders.CHARS_PROTOCOL_6 }).trimEnd() || null,
+      flexTime,
+      flexTimeZone,
+      flexDst
+    });
+
+    if (!flexTimeZone && time.formattedTimeZone() !== payload[12]) {
+      throw this.error(`Time zone 0x${payload[12].toString(16)} does not match the local UTC offset of the time`);
+    }
+
+    return time;
+  }
+
+  /**
+   * Decode an alarm packet: [0x51, number, hour, minute, month, day, status, message x16]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Alarm component
+   */
+  decodeAlarm(payload) {
+    this.expectLength(payload, 23);
+
+    const [, number, hour, minute, month, day] = payload;
+    const status = this.constructor.ALARM_STATUSES[payload[6]];
+
+    if (status === undefined) {
+      throw this.error(`Unknown alarm status ${payload[6]}`);
+    }
+
+    return new this.constructor.COMPONENTS.Alarm({
+      number,
+      status,
+      time: new Date(2000, 0, 1, hour, minute),
+      message: CharacterEncoders.stringFor(payload.slice(7), { charMap: CharacterEncoders.CHARS_PROTOCOL_6 }).trimEnd(),
+      month: month || null,
+      day: day || null
+    });
+  }
+
+  /**
+   * Decode a pager options packet:
+   * [0x73, auto on/off, on hour, on minute, off hour, off minute, alert sound]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} PagerOptions component
+   */
+  decodePagerOptions(payload) {
+    this.expectLength(payload, 7);
+
+    const { PagerOptions } = this.constructor.COMPONENTS;
+    const [, autoOnOff, onHour, onMinute, offHour, offMinute, alertSound] = payload;
+
+    return new PagerOptions({
+      autoOnOff: autoOnOff === 1,
+      onHour,
+      onMinute,
+      offHour,
+      offMinute,
+      alertSound: alertSound === PagerOptions.ALERT_SOUND_SILENT ? null : alertSound
+    });
+  }
+
+  /**
+   * Decode a night mode options packet:
+   * [0x72, on notification, deactivate hours, indiglo timeout seconds]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} NightModeOptions component
+   */
+  decodeNightModeOptions(payload) {
+    this.expectLength(payload, 4);
+
+    return new this.constructor.COMPONENTS.NightModeOptions({
+      nightModeOnNotification: payload[1] === 1,
+      nightModeDeactivateHours: payload[2],
+      indigloTimeoutSeconds: payload[3]
+    });
+  }
+
+  /**
+   * Decode a sound and scroll options packet: [0x71, hourly chime, button beep, scroll speed]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} SoundScrollOptions component
+   */
+  decodeSoundScrollOptions(payload) {
+    this.expectLength(payload, 4);
+
+    return new this.constructor.COMPONENTS.SoundScrollOptions({
+      hourlyChime: payload[1] === 1,
+      buttonBeep: payload[2] === 1,
+      scrollSpeed: payload[3]
+    });
+  }
+
+  /**
+   * Decode EEPROM data; the header holds the phone number count and the data
+   * is one fixed-length record per phone number: name, number and type
+   * @private
+   * @param {Array<number>} header - Section header bytes
+   * @param {Array<number>} data - Phone number records
+   * @returns {Object} Eeprom component
+   */
+  decodeEeprom(header, data) {
+    const { Eeprom, PhoneNumber } = this.constructor.COMPONENTS;
+    const nameEnd = PhoneNumber.NAME_LENGTH;
+    const numberEnd = nameEnd + PhoneNumber.NUMBER_LENGTH;
+    const recordLength = numberEnd + PhoneNumber.TYPE_LENGTH;
+    const count = header[0];
+
+    if (header.length !== 1 || data.length !== count * recordLength) {
+      throw this.error(`EEPROM data has ${data.length} bytes, expected ${count} phone numbers of ${recordLength} bytes`);
+    }
+
+    const text = bytes => CharacterEncoders.stringFor(bytes, { charMap: CharacterEncoders.CHARS_PROTOCOL_6 }).trimEnd();
+    const phoneNumbers = [];
+
+    for (let offset = 0; offset < data.length; offset += recordLength) {
+      const record = data.slice(offset, offset + recordLength);
+      phoneNumbers.push(new PhoneNumber({
+        name: text(record.slice(0, nameEnd)),
+        number: text(record.slice(nameEnd, numberEnd)),
+        type: text(record.slice(numberEnd)) || ' '
+      }));
+    }
+
+    return new Eeprom({ phoneNumbers });
+  }
+}
+
+export default Protocol6PacketDecoder;
\ No newline at end of file
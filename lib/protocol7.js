@@ -2,12 +2,18 @@
  * Protocol 7 Class
  * Complete Protocol 7 implementation extending ProtocolBase
  * Ported from Ruby TimexDatalinkClient::Protocol7
+ *
+ * Encode only: there is no Protocol 7 packet decoder (see
+ * helpers/packet-decoder.js), so Protocol 7 packets cannot be read back
+ * into components.
  */
 
 import { ProtocolBase } from './protocol-base.js';
 import { DataValidator, ValidationError, range } from './helpers/data-validator.js';
 import CpacketPaginator from './helpers/cpacket-paginator.js';
 import CrcPacketsWrapper from './helpers/crc-packets-wrapper.js';
+import MdbReader from './helpers/mdb-reader.js';
+import { CharacterEncoders } from './helpers/character-encoders.js';
 
 // Protocol 7 Start Component
 class Protocol7Start {
@@ -57,39 +63,340 @@ class Protocol7Sync {
   }
 }
 
+// Raised when a word cannot be found in the vocabulary database
+export class WordNotFoundError extends Error {
+  constructor(words) {
+    super(words.map(word => `"${word}" is not a valid word!`).join('  '));
+    this.name = 'WordNotFoundError';
+    this.words = words;
+  }
+}
+
+// Protocol 7 Vocabulary Database
+//
+// Holds the Vocab and Vocab Link tables of pcvocab.mdb.  A Vocab row maps a
+// label to its PC Index and the eBrain Index the watch speaks.  Each word has
+// Vocab Link rows that list, in Sequence order, the PC Index Link of the
+// Vocab rows it is spoken as; their eBrain Index values are the vocab IDs.
+class Protocol7Vocabulary {
+  static VOCAB_TABLE = 'Vocab';
+  static VOCAB_LINK_TABLE = 'Vocab Link';
+  static LABEL_COLUMN = 'Label';
+  static PC_INDEX_COLUMN = 'PC Index';
+  static PC_INDEX_LINK_COLUMN = 'PC Index Link';
+  static EBRAIN_INDEX_COLUMN = 'eBrain Index';
+  static SEQUENCE_COLUMN = 'Sequence';
+  static VOCAB_ID_MAX = 0x3ff;
+
+  constructor({ vocab = [], vocabLinks = [] } = {}) {
+    this.labels = new Map();
+    this.ebrainIndexes = new Map();
+    this.links = new Map();
+
+    vocab.forEach(row => {
+      const label = row[Protocol7Vocabulary.LABEL_COLUMN];
+      const pcIndex = Protocol7Vocabulary.index(row[Protocol7Vocabulary.PC_INDEX_COLUMN]);
+      const ebrainIndex = Protocol7Vocabulary.index(row[Protocol7Vocabulary.EBRAIN_INDEX_COLUMN]);
+
+      if (pcIndex === null) return;
+
+      if (ebrainIndex !== null && !this.ebrainIndexes.has(pcIndex)) {
+        this.ebrainIndexes.set(pcIndex, ebrainIndex);
+      }
+
+      if (typeof label !== 'string') return;
+
+      const key = Protocol7Vocabulary.normalize(label);
+      if (!this.labels.has(key)) this.labels.set(key, pcIndex);
+    });
+
+    vocabLinks
+      .map(row => ({
+        pcIndex: Protocol7Vocabulary.index(row[Protocol7Vocabulary.PC_INDEX_COLUMN]),
+        pcIndexLink: Protocol7Vocabulary.index(row[Protocol7Vocabulary.PC_INDEX_LINK_COLUMN]),
+        sequence: Number(row[Protocol7Vocabulary.SEQUENCE_COLUMN]) || 0
+      }))
+      .filter(link => link.pcIndex !== null && link.pcIndexLink !== null)
+      .sort((a, b) => a.sequence - b.sequence)
+      .forEach(link => {
+        if (!this.links.has(link.pcIndex)) this.links.set(link.pcIndex, []);
+        this.links.get(link.pcIndex).push(link.pcIndexLink);
+      });
+  }
+
+  /**
+   * Load vocabulary from pcvocab.mdb contents, a JSON export, or an existing vocabulary
+   * @param {Protocol7Vocabulary|ArrayBuffer|Uint8Array|string|Object|Array} database - Vocabulary source
+   * @returns {Protocol7Vocabulary} Loaded vocabulary
+   */
+  static load(database) {
+    if (database instanceof Protocol7Vocabulary) return database;
+
+    if (database instanceof ArrayBuffer || ArrayBuffer.isView(database)) {
+      const bytes = database instanceof ArrayBuffer
+        ? new Uint8Array(database)
+        : new Uint8Array(database.buffer, database.byteOffset, database.byteLength);
+
+      // MDB files start with 00 01 00 00; anything else is treated as JSON text
+      if (bytes[0] === 0x00 && bytes[1] === 0x01) {
+        return Protocol7Vocabulary.fromMdb(bytes);
+      }
+
+      return Protocol7Vocabulary.fromJson(new TextDecoder().decode(bytes));
+    }
+
+    if (typeof database === 'string' || Array.isArray(database) || (database && typeof database === 'object')) {
+      return Protocol7Vocabulary.fromJson(database);
+    }
+
+    throw new Error('Vocabulary database must be pcvocab.mdb contents or a JSON export of it');
+  }
+
+  /**
+   * Load vocabulary from the contents of pcvocab.mdb
+   * @param {ArrayBuffer|Uint8Array} data - MDB file contents
+   * @returns {Protocol7Vocabulary} Loaded vocabulary
+   */
+  static fromMdb(data) {
+    const reader = new MdbReader(data);
+    const tables = reader.tableNames().map(name => name.toLowerCase());
+    const hasLinks = tables.includes(Protocol7Vocabulary.VOCAB_LINK_TABLE.toLowerCase());
+
+    return new Protocol7Vocabulary({
+      vocab: reader.readTable(Protocol7Vocabulary.VOCAB_TABLE),
+      vocabLinks: hasLinks ? reader.readTable(Protocol7Vocabulary.VOCAB_LINK_TABLE) : []
+    });
+  }
+
+  /**
+   * Load vocabulary from a JSON export of pcvocab.mdb
+   *
+   * Accepts either an array of Vocab rows or an object keyed by table name,
+   * e.g. { "Vocab": [...], "Vocab Link": [...] }.
+   *
+   * @param {string|Object|Array} json - JSON text or parsed JSON
+   * @returns {Protocol7Vocabulary} Loaded vocabulary
+   */
+  static fromJson(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (Array.isArray(data)) {
+      return new Protocol7Vocabulary({ vocab: data });
+    }
+
+    const vocab = data[Protocol7Vocabulary.VOCAB_TABLE];
+    if (!Array.isArray(vocab)) {
+      throw new Error(`Vocabulary JSON must contain a "${Protocol7Vocabulary.VOCAB_TABLE}" table`);
+    }
+
+    return new Protocol7Vocabulary({
+      vocab,
+      vocabLinks: data[Protocol7Vocabulary.VOCAB_LINK_TABLE] || []
+    });
+  }
+
+  // Empty MDB and JSON cells are null, which Number() would read as 0
+  static index(value) {
+    const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+    return Number.isInteger(number) ? number : null;
+  }
+
+  static normalize(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  get size() {
+    return this.labels.size;
+  }
+
+  has(label) {
+    return this.labels.has(Protocol7Vocabulary.normalize(label));
+  }
+
+  /**
+   * Get the vocabulary IDs spoken for a label
+   *
+   * A word without Vocab Link rows, e.g. from a JSON export of the Vocab table
+   * alone, is spoken as its own eBrain Index.
+   *
+   * @param {string} label - Vocabulary label (case-insensitive)
+   * @returns {Array<number>|null} Vocabulary IDs, or null if the label is unknown
+   * @throws {Error} If a linked Vocab row has no eBrain Index
+   */
+  idsFor(label) {
+    const pcIndex = this.labels.get(Protocol7Vocabulary.normalize(label));
+
+    if (pcIndex === undefined) return null;
+
+    return (this.links.get(pcIndex) || [pcIndex]).map(pcIndexLink => {
+      const ebrainIndex = this.ebrainIndexes.get(pcIndexLink);
+
+      if (ebrainIndex === undefined) {
+        throw new Error(`Vocab row with PC Index ${pcIndexLink} for "${label}" has no eBrain Index`);
+      }
+      return ebrainIndex;
+    });
+  }
+}
+
 // Protocol 7 Phrase Builder Component
 class Protocol7PhraseBuilder {
   constructor({ database = null } = {}) {
     this.database = database;
-    // In browser environment, we can't access MDB files directly
-    // This would need to be handled by providing vocabulary data
+    this.vocabulary = database ? Protocol7Vocabulary.load(database) : null;
   }
 
   /**
-   * Get vocabulary IDs for words (simplified implementation)
+   * Get vocabulary IDs for words
+   *
+   * Each argument may be a single word, a multi-word vocabulary label such as
+   * "Good Morning", or a phrase of several words separated by spaces.
+   *
    * @param {Array<string>} words - Array of words
    * @returns {Array<number>} Array of vocabulary IDs
+   * @throws {WordNotFoundError} If any word is not in the vocabulary
    */
   vocabIdsFor(...words) {
-    // This is a placeholder implementation
-    // In a real implementation, this would look up words in a vocabulary database
-    return words.map((word, index) => index + 1);
+    if (!this.vocabulary) {
+      throw new Error('Protocol7PhraseBuilder requires a vocabulary database (pcvocab.mdb or a JSON export of it)');
+    }
+
+    const ids = [];
+    const unknownWords = [];
+
+    words.forEach(word => {
+      const result = this.resolve(word);
+      ids.push(...result.ids);
+      unknownWords.push(...result.unknownWords);
+    });
+
+    if (unknownWords.length > 0) {
+      throw new WordNotFoundError(unknownWords);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get vocabulary IDs for free text such as a calendar event title
+   *
+   * Punctuation is ignored, and words that are not in the vocabulary are
+   * left out and reported instead of throwing WordNotFoundError.
+   *
+   * @param {string} text - Text to speak
+   * @returns {{ids: Array<number>, unknownWords: Array<string>}} IDs of the known words and the words left out
+   */
+  phraseFor(text) {
+    if (!this.vocabulary) {
+      throw new Error('Protocol7PhraseBuilder requires a vocabulary database (pcvocab.mdb or a JSON export of it)');
+    }
+
+    const words = String(text)
+      .replace(/[^\p{L}\p{N}'\s]+/gu, ' ')
+      .replace(/(^|\s)'+|'+(?=\s|$)/gu, '$1');
+
+    if (words.trim() === '') return { ids: [], unknownWords: [] };
+
+    return this.resolve(words);
+  }
+
+  /**
+   * Resolve a word or phrase, matching the longest vocabulary labels first
+   * @private
+   */
+  resolve(phrase) {
+    const exact = this.vocabulary.idsFor(phrase);
+    if (exact) return { ids: exact, unknownWords: [] };
+
+    const tokens = phrase.trim().split(/\s+/).filter(token => token.length > 0);
+    const ids = [];
+    const unknownWords = [];
+
+    if (tokens.length === 0) return { ids, unknownWords: [phrase] };
+
+    let index = 0;
+    while (index < tokens.length) {
+      let matched = false;
+
+      for (let end = tokens.length; end > index; end--) {
+        const match = this.vocabulary.idsFor(tokens.slice(index, end).join(' '));
+        if (match) {
+          ids.push(...match);
+          index = end;
+          matched = true;
+          break;
+        }
+      }
+
+      if (!matched) {
+        unknownWords.push(tokens[index]);
+        index++;
+      }
+    }
+
+    return { ids, unknownWords };
   }
 }
 
 // Protocol 7 EEPROM Speech Component
+//
+// Layout: phrase count, then a table of 16-bit (LSB, MSB) offsets from the
+// start of the speech section to the device nickname, the user nickname and
+// each phrase.  Every entry is its word count followed by the packed vocab
+// IDs.  Vocab IDs are 10 bits wide, so each group of four IDs is sent as
+// their four low bytes followed by one byte holding the four 2-bit high parts.
+//
+// This layout, and the nickname encoding in particular, is not confirmed
+// against the Ruby client: tests/protocol7/ruby-vectors.test.js fails until
+// tests/protocol7/ruby-vectors.rb has recorded the packets of the gem.
 class Protocol7Speech {
   static PACKETS_TERMINATOR = 0x05;
+  static VOCAB_ID_MAX = 0x3ff;
+  static VOCAB_IDS_PER_GROUP = 4;
+  static ENTRY_WORDS_MAX = 0xff;
 
   constructor({ phrases = [], deviceNickname = [], userNickname = [] } = {}) {
     this.phrases = phrases;
     this.deviceNickname = deviceNickname;
     this.userNickname = userNickname;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  setupValidations() {
+    this.validator.validateCustom(
+      'deviceNickname',
+      speech => Protocol7Speech.isValidPhrase(speech.deviceNickname),
+      `Device nickname must be at most ${Protocol7Speech.ENTRY_WORDS_MAX} vocab IDs in 0..${Protocol7Speech.VOCAB_ID_MAX}!`
+    );
+
+    this.validator.validateCustom(
+      'userNickname',
+      speech => Protocol7Speech.isValidPhrase(speech.userNickname),
+      `User nickname must be at most ${Protocol7Speech.ENTRY_WORDS_MAX} vocab IDs in 0..${Protocol7Speech.VOCAB_ID_MAX}!`
+    );
+
+    this.validator.validateCustom(
+      'phrases',
+      speech => Array.isArray(speech.phrases) && speech.phrases.every(phrase => Protocol7Speech.isValidPhrase(phrase)),
+      `Phrases must be arrays of at most ${Protocol7Speech.ENTRY_WORDS_MAX} vocab IDs in 0..${Protocol7Speech.VOCAB_ID_MAX}!`
+    );
+
+    this.validator.validateCustom(
+      'phrases',
+      speech => !Array.isArray(speech.phrases) || speech.phrases.length <= Protocol7Speech.ENTRY_WORDS_MAX,
+      `Speech supports at most ${Protocol7Speech.ENTRY_WORDS_MAX} phrases!`
+    );
+  }
+
+  validate() {
+    this.validator.validate(this);
   }
 
   packet() {
-    // Simplified implementation - the full Ruby implementation is very complex
-    // This would need the full header calculation logic from the Ruby version
+    this.validate();
+
     return [
       ...this.header(),
       ...this.nicknameBytes(),
@@ -99,18 +406,305 @@ class Protocol7Speech {
   }
 
   header() {
-    // Simplified header - the Ruby implementation has complex calculations
-    return [0x0b, 0x00, 0x1a, 0x00];
+    const entries = [
+      Protocol7Speech.encodePhrase(this.deviceNickname),
+      Protocol7Speech.encodePhrase(this.userNickname),
+      ...this.phrases.map(phrase => Protocol7Speech.encodePhrase(phrase))
+    ];
+
+    const headerLength = 1 + entries.length * 2;
+    const offsets = [];
+    let offset = headerLength;
+
+    entries.forEach(entry => {
+      offsets.push(offset);
+      offset += entry.length;
+    });
+
+    return [
+      this.phrases.length,
+      ...offsets.flatMap(value => [value & 0xff, value >> 8])
+    ];
   }
 
   nicknameBytes() {
-    // Simplified nickname handling
-    return [];
+    return [
+      ...Protocol7Speech.encodePhrase(this.deviceNickname),
+      ...Protocol7Speech.encodePhrase(this.userNickname)
+    ];
   }
 
   formattedPhrases() {
-    // Simplified phrase formatting
-    return this.phrases.flat();
+    return this.phrases.flatMap(phrase => Protocol7Speech.encodePhrase(phrase));
+  }
+
+  static encodePhrase(vocabIds) {
+    return [vocabIds.length, ...Protocol7Speech.packVocabIds(vocabIds)];
+  }
+
+  static isValidPhrase(vocabIds) {
+    return Array.isArray(vocabIds) &&
+      vocabIds.length <= Protocol7Speech.ENTRY_WORDS_MAX &&
+      vocabIds.every(id => Number.isInteger(id) && id >= 0 && id <= Protocol7Speech.VOCAB_ID_MAX);
+  }
+
+  static packVocabIds(vocabIds) {
+    const bytes = [];
+
+    for (let i = 0; i < vocabIds.length; i += Protocol7Speech.VOCAB_IDS_PER_GROUP) {
+      const group = vocabIds.slice(i, i + Protocol7Speech.VOCAB_IDS_PER_GROUP);
+      const highBits = group.reduce((bits, id, index) => bits | (((id >> 8) & 0x03) << (index * 2)), 0);
+
+      bytes.push(...group.map(id => id & 0xff), highBits);
+    }
+
+    return bytes;
+  }
+}
+
+// Protocol 7 EEPROM Activity Component ("Life Style Setup")
+//
+// Each activity is the time of day, a message count with the random speech
+// flag in its high bit, then each message encoded like a speech phrase.  Like
+// the speech layout, this is unconfirmed until tests/protocol7/ruby-vectors.rb
+// has recorded the packets of the Ruby client.
+class Protocol7Activity {
+  static RANDOM_SPEECH_FLAG = 0x80;
+  static MESSAGES_MIN = 1;
+  static MESSAGES_MAX = 0x7f;
+
+  constructor({ time, messages = [], randomSpeech = false } = {}) {
+    this.time = time;
+    this.messages = messages;
+    this.randomSpeech = randomSpeech;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  setupValidations() {
+    this.validator.validateCustom(
+      'time',
+      activity => activity.time instanceof Date && !isNaN(activity.time.getTime()),
+      'Activity time must be a valid Date!'
+    );
+
+    this.validator.validateCustom(
+      'messages',
+      activity => Array.isArray(activity.messages) &&
+        activity.messages.length >= Protocol7Activity.MESSAGES_MIN &&
+        activity.messages.length <= Protocol7Activity.MESSAGES_MAX,
+      `Activity must have ${Protocol7Activity.MESSAGES_MIN}..${Protocol7Activity.MESSAGES_MAX} messages!`
+    );
+
+    this.validator.validateCustom(
+      'messages',
+      activity => !Array.isArray(activity.messages) || activity.messages.every(message => Protocol7Speech.isValidPhrase(message)),
+      `Activity messages must be arrays of at most ${Protocol7Speech.ENTRY_WORDS_MAX} vocab IDs in 0..${Protocol7Speech.VOCAB_ID_MAX}!`
+    );
+  }
+
+  validate() {
+    this.validator.validate(this);
+  }
+
+  packet() {
+    this.validate();
+
+    return [
+      this.time.getHours(),
+      this.time.getMinutes(),
+      this.messagesFlags(),
+      ...this.messages.flatMap(message => Protocol7Speech.encodePhrase(message))
+    ];
+  }
+
+  messagesFlags() {
+    return this.messages.length | (this.randomSpeech ? Protocol7Activity.RANDOM_SPEECH_FLAG : 0);
+  }
+}
+
+// Protocol 7 EEPROM Calendar Event Component
+class Protocol7CalendarEvent {
+  constructor({ time, phrase = [] } = {}) {
+    this.time = time;
+    this.phrase = phrase;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  setupValidations() {
+    this.validator.validateCustom(
+      'time',
+      event => event.time instanceof Date && !isNaN(event.time.getTime()),
+      'Calendar event time must be a valid Date!'
+    );
+
+    this.validator.validateCustom(
+      'phrase',
+      event => Protocol7Speech.isValidPhrase(event.phrase) && event.phrase.length > 0,
+      `Calendar event phrase must be 1..${Protocol7Speech.ENTRY_WORDS_MAX} vocab IDs in 0..${Protocol7Speech.VOCAB_ID_MAX}!`
+    );
+  }
+
+  validate() {
+    this.validator.validate(this);
+  }
+
+  packet(calendarTime) {
+    this.validate();
+
+    const offset = Protocol7Calendar.minutesBetween(calendarTime, this.time);
+
+    return [
+      offset & 0xff,
+      (offset >> 8) & 0xff,
+      (offset >> 16) & 0xff,
+      ...Protocol7Speech.encodePhrase(this.phrase)
+    ];
+  }
+}
+
+// Protocol 7 EEPROM Calendar Component
+//
+// Layout: the calendar base time as days since 2000-01-01 and minutes since
+// midnight (both LSB, MSB), the event count, then each event in time order as
+// a 3 byte (LSB first) count of minutes after the base time and its phrase.
+// This layout is unconfirmed until the "calendar" cases in
+// tests/protocol7/ruby-vectors.rb have recorded the packets of the Ruby client.
+class Protocol7Calendar {
+  static EPOCH_YEAR = 2000;
+  static EVENTS_MAX = 0xff;
+  static EVENT_OFFSET_MAX = 0xffffff;
+
+  constructor({ time = new Date(), events = [] } = {}) {
+    this.time = time;
+    this.events = events;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  setupValidations() {
+    this.validator.validateCustom(
+      'time',
+      calendar => calendar.time instanceof Date &&
+        !isNaN(calendar.time.getTime()) &&
+        calendar.time.getFullYear() >= Protocol7Calendar.EPOCH_YEAR,
+      `Calendar time must be a valid Date from ${Protocol7Calendar.EPOCH_YEAR} onwards!`
+    );
+
+    this.validator.validateCustom(
+      'events',
+      calendar => Array.isArray(calendar.events) && calendar.events.length <= Protocol7Calendar.EVENTS_MAX,
+      `Calendar supports at most ${Protocol7Calendar.EVENTS_MAX} events!`
+    );
+
+    this.validator.validateCustom(
+      'events',
+      calendar => !(calendar.time instanceof Date) || !Array.isArray(calendar.events) || calendar.events.every(event => {
+        if (!(event.time instanceof Date)) return true;
+
+        const offset = Protocol7Calendar.minutesBetween(calendar.time, event.time);
+        return offset >= 0 && offset <= Protocol7Calendar.EVENT_OFFSET_MAX;
+      }),
+      `Calendar events must be 0..${Protocol7Calendar.EVENT_OFFSET_MAX} minutes after the calendar time!`
+    );
+  }
+
+  validate() {
+    this.validator.validate(this);
+  }
+
+  packet() {
+    this.validate();
+
+    const days = this.daysSinceEpoch();
+    const minutes = this.time.getHours() * 60 + this.time.getMinutes();
+
+    return [
+      days & 0xff,
+      days >> 8,
+      minutes & 0xff,
+      minutes >> 8,
+      this.events.length,
+      ...this.sortedEvents().flatMap(event => event.packet(this.time))
+    ];
+  }
+
+  daysSinceEpoch() {
+    const date = Date.UTC(this.time.getFullYear(), this.time.getMonth(), this.time.getDate());
+
+    return Math.round((date - Date.UTC(Protocol7Calendar.EPOCH_YEAR, 0, 1)) / 86400000);
+  }
+
+  sortedEvents() {
+    return [...this.events].sort((a, b) => a.time - b.time);
+  }
+
+  static minutesBetween(from, to) {
+    const wholeMinute = time => Math.floor(time.getTime() / 60000);
+
+    return wholeMinute(to) - wholeMinute(from);
+  }
+}
+
+// Protocol 7 EEPROM Phone Number Component
+//
+// The number is up to 12 digits packed two per byte (padded with blanks to
+// 6 bytes), followed by the spoken name encoded like a speech phrase.  This
+// packing is unconfirmed until the "phone number" cases in
+// tests/protocol7/ruby-vectors.rb have recorded the packets of the Ruby client.
+class Protocol7PhoneNumber {
+  static NUMBER_LENGTH = 12;
+  static NUMBER_BYTES = 6;
+
+  constructor({ name = [], number } = {}) {
+    this.name = name;
+    this.number = number;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  setupValidations() {
+    this.validator.validateCustom(
+      'number',
+      phoneNumber => typeof phoneNumber.number === 'string' &&
+        new RegExp(`^[0-9]{1,${Protocol7PhoneNumber.NUMBER_LENGTH}}$`).test(phoneNumber.number),
+      `Phone number must be 1..${Protocol7PhoneNumber.NUMBER_LENGTH} digits!`
+    );
+
+    this.validator.validateCustom(
+      'name',
+      phoneNumber => Protocol7Speech.isValidPhrase(phoneNumber.name) && phoneNumber.name.length > 0,
+      `Phone number name must be 1..${Protocol7Speech.ENTRY_WORDS_MAX} vocab IDs in 0..${Protocol7Speech.VOCAB_ID_MAX}!`
+    );
+  }
+
+  validate() {
+    this.validator.validate(this);
+  }
+
+  packet() {
+    this.validate();
+
+    return [
+      ...this.numberBytes(),
+      ...Protocol7Speech.encodePhrase(this.name)
+    ];
+  }
+
+  numberBytes() {
+    const padded = this.number.padEnd(Protocol7PhoneNumber.NUMBER_LENGTH, ' ');
+    const bytes = CharacterEncoders.phoneCharsFor(padded);
+
+    while (bytes.length < Protocol7PhoneNumber.NUMBER_BYTES) {
+      bytes.push(0);
+    }
+
+    return bytes;
   }
 }
 
@@ -256,8 +850,7 @@ class Protocol7Eeprom {
     const packets = [];
 
     if (this.activities) {
-      // Simplified activity handling
-      packets.push(...this.activities.flat());
+      packets.push(...this.activitiesPacket());
     }
 
     if (this.games) {
@@ -265,13 +858,11 @@ class Protocol7Eeprom {
     }
 
     if (this.calendar) {
-      // Simplified calendar handling
-      packets.push(...this.calendar.flat());
+      packets.push(...this.calendar.packet());
     }
 
     if (this.phoneNumbers) {
-      // Simplified phone number handling
-      packets.push(...this.phoneNumbers.flat());
+      packets.push(...this.phoneNumbersPacket());
     }
 
     if (this.speech) {
@@ -280,6 +871,20 @@ class Protocol7Eeprom {
 
     return packets;
   }
+
+  activitiesPacket() {
+    return [
+      this.activities.length,
+      ...this.activities.flatMap(activity => activity.packet())
+    ];
+  }
+
+  phoneNumbersPacket() {
+    return [
+      this.phoneNumbers.length,
+      ...this.phoneNumbers.flatMap(phoneNumber => phoneNumber.packet())
+    ];
+  }
 }
 
 // Main Protocol 7 Class
@@ -301,7 +906,8 @@ export class Protocol7 extends ProtocolBase {
       activities: true,
       games: true,
       speech: true,
-      phraseBuilder: true
+      phraseBuilder: true,
+      phoneNumbers: true
     };
   }
 
@@ -315,7 +921,12 @@ export class Protocol7 extends ProtocolBase {
       End: Protocol7End,
       Sync: Protocol7Sync,
       PhraseBuilder: Protocol7PhraseBuilder,
+      Vocabulary: Protocol7Vocabulary,
       Speech: Protocol7Speech,
+      Activity: Protocol7Activity,
+      Calendar: Protocol7Calendar,
+      CalendarEvent: Protocol7CalendarEvent,
+      PhoneNumber: Protocol7PhoneNumber,
       Games: Protocol7Games,
       Eeprom: Protocol7Eeprom
     };
@@ -383,6 +994,82 @@ const games = new components.Games({
 
 const sequence = Protocol7.createSyncSequence({
   games: games
+});
+        `
+      },
+      phraseBuilder: {
+        description: 'Building phrases from pcvocab.mdb',
+        code: `
+const response = await fetch('pcvocab.mdb');
+const phraseBuilder = new components.PhraseBuilder({
+  database: await response.arrayBuffer()
+});
+
+const whereIsMyPhone = phraseBuilder.vocabIdsFor('Where', 'Is', 'My', 'Phone');
+const fart = phraseBuilder.vocabIdsFor('<Fart>')[0];
+        `
+      },
+      activitiesSetup: {
+        description: 'Setting up Life Style activities',
+        code: `
+const activities = [
+  new components.Activity({
+    time: new Date(0, 0, 1, 7, 30), // Year, month, and day are ignored
+    messages: [
+      phraseBuilder.vocabIdsFor('Get', 'Up'),
+      phraseBuilder.vocabIdsFor('Really', 'Do', 'It')
+    ],
+    randomSpeech: false
+  }),
+  new components.Activity({
+    time: new Date(0, 0, 1, 8, 0),
+    messages: [phraseBuilder.vocabIdsFor('Picture', 'Day')],
+    randomSpeech: true
+  })
+];
+
+const sequence = Protocol7.createSyncSequence({
+  activities: activities
+});
+        `
+      },
+      calendarSetup: {
+        description: 'Setting up the calendar of events',
+        code: `
+const tomorrow = new Date();
+tomorrow.setDate(tomorrow.getDate() + 1);
+
+const calendar = new components.Calendar({
+  time: new Date(),
+  events: [
+    new components.CalendarEvent({
+      time: new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate(), 9, 0),
+      phrase: phraseBuilder.vocabIdsFor('Breakfast', 'With', 'Cousins')
+    })
+  ]
+});
+
+const sequence = Protocol7.createSyncSequence({
+  calendar: calendar
+});
+        `
+      },
+      phoneNumbersSetup: {
+        description: 'Setting up spoken phone numbers',
+        code: `
+const phoneNumbers = [
+  new components.PhoneNumber({
+    name: phraseBuilder.vocabIdsFor('Dog', 'Sitter'),
+    number: '8675309'
+  }),
+  new components.PhoneNumber({
+    name: phraseBuilder.vocabIdsFor('eBrain', 'Mom', 'And', 'Dad'),
+    number: '7133659900'
+  })
+];
+
+const sequence = Protocol7.createSyncSequence({
+  phoneNumbers: phoneNumbers
 });
         `
       },
@@ -390,9 +1077,12 @@ const sequence = Protocol7.createSyncSequence({
         description: 'Setting up speech functionality',
         code: `
 const speech = new components.Speech({
-  phrases: [[1, 2, 3], [4, 5, 6]],
-  deviceNickname: [1, 2, 3],
-  userNickname: [4, 5, 6]
+  phrases: [
+    phraseBuilder.vocabIdsFor('My', 'Dog', 'Is', 'On', 'Television'),
+    phraseBuilder.vocabIdsFor('Where', 'Is', 'My', 'Phone')
+  ],
+  deviceNickname: phraseBuilder.vocabIdsFor('Computer', 'From', 'Mars'),
+  userNickname: phraseBuilder.vocabIdsFor('Boards', 'Of', 'Canada')
 });
 
 const sequence = Protocol7.createSyncSequence({
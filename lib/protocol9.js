@@ -7,7 +7,9 @@
 import { ProtocolBase } from './protocol-base.js';
 import { DataValidator, ValidationError, range } from './helpers/data-validator.js';
 import { CharacterEncoders } from './helpers/character-encoders.js';
+import CpacketPaginator from './helpers/cpacket-paginator.js';
 import CrcPacketsWrapper from './helpers/crc-packets-wrapper.js';
+import LengthPacketWrapper from './helpers/length-packet-wrapper.js';
 
 // Protocol 9 Start Component
 class Protocol9Start {
@@ -278,6 +280,235 @@ class Protocol9SoundOptions {
   }
 }
 
+// Protocol 9 EEPROM Chrono Component
+//
+// docs/timex_ironman_triathlon_protocol_9.md only gives the Ruby options (a
+// label and a lap count).  The packet layout and LAP_BYTES are unconfirmed;
+// tests/protocol9/ruby-vectors.test.js fails until ruby-vectors.rb has
+// recorded the packets of the Ruby client.
+class Protocol9Chrono {
+  static LABEL_LENGTH = 8;
+  static LAP_BYTES = 4;
+  static LAPS_MIN = 2;
+  static LAPS_MAX = 50;
+
+  constructor({ label = 'CHRONO', laps = 2 } = {}) {
+    this.label = label;
+    this.laps = laps;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  setupValidations() {
+    this.validator.validateInclusion('laps', {
+      in: range(Protocol9Chrono.LAPS_MIN, Protocol9Chrono.LAPS_MAX),
+      message: `value %{value} is invalid!  Valid laps values are ${Protocol9Chrono.LAPS_MIN}..${Protocol9Chrono.LAPS_MAX}.`
+    });
+
+    this.validator.validateCustom(
+      'label',
+      (obj) => typeof obj.label === 'string' && obj.label.length <= Protocol9Chrono.LABEL_LENGTH,
+      `Label is invalid!  Label must be a string of up to ${Protocol9Chrono.LABEL_LENGTH} characters.`
+    );
+  }
+
+  validate() {
+    this.validator.validate(this);
+  }
+
+  packet() {
+    this.validate();
+
+    return LengthPacketWrapper.wrapPacket([
+      this.laps,
+      ...this.labelCharacters()
+    ]);
+  }
+
+  labelCharacters() {
+    return CharacterEncoders.eepromCharsFor(this.label, Protocol9Chrono.LABEL_LENGTH);
+  }
+
+  // Lap times are stored by the watch after the EEPROM data, so each lap reserves memory
+  memoryBytes() {
+    return this.laps * Protocol9Chrono.LAP_BYTES;
+  }
+}
+
+// Protocol 9 EEPROM PhoneNumber Component
+class Protocol9PhoneNumber {
+  static PHONE_DIGITS = 12;
+  static NUMBER_LENGTH = 10;
+  static NAME_LENGTH = 31;
+
+  constructor({ name, number, type = ' ' }) {
+    this.name = name;
+    this.number = number;
+    this.type = type;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  setupValidations() {
+    const phoneChars = (value) => Array.from(value.toLowerCase()).every(char => CharacterEncoders.PHONE_CHARS.includes(char));
+
+    this.validator.validateCustom(
+      'name',
+      (obj) => typeof obj.name === 'string' && obj.name.length <= Protocol9PhoneNumber.NAME_LENGTH,
+      `Name is invalid!  Name must be a string of up to ${Protocol9PhoneNumber.NAME_LENGTH} characters.`
+    );
+
+    this.validator.validateCustom(
+      'number',
+      (obj) => typeof obj.number === 'string' && obj.number.length <= Protocol9PhoneNumber.NUMBER_LENGTH && phoneChars(obj.number),
+      `Number is invalid!  Number must be a string of up to ${Protocol9PhoneNumber.NUMBER_LENGTH} characters from "${CharacterEncoders.PHONE_CHARS}".`
+    );
+
+    this.validator.validateCustom(
+      'type',
+      (obj) => typeof obj.type === 'string' && obj.type.length === 1 && phoneChars(obj.type),
+      `Type is invalid!  Type must be one character from "${CharacterEncoders.PHONE_CHARS}".`
+    );
+  }
+
+  validate() {
+    this.validator.validate(this);
+  }
+
+  packet() {
+    this.validate();
+
+    return LengthPacketWrapper.wrapPacket([
+      ...this.numberWithTypeCharacters(),
+      ...this.nameCharacters()
+    ]);
+  }
+
+  numberWithTypePadded() {
+    return `${this.number} ${this.type}`.padStart(Protocol9PhoneNumber.PHONE_DIGITS, ' ');
+  }
+
+  numberWithTypeCharacters() {
+    return CharacterEncoders.phoneCharsFor(this.numberWithTypePadded());
+  }
+
+  nameCharacters() {
+    return CharacterEncoders.eepromCharsFor(this.name);
+  }
+}
+
+// Protocol 9 EEPROM Component
+//
+// Like the Protocol 3 EEPROM, the header holds the address and item count of
+// each section (chrono, then phone numbers).  This layout and END_ADDRESS are
+// unconfirmed too, and are pinned by the same Ruby vectors.
+class Protocol9Eeprom {
+  static CPACKET_CLEAR = [0x93, 0x01];
+  static CPACKET_SECT = [0x90, 0x01];
+  static CPACKET_DATA = [0x91, 0x01];
+  static CPACKET_END = [0x92, 0x01];
+  static CPACKET_DATA_LENGTH = 32;
+  static START_ADDRESS = 0x0236;
+  static END_ADDRESS = 0x0800;
+
+  constructor({ chrono = new Protocol9Chrono(), phoneNumbers = [] } = {}) {
+    this.chrono = chrono;
+    this.phoneNumbers = phoneNumbers;
+
+    this.validator = new DataValidator();
+    this.setupValidations();
+  }
+
+  setupValidations() {
+    this.validator.validateCustom(
+      'chrono',
+      (obj) => obj.usedBytes() <= Protocol9Eeprom.availableBytes(),
+      'Chrono laps do not fit in EEPROM memory!  Reduce chrono laps or phone numbers.'
+    );
+  }
+
+  validate() {
+    this.chrono.validate();
+    this.phoneNumbers.forEach(phoneNumber => phoneNumber.validate());
+    this.validator.validate(this);
+  }
+
+  static availableBytes() {
+    return Protocol9Eeprom.END_ADDRESS - Protocol9Eeprom.START_ADDRESS;
+  }
+
+  // Bytes used by EEPROM data plus the memory reserved for chrono laps
+  usedBytes() {
+    return this.allPackets().length + this.chrono.memoryBytes();
+  }
+
+  // Largest lap count that still fits alongside the current phone numbers
+  maxChronoLaps() {
+    const dataBytes = this.allPackets().length;
+    const laps = Math.floor((Protocol9Eeprom.availableBytes() - dataBytes) / Protocol9Chrono.LAP_BYTES);
+
+    return Math.min(laps, Protocol9Chrono.LAPS_MAX);
+  }
+
+  packets() {
+    this.validate();
+
+    const payloads = this.payloads();
+
+    return CrcPacketsWrapper.wrapPackets([
+      Protocol9Eeprom.CPACKET_CLEAR,
+      this.header(payloads),
+      ...payloads,
+      Protocol9Eeprom.CPACKET_END
+    ]);
+  }
+
+  header(payloads = this.payloads()) {
+    return [
+      ...Protocol9Eeprom.CPACKET_SECT,
+      payloads.length,
+      ...this.itemsAddresses(),
+      ...this.itemsLengths()
+    ];
+  }
+
+  payloads() {
+    return CpacketPaginator.paginateCpackets({
+      header: Protocol9Eeprom.CPACKET_DATA,
+      length: Protocol9Eeprom.CPACKET_DATA_LENGTH,
+      cpackets: this.allPackets()
+    });
+  }
+
+  allItems() {
+    return [[this.chrono], this.phoneNumbers];
+  }
+
+  allPackets() {
+    return this.allItems()
+      .flat()
+      .flatMap(item => item.packet());
+  }
+
+  itemsAddresses() {
+    let address = Protocol9Eeprom.START_ADDRESS;
+    const addresses = [];
+
+    for (const items of this.allItems()) {
+      addresses.push(address & 0xFF, (address >> 8) & 0xFF);
+      address += items.reduce((sum, item) => sum + item.packet().length, 0);
+    }
+
+    return addresses;
+  }
+
+  itemsLengths() {
+    return this.allItems().map(items => items.length);
+  }
+}
+
 // Main Protocol 9 Class
 export class Protocol9 extends ProtocolBase {
   static get VERSION() { return 9; }
@@ -295,6 +526,8 @@ export class Protocol9 extends ProtocolBase {
       alarms: true,
       timer: true,
       chrono: true,
+      eeprom: true,
+      phoneNumbers: true,
       soundOptions: true,
       maxAlarms: 10
     };
@@ -313,7 +546,10 @@ export class Protocol9 extends ProtocolBase {
       TimeName: Protocol9TimeName,
       Alarm: Protocol9Alarm,
       Timer: Protocol9Timer,
-      SoundOptions: Protocol9SoundOptions
+      SoundOptions: Protocol9SoundOptions,
+      Eeprom: Protocol9Eeprom,
+      Chrono: Protocol9Chrono,
+      PhoneNumber: Protocol9PhoneNumber
     };
   }
 
@@ -340,6 +576,8 @@ export class Protocol9 extends ProtocolBase {
       zoneName = null,
       alarms = [],
       timers = [],
+      chrono = null,
+      phoneNumbers = [],
       soundOptions = null,
       syncLength = 300
     } = options;
@@ -362,6 +600,13 @@ export class Protocol9 extends ProtocolBase {
       sequence.push(timer);
     }
 
+    if (chrono || phoneNumbers.length > 0) {
+      sequence.push(new Protocol9Eeprom({
+        chrono: chrono || new Protocol9Chrono(),
+        phoneNumbers
+      }));
+    }
+
     if (soundOptions) {
       sequence.push(new Protocol9SoundOptions(soundOptions));
     }
@@ -429,6 +674,21 @@ const alarms = [
 
 const sequence = Protocol9.createSyncSequence({
   alarms: alarms
+});
+        `
+      },
+      eepromSetup: {
+        description: 'Setting up chrono laps and the phone book',
+        code: `
+const chrono = new components.Chrono({ label: 'CHRONO', laps: 8 });
+
+const phoneNumbers = [
+  new components.PhoneNumber({ name: 'Doc Brown', number: '1112223333', type: 'C' })
+];
+
+const sequence = Protocol9.createSyncSequence({
+  chrono: chrono,
+  phoneNumbers: phoneNumbers
 });
         `
       }
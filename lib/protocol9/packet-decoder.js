@@ -0,0 +1,160 @@
+/**
+ * Protocol 9 packet decoder
+ *
+ * Decodes Protocol 9 packets back into Start, Sync, Time, TimeName, Alarm,
+ * Timer, SoundOptions, Eeprom and End components.  Sections use the
+ * Protocol 3 packets, with the EEPROM as the only section.
+ */
+
+import Protocol3PacketDecoder from '../protocol3/packet-decoder.js';
+import { CharacterEncoders } from '../helpers/character-encoders.js';
+import { Protocol9 } from '../protocol9.js';
+
+const components = Protocol9.getComponents();
+
+class Protocol9PacketDecoder extends Protocol3PacketDecoder {
+  static PROTOCOL = 9;
+
+  static COMPONENTS = components;
+
+  static HANDLERS = {
+    0x20: 'decodeStart',
+    0x21: 'decodeEnd',
+    0x30: 'decodeTime',
+    0x31: 'decodeTimeName',
+    0x43: 'decodeTimer',
+    0x50: 'decodeAlarm',
+    0x71: 'decodeSoundOptions',
+    0x90: 'decodeSect',
+    0x91: 'decodeData',
+    0x92: 'decodeSectionEnd',
+    0x93: 'decodeClear'
+  };
+
+  static SECTIONS = { 0x01: 'eeprom' };
+
+  static TIMER_ACTIONS = Object.fromEntries(
+    Object.entries(components.Timer.ACTION_AT_END_MAP).map(([action, value]) => [value, action])
+  );
+
+  /**
+   * Decode a time packet: [0x30, zone, hour, minute, month, day, year, weekday, second, 12/24h]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Time component
+   */
+  decodeTime(payload) {
+    this.expectLength(payload, 10);
+
+    const [, zone, hour, minute, month, day, year, , second] = payload;
+
+    return new this.constructor.COMPONENTS.Time({
+      zone,
+      is24h: payload[9] === 2,
+      time: new Date(this.fullYear(year), month - 1, day, hour, minute, second)
+    });
+  }
+
+  /**
+   * Decode a time zone name packet: [0x31, zone, name x3]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} TimeName component
+   */
+  decodeTimeName(payload) {
+    this.expectLength(payload, 5);
+
+    return new this.constructor.COMPONENTS.TimeName({
+      zone: payload[1],
+      name: CharacterEncoders.stringFor(payload.slice(2)).trimEnd()
+    });
+  }
+
+  /**
+   * Decode an alarm packet: [0x50, number, hour, minute, month, day, audible, message x16]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Alarm component
+   */
+  decodeAlarm(payload) {
+    this.expectLength(payload, 23);
+
+    const [, number, hour, minute, month, day] = payload;
+
+    return new this.constructor.COMPONENTS.Alarm({
+      number,
+      audible: payload[6] === 1,
+      time: new Date(2000, 0, 1, hour, minute),
+      message: CharacterEncoders.stringFor(payload.slice(7)).trimEnd(),
+      month: month || null,
+      day: day || null
+    });
+  }
+
+  /**
+   * Decode a timer packet: [0x43, number, hours, minutes, seconds, action at end, label x8]
+   * @private
+   * @param {Array<number>} payload - Packet payload
+   * @returns {Object} Timer component
+   */
+  decodeTimer(payload) {
+    this.expectLength(payload, 14);
+
+    const [, number, hours, minutes, seconds] = payload;
+    const actionAtEnd = this.constructor.TIMER_ACTIONS[payload[5]];
+
+    if (actionAtEnd === undefined) {
+      throw this.error(`Unknown timer action ${payload[5]}`);
+    }
+
+    return new this.constructor.COMPONENTS.Timer({
+      number,
+      label: CharacterEncoders.stringFor(payload.slice(6)).trimEnd(),
+      time: new Date(2000, 0, 1, hours, minutes, seconds),
+      actionAtEnd
+    });
+  }
+
+  /**
+   * Decode EEPROM data; the header holds the address (16-bit LSB, MSB) and
+   * item count of the chrono and the phone numbers
+   * @private
+   * @param {Array<number>} header - Section header bytes
+   * @param {Array<number>} items - Length-prefixed item bytes
+   * @returns {Object} Eeprom component
+   */
+  decodeEeprom(header, items) {
+    const { Eeprom, Chrono, PhoneNumber } = this.constructor.COMPONENTS;
+
+    if (header.length !== 6) {
+      throw this.error(`EEPROM header has ${header.length} bytes, expected 6`);
+    }
+
+    const [chronos, phoneNumbers] = this.splitEepromItems({
+      addresses: header.slice(0, 4),
+      counts: header.slice(4, 6),
+      startAddress: Eeprom.START_ADDRESS
+    }, items);
+
+    if (chronos.length !== 1) {
+      throw this.error(`EEPROM data has ${chronos.length} chronos, expected 1`);
+    }
+
+    return new Eeprom({
+      chrono: new Chrono({
+        laps: chronos[0][0],
+        label: this.eepromString(chronos[0].slice(1))
+      }),
+      phoneNumbers: phoneNumbers.map(item => {
+        const numberWithType = CharacterEncoders.phoneStringFor(item.slice(0, 6));
+        return new PhoneNumber({
+          number: numberWithType.slice(0, -2).trim(),
+          type: numberWithType.slice(-1),
+          name: this.eepromString(item.slice(6))
+        });
+      })
+    });
+  }
+}
+
+export default Protocol9PacketDecoder;
\ No newline at end of file
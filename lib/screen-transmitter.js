@@ -0,0 +1,418 @@
+// Screen Transmitter for adapter-free optical communication
+// Blinks packets to the watch sensor as scanline bar patterns, like the
+// original Datalink software did on a CRT monitor
+//
+// Each byte is sent as a start bit followed by 8 data bits, least significant
+// bit first. The start bit and 0 bits are lit bars, 1 bits are dark. Every
+// video frame carries bytesPerFrame bytes, packets start on a new frame and
+// are followed by blank frames covering packetSleep. Transfer speed is set by
+// the display refresh rate, so byteSleep has no effect here.
+
+import { Transport, TransferAbortedError } from './transport.js';
+import { TransferProgress } from './transfer-progress.js';
+
+export class ScreenTransmitter extends Transport {
+    static BITS_PER_BYTE = 9; // start bit + 8 data bits
+    static DEFAULT_REFRESH_RATE = 60;
+
+    constructor({
+        canvas = null,
+        document = globalThis.document,
+        requestAnimationFrame = globalThis.requestAnimationFrame?.bind(globalThis),
+        refreshRate = ScreenTransmitter.DEFAULT_REFRESH_RATE,
+        brightness = 1,
+        bytesPerFrame = 2,
+        lineHeight = null,
+        byteSleep = 0,
+        packetSleep = 250,
+        verbose = false,
+        packetTiming = true
+    } = {}) {
+        super();
+        this.canvas = canvas;
+        this.document = document;
+        this.requestAnimationFrame = requestAnimationFrame;
+        this.refreshRate = refreshRate;
+        this.brightness = ScreenTransmitter.clampBrightness(brightness);
+        this.bytesPerFrame = bytesPerFrame;
+        this.lineHeight = lineHeight;
+        this.byteSleep = byteSleep;
+        this.packetSleep = packetSleep;
+        this.verbose = verbose;
+        this.packetTiming = packetTiming;
+        this.context = null;
+        this.ownsCanvas = false;
+        this.isConnected = false;
+    }
+
+    // Static method to check whether the screen can be used for transmission
+    static isSupported() {
+        return typeof globalThis.document !== 'undefined' &&
+            typeof globalThis.requestAnimationFrame === 'function';
+    }
+
+    // Bar states for one byte: true is a lit bar
+    static encodeByte(byte) {
+        if (typeof byte !== 'number' || byte < 0 || byte > 255 || !Number.isInteger(byte)) {
+            throw new Error(`Invalid byte value: ${byte}`);
+        }
+
+        const bars = [true]; // Start bit
+        for (let bit = 0; bit < 8; bit++) {
+            bars.push(((byte >> bit) & 1) === 0);
+        }
+        return bars;
+    }
+
+    // Split packets into video frames; an empty frame is blank. gapFrames is
+    // a frame count or a function giving the count after a packet
+    static framesForPackets(packets, { bytesPerFrame = 2, gapFrames = 0 } = {}) {
+        if (!Array.isArray(packets)) {
+            throw new Error('Packets must be an array');
+        }
+
+        const frames = [];
+
+        packets.forEach((packet, i) => {
+            if (!Array.isArray(packet)) {
+                throw new Error(`Packet ${i} is not an array`);
+            }
+
+            packet.forEach((byte, j) => {
+                if (typeof byte !== 'number' || byte < 0 || byte > 255 || !Number.isInteger(byte)) {
+                    throw new Error(`Invalid byte value at packet ${i}, position ${j}: ${byte}`);
+                }
+            });
+
+            for (let j = 0; j < packet.length; j += bytesPerFrame) {
+                frames.push(packet.slice(j, j + bytesPerFrame));
+            }
+
+            if (packet.length > 0 && i < packets.length - 1) {
+                const gaps = typeof gapFrames === 'function' ? gapFrames(packet) : gapFrames;
+                for (let gap = 0; gap < gaps; gap++) {
+                    frames.push([]);
+                }
+            }
+        });
+
+        return frames;
+    }
+
+    static clampBrightness(brightness) {
+        return Math.min(1, Math.max(0, Number(brightness) || 0));
+    }
+
+    // Show the transmitter canvas, creating a full-screen one if none was provided
+    async connect() {
+        if (this.isConnected) {
+            return;
+        }
+
+        if (!this.requestAnimationFrame) {
+            throw new Error('Screen transmission requires requestAnimationFrame');
+        }
+
+        if (!this.canvas) {
+            if (!this.document) {
+                throw new Error('Screen transmission requires a document or canvas');
+            }
+
+            this.canvas = this.document.createElement('canvas');
+            Object.assign(this.canvas.style, {
+                position: 'fixed',
+                inset: '0',
+                width: '100vw',
+                height: '100vh',
+                background: '#000',
+                zIndex: '10000'
+            });
+            this.document.body.appendChild(this.canvas);
+            this.ownsCanvas = true;
+        }
+
+        this.context = this.canvas.getContext('2d');
+        this.resizeCanvas();
+
+        if (this.ownsCanvas && typeof this.canvas.requestFullscreen === 'function') {
+            try {
+                await this.canvas.requestFullscreen();
+            } catch (error) {
+                if (this.verbose) {
+                    console.log('Full screen request denied, using fixed canvas:', error.message);
+                }
+            }
+        }
+
+        this.clear();
+        this.isConnected = true;
+        this.emit('connect');
+
+        if (this.verbose) {
+            console.log('Screen transmitter ready:', this.getConfig());
+        }
+    }
+
+    // Hide the transmitter canvas
+    async disconnect() {
+        if (this.document && this.document.fullscreenElement === this.canvas &&
+            typeof this.document.exitFullscreen === 'function') {
+            await this.document.exitFullscreen();
+        }
+
+        if (this.ownsCanvas && this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+            this.ownsCanvas = false;
+        }
+
+        this.context = null;
+
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.emit('disconnect');
+        }
+
+        if (this.verbose) {
+            console.log('Screen transmitter closed');
+        }
+    }
+
+    // Blink packets to the watch, one frame per animation frame. Emits
+    // 'packet' and 'progress' events; aborting options.signal blanks the
+    // screen after the current frame and throws TransferAbortedError
+    async write(packets, { signal = null } = {}) {
+        if (!this.isConnected || !this.context) {
+            throw new Error('Screen transmitter not connected');
+        }
+
+        const gapFrames = packet => this.gapFrames(this.timingFor(packet).packetSleep);
+        const frames = ScreenTransmitter.framesForPackets(packets, {
+            bytesPerFrame: this.bytesPerFrame,
+            gapFrames
+        });
+
+        // Frame at which each packet starts, mirroring framesForPackets
+        const packetStarts = new Map();
+        let frameCount = 0;
+        packets.forEach((packet, i) => {
+            if (packet.length > 0) {
+                packetStarts.set(frameCount, i);
+                frameCount += Math.ceil(packet.length / this.bytesPerFrame) +
+                    (i < packets.length - 1 ? gapFrames(packet) : 0);
+            }
+        });
+
+        if (this.verbose) {
+            console.log(`Blinking ${packets.length} packets in ${frames.length} frames at ${this.refreshRate}Hz`);
+        }
+
+        const startTime = Date.now();
+        const frameDuration = 1000 / this.refreshRate;
+        const progress = new TransferProgress(packets, {
+            timingFor: packet => ({ byteSleep: 0, packetSleep: gapFrames(packet) * frameDuration }),
+            byteDuration: frameDuration / this.bytesPerFrame
+        });
+        let packetsWritten = 0;
+
+        try {
+            for (const [index, frame] of frames.entries()) {
+                Transport.throwIfAborted(signal);
+                await this.nextFrame();
+
+                if (packetStarts.has(index)) {
+                    // The previous packet and its gap are done
+                    if (progress.packetIndex >= 0) {
+                        packetsWritten++;
+                    }
+
+                    const packetIndex = packetStarts.get(index);
+                    progress.startPacket(packetIndex);
+                    this.emit('packet', { index: packetIndex, total: packets.length, bytes: packets[packetIndex] });
+                }
+
+                this.drawFrame(frame);
+
+                if (frame.length > 0) {
+                    progress.addBytes(frame.length);
+                    this.emit('progress', progress.snapshot());
+                }
+            }
+            packetsWritten = packets.filter(packet => packet.length > 0).length;
+        } catch (error) {
+            if (error instanceof TransferAbortedError) {
+                error.report = { packetsWritten, aborted: true };
+            }
+            throw error;
+        } finally {
+            await this.nextFrame();
+            this.clear();
+        }
+
+        const report = {
+            packetsWritten,
+            frames: frames.length,
+            duration: Date.now() - startTime
+        };
+
+        if (this.verbose) {
+            console.log('Screen transmission completed:', report);
+        }
+
+        return report;
+    }
+
+    // The screen only transmits
+    async read() {
+        throw new Error('Screen transmitter is one-way; reading from the watch is not supported');
+    }
+
+    // Measure the display refresh rate while showing the calibration pattern
+    async calibrate({ frames = 60 } = {}) {
+        if (!this.isConnected || !this.context) {
+            throw new Error('Screen transmitter not connected');
+        }
+
+        const timestamps = [];
+        for (let i = 0; i <= frames; i++) {
+            timestamps.push(await this.nextFrame());
+            this.drawCalibrationPattern();
+        }
+
+        const intervals = timestamps.slice(1)
+            .map((timestamp, i) => timestamp - timestamps[i])
+            .sort((a, b) => a - b);
+        const median = intervals[Math.floor(intervals.length / 2)];
+
+        if (median > 0) {
+            this.refreshRate = Math.round(1000 / median);
+        }
+
+        if (this.verbose) {
+            console.log(`Calibrated refresh rate: ${this.refreshRate}Hz`);
+        }
+
+        return { refreshRate: this.refreshRate, frameDuration: 1000 / this.refreshRate };
+    }
+
+    // Every bar lit, for adjusting brightness until the watch sees the screen
+    drawCalibrationPattern() {
+        this.drawFrame(new Array(this.bytesPerFrame).fill(0x00));
+    }
+
+    setBrightness(brightness) {
+        this.brightness = ScreenTransmitter.clampBrightness(brightness);
+    }
+
+    // Draw the bars for up to bytesPerFrame bytes, each in its own band of the screen
+    drawFrame(bytes) {
+        const { width, height } = this.canvas;
+        const bandHeight = height / this.bytesPerFrame;
+        const lineHeight = this.barHeight();
+        const level = Math.round(255 * this.brightness);
+
+        this.clear();
+        this.context.fillStyle = `rgb(${level}, ${level}, ${level})`;
+
+        bytes.forEach((byte, band) => {
+            const top = band * bandHeight + (bandHeight - lineHeight * ScreenTransmitter.BITS_PER_BYTE) / 2;
+
+            ScreenTransmitter.encodeByte(byte).forEach((lit, bit) => {
+                if (lit) {
+                    this.context.fillRect(0, Math.round(top + bit * lineHeight), width, lineHeight);
+                }
+            });
+        });
+    }
+
+    clear() {
+        this.context.fillStyle = '#000';
+        this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Bar height in pixels, filling about half of each byte band unless set
+    barHeight() {
+        if (this.lineHeight) {
+            return this.lineHeight;
+        }
+
+        const bandHeight = this.canvas.height / this.bytesPerFrame;
+        return Math.max(1, Math.floor(bandHeight / (ScreenTransmitter.BITS_PER_BYTE * 2)));
+    }
+
+    // Blank frames needed to cover packetSleep
+    gapFrames(packetSleep = this.packetSleep) {
+        return Math.ceil(packetSleep * this.refreshRate / 1000);
+    }
+
+    resizeCanvas() {
+        const view = this.document?.defaultView;
+
+        if (this.ownsCanvas && view) {
+            this.canvas.width = view.innerWidth;
+            this.canvas.height = view.innerHeight;
+        }
+    }
+
+    nextFrame() {
+        return new Promise(resolve => this.requestAnimationFrame(resolve));
+    }
+
+    // Check if connected
+    isPortConnected() {
+        return this.isConnected;
+    }
+
+    async checkConnection() {
+        return this.isConnected;
+    }
+
+    // Sleep utility function; an aborted signal ends the sleep early
+    sleep(ms, signal = null) {
+        return Transport.delay(ms, signal);
+    }
+
+    // Get current configuration
+    getConfig() {
+        return {
+            byteSleep: this.byteSleep,
+            packetSleep: this.packetSleep,
+            verbose: this.verbose,
+            refreshRate: this.refreshRate,
+            brightness: this.brightness,
+            bytesPerFrame: this.bytesPerFrame,
+            lineHeight: this.lineHeight,
+            packetTiming: this.packetTiming,
+            isConnected: this.isConnected
+        };
+    }
+
+    // Update configuration
+    updateConfig({ byteSleep, packetSleep, verbose, refreshRate, brightness, lineHeight, packetTiming }) {
+        if (byteSleep !== undefined) {
+            this.byteSleep = Math.max(0, byteSleep);
+        }
+        if (packetSleep !== undefined) {
+            this.packetSleep = Math.max(0, packetSleep);
+        }
+        if (verbose !== undefined) {
+            this.verbose = Boolean(verbose);
+        }
+        if (refreshRate !== undefined) {
+            this.refreshRate = Math.max(1, refreshRate);
+        }
+        if (brightness !== undefined) {
+            this.setBrightness(brightness);
+        }
+        if (lineHeight !== undefined) {
+            this.lineHeight = lineHeight;
+        }
+        if (packetTiming !== undefined) {
+            this.packetTiming = Boolean(packetTiming);
+        }
+
+        if (this.verbose) {
+            console.log('Configuration updated:', this.getConfig());
+        }
+    }
+}
\ No newline at end of file
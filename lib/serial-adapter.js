@@ -1,20 +1,64 @@
 // Serial Adapter for Web Serial API communication
 // JavaScript port of the Ruby NotebookAdapter
 
-export class SerialAdapter {
+import { Transport, TransferAbortedError } from './transport.js';
+import { TransferProgress } from './transfer-progress.js';
+
+// Thrown when the Notebook Adapter echo does not match the bytes sent
+export class EchoMismatchError extends Error {
+    constructor(message, { mismatch = null, report = null } = {}) {
+        super(message);
+        this.name = 'EchoMismatchError';
+        this.mismatch = mismatch;
+        this.report = report;
+    }
+}
+
+export class SerialAdapter extends Transport {
+    static ECHO_MODES = ['byte', 'packet'];
+
     constructor({
         port = null,
         byteSleep = 25,
         packetSleep = 250,
-        verbose = false
+        verbose = false,
+        verifyEcho = false,
+        echoTimeout = 1000,
+        echoRetries = 2,
+        packetTiming = true
     } = {}) {
+        super();
         this.port = port;
         this.byteSleep = byteSleep;
         this.packetSleep = packetSleep;
         this.verbose = verbose;
+        this.verifyEcho = SerialAdapter.normalizeEchoMode(verifyEcho);
+        this.echoTimeout = echoTimeout;
+        this.echoRetries = echoRetries;
+        this.packetTiming = packetTiming;
         this.writer = null;
         this.reader = null;
         this.isConnected = false;
+        this.echoBuffer = [];
+        this.pendingEchoRead = null;
+        this.lastTransferReport = null;
+    }
+    
+    // Echo verification mode: false, 'byte' (check after every byte) or 'packet' (check after every packet)
+    static normalizeEchoMode(verifyEcho) {
+        if (verifyEcho === true) {
+            return 'packet';
+        }
+        
+        if (!verifyEcho) {
+            return false;
+        }
+        
+        if (!SerialAdapter.ECHO_MODES.includes(verifyEcho)) {
+            throw new Error(`Invalid echo verification mode: ${verifyEcho} (expected 'byte' or 'packet')`);
+        }
+        
+        return verifyEcho;
     }
     
     // Static method to check Web Serial API support
@@ -122,6 +166,7 @@ export class SerialAdapter {
             this.reader = this.port.readable.getReader();
             
             this.isConnected = true;
+            this.emit('connect');
             
             if (this.verbose) {
                 console.log('Serial port connected successfully');
@@ -159,12 +204,20 @@ export class SerialAdapter {
                 this.reader = null;
             }
             
+            this.echoBuffer = [];
+            this.pendingEchoRead = null;
+            
             if (this.port && this.isConnected) {
                 await this.port.close();
             }
             
+            const wasConnected = this.isConnected;
             this.isConnected = false;
             
+            if (wasConnected) {
+                this.emit('disconnect');
+            }
+            
             if (this.verbose) {
                 console.log('Serial port disconnected');
             }
@@ -176,7 +229,11 @@ export class SerialAdapter {
     }
     
     // Write packets to the device
-    async write(packets) {
+    // With echo verification enabled, returns a transfer report and throws
+    // EchoMismatchError once a packet still mismatches after echoRetries resends.
+    // Emits 'packet' and 'progress' events; aborting options.signal stops after
+    // the current byte with TransferAbortedError and leaves the port open
+    async write(packets, { signal = null } = {}) {
         if (!this.isConnected || !this.writer) {
             throw new Error('Serial port not connected');
         }
@@ -185,18 +242,28 @@ export class SerialAdapter {
             throw new Error('Packets must be an array');
         }
         
+        const report = this.createTransferReport(packets.length);
+        this.lastTransferReport = report;
+        
         if (packets.length === 0) {
             if (this.verbose) {
                 console.log('No packets to write');
             }
-            return;
+            return report;
         }
         
         if (this.verbose) {
-            console.log(`Writing ${packets.length} packets`);
+            console.log(`Writing ${packets.length} packets${this.verifyEcho ? ` with ${this.verifyEcho} echo verification` : ''}`);
         }
         
+        // Drop any stale bytes so echoes line up with this transfer
+        this.echoBuffer = [];
+        
+        const progress = new TransferProgress(packets, { timingFor: packet => this.timingFor(packet) });
+        
         try {
+            Transport.throwIfAborted(signal);
+            
             for (let i = 0; i < packets.length; i++) {
                 const packet = packets[i];
                 
@@ -211,39 +278,60 @@ export class SerialAdapter {
                     continue;
                 }
                 
-                console.log(`🔌 SERIAL DEBUG: Writing packet ${i + 1}/${packets.length}: [${packet.join(', ')}]`);
                 if (this.verbose) {
                     console.log(`Writing packet ${i + 1}/${packets.length}: [${packet.join(', ')}]`);
                 }
                 
-                // Write each byte in the packet
-                for (let j = 0; j < packet.length; j++) {
-                    const byte = packet[j];
-                    
-                    if (typeof byte !== 'number' || byte < 0 || byte > 255 || !Number.isInteger(byte)) {
-                        throw new Error(`Invalid byte value at packet ${i}, position ${j}: ${byte}`);
-                    }
+                // Packets can ask for a longer pause or a different byte rate
+                const timing = this.timingFor(packet);
+                
+                for (let attempt = 1; ; attempt++) {
+                    this.recordPacket(packet);
+                    progress.startPacket(i);
+                    this.emit('packet', { index: i, total: packets.length, bytes: packet, attempt });
                     
                     try {
-                        console.log(`📡 SERIAL DEBUG: Writing byte ${j + 1}/${packet.length} of packet ${i + 1}: ${byte} (0x${byte.toString(16).padStart(2, '0')})`);
-                        await this.writer.write(new Uint8Array([byte]));
+                        await this.writePacket(packet, i, timing.byteSleep, { signal, progress });
+                        
+                        if (this.verifyEcho === 'packet') {
+                            await this.verifyEchoBytes(packet, i, null);
+                        }
+                        break;
+                        
                     } catch (error) {
-                        console.error(`❌ SERIAL DEBUG: Write failed at packet ${i + 1}, byte ${j + 1}:`, error);
-                        if (error.name === 'NetworkError') {
-                            throw new Error(`Device disconnected while writing packet ${i + 1}`);
+                        if (!(error instanceof EchoMismatchError)) {
+                            throw error;
                         }
-                        throw new Error(`Write failed at packet ${i + 1}, byte ${j + 1}: ${error.message}`);
-                    }
-                    
-                    // Sleep between bytes if configured
-                    if (this.byteSleep > 0) {
-                        await this.sleep(this.byteSleep);
+                        
+                        report.mismatches.push({ ...error.mismatch, attempt });
+                        
+                        if (attempt > this.echoRetries) {
+                            report.aborted = true;
+                            error.report = report;
+                            error.message = `${error.message} (gave up after ${attempt} attempts)`;
+                            throw error;
+                        }
+                        
+                        report.retries++;
+                        
+                        if (this.verbose) {
+                            console.log(`Echo mismatch on packet ${i + 1}, resending (attempt ${attempt + 1}/${this.echoRetries + 1})`);
+                        }
+                        
+                        // Let the line settle and discard any late echo before resending
+                        await this.sleep(timing.packetSleep, signal);
+                        this.echoBuffer = [];
                     }
                 }
                 
+                report.packetsWritten++;
+                if (this.verifyEcho) {
+                    report.packetsVerified++;
+                }
+                
                 // Sleep between packets if configured
-                if (this.packetSleep > 0 && i < packets.length - 1) {
-                    await this.sleep(this.packetSleep);
+                if (timing.packetSleep > 0 && i < packets.length - 1) {
+                    await this.sleep(timing.packetSleep, signal);
                 }
             }
             
@@ -251,15 +339,178 @@ export class SerialAdapter {
                 console.log('All packets written successfully');
             }
             
+            return report;
+            
         } catch (error) {
+            report.aborted = true;
+            
+            // A cancelled transfer is not a device error; the port stays usable
+            if (error instanceof TransferAbortedError) {
+                error.report = report;
+                if (this.verbose) {
+                    console.log(`Transfer aborted after ${report.packetsWritten}/${packets.length} packets`);
+                }
+                throw error;
+            }
+            
             // If we encounter an error, mark as disconnected
             if (error.message.includes('Device disconnected')) {
                 this.isConnected = false;
             }
+            this.emit('error', error);
             throw error;
         }
     }
     
+    // Write the bytes of one packet, checking each echo in 'byte' mode
+    // After a mismatch the rest of the packet is still sent, so the watch never
+    // joins a partial packet with the resend; the first mismatch is thrown
+    // once the whole packet is out
+    async writePacket(packet, packetIndex, byteSleep = this.byteSleep, { signal = null, progress = null } = {}) {
+        let mismatch = null;
+        
+        for (let j = 0; j < packet.length; j++) {
+            const byte = packet[j];
+            Transport.throwIfAborted(signal);
+            
+            if (typeof byte !== 'number' || byte < 0 || byte > 255 || !Number.isInteger(byte)) {
+                throw new Error(`Invalid byte value at packet ${packetIndex}, position ${j}: ${byte}`);
+            }
+            
+            try {
+                if (this.verbose) {
+                    console.log(`Writing byte ${j + 1}/${packet.length} of packet ${packetIndex + 1}: 0x${byte.toString(16).padStart(2, '0')}`);
+                }
+                await this.writer.write(new Uint8Array([byte]));
+            } catch (error) {
+                if (error.name === 'NetworkError') {
+                    throw new Error(`Device disconnected while writing packet ${packetIndex + 1}`);
+                }
+                throw new Error(`Write failed at packet ${packetIndex + 1}, byte ${j + 1}: ${error.message}`);
+            }
+            
+            if (progress) {
+                progress.addBytes(1);
+                this.emit('progress', progress.snapshot());
+            }
+            
+            if (this.verifyEcho === 'byte') {
+                try {
+                    await this.verifyEchoBytes([byte], packetIndex, j);
+                } catch (error) {
+                    if (!(error instanceof EchoMismatchError)) {
+                        throw error;
+                    }
+                    mismatch = mismatch || error;
+                }
+            }
+            
+            // Sleep between bytes if configured
+            if (byteSleep > 0) {
+                await this.sleep(byteSleep, signal);
+            }
+        }
+        
+        if (mismatch) {
+            throw mismatch;
+        }
+    }
+    
+    // Read back the echo of bytes just written and compare it to what was sent
+    async verifyEchoBytes(expected, packetIndex, position) {
+        const received = await this.readEcho(expected.length);
+        const matches = received.length === expected.length &&
+            expected.every((byte, index) => received[index] === byte);
+        
+        if (matches) {
+            return;
+        }
+        
+        const location = position === null ? `packet ${packetIndex + 1}` : `packet ${packetIndex + 1}, byte ${position + 1}`;
+        const detail = received.length < expected.length
+            ? `expected ${expected.length} echo bytes, received ${received.length} within ${this.echoTimeout}ms`
+            : `sent [${expected.join(', ')}], echoed [${received.join(', ')}]`;
+        
+        throw new EchoMismatchError(`Echo mismatch at ${location}: ${detail}`, {
+            mismatch: {
+                packet: packetIndex + 1,
+                position: position === null ? null : position + 1,
+                expected: [...expected],
+                received
+            }
+        });
+    }
+    
+    // Read up to count echoed bytes, waiting at most echoTimeout
+    // A read still pending at timeout is kept so its bytes land in the next echo
+    async readEcho(count) {
+        if (!this.reader) {
+            throw new Error('Serial port not connected');
+        }
+        
+        const deadline = Date.now() + this.echoTimeout;
+        
+        while (this.echoBuffer.length < count) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                break;
+            }
+            
+            if (!this.pendingEchoRead) {
+                this.pendingEchoRead = this.reader.read();
+            }
+            
+            let timer;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(() => resolve(null), remaining);
+            });
+            
+            let result;
+            try {
+                result = await Promise.race([this.pendingEchoRead, timeout]);
+            } catch (error) {
+                this.pendingEchoRead = null;
+                if (error.name === 'NetworkError') {
+                    this.isConnected = false;
+                    throw new Error('Device disconnected while reading echo');
+                }
+                throw new Error(`Echo read failed: ${error.message}`);
+            } finally {
+                clearTimeout(timer);
+            }
+            
+            if (result === null) {
+                break;
+            }
+            
+            this.pendingEchoRead = null;
+            
+            if (result.done) {
+                break;
+            }
+            
+            if (result.value) {
+                this.echoBuffer.push(...Array.from(result.value));
+                this.emit('data', Array.from(result.value));
+            }
+        }
+        
+        return this.echoBuffer.splice(0, count);
+    }
+    
+    // Per-transfer report filled in by write()
+    createTransferReport(packetCount) {
+        return {
+            verifyEcho: this.verifyEcho,
+            packetCount,
+            packetsWritten: 0,
+            packetsVerified: 0,
+            retries: 0,
+            mismatches: [],
+            aborted: false
+        };
+    }
+    
     // Read data from the device
     async read(timeout = 5000) {
         if (!this.isConnected || !this.reader) {
@@ -289,6 +540,7 @@ export class SerialAdapter {
                 
                 if (value && value.length > 0) {
                     data.push(...Array.from(value));
+                    this.emit('data', Array.from(value));
                     
                     if (this.verbose) {
                         console.log(`Read ${value.length} bytes: [${Array.from(value).join(', ')}]`);
@@ -396,6 +648,7 @@ export class SerialAdapter {
                 this.isConnected = false;
                 this.writer = null;
                 this.reader = null;
+                this.emit('disconnect', event);
                 
                 if (this.verbose) {
                     console.log('Device disconnected');
@@ -431,9 +684,9 @@ export class SerialAdapter {
         };
     }
     
-    // Sleep utility function
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Sleep utility function; an aborted signal ends the sleep early
+    sleep(ms, signal = null) {
+        return Transport.delay(ms, signal);
     }
     
     // Get current configuration
@@ -442,12 +695,16 @@ export class SerialAdapter {
             byteSleep: this.byteSleep,
             packetSleep: this.packetSleep,
             verbose: this.verbose,
+            verifyEcho: this.verifyEcho,
+            echoTimeout: this.echoTimeout,
+            echoRetries: this.echoRetries,
+            packetTiming: this.packetTiming,
             isConnected: this.isConnected
         };
     }
     
     // Update configuration
-    updateConfig({ byteSleep, packetSleep, verbose }) {
+    updateConfig({ byteSleep, packetSleep, verbose, verifyEcho, echoTimeout, echoRetries, packetTiming }) {
         if (byteSleep !== undefined) {
             this.byteSleep = Math.max(0, byteSleep);
         }
@@ -457,6 +714,18 @@ export class SerialAdapter {
         if (verbose !== undefined) {
             this.verbose = Boolean(verbose);
         }
+        if (verifyEcho !== undefined) {
+            this.verifyEcho = SerialAdapter.normalizeEchoMode(verifyEcho);
+        }
+        if (echoTimeout !== undefined) {
+            this.echoTimeout = Math.max(0, echoTimeout);
+        }
+        if (echoRetries !== undefined) {
+            this.echoRetries = Math.max(0, echoRetries);
+        }
+        if (packetTiming !== undefined) {
+            this.packetTiming = Boolean(packetTiming);
+        }
         
         if (this.verbose) {
             console.log('Configuration updated:', this.getConfig());
@@ -0,0 +1,580 @@
+/**
+ * Timex Datalink Command-Line Interface
+ *
+ * Encodes a profile (JSON sync data or a watch profile, see README) with
+ * ProtocolFactory and validates it, prints its packets, estimates the transfer
+ * time or sends it to a serial port or file. Node.js only: used by
+ * bin/timex-datalink.js.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { TimexDatalinkClient } from './timex-datalink-client.js';
+import { ProtocolFactory } from './protocol-factory.js';
+import { protocolRegistry } from './protocol-registry.js';
+import { NodeSerialTransport } from './node-serial-transport.js';
+import { FileSinkTransport } from './file-sink-transport.js';
+import PacketTiming from './helpers/packet-timing.js';
+import { TransferProgress } from './transfer-progress.js';
+import { WatchProfile } from './watch-profile.js';
+
+export class TimexDatalinkCli {
+  static COMMANDS = ['validate', 'packets', 'estimate', 'send'];
+
+  static DEFAULT_PROTOCOL = 3;
+
+  /**
+   * EEPROM sync data keys built from item components
+   */
+  static EEPROM_ITEMS = {
+    appointments: 'Appointment',
+    anniversaries: 'Anniversary',
+    phoneNumbers: 'PhoneNumber',
+    lists: 'List'
+  };
+
+  static OPTIONS = {
+    protocol: { type: 'string', short: 'p' },
+    port: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string', default: 'hex' },
+    baud: { type: 'string', default: '9600' },
+    'byte-sleep': { type: 'string', default: '25' },
+    'packet-sleep': { type: 'string', default: '250' },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  };
+
+  static USAGE = `Usage: timex-datalink <command> <profile.json> [options]
+
+Commands:
+  validate   Check the profile and report every invalid component
+  packets    Print the encoded packets (--format hex|json)
+  estimate   Estimate the transfer time
+  send       Transmit to --port <device> or --output <file>
+
+Options:
+  -p, --protocol <n>      Protocol version (default: profile "protocol" or ${TimexDatalinkCli.DEFAULT_PROTOCOL})
+      --port <device>     Serial device, e.g. /dev/ttyUSB0
+  -o, --output <file>     Write packets to a file (.hex/.txt as text, otherwise binary)
+      --format <format>   Packet output format for "packets" (default: hex)
+      --baud <rate>       Serial baud rate (default: 9600)
+      --byte-sleep <ms>   Delay after each byte (default: 25)
+      --packet-sleep <ms> Delay after each packet (default: 250)
+  -v, --verbose           Log transfer details
+  -h, --help              Show this help
+`;
+
+  /**
+   * Run the command-line tool
+   * @param {Array<string>} argv - Arguments after the program name
+   * @param {Object} io - Output streams
+   * @param {Object} io.stdout - Stream for results
+   * @param {Object} io.stderr - Stream for errors
+   * @returns {Promise<number>} Process exit code
+   */
+  static async run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    let parsed;
+
+    try {
+      parsed = this.parseArguments(argv);
+    } catch (error) {
+      stderr.write(`${error.message}\n\n${this.USAGE}`);
+      return 2;
+    }
+
+    const { values, positionals: [command, profilePath, ...extra] } = parsed;
+
+    if (values.help) {
+      stdout.write(this.USAGE);
+      return 0;
+    }
+
+    if (!this.COMMANDS.includes(command) || !profilePath || extra.length > 0) {
+      stderr.write(`${command && !this.COMMANDS.includes(command) ? `Unknown command: ${command}\n\n` : ''}${this.USAGE}`);
+      return 2;
+    }
+
+    try {
+      const options = this.parseOptions(values);
+      const profile = await this.loadProfile(profilePath);
+      const protocol = options.protocol ?? profile.protocol ?? this.DEFAULT_PROTOCOL;
+      const context = { protocol, profile, baseDir: dirname(resolve(profilePath)), options, stdout };
+
+      switch (command) {
+        case 'validate':
+          return await this.validate(context);
+        case 'packets':
+          return await this.printPackets(context);
+        case 'estimate':
+          return await this.estimate(context);
+        case 'send':
+          return await this.send(context);
+      }
+    } catch (error) {
+      stderr.write(`Error: ${error.message}\n`);
+      return 1;
+    }
+  }
+
+  /**
+   * Split arguments into option values and positionals by OPTIONS; accepts
+   * --name value, --name=value, -x value and "--" before positionals
+   * @param {Array<string>} argv - Arguments after the program name
+   * @returns {Object} Option values and positionals
+   */
+  static parseArguments(argv) {
+    const values = {};
+    const positionals = [];
+    const shortNames = Object.fromEntries(
+      Object.entries(this.OPTIONS).filter(([, option]) => option.short).map(([name, option]) => [option.short, name])
+    );
+
+    for (const [name, option] of Object.entries(this.OPTIONS)) {
+      if (option.default !== undefined) {
+        values[name] = option.default;
+      }
+    }
+
+    for (let index = 0; index < argv.length; index++) {
+      const arg = argv[index];
+
+      if (arg === '--') {
+        positionals.push(...argv.slice(index + 1));
+        break;
+      }
+
+      if (!arg.startsWith('-') || arg === '-') {
+        positionals.push(arg);
+        continue;
+      }
+
+      const [flag, inlineValue] = arg.startsWith('--') ? arg.slice(2).split(/=(.*)/s) : [arg.slice(1)];
+      const name = arg.startsWith('--') ? flag : shortNames[flag];
+      const option = this.OPTIONS[name];
+
+      if (!option) {
+        throw new Error(`Unknown option '${arg}'`);
+      }
+
+      if (option.type === 'boolean') {
+        if (inlineValue !== undefined) {
+          throw new Error(`Option '--${name}' does not take an argument`);
+        }
+        values[name] = true;
+      } else if (inlineValue !== undefined) {
+        values[name] = inlineValue;
+      } else if (index + 1 < argv.length) {
+        values[name] = argv[++index];
+      } else {
+        throw new Error(`Option '--${name} <value>' argument missing`);
+      }
+    }
+
+    return { values, positionals };
+  }
+
+  /**
+   * Convert parsed option strings to numbers and check them
+   * @param {Object} values - Values from parseArguments
+   * @returns {Object} Options
+   */
+  static parseOptions(values) {
+    const number = (name, { min = 0 } = {}) => {
+      const value = Number(values[name]);
+      if (!Number.isFinite(value) || value < min) {
+        throw new Error(`--${name} must be a number of at least ${min}, got "${values[name]}"`);
+      }
+      return value;
+    };
+
+    if (!['hex', 'json'].includes(values.format)) {
+      throw new Error(`--format must be hex or json, got "${values.format}"`);
+    }
+
+    return {
+      protocol: values.protocol === undefined ? undefined : number('protocol', { min: 1 }),
+      port: values.port,
+      output: values.output,
+      format: values.format,
+      baudRate: number('baud', { min: 1 }),
+      byteSleep: number('byte-sleep'),
+      packetSleep: number('packet-sleep'),
+      verbose: values.verbose
+    };
+  }
+
+  /**
+   * Read a profile file
+   * @param {string} path - Path to a JSON profile
+   * @returns {Promise<Object>} Profile
+   */
+  static async loadProfile(path) {
+    let text;
+    try {
+      text = await readFile(path, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read profile ${path}: ${error.message}`);
+    }
+
+    let profile;
+    try {
+      profile = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Profile ${path} is not valid JSON: ${error.message}`);
+    }
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`Profile ${path} must contain a JSON object`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Get the protocol class for a version
+   * @param {number} protocol - Protocol version
+   * @returns {class} Protocol class
+   */
+  static getProtocolClass(protocol) {
+    const ProtocolClass = protocolRegistry.getProtocol(protocol);
+
+    if (!ProtocolClass) {
+      const versions = protocolRegistry.getAllProtocols().map(Protocol => Protocol.VERSION).join(', ');
+      throw new Error(`Protocol not found: ${protocol} (available: ${versions})`);
+    }
+
+    return ProtocolClass;
+  }
+
+  /**
+   * Profile keys and the workflow components they create
+   * @param {class} ProtocolClass - Protocol class
+   * @returns {Map<string, string>} Sync data key to component name
+   */
+  static profileKeys(ProtocolClass) {
+    const components = ProtocolClass.getComponents();
+    const keys = new Map();
+
+    for (const componentName of ProtocolFactory.WORKFLOW_ORDER.filter(name => name in components)) {
+      keys.set(componentName.charAt(0).toLowerCase() + componentName.slice(1), componentName);
+      keys.set(componentName.toLowerCase(), componentName);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Parse a profile time: "now", "HH:MM" (today) or an ISO 8601 date
+   * @param {string} value - Time string
+   * @returns {Date} Parsed time
+   */
+  static parseTime(value) {
+    if (value === 'now') {
+      return new Date();
+    }
+
+    const clock = /^(\d{1,2}):(\d{2})$/.exec(value);
+    if (clock) {
+      const time = new Date();
+      time.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+      return time;
+    }
+
+    const time = new Date(value);
+    if (isNaN(time.getTime())) {
+      throw new Error(`Invalid time "${value}" (use "now", "HH:MM" or an ISO 8601 date)`);
+    }
+    return time;
+  }
+
+  /**
+   * Turn one profile entry into component options: parse times, load
+   * zapFile/spcFile paths and build EEPROM item components
+   * @param {Object} entry - Profile entry
+   * @param {class} ProtocolClass - Protocol class
+   * @param {string} baseDir - Directory that file paths are relative to
+   * @returns {Promise<Object>} Component options
+   */
+  static async prepareEntry(entry, ProtocolClass, baseDir) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return entry;
+    }
+
+    const prepared = { ...entry };
+
+    if (typeof prepared.time === 'string') {
+      prepared.time = this.parseTime(prepared.time);
+    }
+
+    if (typeof prepared.zapFile === 'string') {
+      prepared.zapFile = await readFile(resolve(baseDir, prepared.zapFile), 'latin1');
+    }
+
+    if (typeof prepared.spcFile === 'string') {
+      prepared.spcFile = new Uint8Array(await readFile(resolve(baseDir, prepared.spcFile)));
+    }
+
+    const components = ProtocolClass.getComponents();
+
+    for (const [key, componentName] of Object.entries(this.EEPROM_ITEMS)) {
+      if (!Array.isArray(prepared[key]) || !components[componentName]) {
+        continue;
+      }
+
+      const items = [];
+      for (const [index, item] of prepared[key].entries()) {
+        try {
+          items.push(new components[componentName](await this.prepareEntry(item, ProtocolClass, baseDir)));
+        } catch (error) {
+          throw new Error(`${key}[${index}]: ${error.message}`);
+        }
+      }
+      prepared[key] = items;
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Turn a profile into sync data for ProtocolFactory.createSyncWorkflow
+   * @param {Object} profile - Profile
+   * @param {class} ProtocolClass - Protocol class
+   * @param {string} baseDir - Directory that file paths are relative to
+   * @returns {Promise<Object>} Sync data
+   */
+  static async prepareSyncData(profile, ProtocolClass, baseDir) {
+    const syncData = {};
+
+    for (const [key, value] of Object.entries(profile)) {
+      if (key === 'protocol') {
+        continue;
+      }
+
+      if (Array.isArray(value)) {
+        syncData[key] = [];
+        for (const entry of value) {
+          syncData[key].push(await this.prepareEntry(entry, ProtocolClass, baseDir));
+        }
+      } else {
+        syncData[key] = await this.prepareEntry(value, ProtocolClass, baseDir);
+      }
+    }
+
+    return syncData;
+  }
+
+  /**
+   * Compile a watch profile, loading a wristApp zapFile path relative to it
+   * @param {Object} profile - Watch profile
+   * @param {class} ProtocolClass - Protocol class
+   * @param {string} baseDir - Directory that file paths are relative to
+   * @returns {Promise<Object>} Workflow components and unsupported fields
+   */
+  static async compileWatchProfile(profile, ProtocolClass, baseDir) {
+    WatchProfile.assertValid(profile);
+
+    let prepared = profile;
+    if (typeof profile.wristApp?.zapFile === 'string') {
+      const zapFile = await readFile(resolve(baseDir, profile.wristApp.zapFile), 'latin1');
+      prepared = { ...profile, wristApp: { ...profile.wristApp, zapFile } };
+    }
+
+    return WatchProfile.compile(prepared, ProtocolClass);
+  }
+
+  /**
+   * Compile a profile into packets
+   * @param {Object} context - Command context
+   * @returns {Promise<Object>} Workflow components, packets and, for watch
+   *   profiles, the fields the protocol cannot carry
+   */
+  static async compile({ protocol, profile, baseDir }) {
+    const ProtocolClass = this.getProtocolClass(protocol);
+    let models;
+    let unsupported = [];
+
+    if (WatchProfile.isWatchProfile(profile)) {
+      ({ components: models, unsupported } = await this.compileWatchProfile(profile, ProtocolClass, baseDir));
+    } else {
+      const syncData = await this.prepareSyncData(profile, ProtocolClass, baseDir);
+      models = ProtocolFactory.createSyncWorkflow(ProtocolClass, syncData, { strict: true });
+    }
+
+    const client = new TimexDatalinkClient({ models });
+
+    return { models, packets: client.packets(), unsupported };
+  }
+
+  /**
+   * Lines listing the watch profile fields a protocol cannot carry
+   * @param {Array<Object>} unsupported - { field, reason } entries
+   * @param {class} ProtocolClass - Protocol class
+   * @returns {string} Text, empty when everything fits
+   */
+  static formatUnsupported(unsupported, ProtocolClass) {
+    if (unsupported.length === 0) {
+      return '';
+    }
+
+    return `Not carried by ${ProtocolClass.NAME}:\n${unsupported.map(({ field, reason }) => `  - ${field}: ${reason}\n`).join('')}`;
+  }
+
+  /**
+   * Report every invalid profile entry instead of stopping at the first
+   * @param {Object} context - Command context
+   * @returns {Promise<number>} Exit code
+   */
+  static async validate({ protocol, profile, baseDir, stdout }) {
+    const ProtocolClass = this.getProtocolClass(protocol);
+
+    if (WatchProfile.isWatchProfile(profile)) {
+      const errors = WatchProfile.validate(profile);
+      if (errors.length > 0) {
+        stdout.write(`Watch profile is invalid:\n${errors.map(({ path, message }) => `  - ${path} ${message}\n`).join('')}`);
+        return 1;
+      }
+
+      const { packets, unsupported } = await this.compile({ protocol, profile, baseDir });
+      stdout.write(`Watch profile is valid for ${ProtocolClass.NAME}: ${packets.length} packets\n`);
+      stdout.write(this.formatUnsupported(unsupported, ProtocolClass));
+      return 0;
+    }
+
+    const profileKeys = this.profileKeys(ProtocolClass);
+    const errors = [];
+
+    for (const [key, value] of Object.entries(profile)) {
+      if (key === 'protocol') {
+        continue;
+      }
+
+      if (!profileKeys.has(key)) {
+        const expected = [...new Set(profileKeys.values())]
+          .map(name => name.charAt(0).toLowerCase() + name.slice(1));
+        errors.push(`${key}: not a ${ProtocolClass.NAME} component (expected one of ${expected.join(', ')})`);
+        continue;
+      }
+
+      const entries = Array.isArray(value) ? value : [value];
+      for (const [index, entry] of entries.entries()) {
+        const label = Array.isArray(value) ? `${key}[${index}]` : key;
+        try {
+          const syncData = { [key]: await this.prepareEntry(entry, ProtocolClass, baseDir) };
+          const models = ProtocolFactory.createSyncWorkflow(ProtocolClass, syncData, { strict: true });
+          new TimexDatalinkClient({ models }).packets();
+        } catch (error) {
+          errors.push(`${label}: ${error.message}`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      stdout.write(`Profile is invalid for ${ProtocolClass.NAME}:\n${errors.map(error => `  - ${error}\n`).join('')}`);
+      return 1;
+    }
+
+    const { packets } = await this.compile({ protocol, profile, baseDir });
+    stdout.write(`Profile is valid for ${ProtocolClass.NAME}: ${packets.length} packets\n`);
+    return 0;
+  }
+
+  /**
+   * Print packets, one hex line per packet or a JSON array
+   * @param {Object} context - Command context
+   * @returns {Promise<number>} Exit code
+   */
+  static async printPackets(context) {
+    const { packets } = await this.compile(context);
+
+    if (context.options.format === 'json') {
+      context.stdout.write(`${JSON.stringify(packets)}\n`);
+    } else {
+      context.stdout.write(packets.map(packet => `${FileSinkTransport.formatHex(packet)}\n`).join(''));
+    }
+    return 0;
+  }
+
+  /**
+   * Estimate transfer time over a serial port: every byte takes its line time
+   * (10 bits at the baud rate) plus byteSleep, and packetSleep separates packets,
+   * both adjusted by the timing requirements attached to each packet
+   * @param {Array<Array<number>>} packets - Packets to send
+   * @param {Object} timing - Timing options
+   * @returns {Object} Byte count and duration in milliseconds
+   */
+  static estimateTransfer(packets, { baudRate = 9600, byteSleep = 25, packetSleep = 250 } = {}) {
+    return TransferProgress.estimate(packets, {
+      timingFor: packet => PacketTiming.resolve(packet, { byteSleep, packetSleep }),
+      byteDuration: 10000 / baudRate
+    });
+  }
+
+  /**
+   * Print the estimated transfer time
+   * @param {Object} context - Command context
+   * @returns {Promise<number>} Exit code
+   */
+  static async estimate(context) {
+    const { packets } = await this.compile(context);
+    const { baudRate, byteSleep, packetSleep } = context.options;
+    const estimate = this.estimateTransfer(packets, { baudRate, byteSleep, packetSleep });
+
+    context.stdout.write(
+      `${estimate.packets} packets, ${estimate.bytes} bytes: about ${(estimate.duration / 1000).toFixed(1)}s ` +
+      `(byte sleep ${byteSleep}ms, packet sleep ${packetSleep}ms, ${baudRate} baud)\n`
+    );
+    return 0;
+  }
+
+  /**
+   * Create the transport for --port or --output
+   * @param {Object} options - Parsed options
+   * @returns {Transport} Transport
+   */
+  static createTransport({ port, output, baudRate, byteSleep, packetSleep, verbose }) {
+    if (port && output) {
+      throw new Error('Use either --port or --output, not both');
+    }
+
+    if (port) {
+      return new NodeSerialTransport({ path: port, baudRate, byteSleep, packetSleep, verbose });
+    }
+
+    if (output) {
+      return new FileSinkTransport({ path: output, verbose });
+    }
+
+    throw new Error('send needs --port <device> or --output <file>');
+  }
+
+  /**
+   * Send the profile through a transport
+   * @param {Object} context - Command context
+   * @returns {Promise<number>} Exit code
+   */
+  static async send(context) {
+    const { options, stdout } = context;
+    const transport = this.createTransport(options);
+    const { models, unsupported } = await this.compile(context);
+
+    stdout.write(this.formatUnsupported(unsupported, this.getProtocolClass(context.protocol)));
+    await transport.connect();
+
+    try {
+      const client = new TimexDatalinkClient({
+        serialDevice: transport,
+        models,
+        byteSleep: options.byteSleep,
+        packetSleep: options.packetSleep,
+        verbose: options.verbose
+      });
+      const result = await client.write();
+
+      stdout.write(`Sent ${result.packetsWritten} packets to ${options.port || options.output}\n`);
+    } finally {
+      await transport.disconnect();
+    }
+    return 0;
+  }
+}
\ No newline at end of file
@@ -2,6 +2,8 @@
 // JavaScript port of the Ruby TimexDatalinkClient
 
 import { SerialAdapter } from './serial-adapter.js';
+import { Transport, TransferAbortedError } from './transport.js';
+import { PacketCapture } from './packet-capture.js';
 import { protocolManager } from './protocol-manager.js';
 
 export class TimexDatalinkClient {
@@ -12,10 +14,12 @@ export class TimexDatalinkClient {
         packetSleep = 250,
         verbose = false,
         protocol = null,
-        deviceInfo = {}
+        deviceInfo = {},
+        watchState = null,
+        watchId = null
     } = {}) {
-        // Handle both SerialAdapter instances and raw serial ports
-        if (serialDevice instanceof SerialAdapter) {
+        // Handle transports (SerialAdapter, NodeSerialTransport, ScreenTransmitter) and raw serial ports
+        if (Transport.isTransport(serialDevice)) {
             this.serialAdapter = serialDevice;
         } else if (serialDevice && typeof serialDevice === 'object' && 'open' in serialDevice) {
             // Create SerialAdapter from raw Web Serial API port
@@ -40,6 +44,11 @@ export class TimexDatalinkClient {
         this.deviceInfo = deviceInfo;
         this.protocolInstance = null;
         
+        // Shadow copy of what the watch holds, updated after every successful
+        // write (see watch-state.js); watchId null keeps one state per protocol
+        this.watchState = watchState;
+        this.watchId = watchId;
+        
         if (this.verbose) {
             console.log('TimexDatalinkClient initialized with:', {
                 hasSerialDevice: !!serialDevice,
@@ -123,7 +132,10 @@ export class TimexDatalinkClient {
     }
     
     // Write data to the device using SerialAdapter
-    async write() {
+    // onPacket/onProgress receive the transport's 'packet' and 'progress'
+    // events (see transfer-progress.js); aborting signal stops the transfer
+    // with TransferAbortedError and leaves the transport connected
+    async write({ signal = null, onPacket = null, onProgress = null } = {}) {
         if (!this.serialAdapter) {
             throw new Error('No serial adapter configured - cannot write to device');
         }
@@ -155,20 +167,21 @@ export class TimexDatalinkClient {
         
         if (this.verbose) {
             console.log(`Writing ${packets.length} packets to device`);
-            console.log('Packet summary:', packets.map((packet, i) => `${i + 1}: [${packet.slice(0, 8).join(', ')}${packet.length > 8 ? '...' : ''}] (${packet.length} bytes)`));
+            packets.forEach((packet, i) => {
+                console.log(`📤 Packet ${i + 1}/${packets.length}: [${packet.join(', ')}] (${packet.length} bytes)`);
+            });
         }
         
-        // Always log sync data being sent (for debugging)
-        console.log('🔄 SYNC DEBUG: Sending data to serial port');
-        console.log(`📦 Total packets: ${packets.length}`);
-        packets.forEach((packet, i) => {
-            console.log(`📤 Packet ${i + 1}/${packets.length}: [${packet.join(', ')}] (${packet.length} bytes)`);
-        });
+        const canListen = typeof this.serialAdapter.on === 'function';
+        if (canListen && onPacket) {
+            this.serialAdapter.on('packet', onPacket);
+        }
+        if (canListen && onProgress) {
+            this.serialAdapter.on('progress', onProgress);
+        }
         
         try {
-            console.log('🚀 SYNC DEBUG: Starting serial write operation...');
-            await this.serialAdapter.write(packets);
-            console.log('✅ SYNC DEBUG: Serial write completed successfully');
+            const transferReport = await this.serialAdapter.write(packets, { signal });
             
             if (this.verbose) {
                 console.log('Write operation completed successfully');
@@ -177,15 +190,31 @@ export class TimexDatalinkClient {
             return {
                 success: true,
                 packetsWritten: packets.length,
-                message: 'Write operation completed successfully'
+                message: 'Write operation completed successfully',
+                transferReport: transferReport || null,
+                watchState: this.watchState ? this.recordWatchState() : null
             };
             
         } catch (error) {
+            if (error instanceof TransferAbortedError) {
+                error.transferReport = error.report;
+                throw error;
+            }
+            
             const errorMsg = `Write operation failed: ${error.message}`;
             if (this.verbose) {
                 console.error(errorMsg);
             }
-            throw new Error(errorMsg);
+            const writeError = new Error(errorMsg);
+            writeError.transferReport = error.report || this.serialAdapter.lastTransferReport || null;
+            throw writeError;
+        } finally {
+            if (canListen && onPacket) {
+                this.serialAdapter.off('packet', onPacket);
+            }
+            if (canListen && onProgress) {
+                this.serialAdapter.off('progress', onProgress);
+            }
         }
     }
     
@@ -272,6 +301,66 @@ export class TimexDatalinkClient {
         }
     }
     
+    // Remember the written models as the watch's last known state; a model
+    // that is not a protocol component leaves the state as it was
+    recordWatchState() {
+        try {
+            return this.watchState.record(this.watchId, this.models, { protocol: this.protocol });
+        } catch (error) {
+            console.warn(`Watch state not recorded: ${error.message}`);
+            return null;
+        }
+    }
+    
+    // Record every packet written from now on, see lib/packet-capture.js
+    startCapture() {
+        if (!this.serialAdapter || typeof this.serialAdapter.startCapture !== 'function') {
+            throw new Error('Serial adapter does not support packet capture');
+        }
+        
+        return this.serialAdapter.startCapture({ protocol: this.protocol });
+    }
+    
+    // Stop recording and return the capture
+    stopCapture() {
+        if (!this.serialAdapter || typeof this.serialAdapter.stopCapture !== 'function') {
+            return null;
+        }
+        
+        return this.serialAdapter.stopCapture();
+    }
+    
+    // Re-send a capture (PacketCapture, capture file text or parsed JSON) with its original timing
+    async replay(capture, options = {}) {
+        if (!this.serialAdapter) {
+            throw new Error('No serial adapter configured - cannot replay capture');
+        }
+        
+        if (!this.serialAdapter.isPortConnected()) {
+            throw new Error('Serial adapter is not connected to device');
+        }
+        
+        const packetCapture = capture instanceof PacketCapture ? capture : PacketCapture.parse(capture);
+        
+        if (packetCapture.protocol !== null && this.protocol !== null && packetCapture.protocol !== this.protocol) {
+            console.warn(`Replaying a Protocol ${packetCapture.protocol} capture with Protocol ${this.protocol} selected`);
+        }
+        
+        if (this.verbose) {
+            console.log(`Replaying ${packetCapture.entries.length} packets over ${packetCapture.duration()}ms`);
+        }
+        
+        try {
+            return await packetCapture.replay(this.serialAdapter, options);
+        } catch (error) {
+            const errorMsg = `Replay failed: ${error.message}`;
+            if (this.verbose) {
+                console.error(errorMsg);
+            }
+            throw new Error(errorMsg);
+        }
+    }
+    
     // Add a model to the client
     addModel(model) {
         if (!model) {
@@ -330,9 +419,9 @@ export class TimexDatalinkClient {
         return this;
     }
     
-    // Set serial device (can be SerialAdapter or raw port)
+    // Set serial device (can be any Transport or a raw Web Serial port)
     setSerialDevice(serialDevice) {
-        if (serialDevice instanceof SerialAdapter) {
+        if (Transport.isTransport(serialDevice)) {
             this.serialAdapter = serialDevice;
         } else if (serialDevice && typeof serialDevice === 'object' && 'open' in serialDevice) {
             // Create SerialAdapter from raw Web Serial API port
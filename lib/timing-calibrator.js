@@ -0,0 +1,162 @@
+// Timing calibration wizard
+// Sends short test transfers at shrinking byteSleep/packetSleep and narrows
+// down to the fastest timings the watch still accepts reliably.
+//
+// Both timings are scaled by one factor from a starting point that is known to
+// work (a timing profile). The search checks minFactor first, then halves the
+// interval between the fastest failure and slowest success for a number of
+// steps. beforeTrial() runs before each test transfer, e.g. to have the user
+// put the watch into receive mode. A trial fails when the write throws (e.g. an echo mismatch that
+// survived the resends), when echo verification had to resend anything, or
+// when confirm() answers false. confirm() is where a UI asks whether the
+// watch showed the transfer as received. The result gets a safety margin on
+// top of the fastest passing factor.
+
+export class CalibrationError extends Error {
+    constructor(message, { trials = [] } = {}) {
+        super(message);
+        this.name = 'CalibrationError';
+        this.trials = trials;
+    }
+}
+
+export class TimingCalibrator {
+    constructor({
+        transport,
+        packets,
+        confirm = null,
+        beforeTrial = null,
+        steps = 4,
+        minFactor = 0.1,
+        margin = 0.25,
+        trialsPerStep = 1,
+        onTrial = null
+    } = {}) {
+        if (!transport) {
+            throw new Error('A transport is required for calibration');
+        }
+        if (!Array.isArray(packets) || packets.length === 0) {
+            throw new Error('Calibration needs test packets to send');
+        }
+
+        this.transport = transport;
+        this.packets = packets;
+        this.confirm = confirm;
+        this.beforeTrial = beforeTrial;
+        this.steps = steps;
+        this.minFactor = minFactor;
+        this.margin = margin;
+        this.trialsPerStep = trialsPerStep;
+        this.onTrial = onTrial;
+        this.trials = [];
+        this.cancelled = false;
+    }
+
+    // Timings for a speed factor of the starting timings
+    static scale({ byteSleep, packetSleep }, factor) {
+        return {
+            byteSleep: Math.round(byteSleep * factor),
+            packetSleep: Math.round(packetSleep * factor)
+        };
+    }
+
+    // Stop after the current trial
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Run the search and apply the result to the transport. Resolves to
+    // { byteSleep, packetSleep, factor, trials }; restores the original
+    // timings and throws CalibrationError when the starting timings fail or
+    // calibration is cancelled.
+    async calibrate(start = this.transport.getConfig()) {
+        if (!this.transport.isPortConnected()) {
+            throw new Error('Transport not connected');
+        }
+
+        const original = this.transport.getConfig();
+        const base = { byteSleep: start.byteSleep, packetSleep: start.packetSleep };
+        this.trials = [];
+        this.cancelled = false;
+
+        try {
+            if (!await this.passes(base, 1)) {
+                throw new CalibrationError(
+                    `Test transfer failed at the starting timings (byteSleep ${base.byteSleep}ms, packetSleep ${base.packetSleep}ms); try a slower profile`,
+                    { trials: this.trials }
+                );
+            }
+
+            let fastest = 1;
+            if (await this.passes(base, this.minFactor)) {
+                fastest = this.minFactor;
+            } else {
+                let slowestFailure = this.minFactor;
+                for (let step = 0; step < this.steps; step++) {
+                    const factor = (slowestFailure + fastest) / 2;
+                    if (await this.passes(base, factor)) {
+                        fastest = factor;
+                    } else {
+                        slowestFailure = factor;
+                    }
+                }
+            }
+
+            const factor = Math.min(1, fastest * (1 + this.margin));
+            const result = TimingCalibrator.scale(base, factor);
+            this.transport.updateConfig(result);
+
+            return { ...result, factor, trials: this.trials };
+        } catch (error) {
+            this.transport.updateConfig({ byteSleep: original.byteSleep, packetSleep: original.packetSleep });
+            throw error;
+        }
+    }
+
+    // Run trialsPerStep test transfers at a factor; all must pass
+    async passes(base, factor) {
+        for (let i = 0; i < this.trialsPerStep; i++) {
+            if (this.cancelled) {
+                throw new CalibrationError('Calibration cancelled', { trials: this.trials });
+            }
+
+            const timings = TimingCalibrator.scale(base, factor);
+            const trial = { ...timings, factor, passed: false, error: null };
+            this.transport.updateConfig(timings);
+
+            if (this.beforeTrial) {
+                await this.beforeTrial({ ...timings, factor, trial: this.trials.length + 1 });
+            }
+            if (this.cancelled) {
+                throw new CalibrationError('Calibration cancelled', { trials: this.trials });
+            }
+
+            try {
+                const report = await this.transport.write(this.packets);
+                trial.passed = !(report && report.retries > 0);
+                if (!trial.passed) {
+                    trial.error = `${report.retries} packet(s) resent after echo mismatches`;
+                }
+            } catch (error) {
+                trial.error = error.message;
+            }
+
+            if (trial.passed && this.confirm) {
+                trial.passed = Boolean(await this.confirm({ ...timings, factor, trial: this.trials.length + 1 }));
+                if (!trial.passed) {
+                    trial.error = 'Not confirmed';
+                }
+            }
+
+            this.trials.push(trial);
+            if (this.onTrial) {
+                this.onTrial(trial);
+            }
+
+            if (!trial.passed) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+// Named byteSleep/packetSleep timing profiles and per-port timing storage
+// Adapters differ in how fast they can forward bytes to the watch; start from
+// the profile for the adapter in use, then calibrate (see timing-calibrator.js)
+// and the result is remembered for that adapter's USB vendor/product IDs.
+
+export class TimingProfiles {
+    static STORAGE_KEY = 'timex_timing_profiles';
+    static SCREEN_PORT_KEY = 'screen';
+
+    static PROFILES = {
+        'notebook-adapter': {
+            name: 'Notebook Adapter',
+            description: 'Original Timex Notebook Adapter on a serial or USB-serial port',
+            byteSleep: 25,
+            packetSleep: 250
+        },
+        'arduino': {
+            name: 'Arduino/Teensy adapter',
+            description: 'Arduino and Teensy based Datalink adapters, which buffer bytes and can run faster',
+            byteSleep: 10,
+            packetSleep: 150
+        },
+        'screen': {
+            name: 'Screen blink',
+            description: 'Screen transmitter; bytes follow the refresh rate, so only packetSleep applies',
+            byteSleep: 0,
+            packetSleep: 250
+        },
+        'slow': {
+            name: 'Conservative',
+            description: 'Double the Notebook Adapter timing for unreliable setups',
+            byteSleep: 50,
+            packetSleep: 500
+        }
+    };
+
+    static DEFAULT_PROFILE = 'notebook-adapter';
+
+    // USB vendor IDs of boards used for Arduino/Teensy based adapters
+    static ARDUINO_VENDOR_IDS = [
+        0x2341, // Arduino
+        0x2a03, // Arduino (arduino.org)
+        0x16c0, // PJRC Teensy
+        0x1b4f  // SparkFun
+    ];
+
+    constructor({
+        storage = globalThis.localStorage ?? null,
+        storageKey = TimingProfiles.STORAGE_KEY
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+    }
+
+    // Profile by name, with its name as id
+    static get(id) {
+        const profile = TimingProfiles.PROFILES[id];
+        if (!profile) {
+            throw new Error(`Unknown timing profile: ${id} (expected one of ${Object.keys(TimingProfiles.PROFILES).join(', ')})`);
+        }
+        return { id, ...profile };
+    }
+
+    static list() {
+        return Object.keys(TimingProfiles.PROFILES).map(id => TimingProfiles.get(id));
+    }
+
+    // Profile id whose timings equal the given ones, or null for custom timings
+    static match({ byteSleep, packetSleep }) {
+        const entry = Object.entries(TimingProfiles.PROFILES)
+            .find(([, profile]) => profile.byteSleep === byteSleep && profile.packetSleep === packetSleep);
+        return entry ? entry[0] : null;
+    }
+
+    // Storage key for a port from its getPortInfo()/getInfo() USB IDs;
+    // null when the port has no USB IDs to tell it apart
+    static portKey(info) {
+        if (!info || info.usbVendorId === undefined || info.usbVendorId === null) {
+            return null;
+        }
+
+        const hex = id => (id ?? 0).toString(16).padStart(4, '0');
+        return `usb:${hex(info.usbVendorId)}:${hex(info.usbProductId)}`;
+    }
+
+    // Best starting profile for a port without saved timings
+    static suggest(info, portKey = TimingProfiles.portKey(info)) {
+        if (portKey === TimingProfiles.SCREEN_PORT_KEY) {
+            return 'screen';
+        }
+        return info && TimingProfiles.ARDUINO_VENDOR_IDS.includes(info.usbVendorId)
+            ? 'arduino'
+            : TimingProfiles.DEFAULT_PROFILE;
+    }
+
+    // Saved timings for a port key, or null
+    load(portKey) {
+        if (!portKey) {
+            return null;
+        }
+        return this.readAll()[portKey] ?? null;
+    }
+
+    // Saved timings for a port, or its suggested profile
+    resolve(info, portKey = TimingProfiles.portKey(info)) {
+        const saved = this.load(portKey);
+        if (saved) {
+            return { ...saved, saved: true };
+        }
+
+        const { id, byteSleep, packetSleep } = TimingProfiles.get(TimingProfiles.suggest(info, portKey));
+        return { profile: id, byteSleep, packetSleep, saved: false };
+    }
+
+    // Remember timings for a port; returns the saved entry or null without a key
+    save(portKey, { profile = null, byteSleep, packetSleep, calibrated = false }) {
+        if (!portKey) {
+            return null;
+        }
+
+        const entry = {
+            profile: profile ?? TimingProfiles.match({ byteSleep, packetSleep }),
+            byteSleep,
+            packetSleep,
+            calibrated,
+            savedAt: new Date().toISOString()
+        };
+
+        const all = this.readAll();
+        all[portKey] = entry;
+        this.writeAll(all);
+        return entry;
+    }
+
+    forget(portKey) {
+        const all = this.readAll();
+        delete all[portKey];
+        this.writeAll(all);
+    }
+
+    readAll() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading timing profiles:', error);
+            return {};
+        }
+    }
+
+    writeAll(all) {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving timing profiles:', error);
+        }
+    }
+}
\ No newline at end of file
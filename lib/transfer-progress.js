@@ -0,0 +1,115 @@
+// Transfer progress and ETA
+// Tracks how many bytes of a transfer have gone out and estimates the time
+// left from the timing settings: every byte takes its line time plus its
+// byteSleep, and packetSleep (raised by any packet timing) separates packets.
+//
+// Transports emit a snapshot() as the 'progress' event after each byte:
+//
+//   {
+//     packetIndex: 3,        // packet being sent
+//     packetCount: 40,
+//     bytesSent: 412,
+//     bytesTotal: 1630,
+//     bytesRemaining: 1218,
+//     elapsed: 18250,        // ms since the transfer started
+//     eta: 54100,            // estimated ms left
+//     percent: 25
+//   }
+
+export class TransferProgress {
+    // Line time of one byte at 9600 baud, 8N1 (10 bits), in ms
+    static SERIAL_BYTE_DURATION = 10000 / 9600;
+
+    constructor(packets, {
+        timingFor = () => ({ byteSleep: 0, packetSleep: 0 }),
+        byteDuration = TransferProgress.SERIAL_BYTE_DURATION,
+        now = () => Date.now()
+    } = {}) {
+        this.packets = packets;
+        this.now = now;
+        this.startTime = now();
+        this.packetIndex = -1;
+        this.packetBytesSent = 0;
+        this.bytesSent = 0;
+
+        // Per-byte cost and trailing gap of each packet, and the estimated
+        // time from the start of each packet to the end of the transfer.
+        // The last non-empty packet is found with a loop, as Node.js 16 has
+        // no Array.prototype.findLastIndex
+        let last = packets.length - 1;
+        while (last >= 0 && packets[last].length === 0) {
+            last--;
+        }
+        this.costs = packets.map((packet, i) => {
+            const { byteSleep, packetSleep } = timingFor(packet);
+            return {
+                byte: byteSleep + byteDuration,
+                gap: packet.length > 0 && i < last ? packetSleep : 0
+            };
+        });
+
+        this.remainingFrom = new Array(packets.length + 1).fill(0);
+        for (let i = packets.length - 1; i >= 0; i--) {
+            this.remainingFrom[i] = this.remainingFrom[i + 1] +
+                packets[i].length * this.costs[i].byte + this.costs[i].gap;
+        }
+
+        this.bytesTotal = packets.reduce((total, packet) => total + packet.length, 0);
+    }
+
+    // Packet count, byte count and estimated duration of a transfer
+    static estimate(packets, options = {}) {
+        const progress = new TransferProgress(packets, options);
+        return {
+            packets: packets.filter(packet => packet.length > 0).length,
+            bytes: progress.bytesTotal,
+            duration: progress.remainingFrom[0]
+        };
+    }
+
+    // A packet starts going out; starting the same packet again (a resend)
+    // takes back the bytes already counted for it
+    startPacket(index) {
+        if (index === this.packetIndex) {
+            this.bytesSent -= this.packetBytesSent;
+        } else {
+            this.bytesSent = this.bytesBefore(index);
+        }
+        this.packetIndex = index;
+        this.packetBytesSent = 0;
+    }
+
+    // Bytes of the current packet have gone out
+    addBytes(count = 1) {
+        this.packetBytesSent += count;
+        this.bytesSent += count;
+    }
+
+    bytesBefore(index) {
+        return this.packets.slice(0, index).reduce((total, packet) => total + packet.length, 0);
+    }
+
+    // Estimated ms left: the rest of the current packet, its gap and all later packets
+    eta() {
+        if (this.packetIndex < 0) {
+            return this.remainingFrom[0];
+        }
+
+        const i = this.packetIndex;
+        const packetLeft = (this.packets[i].length - this.packetBytesSent) * this.costs[i].byte;
+        return Math.round(packetLeft + this.costs[i].gap + this.remainingFrom[i + 1]);
+    }
+
+    snapshot() {
+        return {
+            packetIndex: Math.max(0, this.packetIndex),
+            packetCount: this.packets.length,
+            bytesSent: this.bytesSent,
+            bytesTotal: this.bytesTotal,
+            bytesRemaining: this.bytesTotal - this.bytesSent,
+            elapsed: this.now() - this.startTime,
+            eta: this.eta(),
+            percent: this.bytesTotal > 0 ? Math.round(this.bytesSent / this.bytesTotal * 100) : 100
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ * Base Transport Interface
+ *
+ * Defines the interface TimexDatalinkClient uses to reach a watch, so the same
+ * protocol code can drive Web Serial, a Node.js serial port or the screen.
+ * Implementations emit 'connect', 'disconnect', 'data' and 'error' events,
+ * and 'packet' and 'progress' events while writing.
+ */
+
+import { PacketCapture } from './packet-capture.js';
+import PacketTiming from './helpers/packet-timing.js';
+
+/**
+ * Thrown when a write is stopped through its AbortSignal; the transport stays
+ * connected and can be written to again
+ */
+export class TransferAbortedError extends Error {
+  constructor(message = 'Transfer aborted', { reason = null, report = null } = {}) {
+    super(message);
+    this.name = 'TransferAbortedError';
+    this.reason = reason;
+    this.report = report;
+  }
+}
+
+export class Transport {
+  static EVENTS = ['connect', 'disconnect', 'data', 'error', 'packet', 'progress'];
+
+  constructor() {
+    this.listeners = new Map();
+    this.capture = null;
+  }
+
+  /**
+   * Check whether an object implements the transport methods
+   * @param {Object} candidate - Object to check
+   * @returns {boolean} True if it can be used as a transport
+   */
+  static isTransport(candidate) {
+    return candidate instanceof Transport || (
+      !!candidate &&
+      ['connect', 'disconnect', 'write', 'read', 'isPortConnected'].every(
+        method => typeof candidate[method] === 'function'
+      )
+    );
+  }
+
+  /**
+   * Throw TransferAbortedError if the signal has been aborted
+   * @param {AbortSignal|null} signal - Abort signal of the write
+   */
+  static throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new TransferAbortedError('Transfer aborted', { reason: signal.reason ?? null });
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds, rejecting early with
+   * TransferAbortedError when the signal is aborted
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal|null} signal - Abort signal of the write
+   * @returns {Promise<void>}
+   */
+  static delay(ms, signal = null) {
+    Transport.throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new TransferAbortedError('Transfer aborted', { reason: signal.reason ?? null }));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Open the connection to the device (must be implemented by subclasses)
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  /**
+   * Close the connection to the device (must be implemented by subclasses)
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    throw new Error(`${this.constructor.name} must implement disconnect()`);
+  }
+
+  /**
+   * Write packets to the device (must be implemented by subclasses).
+   * Implementations emit 'packet' as each packet starts and 'progress' with a
+   * TransferProgress snapshot as bytes go out, and stop with
+   * TransferAbortedError when options.signal is aborted
+   * @param {Array<Array<number>>} packets - Packets of bytes
+   * @param {Object} options - Write options
+   * @param {AbortSignal} options.signal - Stops the transfer when aborted
+   * @returns {Promise<Object|undefined>} Optional transfer report
+   */
+  async write(packets, options) {
+    throw new Error(`${this.constructor.name} must implement write()`);
+  }
+
+  /**
+   * Read bytes from the device (must be implemented by subclasses)
+   * @param {number} timeout - Read timeout in milliseconds
+   * @returns {Promise<Array<number>>} Bytes read
+   */
+  async read(timeout) {
+    throw new Error(`${this.constructor.name} must implement read()`);
+  }
+
+  /**
+   * Check whether the transport is connected (must be implemented by subclasses)
+   * @returns {boolean} True if connected
+   */
+  isPortConnected() {
+    throw new Error(`${this.constructor.name} must implement isPortConnected()`);
+  }
+
+  /**
+   * Get transport configuration
+   * @returns {Object} Configuration
+   */
+  getConfig() {
+    return {};
+  }
+
+  /**
+   * Update transport configuration (timing options are ignored by default)
+   * @param {Object} config - Configuration changes
+   */
+  updateConfig(config) {
+  }
+
+  /**
+   * Byte and packet sleep for one packet: the configured timings adjusted by
+   * the packet's own timing requirements, unless packetTiming is turned off
+   * @param {Array<number>} packet - Packet bytes
+   * @returns {Object} { byteSleep, packetSleep } for this packet
+   */
+  timingFor(packet) {
+    const { byteSleep = 0, packetSleep = 0, packetTiming } = this.getConfig();
+
+    if (packetTiming === false) {
+      return { byteSleep, packetSleep };
+    }
+    return PacketTiming.resolve(packet, { byteSleep, packetSleep });
+  }
+
+  /**
+   * Start recording written packets; implementations call recordPacket()
+   * as each packet starts going out
+   * @param {Object} metadata - Capture metadata, e.g. { protocol }
+   * @returns {PacketCapture} The capture being recorded
+   */
+  startCapture(metadata = {}) {
+    const config = this.getConfig();
+
+    this.capture = new PacketCapture({
+      transport: this.constructor.name,
+      byteSleep: config.byteSleep ?? null,
+      packetSleep: config.packetSleep ?? null,
+      ...metadata
+    });
+    return this.capture;
+  }
+
+  /**
+   * Stop recording written packets
+   * @returns {PacketCapture|null} The finished capture
+   */
+  stopCapture() {
+    const capture = this.capture;
+    this.capture = null;
+    return capture;
+  }
+
+  /**
+   * Add a packet to the active capture, if any
+   * @param {Array<number>} packet - Packet bytes
+   * @returns {Object|null} Capture entry, or null when not recording
+   */
+  recordPacket(packet) {
+    if (!this.capture) {
+      return null;
+    }
+
+    const { byteSleep, packetSleep, packetTiming } = this.getConfig();
+    const timing = packetTiming === false ? null : PacketTiming.of(packet);
+    return this.capture.record(packet, { byteSleep, packetSleep, timing });
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - 'connect', 'disconnect', 'data', 'error', 'packet' or 'progress'
+   * @param {Function} listener - Event listener
+   * @returns {Transport} This transport
+   */
+  on(event, listener) {
+    if (!Transport.EVENTS.includes(event)) {
+      throw new Error(`Unknown transport event: ${event}`);
+    }
+
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  /**
+   * Remove an event listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Event listener
+   * @returns {Transport} This transport
+   */
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  /**
+   * Notify event listeners; listener errors are logged, not thrown
+   * @param {string} event - Event name
+   * @param {...*} args - Event arguments
+   */
+  emit(event, ...args) {
+    for (const listener of this.listeners.get(event) || []) {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`Transport ${event} listener failed:`, error);
+      }
+    }
+  }
+}
\ No newline at end of file
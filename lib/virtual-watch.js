@@ -0,0 +1,628 @@
+// Virtual watch for Protocols 1, 3 and 4
+// Stands in for a Web Serial port (new SerialAdapter({ port: watch })) and
+// decodes the written bytes the way a watch would: packets are framed by
+// their length byte and CRC checked, the start/sync/section/end state
+// machine is enforced, and the watch state the transfer leaves behind
+// (time zones, alarms, EEPROM entries, sound options, sound theme and
+// wrist app) is rebuilt.
+//
+// Like the Notebook Adapter, every byte written is echoed back by default.
+// Problems are collected in errors instead of thrown, so a test can write a
+// whole transfer and then check what the watch made of it.
+
+import CrcPacketsWrapper from './helpers/crc-packets-wrapper.js';
+import { CharacterEncoders } from './helpers/character-encoders.js';
+import DeepClone from './helpers/deep-clone.js';
+import { PacketDecodeError } from './helpers/packet-decoder.js';
+import Protocol1PacketDecoder from './protocol1/packet-decoder.js';
+import Protocol3PacketDecoder from './protocol3/packet-decoder.js';
+import Protocol1Alarm from './protocol1/alarm.js';
+import Protocol1Eeprom from './protocol1/eeprom.js';
+import Protocol3Eeprom from './protocol3/eeprom.js';
+import Protocol3Time from './protocol3/time.js';
+
+export class VirtualWatch {
+    static SUPPORTED_PROTOCOLS = [1, 3, 4];
+    static START_OPCODE = 0x20;
+    static END_OPCODE = 0x21;
+    static PING_BYTE = 0x78;
+    static SYNC_1_BYTE = 0x55;
+    static SYNC_2_BYTE = 0xaa;
+    static MIN_PACKET_LENGTH = 4; // length byte, opcode and CRC
+
+    // Second byte of Protocol 3/4 section packets
+    static SECTIONS = { 0x01: 'eeprom', 0x02: 'wristApp', 0x03: 'soundTheme' };
+
+    // EEPROM categories in the order they are stored
+    static EEPROM_CATEGORIES = ['appointments', 'lists', 'phoneNumbers', 'anniversaries'];
+
+    static DATE_FORMATS = Object.fromEntries(
+        Object.entries(Protocol3Time.DATE_FORMAT_MAP).map(([format, value]) => [value, format])
+    );
+
+    // Packet handlers by protocol and opcode
+    static HANDLERS = {
+        1: {
+            0x30: 'handleProtocol1Time',
+            0x31: 'handleTimeName',
+            0x50: 'handleAlarm',
+            0x60: 'handleProtocol1Sect',
+            0x61: 'handleProtocol1Data',
+            0x62: 'handleProtocol1End',
+            0x70: 'handleAlarmSilent'
+        },
+        3: {
+            0x32: 'handleTime',
+            0x50: 'handleAlarm',
+            0x71: 'handleSoundOptions',
+            0x90: 'handleSect',
+            0x91: 'handleData',
+            0x92: 'handleSectionEnd',
+            0x93: 'handleClear'
+        }
+    };
+
+    constructor({ echo = true, verbose = false, onComplete = null } = {}) {
+        this.echo = echo;
+        this.verbose = verbose;
+        this.onComplete = onComplete;
+        this.readable = null;
+        this.writable = null;
+        this.readController = null;
+        this.isOpen = false;
+        this.reset();
+    }
+
+    // Empty watch memory
+    static initialState() {
+        return {
+            protocol: null,
+            timeZones: {},
+            alarms: {},
+            appointments: [],
+            lists: [],
+            phoneNumbers: [],
+            anniversaries: [],
+            appointmentNotificationMinutes: null,
+            soundOptions: null,
+            soundTheme: null,
+            wristApp: null
+        };
+    }
+
+    // Decode packets without a serial connection
+    static decode(packets) {
+        const watch = new VirtualWatch({ echo: false });
+        watch.receive(packets.flat());
+        return watch;
+    }
+
+    // Human-readable lines for a watch state, as the watch would show it
+    static describe(state) {
+        const pad = value => String(value).padStart(2, '0');
+        const lines = [];
+
+        for (const [zone, time] of Object.entries(state.timeZones)) {
+            const clock = time.is24h
+                ? `${pad(time.hour)}:${pad(time.minute)}`
+                : `${(time.hour % 12) || 12}:${pad(time.minute)}${time.hour < 12 ? 'am' : 'pm'}`;
+            lines.push(`Time zone ${zone}: ${clock} ${pad(time.month)}/${pad(time.day)}/${pad(time.year % 100)} ${(time.name || '').trim()}`.trimEnd());
+        }
+
+        for (const [number, alarm] of Object.entries(state.alarms)) {
+            lines.push(`Alarm ${number}: ${pad(alarm.hour)}:${pad(alarm.minute)} ${alarm.message.trim()}${alarm.audible ? '' : ' (silent)'}`);
+        }
+
+        state.appointments.forEach(appointment => {
+            lines.push(`Appointment: ${pad(appointment.month)}/${pad(appointment.day)} ${pad(appointment.hour)}:${pad(appointment.minute)} ${appointment.message}`);
+        });
+        state.lists.forEach(list => {
+            lines.push(`List: ${list.entry}${list.priority ? ` (priority ${list.priority})` : ''}`);
+        });
+        state.phoneNumbers.forEach(phoneNumber => {
+            lines.push(`Phone: ${phoneNumber.name} ${phoneNumber.number}${phoneNumber.type.trim() ? ` ${phoneNumber.type}` : ''}`);
+        });
+        state.anniversaries.forEach(anniversary => {
+            lines.push(`Anniversary: ${pad(anniversary.month)}/${pad(anniversary.day)} ${anniversary.anniversary}`);
+        });
+
+        if (state.soundOptions) {
+            lines.push(`Hourly chime ${state.soundOptions.hourlyChime ? 'on' : 'off'}, button beep ${state.soundOptions.buttonBeep ? 'on' : 'off'}`);
+        }
+        if (state.soundTheme) {
+            lines.push(`Sound theme: ${state.soundTheme.data.length} bytes`);
+        }
+        if (state.wristApp) {
+            lines.push(`Wrist app: ${state.wristApp.data.length} bytes`);
+        }
+
+        return lines;
+    }
+
+    // Factory reset: clear memory and wait for a new transfer
+    reset() {
+        this.state = VirtualWatch.initialState();
+        this.mode = 'waiting';
+        this.syncedBeforeStart = false;
+        this.buffer = [];
+        this.sync = null;
+        this.section = null;
+        this.packets = [];
+        this.errors = [];
+        this.complete = false;
+        this.transfers = 0;
+    }
+
+    // Web Serial port interface
+
+    async open(options = {}) {
+        if (this.isOpen) {
+            const error = new Error('The port is already open');
+            error.name = 'InvalidStateError';
+            throw error;
+        }
+
+        // Node.js 16 only has the stream classes in node:stream/web
+        const { ReadableStream, WritableStream } = globalThis.ReadableStream ? globalThis : await import('node:stream/web');
+        
+        this.options = options;
+        this.readable = new ReadableStream({
+            start: controller => {
+                this.readController = controller;
+            }
+        });
+        this.writable = new WritableStream({
+            write: chunk => this.receive(chunk)
+        });
+        this.isOpen = true;
+    }
+
+    async close() {
+        try {
+            this.readController?.close();
+        } catch (error) {
+            // Already closed
+        }
+
+        this.readable = null;
+        this.writable = null;
+        this.readController = null;
+        this.isOpen = false;
+    }
+
+    getInfo() {
+        return { virtual: true, protocol: this.state.protocol };
+    }
+
+    // Receive written bytes, echoing them back when enabled
+    receive(bytes) {
+        const data = Array.from(bytes);
+
+        if (this.echo && this.readController) {
+            this.readController.enqueue(new Uint8Array(data));
+        }
+
+        data.forEach(byte => this.receiveByte(byte));
+    }
+
+    receiveByte(byte) {
+        if (this.sync) {
+            if (byte === VirtualWatch.SYNC_1_BYTE || byte === VirtualWatch.SYNC_2_BYTE) {
+                this.sync[byte === VirtualWatch.SYNC_1_BYTE ? 'sync1' : 'sync2']++;
+                return;
+            }
+            this.finishSync();
+        }
+
+        if (this.buffer.length === 0) {
+            if (byte === VirtualWatch.PING_BYTE) {
+                this.sync = { sync1: 0, sync2: 0 };
+                return;
+            }
+
+            if (byte < VirtualWatch.MIN_PACKET_LENGTH) {
+                this.error(`Invalid packet length ${byte}`);
+                return;
+            }
+        }
+
+        this.buffer.push(byte);
+
+        if (this.buffer.length === this.buffer[0]) {
+            const packet = this.buffer;
+            this.buffer = [];
+            this.receivePacket(packet);
+        }
+    }
+
+    finishSync() {
+        const { sync1, sync2 } = this.sync;
+        this.sync = null;
+
+        if (sync1 === 0 || sync2 === 0) {
+            this.error(`Incomplete sync (${sync1} sync 1 bytes, ${sync2} sync 2 bytes)`);
+            return;
+        }
+
+        // The Ruby client sends Sync before Start, this client Start before
+        // Sync; the watch accepts either
+        if (this.mode === 'waiting') {
+            this.syncedBeforeStart = true;
+            this.log(`Synced (${sync1} + ${sync2} bytes), waiting for a start packet`);
+            return;
+        }
+
+        if (this.mode !== 'started') {
+            this.error('Sync received twice');
+            return;
+        }
+
+        this.mode = 'synced';
+        this.log(`Synced (${sync1} + ${sync2} bytes)`);
+    }
+
+    // Check the CRC of a framed packet and act on its payload
+    receivePacket(packet) {
+        const payload = packet.slice(1, -2);
+        const crc = CrcPacketsWrapper.crcFooter(payload);
+
+        if (crc[0] !== packet[packet.length - 2] || crc[1] !== packet[packet.length - 1]) {
+            this.error(`CRC mismatch in packet [${packet.join(', ')}]`);
+            return;
+        }
+
+        this.packets.push(payload);
+        const opcode = payload[0];
+
+        if (opcode === VirtualWatch.START_OPCODE) {
+            this.handleStart(payload);
+            return;
+        }
+
+        if (this.mode !== 'synced') {
+            this.error(`Packet 0x${opcode.toString(16)} received ${this.mode === 'started' ? 'before sync' : 'without a start packet'}`);
+            return;
+        }
+
+        if (opcode === VirtualWatch.END_OPCODE) {
+            this.handleEnd();
+            return;
+        }
+
+        const handlers = VirtualWatch.HANDLERS[this.state.protocol === 1 ? 1 : 3];
+        const handler = handlers[opcode];
+
+        if (!handler) {
+            this.error(`Unknown Protocol ${this.state.protocol} packet 0x${opcode.toString(16)}`);
+            return;
+        }
+
+        this[handler](payload);
+    }
+
+    // [0x20, 0x00, 0x00, protocol]
+    handleStart(payload) {
+        const protocol = payload[3];
+
+        if (!this.expectLength(payload, 4, 'Start')) {
+            return;
+        }
+
+        if (!VirtualWatch.SUPPORTED_PROTOCOLS.includes(protocol)) {
+            this.error(`Unsupported protocol ${protocol}`);
+            this.mode = 'waiting';
+            this.syncedBeforeStart = false;
+            return;
+        }
+
+        if (this.state.protocol !== null && this.state.protocol !== protocol) {
+            this.log(`Switching from Protocol ${this.state.protocol} to Protocol ${protocol}, memory cleared`);
+            this.state = VirtualWatch.initialState();
+        }
+
+        this.state.protocol = protocol;
+        this.mode = this.syncedBeforeStart ? 'synced' : 'started';
+        this.syncedBeforeStart = false;
+        this.section = null;
+        this.complete = false;
+    }
+
+    handleEnd() {
+        if (this.section) {
+            this.error(`${this.section.type} section ended without its end packet`);
+            this.section = null;
+        }
+
+        this.mode = 'waiting';
+        this.complete = true;
+        this.transfers++;
+        this.log('Transfer complete');
+
+        if (this.onComplete) {
+            this.onComplete(this.getState(), this);
+        }
+    }
+
+    // Protocol 3/4: [0x32, zone, second, hour, minute, month, day, year, name x3, weekday, 12/24h, date format]
+    handleTime(payload) {
+        if (!this.expectLength(payload, 14, 'Time') || !this.expectZone(payload[1])) {
+            return;
+        }
+
+        const [, zone, second, hour, minute, month, day, year] = payload;
+        this.state.timeZones[zone] = {
+            hour,
+            minute,
+            second,
+            month,
+            day,
+            year: this.fullYear(year),
+            weekday: payload[11],
+            name: CharacterEncoders.stringFor(payload.slice(8, 11)),
+            is24h: payload[12] === 2,
+            dateFormat: VirtualWatch.DATE_FORMATS[payload[13]] ?? null
+        };
+    }
+
+    // Protocol 1: [0x30, zone, hour, minute, month, day, year, weekday, second, 12/24h]
+    handleProtocol1Time(payload) {
+        if (!this.expectLength(payload, 10, 'Time') || !this.expectZone(payload[1])) {
+            return;
+        }
+
+        const [, zone, hour, minute, month, day, year, weekday, second, is24h] = payload;
+        this.state.timeZones[zone] = {
+            name: null,
+            ...this.state.timeZones[zone],
+            hour,
+            minute,
+            second,
+            month,
+            day,
+            year: this.fullYear(year),
+            weekday,
+            is24h: is24h === 2
+        };
+    }
+
+    // Protocol 1: [0x31, zone, name x3]
+    handleTimeName(payload) {
+        if (!this.expectLength(payload, 5, 'Time name') || !this.expectZone(payload[1])) {
+            return;
+        }
+
+        this.state.timeZones[payload[1]] = {
+            ...this.state.timeZones[payload[1]],
+            name: CharacterEncoders.stringFor(payload.slice(2, 5))
+        };
+    }
+
+    // [0x50, number, hour, minute, month, day, message x8, audible]; month and day are 0 outside Protocol 1
+    handleAlarm(payload) {
+        if (!this.expectLength(payload, 15, 'Alarm')) {
+            return;
+        }
+
+        const [, number, hour, minute, month, day] = payload;
+        if (number < 1 || number > 5) {
+            this.error(`Invalid alarm number ${number}`);
+            return;
+        }
+
+        this.state.alarms[number] = {
+            hour,
+            minute,
+            month: month || null,
+            day: day || null,
+            message: CharacterEncoders.stringFor(payload.slice(6, 14)).trimEnd(),
+            audible: payload[14] === 1
+        };
+    }
+
+    // Protocol 1: [0x70, 0x00, 0x61 + alarm number, 0x00]
+    handleAlarmSilent(payload) {
+        if (!this.expectLength(payload, 4, 'Alarm silent')) {
+            return;
+        }
+
+        const number = payload[2] - Protocol1Alarm.ALARM_SILENT_START_INDEX;
+        if (!this.state.alarms[number]) {
+            this.error(`Silence packet for unset alarm ${number}`);
+            return;
+        }
+
+        this.state.alarms[number].audible = false;
+    }
+
+    // Protocol 3/4: [0x71, hourly chime, button beep]
+    handleSoundOptions(payload) {
+        if (!this.expectLength(payload, 3, 'Sound options')) {
+            return;
+        }
+
+        this.state.soundOptions = { hourlyChime: payload[1] === 1, buttonBeep: payload[2] === 1 };
+    }
+
+    // Protocol 3/4 sections: clear, sect (page count and header), data pages, end
+
+    handleClear(payload) {
+        const type = this.sectionType(payload);
+        if (!type) {
+            return;
+        }
+
+        if (type === 'eeprom') {
+            VirtualWatch.EEPROM_CATEGORIES.forEach(category => {
+                this.state[category] = [];
+            });
+            this.state.appointmentNotificationMinutes = null;
+        } else {
+            this.state[type] = null;
+        }
+    }
+
+    handleSect(payload) {
+        const type = this.sectionType(payload);
+        if (type) {
+            this.openSection(type, payload[2], payload.slice(3));
+        }
+    }
+
+    handleData(payload) {
+        const type = this.sectionType(payload);
+        if (type) {
+            this.addSectionData(type, payload[2], payload.slice(3));
+        }
+    }
+
+    handleSectionEnd(payload) {
+        const type = this.sectionType(payload);
+        if (type) {
+            this.closeSection(type);
+        }
+    }
+
+    // Protocol 1 EEPROM: [0x60, pages], [0x61, page, data...], [0x62]; the item header is part of the data
+    handleProtocol1Sect(payload) {
+        this.openSection('eeprom', payload[1], []);
+    }
+
+    handleProtocol1Data(payload) {
+        this.addSectionData('eeprom', payload[1], payload.slice(2));
+    }
+
+    handleProtocol1End() {
+        this.closeSection('eeprom');
+    }
+
+    sectionType(payload) {
+        const type = VirtualWatch.SECTIONS[payload[1]];
+
+        if (!type) {
+            this.error(`Unknown section 0x${(payload[1] ?? 0).toString(16)}`);
+        }
+        return type;
+    }
+
+    openSection(type, pages, header) {
+        if (this.section) {
+            this.error(`${type} section started inside an open ${this.section.type} section`);
+        }
+
+        this.section = { type, pages, header, data: [], nextPage: 1 };
+    }
+
+    addSectionData(type, page, data) {
+        if (!this.section || this.section.type !== type) {
+            this.error(`${type} data received outside its section`);
+            return;
+        }
+
+        if (page !== this.section.nextPage) {
+            this.error(`${type} page ${page} received, expected page ${this.section.nextPage}`);
+            return;
+        }
+
+        this.section.data.push(...data);
+        this.section.nextPage++;
+    }
+
+    closeSection(type) {
+        const section = this.section;
+        this.section = null;
+
+        if (!section || section.type !== type) {
+            this.error(`${type} section end received without a matching section`);
+            return;
+        }
+
+        if (section.nextPage - 1 !== section.pages) {
+            this.error(`${type} section announced ${section.pages} pages, received ${section.nextPage - 1}`);
+            return;
+        }
+
+        if (type === 'eeprom') {
+            this.decodeEeprom(section);
+        } else if (type === 'soundTheme') {
+            const offset = section.header[0];
+            if (offset !== 0x100 - section.data.length) {
+                this.error(`Sound theme offset 0x${offset.toString(16)} does not match ${section.data.length} bytes of sound data`);
+            }
+            this.state.soundTheme = { data: section.data, offset };
+        } else {
+            this.state.wristApp = { data: section.data };
+        }
+    }
+
+    // The EEPROM layout is shared with the packet decoders, which turn it into
+    // plain entries; decode problems become watch errors
+    decodeEeprom(section) {
+        const protocol1 = this.state.protocol === 1;
+        const Decoder = protocol1 ? Protocol1PacketDecoder : Protocol3PacketDecoder;
+        const bytes = protocol1 ? section.data : [...section.header, ...section.data];
+
+        try {
+            const { year, ...entries } = new Decoder().eepromEntries(bytes, {
+                startAddress: protocol1 ? Protocol1Eeprom.START_INDEX : Protocol3Eeprom.START_ADDRESS,
+                noNotification: protocol1 ? Protocol1Eeprom.APPOINTMENT_NO_NOTIFICATION : Protocol3Eeprom.APPOINTMENT_NO_NOTIFICATION
+            });
+            Object.assign(this.state, entries);
+        } catch (error) {
+            if (!(error instanceof PacketDecodeError)) {
+                throw error;
+            }
+            this.error(error.message);
+        }
+    }
+
+    expectLength(payload, length, name) {
+        if (payload.length !== length) {
+            this.error(`${name} packet has ${payload.length} bytes, expected ${length}`);
+            return false;
+        }
+        return true;
+    }
+
+    expectZone(zone) {
+        if (zone !== 1 && zone !== 2) {
+            this.error(`Invalid time zone ${zone}`);
+            return false;
+        }
+        return true;
+    }
+
+    // Two-digit years sent by the client
+    fullYear(year) {
+        return year < 70 ? 2000 + year : 1900 + year;
+    }
+
+    error(message) {
+        this.errors.push({ message, packet: this.packets.length });
+
+        if (this.verbose) {
+            console.warn(`Virtual watch: ${message}`);
+        }
+    }
+
+    log(message) {
+        if (this.verbose) {
+            console.log(`Virtual watch: ${message}`);
+        }
+    }
+
+    // Snapshot of the watch memory
+    getState() {
+        return DeepClone.clone(this.state);
+    }
+
+    getStatus() {
+        return {
+            protocol: this.state.protocol,
+            mode: this.mode,
+            complete: this.complete,
+            transfers: this.transfers,
+            packetsReceived: this.packets.length,
+            errors: [...this.errors]
+        };
+    }
+}
\ No newline at end of file
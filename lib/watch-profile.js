@@ -0,0 +1,866 @@
+/**
+ * Watch Profile
+ *
+ * A watch profile is a protocol-independent JSON document describing what to
+ * put on a watch: time zones, alarms, appointments, anniversaries, phone
+ * numbers, lists, sound options, timers, a sound theme and a wrist app.
+ * WatchProfile.SCHEMA is its JSON Schema and compile() turns a profile into
+ * the sync workflow of one protocol through ProtocolFactory, listing every
+ * field that protocol cannot carry; fromComponents() goes the other way.
+ * See docs/watch-profile.md.
+ */
+
+import { ProtocolFactory } from './protocol-factory.js';
+import { protocolRegistry } from './protocol-registry.js';
+import { SchemaValidator } from './helpers/schema-validator.js';
+
+export class WatchProfileError extends Error {
+  constructor(message, { errors = [] } = {}) {
+    super(message);
+    this.name = 'WatchProfileError';
+    this.errors = errors;
+  }
+}
+
+const TEXT = { type: 'string' };
+const CLOCK_TIME = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', examples: ['07:30'] };
+const DURATION = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d$', examples: ['00:05:00'] };
+const DATE = { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])$', examples: ['2026-10-31'] };
+const BASE64 = { type: 'string', pattern: '^[A-Za-z0-9+/]*={0,2}$' };
+const DATE_TIME = {
+  type: 'string',
+  pattern: '^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])T([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$',
+  examples: ['2026-10-31T19:00']
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const list = (properties, required, description) => ({
+  description,
+  type: 'array',
+  items: { type: 'object', required, additionalProperties: false, properties }
+});
+
+export class WatchProfile {
+  static VERSION = 1;
+
+  static DEFAULT_DATE_FORMAT = '%_m-%d-%y';
+
+  static SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Timex Datalink watch profile',
+    type: 'object',
+    required: ['version'],
+    additionalProperties: false,
+    properties: {
+      $schema: TEXT,
+      version: { description: 'Profile format version', const: 1 },
+      name: { description: 'Name of the profile', type: 'string' },
+      timeZones: {
+        description: 'Time zones 1 and 2; the time is set from the clock when the profile is compiled',
+        type: 'array',
+        maxItems: 2,
+        items: {
+          type: 'object',
+          required: ['zone'],
+          additionalProperties: false,
+          properties: {
+            zone: { type: 'integer', minimum: 1, maximum: 2 },
+            name: { description: 'Zone name shown on the watch', type: 'string', maxLength: 3 },
+            utcOffset: {
+              description: 'Offset from UTC; local time when left out',
+              type: 'string',
+              pattern: '^[+-]([01]\\d|2[0-3]):[0-5]\\d$',
+              examples: ['+01:00']
+            },
+            is24h: { type: 'boolean' },
+            dateFormat: { enum: ['%_m-%d-%y', '%_d-%m-%y', '%y-%m-%d', '%_m.%d.%y', '%_d.%m.%y', '%y.%m.%d'] }
+          }
+        }
+      },
+      alarms: list({
+        number: { type: 'integer', minimum: 1, maximum: 10 },
+        time: CLOCK_TIME,
+        message: TEXT,
+        audible: { type: 'boolean' },
+        month: { description: 'Only ring in this month', type: 'integer', minimum: 1, maximum: 12 },
+        day: { description: 'Only ring on this day of the month', type: 'integer', minimum: 1, maximum: 31 }
+      }, ['number', 'time'], 'Alarms'),
+      appointments: list({ time: DATE_TIME, message: TEXT }, ['time', 'message'], 'Appointments in local time'),
+      appointmentNotificationMinutes: {
+        description: 'Minutes before appointments to notify',
+        enum: [0, 5, 10, 15, 20, 25, 30]
+      },
+      anniversaries: list({ date: DATE, message: TEXT }, ['date', 'message'], 'Yearly anniversaries'),
+      phoneNumbers: list({
+        name: TEXT,
+        number: TEXT,
+        type: { description: 'Number type letter, e.g. h(ome), w(ork), c(ell)', type: 'string', maxLength: 1 }
+      }, ['name', 'number'], 'Phone numbers'),
+      lists: list({
+        entry: TEXT,
+        priority: { type: ['integer', 'null'], minimum: 1, maximum: 5 }
+      }, ['entry'], 'To-do list entries'),
+      soundOptions: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { hourlyChime: { type: 'boolean' }, buttonBeep: { type: 'boolean' } }
+      },
+      timers: list({
+        number: { type: 'integer', minimum: 1 },
+        label: TEXT,
+        duration: DURATION,
+        actionAtEnd: { enum: ['stop_timer', 'repeat_timer', 'start_chrono'] }
+      }, ['number', 'duration'], 'Countdown timers'),
+      soundTheme: {
+        description: 'Sound theme as base64 data',
+        type: 'object',
+        required: ['data'],
+        additionalProperties: false,
+        properties: { name: TEXT, data: BASE64 }
+      },
+      wristApp: {
+        description: 'Wrist app as base64 data or ZAP file contents',
+        type: 'object',
+        additionalProperties: false,
+        properties: { name: TEXT, data: BASE64, zapFile: TEXT }
+      }
+    }
+  };
+
+  /**
+   * What each protocol's components can hold: alarm count, message length and
+   * whether alarms take a month/day, EEPROM text length, phone number digits
+   * (next to a space and the type letter) and timer label length
+   */
+  static LIMITS = {
+    1: { alarms: { count: 5, message: 8, date: true }, text: 31, phoneDigits: 10 },
+    3: { alarms: { count: 5, message: 8, date: false }, text: 31, phoneDigits: 10 },
+    4: { alarms: { count: 5, message: 8, date: false }, text: 31, phoneDigits: 10 },
+    6: { alarms: { count: 8, message: 16, date: true }, text: 16, phoneDigits: 12 },
+    7: { phoneDigits: 12 },
+    9: { alarms: { count: 10, message: 16, date: true }, text: 31, phoneDigits: 10, timerLabel: 8 }
+  };
+
+  /**
+   * Check whether a parsed JSON document is a watch profile rather than
+   * component sync data
+   * @param {*} document - Parsed JSON
+   * @returns {boolean} True for watch profiles
+   */
+  static isWatchProfile(document) {
+    return Boolean(document) && typeof document === 'object' && 'version' in document;
+  }
+
+  /**
+   * Validate a profile against the schema
+   * @param {Object} profile - Watch profile
+   * @returns {Array<Object>} Errors as { path, message }
+   */
+  static validate(profile) {
+    return SchemaValidator.validate(profile, this.SCHEMA);
+  }
+
+  /**
+   * Throw unless the profile matches the schema
+   * @param {Object} profile - Watch profile
+   * @throws {WatchProfileError} With every schema error
+   */
+  static assertValid(profile) {
+    const errors = this.validate(profile);
+
+    if (errors.length > 0) {
+      throw new WatchProfileError(
+        `Invalid watch profile: ${errors.map(({ path, message }) => `${path} ${message}`).join('; ')}`,
+        { errors }
+      );
+    }
+  }
+
+  /**
+   * Compile a profile into a protocol's sync workflow
+   * @param {Object} profile - Watch profile
+   * @param {number|class} protocol - Protocol version or class
+   * @param {Object} options - Compile options
+   * @param {Date} options.time - Time to set the time zones from
+   * @param {Object} options.phraseBuilder - Protocol 7 phrase builder for spoken names and messages
+   * @returns {Object} { protocol, components, unsupported } where unsupported
+   *   lists { field, kind, reason } for every value left out ('dropped'),
+   *   shortened ('truncated') or rewritten ('reencoded')
+   * @throws {WatchProfileError} If the profile does not match the schema
+   */
+  static compile(profile, protocol, { time = new Date(), phraseBuilder = null } = {}) {
+    this.assertValid(profile);
+
+    const ProtocolClass = ProtocolFactory.resolveProtocol(protocol);
+    const unsupported = [];
+    const context = {
+      name: ProtocolClass.NAME,
+      components: ProtocolClass.getComponents(),
+      limits: this.LIMITS[ProtocolClass.VERSION] ?? {},
+      time,
+      phraseBuilder,
+      create: (componentName, options) => ProtocolFactory.createComponent(ProtocolClass, componentName, options),
+      skip: (field, reason, kind = 'dropped') => unsupported.push({ field, kind, reason })
+    };
+
+    const syncData = { sync: {} };
+    this.compileTimeZones(profile.timeZones ?? [], context, syncData);
+    this.compileAlarms(profile.alarms ?? [], context, syncData);
+    this.compileTimers(profile.timers ?? [], context, syncData);
+
+    if (ProtocolClass.VERSION === 7) {
+      this.compileSpokenEeprom(profile, context, syncData);
+    } else {
+      this.compileEeprom(profile, context, syncData);
+    }
+
+    this.compileSoundOptions(profile.soundOptions, context, syncData);
+    this.compileSoundTheme(profile.soundTheme, context, syncData);
+    this.compileWristApp(profile.wristApp, context, syncData);
+
+    return {
+      protocol: ProtocolClass.VERSION,
+      components: ProtocolFactory.createSyncWorkflow(ProtocolClass, syncData, { strict: true }),
+      unsupported
+    };
+  }
+
+  /**
+   * Describe one protocol's sync workflow as a watch profile, e.g. to move it
+   * to another protocol
+   * @param {Array<Object>} components - Workflow components of one protocol
+   * @param {Object} options - Options
+   * @param {number|class|null} options.protocol - Protocol version or class;
+   *   found from the components when left out
+   * @param {Date} options.time - Time the components' clocks were set from,
+   *   used to work out each time zone's UTC offset
+   * @returns {Object} { protocol, profile, unsupported } where unsupported
+   *   lists { field, kind, reason } for every value a profile cannot hold
+   * @throws {Error} If the components don't belong to a registered protocol
+   */
+  static fromComponents(components, { protocol = null, time = new Date() } = {}) {
+    const ProtocolClass = protocol === null ? this.protocolOf(components) : ProtocolFactory.resolveProtocol(protocol);
+    const classes = ProtocolClass.getComponents();
+    const profile = { version: this.VERSION, timeZones: [] };
+    const zones = new Map();
+    const unsupported = [];
+    const skip = (field, reason) => unsupported.push({ field, kind: 'dropped', reason });
+
+    const zone = (number) => {
+      if (!zones.has(number)) {
+        zones.set(number, { zone: number });
+        profile.timeZones.push(zones.get(number));
+      }
+      return zones.get(number);
+    };
+
+    for (const component of components) {
+      const name = Object.keys(classes).find(key => component instanceof classes[key]);
+
+      switch (name) {
+        case 'Start':
+        case 'Sync':
+        case 'End':
+          break;
+
+        case 'Time': {
+          const entry = zone(component.zone);
+          const utcOffset = this.utcOffset(component.time, time);
+          const field = `timeZones[${profile.timeZones.indexOf(entry)}]`;
+
+          if (component.name) {
+            entry.name = component.name.slice(0, 3);
+          }
+          if (utcOffset) {
+            entry.utcOffset = utcOffset;
+          }
+          entry.is24h = component.is24h;
+          if (component.dateFormat !== undefined) {
+            entry.dateFormat = component.dateFormat;
+          }
+          for (const key of ['flexTime', 'flexTimeZone', 'flexDst']) {
+            if (component[key]) {
+              skip(`${field}.${key}`, `Watch profiles have no ${key} setting`);
+            }
+          }
+          break;
+        }
+
+        case 'TimeName':
+          if (component.name) {
+            zone(component.zone).name = component.name.slice(0, 3);
+          }
+          break;
+
+        case 'Alarm':
+          if (component.status !== 'unused') {
+            (profile.alarms ??= []).push(this.alarmFrom(component));
+          }
+          break;
+
+        case 'Timer':
+          (profile.timers ??= []).push({
+            number: component.number,
+            label: component.label,
+            duration: `${this.clockString(component.time)}:${pad(component.time.getSeconds())}`,
+            actionAtEnd: component.actionAtEnd
+          });
+          break;
+
+        case 'Eeprom':
+          if (ProtocolClass.VERSION === 7) {
+            this.spokenEepromFrom(component, ProtocolClass, profile, skip);
+          } else {
+            this.eepromFrom(component, classes, profile, skip);
+          }
+          break;
+
+        case 'SoundOptions':
+        case 'SoundScrollOptions':
+          profile.soundOptions = { hourlyChime: component.hourlyChime, buttonBeep: component.buttonBeep };
+          if (name === 'SoundScrollOptions' && component.scrollSpeed !== new classes.SoundScrollOptions({}).scrollSpeed) {
+            skip('soundOptions.scrollSpeed', 'Watch profiles have no scroll speed');
+          }
+          break;
+
+        case 'SoundTheme':
+          profile.soundTheme = { data: btoa(this.binaryString(component.getSoundThemeData())) };
+          break;
+
+        case 'WristApp':
+          profile.wristApp = component.zapFile
+            ? { zapFile: this.binaryString(component.zapFile) }
+            : { data: btoa(this.binaryString(component.wristAppData)) };
+          break;
+
+        default:
+          skip(name ?? component.constructor.name, `Watch profiles have no ${name ?? component.constructor.name} settings`);
+      }
+    }
+
+    if (profile.timeZones.length === 0) {
+      delete profile.timeZones;
+    }
+
+    return { protocol: ProtocolClass.VERSION, profile, unsupported };
+  }
+
+  /**
+   * Registered protocol that all components belong to
+   * @private
+   */
+  static protocolOf(components) {
+    const ProtocolClass = protocolRegistry.getAllProtocols().find(Protocol => {
+      try {
+        const classes = Object.values(Protocol.getComponents());
+        return components.length > 0 &&
+          components.every(component => classes.some(Component => component instanceof Component));
+      } catch (error) {
+        return false;
+      }
+    });
+
+    if (!ProtocolClass) {
+      throw new Error('Components do not belong to one registered protocol');
+    }
+    return ProtocolClass;
+  }
+
+  /**
+   * Profile alarm from an Alarm component
+   * @private
+   */
+  static alarmFrom(component) {
+    const alarm = { number: component.number, time: this.clockString(component.time) };
+
+    if (component.message) {
+      alarm.message = component.message;
+    }
+    alarm.audible = component.status === undefined ? component.audible : component.status === 'armed';
+    for (const key of ['month', 'day']) {
+      if (component[key] !== undefined && component[key] !== null) {
+        alarm[key] = component[key];
+      }
+    }
+
+    return alarm;
+  }
+
+  /**
+   * Profile entries from a text EEPROM component
+   * @private
+   */
+  static eepromFrom(component, classes, profile, skip) {
+    const add = (key, items, entry) => {
+      if (items && items.length > 0) {
+        profile[key] = items.map(entry);
+      }
+    };
+
+    add('appointments', component.appointments, appointment => ({
+      time: `${this.dateString(appointment.time)}T${this.clockString(appointment.time)}`,
+      message: appointment.message
+    }));
+    add('anniversaries', component.anniversaries, anniversary => ({
+      date: this.dateString(anniversary.time),
+      message: anniversary.anniversary
+    }));
+    add('phoneNumbers', component.phoneNumbers, phoneNumber => ({
+      name: phoneNumber.name,
+      number: phoneNumber.number,
+      ...(phoneNumber.type && phoneNumber.type.trim() ? { type: phoneNumber.type } : {})
+    }));
+    add('lists', component.lists, entry => ({ entry: entry.listEntry, priority: entry.priority ?? null }));
+
+    if (component.appointmentNotificationMinutes !== undefined && component.appointmentNotificationMinutes !== null) {
+      profile.appointmentNotificationMinutes = component.appointmentNotificationMinutes;
+    }
+
+    if (component.chrono) {
+      const defaults = new classes.Chrono();
+      if (component.chrono.label !== defaults.label || component.chrono.laps !== defaults.laps) {
+        skip('Eeprom.chrono', 'Watch profiles have no chrono settings');
+      }
+    }
+  }
+
+  /**
+   * Profile entries from Protocol 7's EEPROM component; spoken phrases are
+   * vocabulary IDs, so appointments and phone numbers lose their text
+   * @private
+   */
+  static spokenEepromFrom(component, ProtocolClass, profile, skip) {
+    const spoken = `${ProtocolClass.NAME} speaks it as a phrase, which has no text`;
+
+    (component.calendar?.events ?? []).forEach((event, index) => {
+      (profile.appointments ??= []).push({
+        time: `${this.dateString(event.time)}T${this.clockString(event.time)}`,
+        message: ''
+      });
+      skip(`appointments[${index}].message`, spoken);
+    });
+
+    (component.phoneNumbers ?? []).forEach((phoneNumber, index) => {
+      (profile.phoneNumbers ??= []).push({ name: '', number: phoneNumber.number });
+      skip(`phoneNumbers[${index}].name`, spoken);
+    });
+
+    for (const key of ['activities', 'games', 'speech']) {
+      if (component[key]) {
+        skip(`Eeprom.${key}`, `Watch profiles have no ${key}`);
+      }
+    }
+  }
+
+  /**
+   * Time (and TimeName) options for each zone
+   * @private
+   */
+  static compileTimeZones(zones, context, syncData) {
+    const { Time, TimeName } = context.components;
+
+    if (!Time) {
+      zones.forEach((zone, index) => context.skip(`timeZones[${index}]`, `${context.name} watches do not keep time`));
+      return;
+    }
+
+    syncData.time = [];
+    syncData.timeName = [];
+
+    zones.forEach((zone, index) => {
+      const options = { zone: zone.zone, is24h: zone.is24h ?? false, time: this.zoneTime(zone, context.time) };
+
+      if (Time.DATE_FORMAT_MAP) {
+        options.dateFormat = zone.dateFormat ?? this.DEFAULT_DATE_FORMAT;
+      } else if (zone.dateFormat !== undefined) {
+        context.skip(`timeZones[${index}].dateFormat`, `${context.name} watches have no date format setting`);
+      }
+
+      if (TimeName) {
+        syncData.timeName.push({ zone: zone.zone, name: zone.name ?? null });
+      } else {
+        options.name = zone.name ?? null;
+      }
+
+      syncData.time.push(options);
+    });
+  }
+
+  /**
+   * Alarm options, dropping numbers and shortening messages the protocol can't hold
+   * @private
+   */
+  static compileAlarms(alarms, context, syncData) {
+    const { Alarm } = context.components;
+    const limits = context.limits.alarms;
+
+    if (!Alarm || !limits) {
+      alarms.forEach((alarm, index) => context.skip(`alarms[${index}]`, `${context.name} watches have no alarms`));
+      return;
+    }
+
+    syncData.alarm = [];
+
+    alarms.forEach((alarm, index) => {
+      const field = `alarms[${index}]`;
+
+      if (alarm.number > limits.count) {
+        context.skip(field, `${context.name} watches have alarms 1..${limits.count}`);
+        return;
+      }
+
+      const audible = alarm.audible ?? true;
+      const options = {
+        number: alarm.number,
+        time: this.clockTime(alarm.time),
+        message: this.shorten(alarm.message ?? '', limits.message, `${field}.message`, context)
+      };
+
+      if (Alarm.ALARM_STATUS_MAP) {
+        options.status = audible ? 'armed' : 'disarmed';
+      } else {
+        options.audible = audible;
+      }
+
+      for (const key of ['month', 'day']) {
+        if (alarm[key] === undefined) {
+          continue;
+        }
+        if (limits.date) {
+          options[key] = alarm[key];
+        } else {
+          context.skip(`${field}.${key}`, `${context.name} alarms ring every day`);
+        }
+      }
+
+      syncData.alarm.push(options);
+    });
+  }
+
+  /**
+   * Timer options
+   * @private
+   */
+  static compileTimers(timers, context, syncData) {
+    if (!context.components.Timer) {
+      timers.forEach((timer, index) => context.skip(`timers[${index}]`, `${context.name} watches have no timers`));
+      return;
+    }
+
+    syncData.timer = timers.map((timer, index) => {
+      const [hours, minutes, seconds] = timer.duration.split(':').map(Number);
+
+      return {
+        number: timer.number,
+        label: this.shorten(timer.label ?? `TIMER ${timer.number}`, context.limits.timerLabel, `timers[${index}].label`, context),
+        time: new Date(2000, 0, 1, hours, minutes, seconds),
+        actionAtEnd: timer.actionAtEnd ?? 'stop_timer'
+      };
+    });
+  }
+
+  /**
+   * EEPROM options with item components, for protocols that store text
+   * @private
+   */
+  static compileEeprom(profile, context, syncData) {
+    const { Eeprom } = context.components;
+    const eeprom = {};
+    const text = (value, field) => this.shorten(value, context.limits.text, field, context);
+
+    const items = (key, componentName, description, options) => {
+      const entries = profile[key] ?? [];
+
+      if (!Eeprom || !context.components[componentName]) {
+        entries.forEach((entry, index) => context.skip(`${key}[${index}]`, `${context.name} watches do not store ${description}`));
+      } else if (entries.length > 0) {
+        eeprom[key] = entries.map((entry, index) => context.create(componentName, options(entry, `${key}[${index}]`)));
+      }
+    };
+
+    items('appointments', 'Appointment', 'appointments', (appointment, field) => ({
+      time: this.dateTime(appointment.time),
+      message: text(appointment.message, `${field}.message`)
+    }));
+
+    items('anniversaries', 'Anniversary', 'anniversaries', (anniversary, field) => ({
+      time: this.date(anniversary.date),
+      anniversary: text(anniversary.message, `${field}.message`)
+    }));
+
+    items('lists', 'List', 'lists', (entry, field) => ({
+      listEntry: text(entry.entry, `${field}.entry`),
+      priority: entry.priority ?? null
+    }));
+
+    items('phoneNumbers', 'PhoneNumber', 'phone numbers', (phoneNumber, field) => ({
+      name: text(phoneNumber.name, `${field}.name`),
+      number: this.shorten(phoneNumber.number, context.limits.phoneDigits, `${field}.number`, context),
+      type: phoneNumber.type ?? ' '
+    }));
+
+    if (profile.appointmentNotificationMinutes !== undefined) {
+      if (Eeprom && context.components.Appointment) {
+        eeprom.appointmentNotificationMinutes = profile.appointmentNotificationMinutes;
+      } else {
+        context.skip('appointmentNotificationMinutes', `${context.name} watches have no appointment notifications`);
+      }
+    }
+
+    if (Object.keys(eeprom).length > 0) {
+      syncData.eeprom = eeprom;
+    }
+  }
+
+  /**
+   * Protocol 7 EEPROM options: appointments become calendar events and phone
+   * numbers keep their digits, with spoken phrases built from the text
+   * @private
+   */
+  static compileSpokenEeprom(profile, context, syncData) {
+    const { Speech } = context.components;
+    const eeprom = {};
+
+    const phrase = (text, field) => {
+      if (!context.phraseBuilder) {
+        context.skip(field, `${context.name} speaks names and messages, which needs a vocabulary database (phraseBuilder)`);
+        return null;
+      }
+
+      try {
+        const ids = context.phraseBuilder.vocabIdsFor(text);
+        if (!Speech.isValidPhrase(ids)) {
+          context.skip(field, `${context.name} phrases have at most ${Speech.ENTRY_WORDS_MAX} words`);
+          return null;
+        }
+        return ids;
+      } catch (error) {
+        context.skip(field, error.message);
+        return null;
+      }
+    };
+
+    const events = [];
+    (profile.appointments ?? []).forEach((appointment, index) => {
+      const field = `appointments[${index}]`;
+      const time = this.dateTime(appointment.time);
+
+      if (time < context.time) {
+        context.skip(field, `${context.name} calendars only hold events after the sync time`);
+        return;
+      }
+
+      const ids = phrase(appointment.message, `${field}.message`);
+      if (ids) {
+        events.push(context.create('CalendarEvent', { time, phrase: ids }));
+      }
+    });
+
+    if (events.length > 0) {
+      eeprom.calendar = context.create('Calendar', { time: context.time, events });
+    }
+
+    const phoneNumbers = [];
+    (profile.phoneNumbers ?? []).forEach((phoneNumber, index) => {
+      const field = `phoneNumbers[${index}]`;
+      const digits = phoneNumber.number.replace(/\D/g, '');
+
+      if (digits !== phoneNumber.number) {
+        context.skip(`${field}.number`, `${context.name} phone numbers hold only digits ("${digits}")`, 'reencoded');
+      }
+      if (phoneNumber.type !== undefined && phoneNumber.type.trim() !== '') {
+        context.skip(`${field}.type`, `${context.name} phone numbers have no type`);
+      }
+
+      const ids = phrase(phoneNumber.name, `${field}.name`);
+      if (ids && digits.length > 0) {
+        phoneNumbers.push(context.create('PhoneNumber', {
+          name: ids,
+          number: this.shorten(digits, context.limits.phoneDigits, `${field}.number`, context)
+        }));
+      }
+    });
+
+    if (phoneNumbers.length > 0) {
+      eeprom.phoneNumbers = phoneNumbers;
+    }
+
+    for (const key of ['anniversaries', 'lists']) {
+      (profile[key] ?? []).forEach((entry, index) => context.skip(`${key}[${index}]`, `${context.name} watches do not store ${key}`));
+    }
+    if (profile.appointmentNotificationMinutes !== undefined) {
+      context.skip('appointmentNotificationMinutes', `${context.name} watches have no appointment notifications`);
+    }
+
+    if (Object.keys(eeprom).length > 0) {
+      syncData.eeprom = eeprom;
+    }
+  }
+
+  /**
+   * SoundOptions, or Protocol 6's SoundScrollOptions
+   * @private
+   */
+  static compileSoundOptions(soundOptions, context, syncData) {
+    if (soundOptions === undefined) {
+      return;
+    }
+
+    const options = { hourlyChime: soundOptions.hourlyChime ?? false, buttonBeep: soundOptions.buttonBeep ?? false };
+
+    if (context.components.SoundOptions) {
+      syncData.soundOptions = options;
+    } else if (context.components.SoundScrollOptions) {
+      syncData.soundScrollOptions = options;
+    } else {
+      context.skip('soundOptions', `${context.name} watches have no sound options`);
+    }
+  }
+
+  /**
+   * SoundTheme options from base64 data
+   * @private
+   */
+  static compileSoundTheme(soundTheme, context, syncData) {
+    if (soundTheme === undefined) {
+      return;
+    }
+
+    if (context.components.SoundTheme) {
+      syncData.soundTheme = { soundThemeData: this.fromBase64(soundTheme.data) };
+    } else {
+      context.skip('soundTheme', `${context.name} watches have no sound themes`);
+    }
+  }
+
+  /**
+   * WristApp options from base64 data or ZAP file contents
+   * @private
+   */
+  static compileWristApp(wristApp, context, syncData) {
+    if (wristApp === undefined) {
+      return;
+    }
+
+    if (!context.components.WristApp) {
+      context.skip('wristApp', `${context.name} watches do not run wrist apps`);
+    } else if (wristApp.data !== undefined) {
+      syncData.wristApp = { wristAppData: this.fromBase64(wristApp.data) };
+    } else if (wristApp.zapFile !== undefined) {
+      syncData.wristApp = { zapFile: wristApp.zapFile };
+    } else {
+      context.skip('wristApp', 'Wrist app has neither data nor zapFile');
+    }
+  }
+
+  /**
+   * Cut text to a length, reporting what was cut
+   * @private
+   */
+  static shorten(text, length, field, context) {
+    if (length === undefined || text.length <= length) {
+      return text;
+    }
+
+    context.skip(field, `${context.name} keeps the first ${length} characters ("${text.slice(0, length)}")`, 'truncated');
+    return text.slice(0, length);
+  }
+
+  /**
+   * Current time in a zone's UTC offset, or local time
+   * @private
+   */
+  static zoneTime(zone, time) {
+    if (zone.utcOffset === undefined) {
+      return new Date(time);
+    }
+
+    const [, sign, hours, minutes] = /^([+-])(\d{2}):(\d{2})$/.exec(zone.utcOffset);
+    const offset = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+    return new Date(time.getTime() + (offset + time.getTimezoneOffset()) * 60000);
+  }
+
+  /**
+   * "HH:MM" as a Date
+   * @private
+   */
+  static clockTime(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return new Date(2000, 0, 1, hours, minutes);
+  }
+
+  /**
+   * "YYYY-MM-DD" as a local Date
+   * @private
+   */
+  static date(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * "YYYY-MM-DDTHH:MM[:SS]" as a local Date
+   * @private
+   */
+  static dateTime(value) {
+    const [date, clock] = value.split('T');
+    const [hours, minutes, seconds = 0] = clock.split(':').map(Number);
+    const time = this.date(date);
+    time.setHours(hours, minutes, seconds, 0);
+    return time;
+  }
+
+  /**
+   * UTC offset ("+HH:MM") of a zone's clock, or null for local time
+   * @private
+   */
+  static utcOffset(zoneTime, time) {
+    if (!(zoneTime instanceof Date)) {
+      return null;
+    }
+
+    const offset = Math.round(((zoneTime - time) / 60000 - time.getTimezoneOffset()) / 15) * 15;
+    if (offset === -time.getTimezoneOffset() || Math.abs(offset) >= 24 * 60) {
+      return null;
+    }
+
+    const minutes = Math.abs(offset);
+    return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  /**
+   * Date as "HH:MM"
+   * @private
+   */
+  static clockString(time) {
+    return `${pad(time.getHours())}:${pad(time.getMinutes())}`;
+  }
+
+  /**
+   * Date as "YYYY-MM-DD"
+   * @private
+   */
+  static dateString(time) {
+    return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`;
+  }
+
+  /**
+   * Base64 text as bytes
+   * @private
+   */
+  static fromBase64(data) {
+    return Uint8Array.from(atob(data), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Bytes (or a binary string) as a binary string, one character per byte
+   * @private
+   */
+  static binaryString(data) {
+    if (typeof data === 'string') {
+      return data;
+    }
+    return Array.from(new Uint8Array(data), byte => String.fromCharCode(byte)).join('');
+  }
+}
\ No newline at end of file
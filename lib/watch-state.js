@@ -0,0 +1,201 @@
+// Last known state of each watch
+// Datalink watches are write-only, so after every successful write the
+// written components are stored as a watch profile (see watch-profile.js),
+// merged over what the watch held before. diff() compares that shadow copy
+// with a pending configuration to show what a sync will change.
+
+import { WatchProfile } from './watch-profile.js';
+import { ProtocolFactory } from './protocol-factory.js';
+
+export class WatchState {
+    static STORAGE_KEY = 'timex_watch_state';
+
+    // Fields an EEPROM write replaces as a whole, since it clears the memory first
+    static EEPROM_FIELDS = ['appointments', 'appointmentNotificationMinutes', 'anniversaries', 'phoneNumbers', 'lists'];
+
+    // Fields written entry by entry; later writes replace entries with the same key
+    static MERGED_FIELDS = { timeZones: 'zone', alarms: 'number', timers: 'number' };
+
+    // What identifies an entry of each list field when diffing
+    static ENTRY_KEYS = {
+        timeZones: entry => entry.zone,
+        alarms: entry => entry.number,
+        timers: entry => entry.number,
+        appointments: entry => entry.time,
+        anniversaries: entry => entry.date,
+        phoneNumbers: entry => entry.name || entry.number,
+        lists: entry => entry.entry
+    };
+
+    static SETTINGS = ['appointmentNotificationMinutes', 'soundOptions', 'soundTheme', 'wristApp'];
+
+    constructor({
+        storage = globalThis.localStorage ?? null,
+        storageKey = WatchState.STORAGE_KEY
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+    }
+
+    // Watch id used when the caller has none: one watch per protocol
+    static defaultId(protocol) {
+        return `protocol${protocol}`;
+    }
+
+    // Last known state of a watch as { protocol, profile, syncedAt }, or null
+    load(watchId) {
+        return this.readAll()[watchId] ?? null;
+    }
+
+    // Merge written components into a watch's last known state; resolves the
+    // protocol from the components when none is given. Returns the saved
+    // entry with its watchId.
+    record(watchId, components, { protocol = null, time = new Date() } = {}) {
+        const written = WatchProfile.fromComponents(components, { protocol, time });
+        const { Eeprom } = ProtocolFactory.resolveProtocol(written.protocol).getComponents();
+        const id = watchId ?? WatchState.defaultId(written.protocol);
+        const previous = this.load(id);
+
+        const entry = {
+            protocol: written.protocol,
+            profile: WatchState.merge(previous?.protocol === written.protocol ? previous.profile : null, written.profile, {
+                eeprom: Boolean(Eeprom) && components.some(component => component instanceof Eeprom)
+            }),
+            syncedAt: time.toISOString()
+        };
+
+        const all = this.readAll();
+        all[id] = entry;
+        this.writeAll(all);
+        return { watchId: id, ...entry };
+    }
+
+    forget(watchId) {
+        const all = this.readAll();
+        delete all[watchId];
+        this.writeAll(all);
+    }
+
+    // Profile of a watch after writing a profile over its state; eeprom marks
+    // a write that included the EEPROM component
+    static merge(state, written, { eeprom = false } = {}) {
+        const merged = { ...(state ?? {}), version: WatchProfile.VERSION };
+
+        if (eeprom) {
+            WatchState.EEPROM_FIELDS.forEach(field => delete merged[field]);
+        }
+
+        for (const [field, value] of Object.entries(written)) {
+            const key = WatchState.MERGED_FIELDS[field];
+
+            if (key && merged[field]) {
+                const entries = new Map(merged[field].map(entry => [entry[key], entry]));
+                value.forEach(entry => entries.set(entry[key], entry));
+                merged[field] = [...entries.values()].sort((a, b) => a[key] - b[key]);
+            } else {
+                merged[field] = value;
+            }
+        }
+
+        return merged;
+    }
+
+    // Changes from a last known profile (null for a watch never synced) to a
+    // pending one, limited to the given fields. Returns { known,
+    // hasChanges, sections, settings }: sections maps each list field with
+    // changes to { added, removed, changed: [{ before, after }] }, settings
+    // lists { field, before, after } for the other fields.
+    static diff(before, after, { fields = [...Object.keys(WatchState.ENTRY_KEYS), ...WatchState.SETTINGS] } = {}) {
+        const sections = {};
+        const settings = [];
+
+        for (const field of fields) {
+            const keyOf = WatchState.ENTRY_KEYS[field];
+            const previous = before?.[field];
+            const pending = after?.[field];
+
+            if (!keyOf) {
+                if (JSON.stringify(previous) !== JSON.stringify(pending)) {
+                    settings.push({ field, before: previous ?? null, after: pending ?? null });
+                }
+                continue;
+            }
+
+            const remaining = [...(previous ?? [])];
+            const section = { added: [], removed: [], changed: [] };
+
+            for (const entry of pending ?? []) {
+                const index = remaining.findIndex(candidate => keyOf(candidate) === keyOf(entry));
+
+                if (index === -1) {
+                    section.added.push(entry);
+                    continue;
+                }
+
+                const [match] = remaining.splice(index, 1);
+                if (JSON.stringify(match) !== JSON.stringify(entry)) {
+                    section.changed.push({ before: match, after: entry });
+                }
+            }
+            section.removed = remaining;
+
+            if (section.added.length + section.removed.length + section.changed.length > 0) {
+                sections[field] = section;
+            }
+        }
+
+        return {
+            known: before !== null && before !== undefined,
+            hasChanges: Object.keys(sections).length + settings.length > 0,
+            sections,
+            settings
+        };
+    }
+
+    // One line per change of a diff(), for logs
+    static describe(diff) {
+        const lines = [];
+        const label = entry => Object.values(entry).filter(value => typeof value === 'string' || typeof value === 'number').join(' ');
+        const setting = value => {
+            if (value === null) return 'not set';
+            const text = JSON.stringify(value);
+            return text.length > 40 ? 'set' : text;
+        };
+
+        for (const [field, { added, removed, changed }] of Object.entries(diff.sections)) {
+            added.forEach(entry => lines.push(`+ ${field}: ${label(entry)}`));
+            removed.forEach(entry => lines.push(`- ${field}: ${label(entry)}`));
+            changed.forEach(({ before, after }) => lines.push(`~ ${field}: ${label(before)} → ${label(after)}`));
+        }
+        for (const { field, before, after } of diff.settings) {
+            lines.push(`~ ${field}: ${setting(before)} → ${setting(after)}`);
+        }
+
+        return lines;
+    }
+
+    readAll() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading watch state:', error);
+            return {};
+        }
+    }
+
+    writeAll(all) {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving watch state:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Tests for the deep copy utility
+ * Verifies that copies keep their values and share no objects with the original
+ */
+
+import DeepClone from '../../lib/helpers/deep-clone.js';
+
+function runTests() {
+  console.log('Running Deep Clone tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (condition, description) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+      passed++;
+    } else {
+      console.log(`❌ ${description}`);
+      failed++;
+    }
+  };
+
+  console.log('Test 1: Plain data');
+  try {
+    const original = { name: 'Work', zones: [{ zone: 1, is24h: false }], notification: null, missing: undefined };
+    const copy = DeepClone.clone(original);
+
+    check(JSON.stringify(copy) === JSON.stringify(original) && 'missing' in copy, 'Copies objects and arrays');
+    check(copy !== original && copy.zones !== original.zones && copy.zones[0] !== original.zones[0], 'Shares no nested objects');
+    check(DeepClone.clone(42) === 42 && DeepClone.clone('text') === 'text' && DeepClone.clone(null) === null, 'Returns primitives as they are');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 2: Built-in objects');
+  try {
+    const time = new Date(2026, 9, 19, 7, 30);
+    const data = Uint8Array.from([1, 2, 3]);
+    const copy = DeepClone.clone({
+      time,
+      data,
+      buffer: data.buffer,
+      lookup: new Map([['a', { id: 1 }]]),
+      tags: new Set(['x'])
+    });
+
+    check(copy.time instanceof Date && copy.time.getTime() === time.getTime() && copy.time !== time, 'Copies dates');
+    check(copy.data instanceof Uint8Array && copy.data.join(',') === '1,2,3' && copy.data.buffer !== data.buffer, 'Copies typed arrays');
+    check(copy.buffer instanceof ArrayBuffer && copy.buffer !== data.buffer && copy.buffer.byteLength === 3, 'Copies array buffers');
+    check(copy.lookup.get('a').id === 1 && copy.tags.has('x'), 'Copies maps and sets');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
\ No newline at end of file
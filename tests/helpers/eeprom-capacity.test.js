@@ -0,0 +1,137 @@
+/**
+ * Tests for the EEPROM capacity planner
+ * Verifies section sizes, overflow validation and fitting by priority
+ */
+
+import { EepromCapacity } from '../../lib/helpers/eeprom-capacity.js';
+import Protocol1Eeprom from '../../lib/protocol1/eeprom.js';
+import Protocol3Eeprom from '../../lib/protocol3/eeprom.js';
+import Protocol3PhoneNumber from '../../lib/protocol3/eeprom/phone-number.js';
+import Protocol4Eeprom from '../../lib/protocol4/eeprom.js';
+import Protocol4Appointment from '../../lib/protocol4/eeprom/appointment.js';
+import Protocol4Anniversary from '../../lib/protocol4/eeprom/anniversary.js';
+import Protocol4List from '../../lib/protocol4/eeprom/list.js';
+import Protocol4PhoneNumber from '../../lib/protocol4/eeprom/phone-number.js';
+import Protocol9 from '../../lib/protocol9.js';
+import { ValidationError } from '../../lib/helpers/data-validator.js';
+
+function runTests() {
+  console.log('Running EEPROM Capacity tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (condition, description) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+      passed++;
+    } else {
+      console.log(`❌ ${description}`);
+      failed++;
+    }
+  };
+
+  const now = new Date(2026, 5, 15, 12, 0);
+  const phoneNumbers = (count) => Array.from({ length: count }, (_, index) =>
+    new Protocol4PhoneNumber({ name: `Contact ${index}`, number: `555${String(index).padStart(4, '0')}` })
+  );
+
+  console.log('Test 1: Measuring');
+  try {
+    const phone = new Protocol4PhoneNumber({ name: 'Home', number: '5551234' });
+    const list = new Protocol4List({ listEntry: 'Milk', priority: 1 });
+    const eeprom = new Protocol4Eeprom({ phoneNumbers: [phone, phone], lists: [list] });
+    const report = EepromCapacity.measure(eeprom);
+
+    check(report.capacity === 0x0800 - 0x0236, 'Capacity spans the EEPROM address range');
+    check(report.sections.phoneNumbers.count === 2 && report.sections.phoneNumbers.bytes === phone.packet().length * 2, 'Phone numbers are measured by their packets');
+    check(report.sections.lists.bytes === list.packet().length && report.sections.appointments.bytes === 0, 'Every section is reported');
+    check(report.used === eeprom.usedBytes() && report.free === report.capacity - report.used && report.fits, 'Used and free bytes add up');
+    check(EepromCapacity.supports(new Protocol3Eeprom({})), 'Protocol 3 EEPROM reports its memory use');
+    check(!EepromCapacity.supports(new Protocol1Eeprom()), 'Protocol 1 EEPROM has no documented memory size to plan against');
+
+    const { Eeprom, PhoneNumber } = Protocol9.getComponents();
+    const chrono = EepromCapacity.measure(new Eeprom({ phoneNumbers: [new PhoneNumber({ name: 'Home', number: '5551234' })] }));
+    check(chrono.sections.chrono.count === 2 && chrono.used === chrono.sections.chrono.bytes + chrono.sections.phoneNumbers.bytes, 'Protocol 9 chrono memory is a section');
+    check(!EepromCapacity.supports({}), 'Components without memory use are not supported');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 2: Overflow');
+  try {
+    const full = new Protocol4Eeprom({ phoneNumbers: phoneNumbers(150) });
+    check(!EepromCapacity.measure(full).fits, 'Too many phone numbers do not fit');
+
+    try {
+      full.packets();
+      check(false, 'Compiling an overflowing EEPROM fails');
+    } catch (error) {
+      check(error.message.includes('does not fit in memory'), `Compiling an overflowing EEPROM fails (${error.message})`);
+    }
+
+    const phone = new Protocol3PhoneNumber({ name: 'Contact', number: '5551234' });
+    try {
+      new Protocol3Eeprom({ phoneNumbers: Array(150).fill(phone) }).packets();
+      check(false, 'Compiling an overflowing Protocol 3 EEPROM fails');
+    } catch (error) {
+      check(error instanceof ValidationError && error.message.includes('does not fit in memory'), `Compiling an overflowing Protocol 3 EEPROM fails validation (${error.message})`);
+    }
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 3: Fitting');
+  try {
+    const past = new Protocol4Appointment({ time: new Date(2026, 5, 1, 9, 0), message: 'Past' });
+    const today = new Protocol4Appointment({ time: new Date(2026, 5, 15, 18, 0), message: 'Today' });
+    const soon = new Protocol4Appointment({ time: new Date(2026, 5, 16, 9, 0), message: 'Soon' });
+    const later = new Protocol4Appointment({ time: new Date(2026, 7, 1, 9, 0), message: 'Later' });
+    const urgent = new Protocol4List({ listEntry: 'Urgent', priority: 1 });
+    const someday = new Protocol4List({ listEntry: 'Someday', priority: null });
+    const birthday = new Protocol4Anniversary({ time: new Date(1990, 5, 20), anniversary: 'Birthday' });
+    const numbers = phoneNumbers(110);
+
+    const eeprom = new Protocol4Eeprom({
+      appointments: [later, past, today, soon],
+      lists: [someday, urgent],
+      phoneNumbers: numbers,
+      anniversaries: [birthday],
+      appointmentNotificationMinutes: 15
+    });
+    const bytes = (items) => items.reduce((sum, item) => sum + item.packet().length, 0);
+    const overflow = eeprom.usedBytes() - Protocol4Eeprom.availableBytes();
+    check(overflow > bytes([past, later, soon, today, someday, urgent]), 'Test data overflows by more than the appointments and lists');
+
+    const { eeprom: fitted, dropped, capacity } = EepromCapacity.fit(eeprom, { now });
+    const order = dropped.map(entry => entry.label);
+
+    check(capacity.fits && fitted.packets().length > 0, 'Fitted EEPROM compiles');
+    check(JSON.stringify(order.slice(0, 6)) === JSON.stringify(['Past', 'Later', 'Soon', 'Today', 'Someday', 'Urgent']), `Appointments then lists are dropped by priority (${order.slice(0, 6).join(', ')})`);
+    check(order[6] === 'Birthday' && fitted.anniversaries.length === 0, 'Anniversaries go before phone numbers');
+    check(dropped.slice(7).every(entry => entry.section === 'phoneNumbers') && order[7] === 'Contact 109' && fitted.phoneNumbers[0] === numbers[0], 'Phone numbers are dropped from the last');
+    check(fitted.phoneNumbers.length + dropped.length - 7 === numbers.length, 'Dropped and kept phone numbers add up');
+    check(capacity.free < dropped[dropped.length - 1].bytes, 'No more is dropped than needed');
+    check(fitted.appointmentNotificationMinutes === 15 && eeprom.phoneNumbers.length === numbers.length, 'Settings are kept and the original is untouched');
+
+    const small = new Protocol4Eeprom({ lists: [urgent] });
+    const unchanged = EepromCapacity.fit(small, { now });
+    check(unchanged.eeprom === small && unchanged.dropped.length === 0, 'Data that fits is left as is');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
\ No newline at end of file
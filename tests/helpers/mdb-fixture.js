@@ -0,0 +1,251 @@
+/**
+ * Builds small Jet 4 MDB files in memory for tests
+ *
+ * Writes only the structures MdbReader reads: the header page, an
+ * MSysObjects catalog, table definitions, data pages and usage maps.
+ */
+
+const PAGE_SIZE = 4096;
+
+const TYPES = {
+  BOOLEAN: 0x01,
+  BYTE: 0x02,
+  INT: 0x03,
+  LONG: 0x04,
+  TEXT: 0x0a
+};
+
+const FIXED_SIZES = {
+  [TYPES.BOOLEAN]: 0,
+  [TYPES.BYTE]: 1,
+  [TYPES.INT]: 2,
+  [TYPES.LONG]: 4
+};
+
+const USAGE_MAP_PAGE = 1;
+const SYSTEM_OBJECTS_PAGE = 2;
+
+function newPage() {
+  return new Uint8Array(PAGE_SIZE);
+}
+
+function encodeText(text, compress) {
+  const canCompress = compress && [...text].every(char => char.charCodeAt(0) > 0 && char.charCodeAt(0) < 0x100);
+
+  if (canCompress) {
+    return [0xff, 0xfe, ...[...text].map(char => char.charCodeAt(0))];
+  }
+
+  const bytes = [];
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    bytes.push(code & 0xff, code >> 8);
+  }
+  return bytes;
+}
+
+function layoutColumns(columns) {
+  let fixedOffset = 0;
+  let varIndex = 0;
+
+  return columns.map((column, number) => {
+    const fixed = column.type !== TYPES.TEXT;
+    const layout = {
+      ...column,
+      number,
+      fixed,
+      size: fixed ? FIXED_SIZES[column.type] : (column.size || 255),
+      fixedOffset: fixed ? fixedOffset : 0,
+      varIndex: fixed ? 0 : varIndex
+    };
+
+    if (fixed) {
+      fixedOffset += layout.size;
+    } else {
+      varIndex++;
+    }
+
+    return layout;
+  });
+}
+
+function buildRow(columns, row, compress) {
+  const fixedLength = columns.filter(column => column.fixed).reduce((sum, column) => sum + column.size, 0);
+  const fixed = new Uint8Array(fixedLength);
+  const fixedView = new DataView(fixed.buffer);
+  const nullMask = new Uint8Array(Math.ceil(columns.length / 8));
+  const varData = [];
+  const varOffsets = [];
+
+  let offset = 2 + fixedLength;
+
+  for (const column of columns) {
+    const value = row[column.name];
+    const present = column.type === TYPES.BOOLEAN ? value === true : value !== null && value !== undefined;
+
+    if (present) {
+      nullMask[column.number >> 3] |= 1 << (column.number & 7);
+    }
+
+    if (column.fixed) {
+      if (!present || column.type === TYPES.BOOLEAN) continue;
+
+      if (column.type === TYPES.BYTE) fixed[column.fixedOffset] = value;
+      if (column.type === TYPES.INT) fixedView.setInt16(column.fixedOffset, value, true);
+      if (column.type === TYPES.LONG) fixedView.setInt32(column.fixedOffset, value, true);
+      continue;
+    }
+
+    varOffsets.push(offset);
+    if (present) {
+      const bytes = encodeText(String(value), compress);
+      varData.push(...bytes);
+      offset += bytes.length;
+    }
+  }
+  varOffsets.push(offset);
+
+  const bytes = [columns.length & 0xff, columns.length >> 8, ...fixed, ...varData];
+
+  for (let i = varOffsets.length - 1; i >= 0; i--) {
+    bytes.push(varOffsets[i] & 0xff, varOffsets[i] >> 8);
+  }
+
+  const varCount = varOffsets.length - 1;
+  bytes.push(varCount & 0xff, varCount >> 8, ...nullMask);
+
+  return bytes;
+}
+
+function writeRowsPage(page, owner, rows, deleted = []) {
+  const view = new DataView(page.buffer);
+  page[0] = 0x01;
+  page[1] = 0x01;
+  view.setUint32(4, owner, true);
+  view.setUint16(12, rows.length, true);
+
+  let end = PAGE_SIZE;
+  rows.forEach((bytes, index) => {
+    const start = end - bytes.length;
+    page.set(bytes, start);
+    view.setUint16(14 + index * 2, start | (deleted.includes(index) ? 0x8000 : 0), true);
+    end = start;
+  });
+
+  view.setUint16(2, end - (14 + rows.length * 2), true);
+}
+
+function writeTableDefinition(page, columns, rowCount, usageMap) {
+  const view = new DataView(page.buffer);
+  page[0] = 0x02;
+  page[1] = 0x01;
+  page[2] = 0x56; // 'V'
+  page[3] = 0x43; // 'C'
+  view.setUint32(16, rowCount, true);
+  page[40] = 0x4e; // user table
+  view.setUint16(45, columns.length, true);
+  view.setUint16(43, columns.filter(column => !column.fixed).length, true);
+  view.setUint32(55, usageMap, true);
+
+  let offset = 63;
+  for (const column of columns) {
+    page[offset] = column.type;
+    view.setUint16(offset + 5, column.number, true);
+    view.setUint16(offset + 7, column.varIndex, true);
+    view.setUint16(offset + 9, column.number, true);
+    page[offset + 15] = column.fixed ? 0x03 : 0x02;
+    view.setUint16(offset + 21, column.fixedOffset, true);
+    view.setUint16(offset + 23, column.size, true);
+    offset += 25;
+  }
+
+  for (const column of columns) {
+    const name = encodeText(column.name, false);
+    view.setUint16(offset, name.length, true);
+    page.set(name, offset + 2);
+    offset += 2 + name.length;
+  }
+}
+
+function paginateRows(rows) {
+  const pages = [[]];
+  let used = 14;
+
+  for (const row of rows) {
+    if (used + row.length + 2 > PAGE_SIZE) {
+      pages.push([]);
+      used = 14;
+    }
+    pages[pages.length - 1].push(row);
+    used += row.length + 2;
+  }
+
+  return pages;
+}
+
+/**
+ * Build a Jet 4 database
+ * @param {Array<Object>} tables - Tables as { name, columns: [{ name, type }], rows, deleted, useUsageMap }
+ * @param {Object} options - Build options
+ * @param {boolean} options.compressText - Use Jet 4 text compression where possible
+ * @returns {Uint8Array} MDB file contents
+ */
+function buildMdb(tables, { compressText = false } = {}) {
+  const pages = [newPage(), newPage(), newPage()];
+
+  // Header page
+  pages[0][1] = 0x01;
+  pages[0].set([...'Standard Jet DB'].map(char => char.charCodeAt(0)), 4);
+  pages[0][0x14] = 0x01;
+
+  const usageMapRows = [];
+  const catalogRows = [];
+
+  for (const table of tables) {
+    const columns = layoutColumns(table.columns);
+    const tdefPage = pages.length;
+    pages.push(newPage());
+
+    const rowPages = paginateRows(table.rows.map(row => buildRow(columns, row, compressText)));
+    const firstDataPage = pages.length;
+
+    rowPages.forEach((rows, index) => {
+      const page = newPage();
+      writeRowsPage(page, tdefPage, rows, index === 0 ? (table.deleted || []) : []);
+      pages.push(page);
+    });
+
+    let usageMap = 0;
+    if (table.useUsageMap !== false) {
+      const bitmap = new Uint8Array(Math.ceil(rowPages.length / 8) + 1);
+      rowPages.forEach((_, index) => { bitmap[index >> 3] |= 1 << (index & 7); });
+      usageMapRows.push([0x00, ...new Uint8Array(new Uint32Array([firstDataPage]).buffer), ...bitmap]);
+      usageMap = (USAGE_MAP_PAGE << 8) | (usageMapRows.length - 1);
+    }
+
+    writeTableDefinition(pages[tdefPage], columns, table.rows.length, usageMap);
+    catalogRows.push({ Id: tdefPage, Name: table.name, Type: 1, Flags: 0 });
+  }
+
+  // MSysObjects catalog, found by scanning because it has no usage map
+  const catalogColumns = layoutColumns([
+    { name: 'Id', type: TYPES.LONG },
+    { name: 'Name', type: TYPES.TEXT },
+    { name: 'Type', type: TYPES.INT },
+    { name: 'Flags', type: TYPES.LONG }
+  ]);
+  catalogRows.unshift({ Id: SYSTEM_OBJECTS_PAGE, Name: 'MSysObjects', Type: 1, Flags: 0x80000002 | 0 });
+  writeTableDefinition(pages[SYSTEM_OBJECTS_PAGE], catalogColumns, catalogRows.length, 0);
+
+  const catalogPage = newPage();
+  writeRowsPage(catalogPage, SYSTEM_OBJECTS_PAGE, catalogRows.map(row => buildRow(catalogColumns, row, false)));
+  pages.push(catalogPage);
+
+  writeRowsPage(pages[USAGE_MAP_PAGE], 0, usageMapRows);
+
+  const bytes = new Uint8Array(pages.length * PAGE_SIZE);
+  pages.forEach((page, index) => bytes.set(page, index * PAGE_SIZE));
+  return bytes;
+}
+
+export { buildMdb, TYPES, PAGE_SIZE };
@@ -0,0 +1,121 @@
+/**
+ * Tests for the MDB (Microsoft Access) reader
+ * Uses Jet 4 databases built in memory by mdb-fixture.js
+ */
+
+import MdbReader from '../../lib/helpers/mdb-reader.js';
+import { buildMdb, TYPES, PAGE_SIZE } from './mdb-fixture.js';
+
+const vocabTable = (rows, options = {}) => ({
+  name: 'Vocab',
+  columns: [
+    { name: 'PC Index', type: TYPES.LONG },
+    { name: 'Label', type: TYPES.TEXT },
+    { name: 'Category', type: TYPES.INT },
+    { name: 'Enabled', type: TYPES.BOOLEAN }
+  ],
+  rows,
+  ...options
+});
+
+const sampleRows = [
+  { 'PC Index': 1, Label: 'Computer', Category: 3, Enabled: true },
+  { 'PC Index': 2, Label: 'From', Category: null, Enabled: false },
+  { 'PC Index': 3, Label: 'Mars', Category: 7, Enabled: true },
+  { 'PC Index': 513, Label: '<Fart>', Category: -1, Enabled: true }
+];
+
+function runTests() {
+  console.log('Running MDB Reader tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (condition, description) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+      passed++;
+    } else {
+      console.log(`❌ ${description}`);
+      failed++;
+    }
+  };
+
+  const run = (title, fn) => {
+    console.log(title);
+    try {
+      fn();
+    } catch (error) {
+      console.log(`❌ Unexpected error: ${error.message}`);
+      failed++;
+    }
+  };
+
+  run('Test 1: Header detection', () => {
+    const reader = new MdbReader(buildMdb([vocabTable(sampleRows)]));
+    check(reader.isJet4(), 'Detects Jet 4 format');
+    check(reader.pageCount() * PAGE_SIZE === reader.bytes.length, 'Counts pages');
+
+    let error = null;
+    try {
+      new MdbReader(new Uint8Array(PAGE_SIZE));
+    } catch (e) {
+      error = e;
+    }
+    check(error && error.message.includes('Not a Microsoft Access database'), 'Rejects data without a Jet header');
+  });
+
+  run('Test 2: Table catalog', () => {
+    const reader = new MdbReader(buildMdb([
+      vocabTable(sampleRows),
+      { name: 'Vocab Link', columns: [{ name: 'PC Index', type: TYPES.LONG }], rows: [] }
+    ]));
+    const names = reader.tableNames();
+    check(names.length === 2 && names[0] === 'Vocab' && names[1] === 'Vocab Link', 'Lists user tables without system tables');
+
+    let error = null;
+    try {
+      reader.readTable('Missing');
+    } catch (e) {
+      error = e;
+    }
+    check(error && error.message === 'Table "Missing" not found in MDB file', 'Reports missing tables');
+  });
+
+  run('Test 3: Row values', () => {
+    const rows = new MdbReader(buildMdb([vocabTable(sampleRows)])).readTable('vocab');
+    check(rows.length === 4, 'Reads every row (case-insensitive table name)');
+    check(rows[0]['PC Index'] === 1 && rows[0].Label === 'Computer' && rows[0].Category === 3, 'Decodes fixed and text columns');
+    check(rows[1].Category === null && rows[1].Enabled === false, 'Decodes null and false values');
+    check(rows[3]['PC Index'] === 513 && rows[3].Label === '<Fart>' && rows[3].Category === -1, 'Decodes signed and multi-byte values');
+  });
+
+  run('Test 4: Compressed text', () => {
+    const rows = new MdbReader(buildMdb([vocabTable(sampleRows)], { compressText: true })).readTable('Vocab');
+    check(rows.map(row => row.Label).join(',') === 'Computer,From,Mars,<Fart>', 'Decodes Jet 4 compressed text');
+  });
+
+  run('Test 5: Deleted rows and page scanning', () => {
+    const rows = new MdbReader(buildMdb([vocabTable(sampleRows, { deleted: [1], useUsageMap: false })])).readTable('Vocab');
+    check(rows.length === 3 && !rows.some(row => row.Label === 'From'), 'Skips deleted rows');
+  });
+
+  run('Test 6: Multiple data pages', () => {
+    const many = Array.from({ length: 300 }, (_, i) => ({ 'PC Index': i, Label: `Word number ${i}`, Category: i, Enabled: i % 2 === 0 }));
+    const reader = new MdbReader(buildMdb([vocabTable(many)]));
+    const rows = reader.readTable('Vocab');
+    check(reader.pageCount() > 6, 'Fixture spans several data pages');
+    check(rows.length === 300 && rows[299].Label === 'Word number 299', 'Reads rows from every page in the usage map');
+  });
+
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
@@ -0,0 +1,232 @@
+/**
+ * Tests for packet decoders
+ * Verifies that decoded Protocol 1, 3, 4, 6 and 9 components compile back to
+ * the original packets and that framing, length and CRC errors are reported
+ */
+
+import { PacketDecoder, PacketDecodeError } from '../../lib/helpers/packet-decoder.js';
+import CrcPacketsWrapper from '../../lib/helpers/crc-packets-wrapper.js';
+import { PacketCapture } from '../../lib/packet-capture.js';
+import Protocol1PacketDecoder from '../../lib/protocol1/packet-decoder.js';
+import Protocol3PacketDecoder from '../../lib/protocol3/packet-decoder.js';
+import Protocol4PacketDecoder from '../../lib/protocol4/packet-decoder.js';
+import Protocol6PacketDecoder from '../../lib/protocol6/packet-decoder.js';
+import Protocol9PacketDecoder from '../../lib/protocol9/packet-decoder.js';
+
+const TIME = new Date(2026, 9, 19, 14, 30, 15);
+
+// Components of every kind a protocol decoder knows, built from its COMPONENTS map
+const sampleComponents = (Decoder) => {
+  const c = Decoder.COMPONENTS;
+  const components = [
+    new c.Start(),
+    new c.Sync({ length: 20 }),
+    c.TimeName
+      ? new c.Time({ zone: 1, is24h: true, time: TIME })
+      : new c.Time({ zone: 1, is24h: true, dateFormat: '%_d.%m.%y', time: TIME, name: 'pdt' }),
+    c.TimeName
+      ? new c.Alarm({ number: 2, audible: false, time: TIME, message: 'wake up', month: 10, day: 20 })
+      : new c.Alarm({ number: 2, audible: false, time: TIME, message: 'wake up' }),
+    new c.Eeprom({
+      appointments: [new c.Appointment({ time: TIME, message: 'dentist' })],
+      lists: [new c.List({ listEntry: 'milk', priority: 2 }), new c.List({ listEntry: 'eggs', priority: null })],
+      phoneNumbers: [new c.PhoneNumber({ name: 'bob', number: '5551234', type: 'h' })],
+      anniversaries: [new c.Anniversary({ time: TIME, anniversary: 'wedding' })],
+      appointmentNotificationMinutes: 10
+    })
+  ];
+
+  if (c.TimeName) {
+    components.push(new c.TimeName({ zone: 1, name: 'gmt' }));
+  } else {
+    components.push(
+      new c.SoundOptions({ hourlyChime: true, buttonBeep: false }),
+      new c.SoundTheme({ soundThemeData: Uint8Array.from({ length: 40 }, (_, i) => i) }),
+      new c.WristApp({ wristAppData: Uint8Array.from({ length: 50 }, (_, i) => 255 - i) })
+    );
+  }
+
+  components.push(new c.End());
+  return components;
+};
+
+// Protocols 6 and 9 have their own options and EEPROM items
+const protocol6Components = () => {
+  const c = Protocol6PacketDecoder.COMPONENTS;
+  return [
+    new c.Start(),
+    new c.Sync({ length: 20 }),
+    new c.Time({ zone: 1, is24h: false, dateFormat: '%y.%m.%d', time: TIME, name: 'pdt', flexDst: true }),
+    new c.Time({ zone: 2, is24h: true, dateFormat: '%_m-%d-%y', time: TIME, flexTime: true, flexTimeZone: true }),
+    new c.Alarm({ number: 3, status: 'armed', time: TIME, message: 'Call Mom', month: 10, day: 20 }),
+    new c.PagerOptions({ autoOnOff: true, onHour: 7, onMinute: 30, offHour: 22, alertSound: null }),
+    new c.NightModeOptions({ nightModeDeactivateHours: 6, indigloTimeoutSeconds: 8, nightModeOnNotification: true }),
+    new c.SoundScrollOptions({ hourlyChime: true, buttonBeep: false, scrollSpeed: 2 }),
+    new c.Eeprom({ phoneNumbers: [new c.PhoneNumber({ name: 'Bob', number: '555-1234', type: 'H' })] }),
+    new c.End()
+  ];
+};
+
+const protocol9Components = () => {
+  const c = Protocol9PacketDecoder.COMPONENTS;
+  return [
+    new c.Start(),
+    new c.Sync({ length: 20 }),
+    new c.Time({ zone: 1, is24h: true, time: TIME }),
+    new c.TimeName({ zone: 1, name: 'gmt' }),
+    new c.Alarm({ number: 2, audible: true, time: TIME, message: 'swim', month: 10, day: 20 }),
+    new c.Timer({ number: 1, label: 'run', time: new Date(2000, 0, 1, 0, 45, 30), actionAtEnd: 'start_chrono' }),
+    new c.SoundOptions({ hourlyChime: false, buttonBeep: true }),
+    new c.Eeprom({
+      chrono: new c.Chrono({ label: 'tri', laps: 10 }),
+      phoneNumbers: [new c.PhoneNumber({ name: 'coach', number: '5551234', type: 'c' })]
+    }),
+    new c.End()
+  ];
+};
+
+const packetsOf = (components) => components.flatMap(component => component.packets());
+
+function runTests() {
+  console.log('Running Packet Decoder tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (condition, description) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+      passed++;
+    } else {
+      console.log(`❌ ${description}`);
+      failed++;
+    }
+  };
+
+  console.log('Test 1: Round trips');
+  for (const [protocol, Decoder] of [[1, Protocol1PacketDecoder], [3, Protocol3PacketDecoder], [4, Protocol4PacketDecoder]]) {
+    try {
+      const components = sampleComponents(Decoder);
+      const packets = packetsOf(components);
+
+      const decoded = Decoder.decode(packets);
+      check(decoded.errors.length === 0, `Protocol ${protocol} packets decode without errors`);
+      check(
+        decoded.components.map(component => component.constructor).join() === components.map(component => component.constructor).join(),
+        `Protocol ${protocol} decodes to the same component classes`
+      );
+      check(JSON.stringify(packetsOf(decoded.components)) === JSON.stringify(packets), `Protocol ${protocol} components compile back to the same packets`);
+
+      const streamed = Decoder.decode(Uint8Array.from(packets.flat()));
+      check(JSON.stringify(packetsOf(streamed.components)) === JSON.stringify(packets), `Protocol ${protocol} raw byte stream decodes to the same packets`);
+    } catch (error) {
+      console.log(`❌ Protocol ${protocol} unexpected error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('Test 2: Protocol 6 and 9 round trips');
+  for (const [protocol, Decoder, buildComponents] of [[6, Protocol6PacketDecoder, protocol6Components], [9, Protocol9PacketDecoder, protocol9Components]]) {
+    try {
+      const components = buildComponents();
+      const packets = packetsOf(components);
+
+      const decoded = Decoder.decode(Uint8Array.from(packets.flat()));
+      check(decoded.errors.length === 0, `Protocol ${protocol} byte stream decodes without errors`);
+      check(JSON.stringify(packetsOf(decoded.components)) === JSON.stringify(packets), `Protocol ${protocol} components compile back to the same packets`);
+    } catch (error) {
+      console.log(`❌ Protocol ${protocol} unexpected error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  try {
+    const [, , time, flexTime, alarm, pager, , , protocol6Eeprom] = Protocol6PacketDecoder.decode(packetsOf(protocol6Components())).components;
+    check(time.name === 'pdt' && time.flexDst && !time.flexTime && flexTime.flexTime && flexTime.flexTimeZone, 'Protocol 6 time keeps name and flex settings');
+    check(alarm.status === 'armed' && alarm.message === 'call mom' && pager.alertSound === null, 'Protocol 6 alarm status and silent pager alert are unpacked');
+    check(protocol6Eeprom.phoneNumbers[0].number === '555-1234' && protocol6Eeprom.phoneNumbers[0].type === 'h', 'Protocol 6 phone numbers are unpacked');
+
+    const [, , , , , timer, , protocol9Eeprom] = Protocol9PacketDecoder.decode(packetsOf(protocol9Components())).components;
+    check(timer.actionAtEnd === 'start_chrono' && timer.time.getMinutes() === 45, 'Protocol 9 timer keeps action and duration');
+    check(protocol9Eeprom.chrono.laps === 10 && protocol9Eeprom.phoneNumbers[0].name === 'coach', 'Protocol 9 chrono and phone numbers are unpacked');
+
+    const noFastMode = Protocol6PacketDecoder.decode(packetsOf([new Protocol9PacketDecoder.COMPONENTS.Sync({ length: 5 })]));
+    check(noFastMode.errors.length === 1, 'Protocol 6 rejects a sync without the fast mode byte');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 3: Decoded values');
+  try {
+    const { components } = Protocol3PacketDecoder.decode(packetsOf(sampleComponents(Protocol3PacketDecoder)));
+    const [, sync, time, alarm, eeprom] = components;
+
+    check(sync.length === 20, 'Sync length is the number of sync 1 bytes');
+    check(time.time.getTime() === TIME.getTime() && time.name === 'pdt' && time.dateFormat === '%_d.%m.%y', 'Time keeps time, name and date format');
+    check(alarm.message === 'wake up' && alarm.audible === false && alarm.time.getHours() === 14, 'Alarm keeps message, audibility and time');
+    check(eeprom.lists[0].listEntry === 'milk' && eeprom.lists[1].priority === null, 'List entries and priorities are unpacked');
+    check(eeprom.phoneNumbers[0].number === '5551234' && eeprom.phoneNumbers[0].type === 'h', 'Phone number digits and type are unpacked');
+    check(eeprom.appointments[0].time.getTime() === new Date(2026, 9, 19, 14, 30).getTime(), 'Appointment gets the EEPROM header year');
+
+    const capture = new PacketCapture({ packets: packetsOf([time]).map(bytes => ({ time: 0, bytes })) });
+    check(Protocol3PacketDecoder.decode(capture).components[0].zone === 1, 'Decodes a packet capture');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 4: Errors');
+  try {
+    const components = sampleComponents(Protocol3PacketDecoder);
+    const packets = packetsOf(components);
+
+    const corrupted = packets.map(packet => [...packet]);
+    corrupted[2][4] ^= 0x01;
+    const crc = Protocol3PacketDecoder.decode(corrupted);
+    check(crc.errors.length === 1 && crc.errors[0].message === 'Packet 3: CRC mismatch', 'Reports a CRC mismatch');
+    check(crc.components.length === components.length - 1, 'Decodes the packets after a bad one');
+
+    const shortened = packets.map(packet => [...packet]);
+    shortened[3] = shortened[3].slice(0, -1);
+    check(Protocol3PacketDecoder.decode(shortened).errors[0].message.includes('does not match packet length'), 'Reports a wrong length byte');
+
+    const wrongLength = CrcPacketsWrapper.wrapPackets([[0x71, 0x01]]);
+    check(Protocol3PacketDecoder.decode(wrongLength).errors[0].message.includes('expected 3'), 'Reports a payload of the wrong length');
+
+    const missingPage = packets.filter((packet, i) => !(packet[1] === 0x91 && packet[2] === 0x01 && packet[3] === 1 && i < 8));
+    const eeprom = Protocol3PacketDecoder.decode(missingPage);
+    check(eeprom.errors.some(error => error.message.includes('expected page 1')), 'Reports a missing EEPROM page');
+    check(!eeprom.components.some(component => component instanceof Protocol3PacketDecoder.COMPONENTS.Eeprom), 'Drops an incomplete EEPROM section');
+
+    const unknown = Protocol3PacketDecoder.decode(CrcPacketsWrapper.wrapPackets([[0x99]]));
+    check(unknown.errors[0].message.includes('Unknown opcode 0x99'), 'Reports unknown opcodes');
+
+    const wrongProtocol = Protocol4PacketDecoder.decode(packets.slice(0, 1));
+    check(wrongProtocol.errors[0].message.includes('Protocol 3, not Protocol 4'), 'Reports a start packet for another protocol');
+
+    const framed = PacketDecoder.frame([0x02, ...packets[0]]);
+    check(framed.errors.length === 1 && JSON.stringify(framed.packets) === JSON.stringify([packets[0]]), 'Skips invalid length bytes in a byte stream');
+
+    try {
+      Protocol3PacketDecoder.decode(corrupted, { strict: true });
+      check(false, 'Strict mode throws the first error');
+    } catch (error) {
+      check(error instanceof PacketDecodeError && error.index === 2, 'Strict mode throws the first error');
+    }
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
\ No newline at end of file
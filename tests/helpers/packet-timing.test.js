@@ -0,0 +1,87 @@
+/**
+ * Tests for per-packet timing requirements
+ * Verifies attaching, resolving and transfer estimates with packet timing
+ */
+
+import PacketTiming from '../../lib/helpers/packet-timing.js';
+import { TimexDatalinkCli } from '../../lib/timex-datalink-cli.js';
+import Protocol3Start from '../../lib/protocol3/start.js';
+
+function runTests() {
+  console.log('Running Packet Timing tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (condition, description) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+      passed++;
+    } else {
+      console.log(`❌ ${description}`);
+      failed++;
+    }
+  };
+
+  const expectError = (fn, text, description) => {
+    try {
+      fn();
+      check(false, description);
+    } catch (error) {
+      check(error.message.includes(text), `${description} (${error.message})`);
+    }
+  };
+
+  console.log('Test 1: Attaching timing');
+  try {
+    const packet = PacketTiming.attach([0x05, 0x21, 0x00, 0x00], { postDelay: 100 });
+    PacketTiming.attach(packet, { maxByteSleep: 5 });
+
+    check(PacketTiming.of(packet).postDelay === 100 && PacketTiming.of(packet).maxByteSleep === 5, 'Timing fields are merged');
+    check(JSON.stringify(packet) === '[5,33,0,0]' && Object.keys(packet).length === 4, 'Timing does not show up in the packet bytes');
+    check(PacketTiming.of([0x01]) === null, 'Packets without timing have none');
+    check(PacketTiming.of([...packet]) === null, 'Copies of a packet do not carry its timing');
+
+    expectError(() => PacketTiming.attach([0x01], { delay: 5 }), 'Unknown packet timing field', 'Rejects unknown fields');
+    expectError(() => PacketTiming.attach([0x01], { postDelay: -1 }), 'non-negative', 'Rejects negative delays');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 2: Resolving timing');
+  try {
+    const config = { byteSleep: 25, packetSleep: 250 };
+
+    check(JSON.stringify(PacketTiming.resolve([0x01], config)) === '{"byteSleep":25,"packetSleep":250}', 'Packets without timing use the transport timing');
+    check(PacketTiming.resolve(PacketTiming.attach([0x01], { postDelay: 500 }), config).packetSleep === 500, 'postDelay raises packetSleep');
+    check(PacketTiming.resolve(PacketTiming.attach([0x01], { postDelay: 100 }), config).packetSleep === 250, 'postDelay does not lower packetSleep');
+    check(PacketTiming.resolve(PacketTiming.attach([0x01], { maxByteSleep: 10 }), config).byteSleep === 10, 'maxByteSleep caps byteSleep');
+    check(PacketTiming.resolve(PacketTiming.attach([0x01], { minByteSleep: 40 }), config).byteSleep === 40, 'minByteSleep raises byteSleep');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 3: Transfer estimates');
+  try {
+    const [start] = new Protocol3Start().packets();
+    const packets = [start, PacketTiming.attach([0x01, 0x02], { postDelay: 1000 }), start];
+    const estimate = TimexDatalinkCli.estimateTransfer(packets, { baudRate: 10000, byteSleep: 0, packetSleep: 100 });
+    check(estimate.duration === start.length * 2 + 2 + 100 + 1000, 'Transfer estimates include packet timing');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Tests for the JSON Schema validator
+ * Verifies each supported keyword and the paths reported for nested errors
+ */
+
+import { SchemaValidator } from '../../lib/helpers/schema-validator.js';
+
+const SCHEMA = {
+  type: 'object',
+  required: ['id'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1, maximum: 9 },
+    kind: { enum: ['a', 'b'] },
+    version: { const: 1 },
+    code: { type: 'string', minLength: 2, maxLength: 3, pattern: '^[A-Z]+$', examples: ['ABC'] },
+    note: { type: ['string', 'null'] },
+    tags: { type: 'array', maxItems: 2, items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } }
+  }
+};
+
+function runTests() {
+  console.log('Running Schema Validator tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (condition, description) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+      passed++;
+    } else {
+      console.log(`❌ ${description}`);
+      failed++;
+    }
+  };
+
+  const errorsFor = (value) => SchemaValidator.validate(value, SCHEMA).map(({ path, message }) => `${path} ${message}`);
+
+  console.log('Test 1: Valid documents');
+  check(errorsFor({ id: 1 }).length === 0, 'Accepts the required properties only');
+  check(errorsFor({ id: 9, kind: 'b', version: 1, code: 'AB', note: null, tags: [{ name: 'x' }] }).length === 0, 'Accepts every property');
+
+  console.log('Test 2: Keywords');
+  check(errorsFor({}).join() === 'id is required', 'Reports missing required properties');
+  check(errorsFor({ id: 1.5 }).join() === 'id must be integer', 'Checks integer type');
+  check(errorsFor({ id: 10 }).join() === 'id must be at most 9', 'Checks maximum');
+  check(errorsFor({ id: 0 }).join() === 'id must be at least 1', 'Checks minimum');
+  check(errorsFor({ id: 1, kind: 'c' }).join() === 'kind must be one of "a", "b"', 'Checks enum');
+  check(errorsFor({ id: 1, version: 2 }).join() === 'version must be 1', 'Checks const');
+  check(errorsFor({ id: 1, code: 'A' }).join() === 'code must be at least 2 characters', 'Checks minLength');
+  check(errorsFor({ id: 1, code: 'ABCD' }).join() === 'code must be at most 3 characters', 'Checks maxLength');
+  check(errorsFor({ id: 1, code: 'ab' }).join() === 'code must look like "ABC"', 'Shows the example for pattern errors');
+  check(errorsFor({ id: 1, note: 3 }).join() === 'note must be string or null', 'Checks a list of types');
+  check(errorsFor({ id: 1, extra: true }).join() === 'extra is not a known property', 'Rejects additional properties');
+
+  console.log('Test 3: Nesting');
+  check(errorsFor({ id: 1, tags: [{ name: 'x' }, {}] }).join() === 'tags[1].name is required', 'Reports paths inside arrays');
+  check(errorsFor({ id: 1, tags: [{ name: 'x' }, { name: 'y' }, { name: 'z' }] }).join() === 'tags must have at most 2 items', 'Checks maxItems');
+  check(errorsFor([]).join() === '(root) must be object', 'Names the root value');
+  check(SchemaValidator.validate({ id: 1, tags: [{ name: 'x', more: 1 }] }, SCHEMA).length === 0, 'Allows additional properties unless disallowed');
+
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
\ No newline at end of file
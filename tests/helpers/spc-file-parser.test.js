@@ -0,0 +1,91 @@
+/**
+ * Tests for SPC file parser
+ * Verifies header removal and sound data extraction for protocols 3 and 4
+ */
+
+import SpcFileParser from '../../lib/helpers/spc-file-parser.js';
+import Protocol3SoundTheme from '../../lib/protocol3/sound-theme.js';
+import Protocol4SoundTheme from '../../lib/protocol4/sound-theme.js';
+
+const HEADER = [0x25, 0x04, 0x19, 0x69];
+const SOUND_DATA = [0x00, 0x01, 0x02, 0x10, 0x20, 0x30];
+
+function runTests() {
+  console.log('Running SPC File Parser tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (condition, description) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+      passed++;
+    } else {
+      console.log(`❌ ${description}`);
+      failed++;
+    }
+  };
+
+  const expectError = (fn, text, description) => {
+    try {
+      fn();
+      check(false, description);
+    } catch (error) {
+      check(error.message.includes(text), `${description} (${error.message})`);
+    }
+  };
+
+  console.log('Test 1: Sound data extraction');
+  try {
+    const spc = Uint8Array.from([...HEADER, ...SOUND_DATA]);
+
+    const fromBuffer = SpcFileParser.parse(spc.buffer);
+    check(Array.from(fromBuffer.soundThemeData).join(',') === SOUND_DATA.join(','), 'Strips header from ArrayBuffer contents');
+
+    const fromView = SpcFileParser.parse(spc.subarray(0));
+    check(Array.from(fromView.soundThemeData).join(',') === SOUND_DATA.join(','), 'Accepts Uint8Array contents');
+
+    const maxLength = SpcFileParser.parse([...HEADER, ...new Array(0x100).fill(7)]);
+    check(maxLength.soundThemeData.length === 0x100, 'Accepts the maximum sound data length');
+
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 2: Invalid files');
+  expectError(() => SpcFileParser.parse([0x4d, 0x5a, 0x90, 0x00, 0x03]), 'Not an SPC file', 'Rejects foreign files without the header');
+  expectError(() => SpcFileParser.parse(SOUND_DATA), 'Not an SPC file', 'Rejects sound data without the header');
+  expectError(() => SpcFileParser.parse([0x25, 0x04]), 'Not an SPC file', 'Rejects data shorter than the header');
+  expectError(() => SpcFileParser.parse(HEADER), 'no sound data', 'Rejects files with only a header');
+  expectError(() => SpcFileParser.parse([]), 'Not an SPC file', 'Rejects empty files');
+  expectError(() => SpcFileParser.parse([...HEADER, ...new Array(0x101).fill(0)]), 'exceeds the maximum', 'Rejects oversized sound data');
+  expectError(() => SpcFileParser.parse('%\x04\x19i'), 'must be an ArrayBuffer', 'Rejects unsupported input');
+
+  console.log('Test 3: Sound themes from SPC files');
+  try {
+    const spc = Uint8Array.from([...HEADER, ...SOUND_DATA]);
+
+    const protocol3FromSpc = new Protocol3SoundTheme({ spcFile: spc }).packets();
+    const protocol3FromData = new Protocol3SoundTheme({ soundThemeData: Uint8Array.from(SOUND_DATA) }).packets();
+    check(JSON.stringify(protocol3FromSpc) === JSON.stringify(protocol3FromData), 'Protocol 3 SPC packets match sound data packets');
+
+    const protocol4FromSpc = new Protocol4SoundTheme({ spcFile: spc.buffer }).packets();
+    const protocol4FromData = new Protocol4SoundTheme({ soundThemeData: SOUND_DATA }).packets();
+    check(JSON.stringify(protocol4FromSpc) === JSON.stringify(protocol4FromData), 'Protocol 4 SPC packets match sound data packets');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
@@ -0,0 +1,128 @@
+/**
+ * Tests for ZAP file parser
+ * Verifies section splitting, metadata and WristApp code extraction
+ */
+
+import ZapFileParser from '../../lib/helpers/zap-file-parser.js';
+import Protocol4WristApp from '../../lib/protocol4/wrist-app.js';
+
+const DELIMITER = '\xac';
+
+// Build ZAP contents with the given labels, putting hex code at WRIST_APP_CODE_INDEX
+function buildZap({ labels = {}, code = '0102ABcd', sectionCount = 20 } = {}) {
+  let text = 'ZAP\r\n';
+
+  for (let index = 1; index < sectionCount; index++) {
+    const label = labels[index] || `Section ${index}`;
+    const content = index === ZapFileParser.WRIST_APP_CODE_INDEX ? code : labels[`${index}.content`] || '';
+    text += `${DELIMITER}${label}${DELIMITER}\r\n${content}`;
+  }
+
+  return text;
+}
+
+function toBytes(text) {
+  return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+function runTests() {
+  console.log('Running ZAP File Parser tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (condition, description) => {
+    if (condition) {
+      console.log(`✅ ${description}`);
+      passed++;
+    } else {
+      console.log(`❌ ${description}`);
+      failed++;
+    }
+  };
+
+  const expectError = (fn, text, description) => {
+    try {
+      fn();
+      check(false, description);
+    } catch (error) {
+      check(error.message.includes(text), `${description} (${error.message})`);
+    }
+  };
+
+  const zap = buildZap({
+    labels: {
+      1: 'Application Name',
+      '1.content': 'Hello World\r\n',
+      2: 'Version',
+      '2.content': '1.1\r\n',
+      3: 'Description',
+      '3.content': 'Says hello\r\n'
+    }
+  });
+
+  console.log('Test 1: WristApp code extraction');
+  try {
+    const parsed = ZapFileParser.parse(toBytes(zap).buffer);
+    check(Array.from(parsed.wristAppData).join(',') === '1,2,171,205', 'Packs hex code from ArrayBuffer contents');
+    check(parsed.sections.length === 20, 'Splits file into sections');
+
+    const fromString = ZapFileParser.parse(zap);
+    check(Array.from(fromString.wristAppData).join(',') === '1,2,171,205', 'Accepts text contents');
+
+    const wrapped = ZapFileParser.parse(buildZap({ code: '01 02\r\n03' }));
+    check(Array.from(wrapped.wristAppData).join(',') === '1,2,3', 'Ignores whitespace in code');
+
+    const odd = ZapFileParser.parse(buildZap({ code: 'abc' }));
+    check(Array.from(odd.wristAppData).join(',') === '171,192', 'Pads an odd trailing digit like pack("H*")');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 2: Metadata');
+  try {
+    const parsed = ZapFileParser.parse(zap);
+    check(parsed.name === 'Hello World', 'Reads app name');
+    check(parsed.version === '1.1', 'Reads app version');
+    check(parsed.description === 'Says hello', 'Reads app description');
+
+    const unlabeled = ZapFileParser.parse(buildZap());
+    check(unlabeled.name === null && unlabeled.version === null && unlabeled.description === null, 'Missing metadata is null');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log('Test 3: Invalid files');
+  expectError(() => ZapFileParser.parse('just some text'), 'Not a ZAP file', 'Rejects files without delimiters');
+  expectError(() => ZapFileParser.parse(buildZap({ sectionCount: 10 })), 'Truncated ZAP file', 'Rejects truncated files');
+  expectError(() => ZapFileParser.parse(buildZap({ code: 'xyz' })), 'not hexadecimal', 'Rejects non-hex code');
+  expectError(() => ZapFileParser.parse(buildZap({ code: '' })), 'is empty', 'Rejects empty code');
+  expectError(() => ZapFileParser.parse(42), 'must be an ArrayBuffer', 'Rejects unsupported input');
+
+  console.log('Test 4: Raw WristApp binaries');
+  check(ZapFileParser.isZapFile(toBytes(zap).buffer), 'Detects ZAP files');
+  check(!ZapFileParser.isZapFile(new Uint8Array([0x01, 0xac, 0x02, 0x0d])), 'Raw binaries are not ZAP files');
+
+  console.log('Test 5: Protocol 4 WristApp from ZAP file');
+  try {
+    const fromZap = new Protocol4WristApp({ zapFile: toBytes(zap) }).packets();
+    const fromData = new Protocol4WristApp({ wristAppData: [1, 2, 171, 205] }).packets();
+    check(JSON.stringify(fromZap) === JSON.stringify(fromData), 'ZAP file packets match extracted wristAppData');
+  } catch (error) {
+    console.log(`❌ Unexpected error: ${error.message}`);
+    failed++;
+  }
+
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const success = runTests();
+  process.exit(success ? 0 : 1);
+}
+
+export { runTests };
@@ -0,0 +1,321 @@
+/**
+ * Integration tests for the timex-datalink command-line tool
+ *
+ * Runs the CLI commands against profile files in a temporary directory,
+ * with captured output and a file sink in place of a serial port.
+ */
+
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { TimexDatalinkCli } from '../../lib/timex-datalink-cli.js';
+import { FileSinkTransport } from '../../lib/file-sink-transport.js';
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import { ProtocolFactory } from '../../lib/protocol-factory.js';
+
+const PROFILE = {
+  protocol: 3,
+  time: [
+    { zone: 1, is24h: false, dateFormat: '%_m-%d-%y', time: '2026-10-19T12:30:00', name: 'pdt' },
+    { zone: 2, is24h: true, dateFormat: '%y-%m-%d', time: '2026-10-19T19:30:00', name: 'utc' }
+  ],
+  alarm: [{ number: 1, audible: true, time: '07:30', message: 'Wake up' }],
+  eeprom: {
+    appointments: [{ time: '2026-10-31T19:00:00', message: 'Party' }],
+    phoneNumbers: [{ name: 'Marty', number: '5551234' }],
+    appointmentNotificationMinutes: 15
+  },
+  soundOptions: { hourlyChime: true, buttonBeep: false }
+};
+
+const BIN_PATH = fileURLToPath(new URL('../../bin/timex-datalink.js', import.meta.url));
+
+// Output stream that keeps what was written
+const createOutput = () => {
+  const output = { text: '', write: (chunk) => { output.text += chunk; return true; } };
+  return output;
+};
+
+const runCli = async (args) => {
+  const stdout = createOutput();
+  const stderr = createOutput();
+  const code = await TimexDatalinkCli.run(args, { stdout, stderr });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+};
+
+// Test suite for the command-line tool
+const testCli = () => {
+  console.log('Testing Command-Line Tool Integration...');
+
+  let directory;
+  let profilePath;
+
+  const writeProfile = async (name, profile) => {
+    const path = join(directory, name);
+    await writeFile(path, JSON.stringify(profile));
+    return path;
+  };
+
+  // Test 1: Packets match the library workflow
+  const testPackets = async () => {
+    console.log('Testing packets command...');
+
+    const { code, stdout } = await runCli(['packets', profilePath]);
+    if (code !== 0) {
+      throw new Error(`Expected exit code 0, got ${code}`);
+    }
+
+    const { models } = await TimexDatalinkCli.compile({ protocol: 3, profile: PROFILE, baseDir: directory });
+    const expected = new TimexDatalinkClient({ models }).packets();
+    const lines = stdout.trim().split('\n');
+
+    if (lines.length !== expected.length || lines[0] !== FileSinkTransport.formatHex(expected[0])) {
+      throw new Error(`Unexpected hex output:\n${stdout}`);
+    }
+    const { Start, Sync } = ProtocolFactory.resolveProtocol(3).getComponents();
+    if (!(models[0] instanceof Start) || !(models[1] instanceof Sync)) {
+      throw new Error('Compiled profiles should start with Start and Sync');
+    }
+    if (models.filter(model => model.constructor.name === 'Protocol3Time').length !== 2) {
+      throw new Error('Both time zones should become Time components');
+    }
+
+    const json = await runCli(['packets', profilePath, '--format', 'json']);
+    if (JSON.stringify(JSON.parse(json.stdout)) !== JSON.stringify(expected)) {
+      throw new Error('JSON output should match the compiled packets');
+    }
+
+    console.log('✓ Packets test passed');
+  };
+
+  // Test 2: Validation reports every invalid entry
+  const testValidate = async () => {
+    console.log('Testing validate command...');
+
+    const valid = await runCli(['validate', profilePath]);
+    if (valid.code !== 0 || !valid.stdout.includes('Profile is valid for Protocol 3')) {
+      throw new Error(`Valid profile rejected: ${valid.stdout}${valid.stderr}`);
+    }
+
+    const invalidPath = await writeProfile('invalid.json', {
+      time: [{ zone: 5, is24h: false, dateFormat: '%_m-%d-%y', time: 'now' }],
+      alarm: [PROFILE.alarm[0], { number: 1, audible: true, time: 'noon', message: 'Lunch' }],
+      calendar: {}
+    });
+    const invalid = await runCli(['validate', invalidPath]);
+
+    if (invalid.code !== 1) {
+      throw new Error(`Expected exit code 1, got ${invalid.code}`);
+    }
+    for (const text of ['time[0]', 'Zone 5 is invalid', 'alarm[1]: Invalid time "noon"', 'calendar: not a Protocol 3 component']) {
+      if (!invalid.stdout.includes(text)) {
+        throw new Error(`Validation output should mention "${text}":\n${invalid.stdout}`);
+      }
+    }
+    if (invalid.stdout.includes('alarm[0]')) {
+      throw new Error('Valid entries should not be reported');
+    }
+
+    console.log('✓ Validate test passed');
+  };
+
+  // Test 3: Transfer time estimate
+  const testEstimate = async () => {
+    console.log('Testing estimate command...');
+
+    const estimate = TimexDatalinkCli.estimateTransfer([[1, 2], [], [3]], {
+      baudRate: 10000,
+      byteSleep: 10,
+      packetSleep: 100
+    });
+    if (estimate.packets !== 2 || estimate.bytes !== 3 || estimate.duration !== 3 * 11 + 100) {
+      throw new Error(`Unexpected estimate: ${JSON.stringify(estimate)}`);
+    }
+
+    const { code, stdout } = await runCli(['estimate', profilePath, '--byte-sleep', '0', '--packet-sleep', '0']);
+    if (code !== 0 || !/^\d+ packets, \d+ bytes: about \d+\.\ds/.test(stdout)) {
+      throw new Error(`Unexpected estimate output: ${stdout}`);
+    }
+
+    console.log('✓ Estimate test passed');
+  };
+
+  // Test 4: Sending to file sinks
+  const testSend = async () => {
+    console.log('Testing send command...');
+
+    const { packets } = await TimexDatalinkCli.compile({ protocol: 3, profile: PROFILE, baseDir: directory });
+
+    const binaryPath = join(directory, 'packets.bin');
+    const binary = await runCli(['send', profilePath, '--output', binaryPath]);
+    const bytes = await readFile(binaryPath);
+    if (binary.code !== 0 || Array.from(bytes).join(',') !== packets.flat().join(',')) {
+      throw new Error(`Binary sink should contain the packet bytes: ${binary.stderr}`);
+    }
+
+    const hexPath = join(directory, 'packets.hex');
+    const hex = await runCli(['send', profilePath, '-o', hexPath]);
+    const text = await readFile(hexPath, 'utf8');
+    if (hex.code !== 0 || text !== packets.map(packet => `${FileSinkTransport.formatHex(packet)}\n`).join('')) {
+      throw new Error('Hex sink should contain one packet per line');
+    }
+    if (!hex.stdout.includes(`Sent ${packets.length} packets`)) {
+      throw new Error(`Unexpected send output: ${hex.stdout}`);
+    }
+
+    const missing = await runCli(['send', profilePath]);
+    if (missing.code !== 1 || !missing.stderr.includes('--port <device> or --output <file>')) {
+      throw new Error('Send without a destination should fail');
+    }
+
+    console.log('✓ Send test passed');
+  };
+
+  // Test 5: Arguments and protocol selection
+  const testArguments = async () => {
+    console.log('Testing arguments...');
+
+    const usage = await runCli([]);
+    if (usage.code !== 2 || !usage.stderr.includes('Usage: timex-datalink')) {
+      throw new Error('Missing command should print usage');
+    }
+
+    const unknown = await runCli(['upload', profilePath]);
+    if (unknown.code !== 2 || !unknown.stderr.includes('Unknown command: upload')) {
+      throw new Error('Unknown command should be rejected');
+    }
+
+    const unknownOption = await runCli(['packets', profilePath, '--bogus']);
+    if (unknownOption.code !== 2 || !unknownOption.stderr.includes("Unknown option '--bogus'")) {
+      throw new Error('Unknown option should be rejected');
+    }
+
+    const missingValue = await runCli(['packets', profilePath, '--protocol']);
+    if (missingValue.code !== 2 || !missingValue.stderr.includes("Option '--protocol <value>' argument missing")) {
+      throw new Error('Option without a value should be rejected');
+    }
+
+    const inline = await runCli(['packets', profilePath, '--format=json', '-p', '3']);
+    if (inline.code !== 0 || !Array.isArray(JSON.parse(inline.stdout))) {
+      throw new Error(`--name=value options should be accepted: ${inline.stderr}`);
+    }
+
+    const badProtocol = await runCli(['packets', profilePath, '--protocol', '5']);
+    if (badProtocol.code !== 1 || !badProtocol.stderr.includes('Protocol not found: 5')) {
+      throw new Error(`Unknown protocol should be rejected: ${badProtocol.stderr}`);
+    }
+
+    const notFound = await runCli(['validate', join(directory, 'missing.json')]);
+    if (notFound.code !== 1 || !notFound.stderr.includes('Cannot read profile')) {
+      throw new Error('Missing profile should be reported');
+    }
+
+    if (!ProtocolFactory.WORKFLOW_ORDER.includes('WristApp')) {
+      throw new Error('Workflow order should include wrist apps');
+    }
+
+    console.log('✓ Arguments test passed');
+  };
+
+  // Test 6: Watch profiles compile for the chosen protocol
+  const testWatchProfile = async () => {
+    console.log('Testing watch profiles...');
+
+    const watchProfilePath = await writeProfile('watch-profile.json', {
+      version: 1,
+      timeZones: [{ zone: 1, name: 'pdt', dateFormat: '%_m-%d-%y' }],
+      alarms: [{ number: 1, time: '07:30', message: 'Wake up' }],
+      soundOptions: { hourlyChime: true }
+    });
+
+    const protocol3 = await runCli(['validate', watchProfilePath]);
+    if (protocol3.code !== 0 || !protocol3.stdout.includes('Watch profile is valid for Protocol 3') || protocol3.stdout.includes('Not carried')) {
+      throw new Error(`Unexpected Protocol 3 validation: ${protocol3.stdout}${protocol3.stderr}`);
+    }
+
+    const protocol1 = await runCli(['validate', watchProfilePath, '--protocol', '1']);
+    for (const text of ['Not carried by Protocol 1', 'timeZones[0].dateFormat', 'soundOptions']) {
+      if (!protocol1.stdout.includes(text)) {
+        throw new Error(`Protocol 1 validation should mention "${text}":\n${protocol1.stdout}`);
+      }
+    }
+
+    const packets = await runCli(['packets', watchProfilePath, '--protocol', '1']);
+    if (packets.code !== 0 || packets.stdout.includes('Not carried')) {
+      throw new Error('Packets output should only hold packets');
+    }
+
+    const invalidPath = await writeProfile('invalid-watch-profile.json', { version: 1, alarms: [{ number: 1 }] });
+    const invalid = await runCli(['validate', invalidPath]);
+    if (invalid.code !== 1 || !invalid.stdout.includes('alarms[0].time is required')) {
+      throw new Error(`Invalid watch profile should be reported: ${invalid.stdout}`);
+    }
+
+    console.log('✓ Watch profile test passed');
+  };
+
+  // Test 7: The executable only writes command output to stdout and logs nothing
+  const testExecutable = async () => {
+    console.log('Testing executable output...');
+
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [BIN_PATH, 'packets', profilePath]);
+    const lines = stdout.trim().split('\n');
+
+    if (!lines.every(line => /^([0-9a-f]{2} )*[0-9a-f]{2}$/.test(line))) {
+      throw new Error(`stdout should only hold packet hex:\n${stdout}`);
+    }
+
+    if (stderr !== '') {
+      throw new Error(`stderr should be empty without --verbose:\n${stderr}`);
+    }
+
+    console.log('✓ Executable test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Packets', test: testPackets },
+      { name: 'Validate', test: testValidate },
+      { name: 'Estimate', test: testEstimate },
+      { name: 'Send', test: testSend },
+      { name: 'Arguments', test: testArguments },
+      { name: 'Watch Profile', test: testWatchProfile },
+      { name: 'Executable', test: testExecutable }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    directory = await mkdtemp(join(tmpdir(), 'timex-datalink-cli-'));
+    profilePath = await writeProfile('profile.json', PROFILE);
+
+    try {
+      for (const { name, test } of tests) {
+        try {
+          await test();
+          passed++;
+        } catch (error) {
+          console.log(`❌ ${name} test failed: ${error.message}`);
+          failed++;
+        }
+      }
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+
+    console.log('\n=== CLI Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testCli;
\ No newline at end of file
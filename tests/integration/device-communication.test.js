@@ -6,11 +6,12 @@
  */
 
 import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
-import { SerialAdapter } from '../../lib/serial-adapter.js';
+import { SerialAdapter, EchoMismatchError } from '../../lib/serial-adapter.js';
 import Start from '../../lib/protocol3/start.js';
 import Sync from '../../lib/protocol3/sync.js';
 import Time from '../../lib/protocol3/time.js';
 import End from '../../lib/protocol3/end.js';
+import PacketTiming from '../../lib/helpers/packet-timing.js';
 import { MockSerialPort } from './web-serial-mock.js';
 
 // Test suite for device communication integration
@@ -348,6 +349,114 @@ const testDeviceCommunication = () => {
     await cleanup();
   };
   
+  // Test 7: Echo verification against a Notebook Adapter style echo
+  const testEchoVerification = async () => {
+    console.log('Testing echo verification...');
+    
+    const packets = [[0x20, 0x00, 0x00, 0x03], [0x71, 0x01]];
+    
+    const verifiedWrite = async (echo, options) => {
+      const port = new MockSerialPort({ echo });
+      const adapter = new SerialAdapter({
+        port,
+        byteSleep: 0,
+        packetSleep: 0,
+        echoTimeout: 50,
+        ...options
+      });
+      await adapter.connect();
+      
+      try {
+        return { port, adapter, report: await adapter.write(packets) };
+      } finally {
+        await port.close();
+      }
+    };
+    
+    // Clean echo verifies every packet
+    const clean = await verifiedWrite(true, { verifyEcho: 'packet' });
+    if (clean.report.packetsVerified !== 2 || clean.report.retries !== 0 || clean.report.aborted) {
+      throw new Error(`Unexpected clean transfer report: ${JSON.stringify(clean.report)}`);
+    }
+    
+    // A single corrupted echo byte resends only that packet
+    const glitch = await verifiedWrite((byte, index) => (index === 5 ? byte ^ 0xff : byte), { verifyEcho: 'byte' });
+    const mismatch = glitch.report.mismatches[0];
+    if (glitch.report.retries !== 1 || mismatch.packet !== 2 || mismatch.position !== 2 || mismatch.attempt !== 1) {
+      throw new Error(`Unexpected retry report: ${JSON.stringify(glitch.report)}`);
+    }
+    if (glitch.port.getWrittenData().join(',') !== '32,0,0,3,113,1,113,1') {
+      throw new Error(`Expected packet 2 to be resent, wrote ${glitch.port.getWrittenData().join(',')}`);
+    }
+    
+    // A mismatch inside a packet still sends the rest of it before the resend
+    const midPacket = await verifiedWrite((byte, index) => (index === 1 ? byte ^ 0xff : byte), { verifyEcho: 'byte' });
+    if (midPacket.report.mismatches[0].position !== 2 || midPacket.port.getWrittenData().join(',') !== '32,0,0,3,32,0,0,3,113,1') {
+      throw new Error(`Expected packet 1 to be finished and resent, wrote ${midPacket.port.getWrittenData().join(',')}`);
+    }
+    
+    // A persistently bad echo aborts the transfer with a report
+    try {
+      await verifiedWrite(byte => (byte === 0x71 ? 0x00 : byte), { verifyEcho: 'packet', echoRetries: 1 });
+      throw new Error('Expected persistent echo mismatch to abort the transfer');
+    } catch (error) {
+      if (!(error instanceof EchoMismatchError)) {
+        throw error;
+      }
+      if (!error.report.aborted || error.report.packetsWritten !== 1 || error.report.mismatches.length !== 2) {
+        throw new Error(`Unexpected abort report: ${JSON.stringify(error.report)}`);
+      }
+    }
+    
+    // A missing echo is reported after the echo timeout
+    try {
+      await verifiedWrite(() => null, { verifyEcho: 'packet', echoRetries: 0 });
+      throw new Error('Expected missing echo to abort the transfer');
+    } catch (error) {
+      if (!(error instanceof EchoMismatchError) || !error.message.includes('received 0 within 50ms')) {
+        throw error;
+      }
+    }
+    
+    console.log('✓ Echo verification test passed');
+  };
+  
+  // Test 8: Timing requirements attached to packets
+  const testPacketTiming = async () => {
+    console.log('Testing per-packet timing...');
+    
+    const timedWrite = async (options) => {
+      const port = new MockSerialPort();
+      const adapter = new SerialAdapter({ port, byteSleep: 2, packetSleep: 10, ...options });
+      const sleeps = [];
+      adapter.sleep = async (ms) => { sleeps.push(ms); };
+      await adapter.connect();
+      
+      try {
+        await adapter.write([
+          PacketTiming.attach([0x01, 0x02], { postDelay: 40, maxByteSleep: 1 }),
+          PacketTiming.attach([0x03, 0x04], { minByteSleep: 5 }),
+          [0x05]
+        ]);
+        return sleeps;
+      } finally {
+        await port.close();
+      }
+    };
+    
+    const honoured = await timedWrite({});
+    if (honoured.join() !== '1,1,40,5,5,10,2') {
+      throw new Error(`Expected packet timing to adjust the sleeps, got ${honoured.join()}`);
+    }
+    
+    const ignored = await timedWrite({ packetTiming: false });
+    if (ignored.join() !== '2,2,10,2,2,10,2') {
+      throw new Error(`Expected packetTiming: false to use the global timings, got ${ignored.join()}`);
+    }
+    
+    console.log('✓ Per-packet timing test passed');
+  };
+  
   // Run all tests
   const runAllTests = async () => {
     const tests = [
@@ -356,7 +465,9 @@ const testDeviceCommunication = () => {
       { name: 'Connection Error Handling', test: testConnectionErrorHandling },
       { name: 'Bidirectional Communication', test: testBidirectionalCommunication },
       { name: 'Timing Parameters', test: testTimingParameters },
-      { name: 'Multiple Models', test: testMultipleModels }
+      { name: 'Multiple Models', test: testMultipleModels },
+      { name: 'Echo Verification', test: testEchoVerification },
+      { name: 'Packet Timing', test: testPacketTiming }
     ];
     
     let passed = 0;
@@ -0,0 +1,307 @@
+/**
+ * Integration tests for the device registry
+ *
+ * Registers named watches of different protocols, syncs to them through the
+ * client and checks what the registry and the watch state keep per device,
+ * in memory and in a fake IndexedDB.
+ */
+
+import { DeviceRegistry, IndexedDbStore, MemoryStore } from '../../lib/device-registry.js';
+import { WatchState } from '../../lib/watch-state.js';
+import { WatchProfile } from '../../lib/watch-profile.js';
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+
+const PROFILE = {
+  version: 1,
+  alarms: [{ number: 1, time: '07:30', message: 'Wake up' }],
+  phoneNumbers: [{ name: 'Marty', number: '5551234' }]
+};
+
+// In-memory stand-in for localStorage
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+// Minimal IndexedDB stand-in: databases live as long as the factory, records
+// are copied in and out, and requests and transactions complete
+// asynchronously like the real API. openError makes open() fail.
+const fakeIndexedDB = ({ openError = null } = {}) => {
+  const databases = new Map();
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const later = callback => setTimeout(callback, 0);
+
+  const database = stores => ({
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: (name, { keyPath }) => {
+      stores.set(name, { keyPath, records: new Map() });
+    },
+    transaction: (storeName, mode) => {
+      const transaction = { error: null };
+      const { keyPath, records } = stores.get(storeName);
+      const request = (operation, writes = false) => {
+        if (writes && mode !== 'readwrite') {
+          throw new Error('ReadOnlyError');
+        }
+        return { result: operation() };
+      };
+
+      transaction.objectStore = () => ({
+        getAll: () => request(() => [...records.values()].map(copy)),
+        get: id => request(() => copy(records.get(id))),
+        put: record => request(() => {
+          records.set(record[keyPath], copy(record));
+          return record[keyPath];
+        }, true),
+        delete: id => request(() => {
+          records.delete(id);
+        }, true)
+      });
+      later(() => transaction.oncomplete());
+      return transaction;
+    }
+  });
+
+  const factory = {
+    opened: 0,
+    open: (name) => {
+      const request = { result: null, error: null };
+      later(() => {
+        if (openError) {
+          request.error = openError;
+          request.onerror();
+          return;
+        }
+        if (!databases.has(name)) {
+          databases.set(name, new Map());
+        }
+        request.result = database(databases.get(name));
+        factory.opened++;
+        request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+  return factory;
+};
+
+// Transport that accepts every write without timing
+const fakeTransport = () => ({
+  isPortConnected: () => true,
+  updateConfig: () => {},
+  write: async () => null
+});
+
+const expectError = async (fn, text) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!error.message.includes(text)) {
+      throw new Error(`Expected an error about "${text}", got: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Expected an error about "${text}"`);
+};
+
+// Test suite for the device registry
+const testDeviceRegistry = () => {
+  console.log('Testing Device Registry Integration...');
+
+  // Test 1: Registering watches
+  const testAdding = async () => {
+    console.log('Testing adding devices...');
+
+    const registry = new DeviceRegistry({ store: new MemoryStore() });
+    const office = await registry.add({ name: ' Office 150 ', protocol: 3, timingProfile: 'arduino', profile: PROFILE });
+    const ironman = await registry.add({ name: 'Ironman', protocol: 9 });
+
+    if (office.name !== 'Office 150' || office.protocol !== 3 || office.timingProfile !== 'arduino' || office.history.length !== 0) {
+      throw new Error(`Unexpected device: ${JSON.stringify(office)}`);
+    }
+    if (!office.id || office.id === ironman.id) {
+      throw new Error('Devices should get their own ids');
+    }
+    if ((await registry.list()).map(device => device.name).join() !== 'Ironman,Office 150') {
+      throw new Error('Devices should be listed by name');
+    }
+
+    const loaded = await registry.get(office.id);
+    loaded.profile.alarms[0].time = '08:00';
+    if ((await registry.get(office.id)).profile.alarms[0].time !== '07:30') {
+      throw new Error('Devices should be returned as copies');
+    }
+    if (await registry.get('missing') !== null) {
+      throw new Error('Unknown devices should be null');
+    }
+    console.log('✓ Adding test passed');
+  };
+
+  // Test 2: Invalid devices
+  const testValidation = async () => {
+    console.log('Testing validation...');
+
+    const registry = new DeviceRegistry({ store: new MemoryStore() });
+    await registry.add({ name: 'Kitchen', protocol: 4 });
+
+    await expectError(() => registry.add({ name: '  ', protocol: 4 }), 'needs a name');
+    await expectError(() => registry.add({ name: 'Lab', protocol: 5 }), 'Protocol not found');
+    await expectError(() => registry.add({ name: 'Lab', protocol: 4, timingProfile: 'turbo' }), 'Unknown timing profile');
+    await expectError(() => registry.add({ name: 'Lab', protocol: 4, profile: { version: 1, alarms: 'none' } }), 'Invalid watch profile');
+    await expectError(() => registry.add({ name: 'kitchen', protocol: 3 }), 'already exists');
+    await expectError(() => registry.update('missing', { name: 'Lab' }), 'Unknown device');
+
+    if ((await registry.list()).length !== 1) {
+      throw new Error('Invalid devices should not be stored');
+    }
+    console.log('✓ Validation test passed');
+  };
+
+  // Test 3: Updating, sync history and removing
+  const testUpdating = async () => {
+    console.log('Testing updating devices...');
+
+    const registry = new DeviceRegistry({ store: new MemoryStore() });
+    const device = await registry.add({ name: 'Desk', protocol: 1 });
+    const updated = await registry.update(device.id, { protocol: 4, profile: PROFILE });
+
+    if (updated.name !== 'Desk' || updated.protocol !== 4 || updated.profile.phoneNumbers.length !== 1 || updated.createdAt !== device.createdAt) {
+      throw new Error(`Unexpected update: ${JSON.stringify(updated)}`);
+    }
+    if ((await registry.update(device.id, { timingProfile: null })).profile === null) {
+      throw new Error('Fields not given should be kept');
+    }
+
+    for (let i = 0; i < DeviceRegistry.HISTORY_LIMIT + 2; i++) {
+      await registry.recordSync(device.id, { packetsWritten: i, syncedAt: new Date(2026, 9, 19, 10, i) });
+    }
+    const { history } = await registry.get(device.id);
+    if (history.length !== DeviceRegistry.HISTORY_LIMIT || history[0].packetsWritten !== DeviceRegistry.HISTORY_LIMIT + 1 || history[0].protocol !== 4) {
+      throw new Error(`History should be newest first and capped, got ${history.length} entries starting with ${JSON.stringify(history[0])}`);
+    }
+
+    await registry.remove(device.id);
+    if ((await registry.list()).length !== 0) {
+      throw new Error('Removed devices should be gone');
+    }
+    console.log('✓ Updating test passed');
+  };
+
+  // Test 4: Syncing two watches keeps their states apart
+  const testSyncing = async () => {
+    console.log('Testing syncing devices...');
+
+    const registry = new DeviceRegistry({ indexedDB: null });
+    const watchState = new WatchState({ storage: memoryStorage() });
+    const watches = [
+      await registry.add({ name: 'Home', protocol: 4, profile: PROFILE }),
+      await registry.add({ name: 'Work', protocol: 4, profile: { ...PROFILE, phoneNumbers: [{ name: 'Doc', number: '5559876' }] } })
+    ];
+
+    for (const device of watches) {
+      const client = new TimexDatalinkClient({
+        serialDevice: fakeTransport(),
+        protocol: device.protocol,
+        watchState,
+        watchId: device.id,
+        models: WatchProfile.compile(device.profile, device.protocol).components
+      });
+      const result = await client.write();
+      await registry.recordSync(device.id, { packetsWritten: result.packetsWritten });
+    }
+
+    const [home, work] = watches.map(device => watchState.load(device.id));
+    if (home.profile.phoneNumbers[0].name !== 'Marty' || work.profile.phoneNumbers[0].name !== 'Doc') {
+      throw new Error('Each watch should keep its own state');
+    }
+    if (watchState.load(WatchState.defaultId(4)) !== null) {
+      throw new Error('Writes to registered watches should not use the per-protocol state');
+    }
+    if ((await registry.get(watches[1].id)).history[0].packetsWritten === 0) {
+      throw new Error('Sync history should record the packets written');
+    }
+    console.log('✓ Syncing test passed');
+  };
+
+  // Test 5: Storing devices in IndexedDB
+  const testIndexedDb = async () => {
+    console.log('Testing IndexedDB storage...');
+
+    const indexedDB = fakeIndexedDB();
+    const registry = new DeviceRegistry({ indexedDB });
+    if (!(registry.store instanceof IndexedDbStore)) {
+      throw new Error('Devices should be stored in IndexedDB when it is available');
+    }
+
+    const desk = await registry.add({ name: 'Desk', protocol: 3, profile: PROFILE });
+    await registry.add({ name: 'Bike', protocol: 9 });
+    await registry.recordSync(desk.id, { packetsWritten: 12 });
+
+    const loaded = await registry.get(desk.id);
+    if (loaded.history[0].packetsWritten !== 12 || loaded.profile.alarms[0].time !== '07:30') {
+      throw new Error(`Unexpected stored device: ${JSON.stringify(loaded)}`);
+    }
+    loaded.profile.alarms[0].time = '08:00';
+    if ((await registry.get(desk.id)).profile.alarms[0].time !== '07:30') {
+      throw new Error('Devices should be returned as copies');
+    }
+    if (await registry.get('missing') !== null) {
+      throw new Error('Unknown devices should be null');
+    }
+
+    const reopened = new DeviceRegistry({ indexedDB });
+    if ((await reopened.list()).map(device => device.name).join() !== 'Bike,Desk') {
+      throw new Error('Devices should still be there when the database is opened again');
+    }
+    await reopened.remove(desk.id);
+    if ((await registry.list()).length !== 1) {
+      throw new Error('Removed devices should be gone');
+    }
+    if (indexedDB.opened !== 2) {
+      throw new Error(`Each store should open the database once, opened ${indexedDB.opened} times`);
+    }
+
+    const failing = new DeviceRegistry({ indexedDB: fakeIndexedDB({ openError: new Error('Database blocked') }) });
+    await expectError(() => failing.list(), 'Database blocked');
+    console.log('✓ IndexedDB test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Adding', test: testAdding },
+      { name: 'Validation', test: testValidation },
+      { name: 'Updating', test: testUpdating },
+      { name: 'Syncing', test: testSyncing },
+      { name: 'IndexedDB', test: testIndexedDb }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n=== Device Registry Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testDeviceRegistry;
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Integration tests for the transport interface and Node.js serial backend
+ * 
+ * Drives NodeSerialTransport against a fake device file handle and checks
+ * that TimexDatalinkClient accepts any transport.
+ */
+
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import { Transport } from '../../lib/transport.js';
+import { SerialAdapter } from '../../lib/serial-adapter.js';
+import { ScreenTransmitter } from '../../lib/screen-transmitter.js';
+import { NodeSerialTransport } from '../../lib/node-serial-transport.js';
+import Start from '../../lib/protocol3/start.js';
+import End from '../../lib/protocol3/end.js';
+
+// File handle that echoes writes back like the Notebook Adapter
+class MockDeviceHandle {
+  constructor() {
+    this.written = [];
+    this.pending = [];
+    this.closed = false;
+  }
+  
+  async write(buffer) {
+    this.written.push(...buffer);
+    this.pending.push(...buffer);
+    return { bytesWritten: buffer.length };
+  }
+  
+  async read(buffer, offset, length) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const bytes = this.pending.splice(0, length);
+    buffer.set(bytes, offset);
+    return { bytesRead: bytes.length };
+  }
+  
+  async close() {
+    this.closed = true;
+  }
+}
+
+const createTransport = (options = {}) => {
+  const handle = new MockDeviceHandle();
+  const configured = [];
+  const transport = new NodeSerialTransport({
+    path: '/dev/ttyUSB0',
+    byteSleep: 0,
+    packetSleep: 0,
+    configurePort: async (path, settings) => configured.push({ path, ...settings }),
+    openPort: async () => handle,
+    ...options
+  });
+  return { transport, handle, configured };
+};
+
+// Test suite for transport integration
+const testNodeSerialTransport = () => {
+  console.log('Testing Transport Interface Integration...');
+  
+  // Test 1: Transport interface
+  const testTransportInterface = async () => {
+    console.log('Testing transport interface...');
+    
+    for (const Implementation of [SerialAdapter, ScreenTransmitter, NodeSerialTransport]) {
+      if (!(new Implementation() instanceof Transport)) {
+        throw new Error(`${Implementation.name} should extend Transport`);
+      }
+    }
+    
+    try {
+      await new Transport().connect();
+      throw new Error('Base transport connect() should throw');
+    } catch (error) {
+      if (!error.message.includes('must implement connect()')) {
+        throw error;
+      }
+    }
+    
+    const transport = new Transport();
+    const events = [];
+    const listener = value => events.push(value);
+    transport.on('data', listener);
+    transport.emit('data', [1]);
+    transport.off('data', listener);
+    transport.emit('data', [2]);
+    if (JSON.stringify(events) !== '[[1]]') {
+      throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+    }
+    
+    if (!Transport.isTransport({ connect() {}, disconnect() {}, write() {}, read() {}, isPortConnected() {} }) ||
+        Transport.isTransport({ open() {} })) {
+      throw new Error('isTransport should duck-type the transport methods');
+    }
+    
+    console.log('✓ Transport interface test passed');
+  };
+  
+  // Test 2: Port configuration
+  const testPortConfiguration = async () => {
+    console.log('Testing port configuration...');
+    
+    const args = NodeSerialTransport.sttyArguments('/dev/ttyUSB0', 9600).join(' ');
+    if (args !== '-F /dev/ttyUSB0 9600 cs8 -cstopb -parenb raw -echo -crtscts -ixon -ixoff clocal min 0 time 1') {
+      throw new Error(`Unexpected stty arguments: ${args}`);
+    }
+    
+    const { transport, configured } = createTransport({ baudRate: 19200 });
+    await transport.connect();
+    await transport.disconnect();
+    if (configured.length !== 1 || configured[0].baudRate !== 19200) {
+      throw new Error(`Unexpected configuration: ${JSON.stringify(configured)}`);
+    }
+    
+    const missing = new NodeSerialTransport({
+      path: '/dev/does-not-exist',
+      configurePort: async () => {}
+    });
+    try {
+      await missing.connect();
+      throw new Error('Expected missing device to fail');
+    } catch (error) {
+      if (!error.message.includes('Serial device not found')) {
+        throw error;
+      }
+    }
+    
+    console.log('✓ Port configuration test passed');
+  };
+  
+  // Test 3: Writing, reading and events
+  const testWriteAndRead = async () => {
+    console.log('Testing write and read...');
+    
+    const { transport, handle } = createTransport();
+    const events = [];
+    transport.on('connect', () => events.push('connect'));
+    transport.on('disconnect', () => events.push('disconnect'));
+    transport.on('data', bytes => events.push(`data:${bytes.length}`));
+    
+    await transport.connect();
+    const report = await transport.write([[0x20, 0x00], [], [0x21]]);
+    const echo = await transport.readBytes(3, 500);
+    await transport.disconnect();
+    
+    if (report.packetsWritten !== 2 || handle.written.join(',') !== '32,0,33') {
+      throw new Error(`Unexpected write: ${JSON.stringify(report)} [${handle.written.join(', ')}]`);
+    }
+    if (echo.join(',') !== '32,0,33') {
+      throw new Error(`Unexpected echo: [${echo.join(', ')}]`);
+    }
+    if (events[0] !== 'connect' || events[events.length - 1] !== 'disconnect' ||
+        !events.some(event => event.startsWith('data:'))) {
+      throw new Error(`Unexpected events: ${events.join(', ')}`);
+    }
+    if (!handle.closed || transport.isPortConnected()) {
+      throw new Error('Device should be closed after disconnect');
+    }
+    
+    // Unread echoes are capped to the newest bytes
+    const { transport: chatty } = createTransport();
+    await chatty.connect();
+    await chatty.write([Array.from({ length: 10 }, (_, index) => index)]);
+    NodeSerialTransport.RECEIVE_BUFFER_MAX = 4;
+    try {
+      await chatty.write([[0x0a, 0x0b]]);
+      const unread = await chatty.readBytes(4, 500);
+      if (unread.join(',') !== '8,9,10,11') {
+        throw new Error(`Expected the newest 4 unread bytes, got [${unread.join(', ')}]`);
+      }
+    } finally {
+      NodeSerialTransport.RECEIVE_BUFFER_MAX = 4096;
+      await chatty.disconnect();
+    }
+    
+    try {
+      await transport.write([[0x01]]);
+      throw new Error('Expected write after disconnect to fail');
+    } catch (error) {
+      if (!error.message.includes('not connected')) {
+        throw error;
+      }
+    }
+    
+    console.log('✓ Write and read test passed');
+  };
+  
+  // Test 4: Client drives a Node transport
+  const testClientIntegration = async () => {
+    console.log('Testing client integration...');
+    
+    const { transport, handle } = createTransport();
+    const client = new TimexDatalinkClient({
+      serialDevice: transport,
+      models: [new Start(), new End()],
+      byteSleep: 0,
+      packetSleep: 0
+    });
+    
+    if (client.serialAdapter !== transport) {
+      throw new Error('Client should use the transport as-is');
+    }
+    
+    await transport.connect();
+    const result = await client.write();
+    await transport.disconnect();
+    
+    const expected = [...new Start().packets(), ...new End().packets()].flat();
+    if (!result.success || handle.written.join(',') !== expected.join(',')) {
+      throw new Error(`Unexpected bytes written: [${handle.written.join(', ')}]`);
+    }
+    
+    console.log('✓ Client integration test passed');
+  };
+  
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Transport Interface', test: testTransportInterface },
+      { name: 'Port Configuration', test: testPortConfiguration },
+      { name: 'Write and Read', test: testWriteAndRead },
+      { name: 'Client Integration', test: testClientIntegration }
+    ];
+    
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log('\n=== Transport Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+    
+    return failed === 0;
+  };
+  
+  return runAllTests();
+};
+
+export default testNodeSerialTransport;
@@ -0,0 +1,311 @@
+/**
+ * Integration tests for packet capture recording and replay
+ *
+ * Records transfers through SerialAdapter and TimexDatalinkClient, checks the
+ * capture file format and replays captures with their original timing.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { PacketCapture, CaptureFormatError } from '../../lib/packet-capture.js';
+import { SerialAdapter } from '../../lib/serial-adapter.js';
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import { TransferAbortedError } from '../../lib/transport.js';
+import { MockSerialPort } from './web-serial-mock.js';
+import PacketTiming from '../../lib/helpers/packet-timing.js';
+import Start from '../../lib/protocol3/start.js';
+import Sync from '../../lib/protocol3/sync.js';
+import End from '../../lib/protocol3/end.js';
+
+// Transport stand-in that logs writes and configuration changes
+class RecordingTransport {
+  constructor() {
+    this.config = { byteSleep: 25, packetSleep: 250 };
+    this.writes = [];
+  }
+
+  isPortConnected() {
+    return true;
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  updateConfig(config) {
+    Object.assign(this.config, config);
+  }
+
+  async write(packets) {
+    this.writes.push({
+      packets,
+      byteSleep: this.config.byteSleep,
+      packetSleep: this.config.packetSleep,
+      packetTiming: this.config.packetTiming,
+      timing: packets.map(packet => PacketTiming.of(packet))
+    });
+  }
+}
+
+// Test suite for packet capture
+const testPacketCapture = () => {
+  console.log('Testing Packet Capture Integration...');
+
+  // Test 1: Capture file format
+  const testFormat = async () => {
+    console.log('Testing capture file format...');
+
+    let clock = 1000;
+    const capture = new PacketCapture({ protocol: 3, byteSleep: 25, packetSleep: 250, transport: 'SerialAdapter', now: () => clock });
+    capture.record([0x07, 0x20, 0x00]);
+    clock += 425;
+    capture.record([0x05, 0x21, 0xd8, 0xc2], { byteSleep: 15, timing: { postDelay: 250, maxByteSleep: 25 } });
+
+    const json = JSON.parse(capture.serialize());
+    if (json.format !== 'timex-datalink-capture' || json.version !== 1 || json.protocol !== 3 || json.byteSleep !== 15) {
+      throw new Error(`Unexpected capture header: ${JSON.stringify(json)}`);
+    }
+    if (JSON.stringify(json.packets) !== JSON.stringify([
+      { time: 0, bytes: '07 20 00' },
+      { time: 425, bytes: '05 21 d8 c2', timing: { postDelay: 250, maxByteSleep: 25 } }
+    ])) {
+      throw new Error(`Unexpected capture packets: ${JSON.stringify(json.packets)}`);
+    }
+
+    const parsed = PacketCapture.parse(capture.serialize());
+    if (JSON.stringify(parsed.toJSON()) !== JSON.stringify(capture.toJSON()) || parsed.duration() !== 425) {
+      throw new Error('Parsed capture should match the recorded capture');
+    }
+
+    const { version } = JSON.parse(await readFile(new URL('../../package.json', import.meta.url), 'utf8'));
+    if (PacketCapture.APP_VERSION !== version) {
+      throw new Error(`APP_VERSION ${PacketCapture.APP_VERSION} should match package.json ${version}`);
+    }
+
+    const invalid = [
+      ['{', 'not valid JSON'],
+      [{ format: 'other' }, 'Not a packet capture'],
+      [{ ...json, version: 2 }, 'Unsupported capture version 2'],
+      [{ ...json, packets: [{ time: 0, bytes: '07 zz' }] }, 'Packet 1: Invalid byte "zz"'],
+      [{ ...json, packets: [{ time: 10, bytes: '07' }, { time: 5, bytes: '08' }] }, 'Packet 2 is earlier than packet 1'],
+      [{ ...json, packets: [{ time: 0, bytes: '07', timing: 250 }] }, 'Packet 1 timing must be an object'],
+      [{ ...json, packets: [{ time: 0, bytes: '07', timing: { delay: 250 } }] }, 'Packet 1: Unknown packet timing field: delay']
+    ];
+    for (const [input, message] of invalid) {
+      try {
+        PacketCapture.parse(input);
+        throw new Error(`Expected capture to be rejected: ${message}`);
+      } catch (error) {
+        if (!(error instanceof CaptureFormatError) || !error.message.includes(message)) {
+          throw error;
+        }
+      }
+    }
+
+    console.log('✓ Capture format test passed');
+  };
+
+  // Test 2: Recording through the client and serial adapter
+  const testRecording = async () => {
+    console.log('Testing capture recording...');
+
+    // Corrupt the echo of the first byte of End so the packet is resent
+    const endIndex = new Start().packets()[0].length + new Sync({ length: 2 }).packets()[0].length;
+    const port = new MockSerialPort({ echo: (byte, index) => (index === endIndex ? byte ^ 0xff : byte) });
+    const adapter = new SerialAdapter({ port, byteSleep: 0, packetSleep: 0, verifyEcho: 'byte', echoTimeout: 50 });
+    const client = new TimexDatalinkClient({
+      serialDevice: adapter,
+      models: [new Start(), new Sync({ length: 2 }), new End()],
+      byteSleep: 0,
+      packetSleep: 0,
+      protocol: 3
+    });
+
+    await adapter.connect();
+    try {
+      const capture = client.startCapture();
+      await client.write();
+
+      if (client.stopCapture() !== capture || adapter.capture !== null) {
+        throw new Error('stopCapture() should return and clear the active capture');
+      }
+
+      const [endPacket] = new End().packets();
+      const [syncPacket] = new Sync({ length: 2 }).packets();
+      const expected = [...new Start().packets(), syncPacket, endPacket, endPacket];
+      if (JSON.stringify(capture.packets()) !== JSON.stringify(expected)) {
+        throw new Error(`Capture should hold every attempt: ${JSON.stringify(capture.packets())}`);
+      }
+      if (capture.protocol !== 3 || capture.transport !== 'SerialAdapter' || capture.byteSleep !== 0) {
+        throw new Error(`Unexpected capture metadata: ${JSON.stringify(capture.toJSON())}`);
+      }
+      if (capture.packets().flat().join(',') !== port.getWrittenData().join(',')) {
+        throw new Error('Captured bytes should match the bytes written');
+      }
+      if (capture.entries.some(entry => entry.timing)) {
+        throw new Error(`Packets without timing should be recorded without it: ${JSON.stringify(capture.entries)}`);
+      }
+
+      await client.write();
+      if (capture.entries.length !== 4) {
+        throw new Error('Writes after stopCapture() should not be recorded');
+      }
+    } finally {
+      await port.close();
+    }
+
+    if (new TimexDatalinkClient().stopCapture() !== null) {
+      throw new Error('stopCapture() without an adapter should return null');
+    }
+
+    console.log('✓ Capture recording test passed');
+  };
+
+  // Test 3: Replay keeps the recorded timing
+  const testReplayTiming = async () => {
+    console.log('Testing replay timing...');
+
+    let clock = 0;
+    const sleeps = [];
+    const capture = new PacketCapture({
+      byteSleep: 10,
+      packetSleep: 250,
+      packets: [
+        { time: 0, bytes: [0x01, 0x02] },
+        { time: 300, bytes: [0x03], timing: { maxByteSleep: 5 } },
+        { time: 900, bytes: [0x04] }
+      ],
+      now: () => clock
+    });
+    const transport = new RecordingTransport();
+
+    const result = await capture.replay(transport, {
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        clock += ms;
+      },
+      onPacket: () => {
+        clock += 50; // Time spent writing the packet
+      }
+    });
+
+    if (JSON.stringify(sleeps) !== JSON.stringify([250, 550])) {
+      throw new Error(`Replay should wait until each packet's recorded time, slept ${JSON.stringify(sleeps)}`);
+    }
+    if (result.packetsWritten !== 3 || result.duration !== 950) {
+      throw new Error(`Unexpected replay result: ${JSON.stringify(result)}`);
+    }
+    if (!transport.writes.every(write => write.byteSleep === 10 && write.packetSleep === 0 && write.packets.length === 1)) {
+      throw new Error(`Packets should be written one at a time with the recorded byteSleep: ${JSON.stringify(transport.writes)}`);
+    }
+    if (JSON.stringify(transport.writes.map(write => write.timing[0])) !== JSON.stringify([null, { maxByteSleep: 5 }, null]) || !transport.writes.every(write => write.packetTiming)) {
+      throw new Error(`Replay should send packets with their recorded timing: ${JSON.stringify(transport.writes)}`);
+    }
+    if (transport.config.byteSleep !== 25 || transport.config.packetSleep !== 250) {
+      throw new Error('Replay should restore the transport timing');
+    }
+
+    // Aborting while waiting for a packet ends the wait
+    const controller = new AbortController();
+    const aborted = new PacketCapture({ packets: [{ time: 0, bytes: [0x01] }, { time: 60000, bytes: [0x02] }] });
+    const abortTransport = new RecordingTransport();
+    const started = Date.now();
+
+    try {
+      await aborted.replay(abortTransport, { signal: controller.signal, onPacket: () => controller.abort() });
+      throw new Error('Aborted replay should throw');
+    } catch (error) {
+      if (!(error instanceof TransferAbortedError)) {
+        throw error;
+      }
+    }
+    if (Date.now() - started > 5000 || abortTransport.writes.length !== 1) {
+      throw new Error('Aborting should stop the replay while it waits for the next packet');
+    }
+    if (abortTransport.config.packetSleep !== 250) {
+      throw new Error('Aborted replay should restore the transport timing');
+    }
+
+    console.log('✓ Replay timing test passed');
+  };
+
+  // Test 4: Client replays capture file contents byte-for-byte
+  const testClientReplay = async () => {
+    console.log('Testing client replay...');
+
+    const packets = [...new Start().packets(), ...new End().packets()];
+    const fileContents = new PacketCapture({
+      protocol: 3,
+      byteSleep: 0,
+      packets: packets.map((bytes, i) => ({ time: i * 5, bytes }))
+    }).serialize();
+
+    const port = new MockSerialPort();
+    const adapter = new SerialAdapter({ port, byteSleep: 0, packetSleep: 0 });
+    const client = new TimexDatalinkClient({ serialDevice: adapter, protocol: 3 });
+
+    try {
+      await client.replay(fileContents);
+      throw new Error('Replay should require a connected adapter');
+    } catch (error) {
+      if (!error.message.includes('not connected')) {
+        throw error;
+      }
+    }
+
+    await adapter.connect();
+    try {
+      const result = await client.replay(fileContents);
+
+      if (result.packetsWritten !== packets.length || port.getWrittenData().join(',') !== packets.flat().join(',')) {
+        throw new Error(`Replay should resend the captured bytes, wrote ${port.getWrittenData().join(',')}`);
+      }
+
+      try {
+        await client.replay('{"format":"timex-datalink-capture","version":9,"packets":[]}');
+        throw new Error('Expected an unsupported capture to be rejected');
+      } catch (error) {
+        if (!(error instanceof CaptureFormatError)) {
+          throw error;
+        }
+      }
+    } finally {
+      await port.close();
+    }
+
+    console.log('✓ Client replay test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Capture Format', test: testFormat },
+      { name: 'Capture Recording', test: testRecording },
+      { name: 'Replay Timing', test: testReplayTiming },
+      { name: 'Client Replay', test: testClientReplay }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n=== Packet Capture Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testPacketCapture;
\ No newline at end of file
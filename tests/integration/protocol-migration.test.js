@@ -0,0 +1,254 @@
+/**
+ * Integration tests for cross-protocol migration
+ *
+ * Builds configurations from one protocol's components, migrates them to
+ * another protocol and checks the packets and the loss report.
+ */
+
+import { ProtocolMigration } from '../../lib/protocol-migration.js';
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import { Protocol3 } from '../../lib/protocol3-implementation.js';
+import Protocol4 from '../../lib/protocol4.js';
+import Protocol6 from '../../lib/protocol6.js';
+import Protocol9 from '../../lib/protocol9.js';
+
+const TIME = new Date(2026, 9, 19, 14, 30, 15);
+const WRIST_APP = Uint8Array.from([0x31, 0x32, 0x33]);
+const SOUND_THEME = Uint8Array.from([0x01, 0x02, 0x03, 0x04]);
+
+const packetsOf = (components) => new TimexDatalinkClient({ models: components }).packets();
+const fieldsOf = (report, kind) => report.filter(entry => entry.kind === kind).map(({ field }) => field);
+
+// Datalink 150 configuration as the web app would build it
+const protocol3Config = () => {
+  const c = Protocol3.getComponents();
+
+  return [
+    new c.Start(),
+    new c.Sync(),
+    new c.Time({ zone: 1, is24h: false, dateFormat: '%_d.%m.%y', time: TIME, name: 'pdt' }),
+    new c.Alarm({ number: 1, audible: true, time: new Date(2000, 0, 1, 7, 30), message: 'Wake up' }),
+    new c.Eeprom({
+      appointments: [new c.Appointment({ time: new Date(2026, 9, 31, 19, 0), message: 'Party' })],
+      anniversaries: [new c.Anniversary({ time: new Date(2026, 5, 1), anniversary: 'Wedding' })],
+      phoneNumbers: [new c.PhoneNumber({ name: 'Marty', number: '5551234', type: 'h' })],
+      lists: [new c.List({ listEntry: 'Milk', priority: 2 })],
+      appointmentNotificationMinutes: 15
+    }),
+    new c.SoundOptions({ hourlyChime: true, buttonBeep: false }),
+    new c.SoundTheme({ soundThemeData: SOUND_THEME }),
+    new c.WristApp({ wristAppData: WRIST_APP }),
+    new c.End()
+  ];
+};
+
+// Test suite for protocol migration
+const testProtocolMigration = () => {
+  console.log('Testing Protocol Migration Integration...');
+
+  // Test 1: Datalink 150 to 150s carries everything
+  const testProtocol3To4 = async () => {
+    console.log('Testing Protocol 3 to 4...');
+
+    const c = Protocol4.getComponents();
+    const expected = [
+      new c.Start(),
+      new c.Sync(),
+      new c.Time({ zone: 1, is24h: false, dateFormat: '%_d.%m.%y', time: TIME, name: 'pdt' }),
+      new c.Alarm({ number: 1, audible: true, time: new Date(2000, 0, 1, 7, 30), message: 'Wake up' }),
+      new c.Eeprom({
+        appointments: [new c.Appointment({ time: new Date(2026, 9, 31, 19, 0), message: 'Party' })],
+        anniversaries: [new c.Anniversary({ time: new Date(2026, 5, 1), anniversary: 'Wedding' })],
+        phoneNumbers: [new c.PhoneNumber({ name: 'Marty', number: '5551234', type: 'h' })],
+        lists: [new c.List({ listEntry: 'Milk', priority: 2 })],
+        appointmentNotificationMinutes: 15
+      }),
+      new c.SoundOptions({ hourlyChime: true, buttonBeep: false }),
+      new c.SoundTheme({ soundThemeData: SOUND_THEME }),
+      new c.WristApp({ wristAppData: WRIST_APP }),
+      new c.End()
+    ];
+
+    const result = ProtocolMigration.migrate(protocol3Config(), 4, { time: TIME });
+
+    if (result.from !== 3 || result.to !== 4) {
+      throw new Error(`Expected 3 -> 4, got ${result.from} -> ${result.to}`);
+    }
+    if (JSON.stringify(packetsOf(result.components)) !== JSON.stringify(packetsOf(expected))) {
+      throw new Error('Migrated packets should match hand-built Protocol 4 components');
+    }
+    if (result.report.length !== 0) {
+      throw new Error(`Nothing should be lost: ${JSON.stringify(result.report)}`);
+    }
+    if (result.capabilities.lost.length !== 0 || result.capabilities.gained.length !== 0) {
+      throw new Error(`Capabilities should match: ${JSON.stringify(result.capabilities)}`);
+    }
+
+    console.log('✓ Protocol 3 to 4 test passed');
+  };
+
+  // Test 2: Datalink 150 to an Ironman picked from device info
+  const testProtocol3To9 = async () => {
+    console.log('Testing Protocol 3 to 9...');
+
+    const result = ProtocolMigration.migrate(protocol3Config(), { model: 'Timex Ironman Triathlon' }, { time: TIME });
+    const dropped = fieldsOf(result.report, 'dropped');
+    const expected = ['timeZones[0].dateFormat', 'appointments[0]', 'anniversaries[0]', 'lists[0]', 'appointmentNotificationMinutes', 'soundTheme', 'wristApp'];
+
+    if (result.to !== 9) {
+      throw new Error(`Device info should pick Protocol 9, got ${result.to}`);
+    }
+    if (JSON.stringify(dropped) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected dropped fields: ${dropped.join(', ')}`);
+    }
+
+    const names = result.components.map(component => component.constructor.name);
+    for (const name of ['Protocol9Time', 'Protocol9TimeName', 'Protocol9Alarm', 'Protocol9Eeprom', 'Protocol9SoundOptions']) {
+      if (!names.includes(name)) {
+        throw new Error(`Migration should create ${name}: ${names.join(', ')}`);
+      }
+    }
+    if (!result.capabilities.lost.includes('wristApps') || !result.capabilities.gained.includes('timer')) {
+      throw new Error(`Capabilities should show lost wrist apps and gained timers: ${JSON.stringify(result.capabilities)}`);
+    }
+
+    packetsOf(result.components);
+
+    console.log('✓ Protocol 3 to 9 test passed');
+  };
+
+  // Test 3: Ironman to Datalink 150 truncates and drops what doesn't fit
+  const testProtocol9To3 = async () => {
+    console.log('Testing Protocol 9 to 3...');
+
+    const c = Protocol9.getComponents();
+    const components = [
+      new c.Start(),
+      new c.Sync(),
+      new c.Time({ zone: 1, is24h: true, time: TIME }),
+      new c.TimeName({ zone: 1, name: 'cet' }),
+      new c.Alarm({ number: 1, audible: true, time: new Date(2000, 0, 1, 8, 0), message: 'Take medication' }),
+      new c.Alarm({ number: 7, audible: false, time: new Date(2000, 0, 1, 9, 0), message: 'Run', month: 5, day: 1 }),
+      new c.Timer({ number: 1, label: 'EGGS', time: new Date(2000, 0, 1, 0, 5, 0), actionAtEnd: 'stop_timer' }),
+      new c.Eeprom({
+        chrono: new c.Chrono({ label: 'LAPS', laps: 10 }),
+        phoneNumbers: [new c.PhoneNumber({ name: 'Coach', number: '5559876' })]
+      }),
+      new c.End()
+    ];
+
+    const result = ProtocolMigration.migrate(components, 3, { time: TIME });
+    const { Alarm, Time } = Protocol3.getComponents();
+    const alarms = result.components.filter(component => component instanceof Alarm);
+    const time = result.components.find(component => component instanceof Time);
+
+    if (JSON.stringify(fieldsOf(result.report, 'truncated')) !== JSON.stringify(['alarms[0].message'])) {
+      throw new Error(`Unexpected truncated fields: ${JSON.stringify(result.report)}`);
+    }
+    if (JSON.stringify(fieldsOf(result.report, 'dropped')) !== JSON.stringify(['Eeprom.chrono', 'alarms[1]', 'timers[0]'])) {
+      throw new Error(`Unexpected dropped fields: ${JSON.stringify(result.report)}`);
+    }
+    if (alarms.length !== 1 || alarms[0].message !== 'Take med') {
+      throw new Error('Alarm message should be cut to 8 characters');
+    }
+    if (!time || time.name !== 'cet' || time.is24h !== true) {
+      throw new Error('Time zone name should move from TimeName into Time');
+    }
+
+    console.log('✓ Protocol 9 to 3 test passed');
+  };
+
+  // Test 4: Protocol 6 text is re-encoded from CHARS_PROTOCOL_6
+  const testReencoding = async () => {
+    console.log('Testing re-encoding...');
+
+    const c = Protocol6.getComponents();
+    const components = [
+      new c.Start(),
+      new c.Sync(),
+      new c.Alarm({ number: 1, status: 'armed', time: new Date(2000, 0, 1, 6, 0), message: 'gym ~6' }),
+      new c.Alarm({ number: 2, status: 'unused' }),
+      new c.PagerOptions({ autoOnOff: true }),
+      new c.End()
+    ];
+
+    const result = ProtocolMigration.migrate(components, 3, { time: TIME });
+    const reencoded = result.report.filter(entry => entry.kind === 'reencoded');
+
+    if (reencoded.length !== 1 || reencoded[0].field !== 'alarms[0].message') {
+      throw new Error(`Alarm message should be re-encoded: ${JSON.stringify(result.report)}`);
+    }
+    if (!reencoded[0].reason.includes('CHARS instead of CHARS_PROTOCOL_6') || !reencoded[0].reason.includes('"~" show as blanks')) {
+      throw new Error(`Re-encoding should name the maps and lost characters: ${reencoded[0].reason}`);
+    }
+    if (!fieldsOf(result.report, 'dropped').includes('PagerOptions')) {
+      throw new Error('Pager options should be reported as dropped');
+    }
+    if (result.profile.alarms.length !== 1) {
+      throw new Error('Unused alarms should not be migrated');
+    }
+
+    console.log('✓ Re-encoding test passed');
+  };
+
+  // Test 5: Errors
+  const testErrors = async () => {
+    console.log('Testing errors...');
+
+    const expectError = (run, text) => {
+      try {
+        run();
+      } catch (error) {
+        if (!error.message.includes(text)) {
+          throw new Error(`Expected "${text}", got "${error.message}"`);
+        }
+        return;
+      }
+      throw new Error(`Expected an error with "${text}"`);
+    };
+
+    expectError(() => ProtocolMigration.migrate(protocol3Config(), { model: 'Casio F-91W' }), 'No protocol found for device');
+    expectError(() => ProtocolMigration.migrate(protocol3Config(), 42), 'Protocol not found: 42');
+    expectError(
+      () => ProtocolMigration.migrate([...protocol3Config(), new (Protocol4.getComponents().End)()], 9),
+      'Components do not belong to one registered protocol'
+    );
+
+    console.log('✓ Errors test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Protocol 3 to 4', test: testProtocol3To4 },
+      { name: 'Protocol 3 to 9', test: testProtocol3To9 },
+      { name: 'Protocol 9 to 3', test: testProtocol9To3 },
+      { name: 'Re-encoding', test: testReencoding },
+      { name: 'Errors', test: testErrors }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n=== Protocol Migration Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testProtocolMigration;
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * Integration tests for the screen transmitter
+ * 
+ * Blinks protocol packets to a fake canvas and verifies the bar patterns,
+ * frame timing and drop-in use with TimexDatalinkClient.
+ */
+
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import { ScreenTransmitter } from '../../lib/screen-transmitter.js';
+import Start from '../../lib/protocol3/start.js';
+import End from '../../lib/protocol3/end.js';
+import PacketTiming from '../../lib/helpers/packet-timing.js';
+
+// Canvas that records lit bars per frame
+class MockCanvas {
+  constructor(width = 100, height = 360) {
+    this.width = width;
+    this.height = height;
+    this.frames = [];
+    this.context = {
+      fillStyle: '#000',
+      fillRect: (x, y, width, height) => {
+        if (x === 0 && y === 0 && width === this.width && height === this.height) {
+          this.frames.push([]);
+        } else {
+          this.frames[this.frames.length - 1].push({ y, height, fillStyle: this.context.fillStyle });
+        }
+      }
+    };
+  }
+  
+  getContext() {
+    return this.context;
+  }
+}
+
+// Animation frames at a fixed interval without waiting for a display
+const createFrameClock = (interval = 1000 / 60) => {
+  let timestamp = 0;
+  return callback => setImmediate(() => callback(timestamp += interval));
+};
+
+const createTransmitter = (options = {}) => new ScreenTransmitter({
+  canvas: new MockCanvas(),
+  document: null,
+  requestAnimationFrame: createFrameClock(),
+  packetSleep: 0,
+  ...options
+});
+
+// Test suite for screen transmitter integration
+const testScreenTransmitter = () => {
+  console.log('Testing Screen Transmitter Integration...');
+  
+  // Test 1: Byte encoding
+  const testByteEncoding = async () => {
+    console.log('Testing byte encoding...');
+    
+    const bars = ScreenTransmitter.encodeByte(0x05).map(lit => (lit ? 1 : 0)).join('');
+    if (bars !== '101011111') {
+      throw new Error(`Expected start bit then LSB-first inverted bits, got ${bars}`);
+    }
+    
+    const frames = ScreenTransmitter.framesForPackets([[1, 2, 3], [4]], { bytesPerFrame: 2, gapFrames: 2 });
+    if (JSON.stringify(frames) !== JSON.stringify([[1, 2], [3], [], [], [4]])) {
+      throw new Error(`Unexpected frame split: ${JSON.stringify(frames)}`);
+    }
+    
+    console.log('✓ Byte encoding test passed');
+  };
+  
+  // Test 2: Frames drawn on the canvas
+  const testFrameRendering = async () => {
+    console.log('Testing frame rendering...');
+    
+    const transmitter = createTransmitter({ brightness: 0.5, lineHeight: 4 });
+    await transmitter.connect();
+    const canvas = transmitter.canvas;
+    canvas.frames = [];
+    
+    const report = await transmitter.write([[0xff, 0x00], [0x0f]]);
+    if (report.frames !== 2 || report.packetsWritten !== 2) {
+      throw new Error(`Unexpected report: ${JSON.stringify(report)}`);
+    }
+    
+    // 0xff lights only the start bit, 0x00 lights all nine bars
+    const [first, second, cleared] = canvas.frames;
+    if (first.length !== 10 || second.length !== 5 || cleared.length !== 0) {
+      throw new Error(`Unexpected bar counts: ${first.length}, ${second.length}, ${cleared.length}`);
+    }
+    if (first[0].fillStyle !== 'rgb(128, 128, 128)' || first[0].height !== 4) {
+      throw new Error(`Unexpected bar style: ${JSON.stringify(first[0])}`);
+    }
+    if (first[1].y < canvas.height / 2) {
+      throw new Error('Second byte of a frame should be drawn in the lower band');
+    }
+    
+    console.log('✓ Frame rendering test passed');
+  };
+  
+  // Test 3: Packet sleep becomes blank frames
+  const testPacketGaps = async () => {
+    console.log('Testing packet gaps...');
+    
+    const transmitter = createTransmitter({ packetSleep: 50 });
+    await transmitter.connect();
+    
+    const report = await transmitter.write([[0x01], [0x02]]);
+    if (report.frames !== 5) {
+      throw new Error(`Expected 3 blank frames between packets at 60Hz, got ${report.frames - 2}`);
+    }
+    
+    const timed = await transmitter.write([PacketTiming.attach([0x01], { postDelay: 100 }), [0x02]]);
+    if (timed.frames !== 8) {
+      throw new Error(`Expected a packet's postDelay to give 6 blank frames, got ${timed.frames - 2}`);
+    }
+    
+    const events = [];
+    transmitter.on('packet', ({ index }) => events.push(`packet ${index}`));
+    transmitter.on('progress', ({ bytesSent, eta }) => events.push(`${bytesSent} ${eta}`));
+    await transmitter.write([[0x01, 0x02, 0x03], [0x04]]);
+    if (events.join() !== 'packet 0,2 67,3 58,packet 1,4 0') {
+      throw new Error(`Unexpected packet and progress events: ${events.join()}`);
+    }
+    
+    const controller = new AbortController();
+    transmitter.on('packet', ({ index }) => index === 1 && controller.abort());
+    try {
+      await transmitter.write([[0x01], [0x02], [0x03]], { signal: controller.signal });
+      throw new Error('Aborted write should throw');
+    } catch (error) {
+      if (error.name !== 'TransferAbortedError' || error.report.packetsWritten !== 1) {
+        throw error;
+      }
+    }
+    
+    console.log('✓ Packet gaps test passed');
+  };
+  
+  // Test 4: Refresh rate calibration
+  const testCalibration = async () => {
+    console.log('Testing calibration...');
+    
+    const transmitter = createTransmitter({ requestAnimationFrame: createFrameClock(1000 / 75) });
+    await transmitter.connect();
+    
+    const { refreshRate } = await transmitter.calibrate({ frames: 10 });
+    if (refreshRate !== 75 || transmitter.gapFrames() !== 0) {
+      throw new Error(`Expected 75Hz, got ${refreshRate}Hz`);
+    }
+    
+    transmitter.setBrightness(2);
+    if (transmitter.brightness !== 1) {
+      throw new Error('Brightness should be clamped to 1');
+    }
+    
+    console.log('✓ Calibration test passed');
+  };
+  
+  // Test 5: Drop-in replacement for SerialAdapter
+  const testClientIntegration = async () => {
+    console.log('Testing client integration...');
+    
+    const transmitter = createTransmitter();
+    const client = new TimexDatalinkClient({ models: [new Start(), new End()] });
+    client.setSerialDevice(transmitter);
+    
+    if (client.isConnected()) {
+      throw new Error('Client should not report a connection before connect()');
+    }
+    
+    await transmitter.connect();
+    const result = await client.write();
+    
+    if (!result.success || result.packetsWritten !== 2 || result.transferReport.frames === 0) {
+      throw new Error(`Unexpected write result: ${JSON.stringify(result)}`);
+    }
+    
+    try {
+      await transmitter.read();
+      throw new Error('Expected read to be unsupported');
+    } catch (error) {
+      if (!error.message.includes('one-way')) {
+        throw error;
+      }
+    }
+    
+    await transmitter.disconnect();
+    if (client.isConnected()) {
+      throw new Error('Client should report disconnection');
+    }
+    
+    console.log('✓ Client integration test passed');
+  };
+  
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Byte Encoding', test: testByteEncoding },
+      { name: 'Frame Rendering', test: testFrameRendering },
+      { name: 'Packet Gaps', test: testPacketGaps },
+      { name: 'Calibration', test: testCalibration },
+      { name: 'Client Integration', test: testClientIntegration }
+    ];
+    
+    let passed = 0;
+    let failed = 0;
+    
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    console.log('\n=== Screen Transmitter Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+    
+    return failed === 0;
+  };
+  
+  return runAllTests();
+};
+
+export default testScreenTransmitter;
@@ -0,0 +1,255 @@
+/**
+ * Integration tests for timing profiles and calibration
+ *
+ * Calibrates against a fake transport that only passes above a timing
+ * threshold and checks the per-port storage of timing profiles.
+ */
+
+import { TimingProfiles } from '../../lib/timing-profiles.js';
+import { TimingCalibrator, CalibrationError } from '../../lib/timing-calibrator.js';
+import { SerialAdapter } from '../../lib/serial-adapter.js';
+import { VirtualWatch } from '../../lib/virtual-watch.js';
+
+const PACKETS = [[0x07, 0x20, 0x00, 0x00, 0x03, 0x2a, 0x7d]];
+
+// Transport that fails transfers faster than minByteSleep/minPacketSleep;
+// resend makes slow-but-recovered transfers report retries instead of throwing
+const fakeTransport = ({ byteSleep = 25, packetSleep = 250, minByteSleep = 0, minPacketSleep = 0, resend = false } = {}) => ({
+  byteSleep,
+  packetSleep,
+  writes: [],
+  isPortConnected: () => true,
+  getConfig() {
+    return { byteSleep: this.byteSleep, packetSleep: this.packetSleep };
+  },
+  updateConfig({ byteSleep, packetSleep }) {
+    if (byteSleep !== undefined) this.byteSleep = byteSleep;
+    if (packetSleep !== undefined) this.packetSleep = packetSleep;
+  },
+  async write(packets) {
+    this.writes.push(this.getConfig());
+    const tooFast = this.byteSleep < minByteSleep || this.packetSleep < minPacketSleep;
+    if (tooFast && !resend) {
+      throw new Error('Echo mismatch');
+    }
+    return { packetCount: packets.length, packetsWritten: packets.length, retries: tooFast ? 1 : 0 };
+  }
+});
+
+// In-memory stand-in for localStorage
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+// Test suite for timing profiles and calibration
+const testTimingCalibration = () => {
+  console.log('Testing Timing Calibration Integration...');
+
+  // Test 1: Calibration narrows to the fastest passing timings plus margin
+  const testCalibration = async () => {
+    console.log('Testing calibration search...');
+
+    const transport = fakeTransport({ minByteSleep: 12 });
+    const calibrator = new TimingCalibrator({ transport, packets: PACKETS, margin: 0 });
+    const result = await calibrator.calibrate();
+
+    if (result.byteSleep < 12 || result.byteSleep > 15) {
+      throw new Error(`Expected byteSleep just above 12ms, got ${result.byteSleep}`);
+    }
+    if (result.packetSleep !== Math.round(250 * result.factor)) {
+      throw new Error('packetSleep should scale by the same factor');
+    }
+    if (transport.byteSleep !== result.byteSleep || transport.packetSleep !== result.packetSleep) {
+      throw new Error('Calibrated timings should be applied to the transport');
+    }
+    if (result.trials.length !== 6 || transport.writes.length !== 6) {
+      throw new Error(`Expected 6 trials (start, minimum, 4 steps), got ${result.trials.length}`);
+    }
+
+    const fast = await new TimingCalibrator({ transport: fakeTransport(), packets: PACKETS }).calibrate();
+    if (fast.byteSleep !== 3 || fast.packetSleep !== 31 || fast.trials.length !== 2) {
+      throw new Error(`Minimum factor plus margin expected, got ${JSON.stringify(fast)}`);
+    }
+
+    console.log('✓ Calibration search test passed');
+  };
+
+  // Test 2: Resends and unconfirmed transfers count as failures
+  const testTrialFailures = async () => {
+    console.log('Testing trial failures...');
+
+    const resent = await new TimingCalibrator({
+      transport: fakeTransport({ minPacketSleep: 200, resend: true }),
+      packets: PACKETS,
+      margin: 0
+    }).calibrate();
+    if (resent.packetSleep < 200) {
+      throw new Error('Transfers with resent packets should not pass');
+    }
+    if (!resent.trials.some(trial => trial.error && trial.error.includes('resent'))) {
+      throw new Error('Resends should be recorded on the trial');
+    }
+
+    const prompts = [];
+    const confirmed = await new TimingCalibrator({
+      transport: fakeTransport(),
+      packets: PACKETS,
+      margin: 0,
+      beforeTrial: ({ trial }) => prompts.push(trial),
+      confirm: ({ byteSleep }) => byteSleep >= 20
+    }).calibrate();
+    if (confirmed.byteSleep < 20) {
+      throw new Error('Unconfirmed transfers should not pass');
+    }
+    if (prompts.join() !== confirmed.trials.map((_, i) => i + 1).join()) {
+      throw new Error('beforeTrial should run before every trial');
+    }
+
+    console.log('✓ Trial failures test passed');
+  };
+
+  // Test 3: Failing start timings and cancelling restore the original timings
+  const testRestore = async () => {
+    console.log('Testing restore on failure...');
+
+    const transport = fakeTransport({ minByteSleep: 30 });
+    try {
+      await new TimingCalibrator({ transport, packets: PACKETS }).calibrate();
+      throw new Error('Calibration should fail at the starting timings');
+    } catch (error) {
+      if (!(error instanceof CalibrationError) || error.trials.length !== 1) {
+        throw error;
+      }
+    }
+    if (transport.byteSleep !== 25 || transport.packetSleep !== 250) {
+      throw new Error('Original timings should be restored after a failure');
+    }
+
+    const cancelled = fakeTransport();
+    const calibrator = new TimingCalibrator({
+      transport: cancelled,
+      packets: PACKETS,
+      onTrial: () => calibrator.cancel()
+    });
+    try {
+      await calibrator.calibrate({ byteSleep: 50, packetSleep: 500 });
+      throw new Error('Cancelled calibration should throw');
+    } catch (error) {
+      if (!(error instanceof CalibrationError) || !error.message.includes('cancelled')) {
+        throw error;
+      }
+    }
+    if (cancelled.byteSleep !== 25 || cancelled.writes.length !== 1) {
+      throw new Error('Cancelling should stop after the current trial and restore timings');
+    }
+
+    console.log('✓ Restore test passed');
+  };
+
+  // Test 4: Calibration through a serial adapter on the virtual watch
+  const testSerialAdapter = async () => {
+    console.log('Testing calibration over a serial adapter...');
+
+    const adapter = new SerialAdapter({ port: new VirtualWatch(), byteSleep: 2, packetSleep: 4, verifyEcho: 'packet', echoTimeout: 100 });
+    await adapter.connect();
+    try {
+      const result = await new TimingCalibrator({ transport: adapter, packets: PACKETS, steps: 1 }).calibrate();
+      if (result.trials.length !== 2 || !result.trials.every(trial => trial.passed)) {
+        throw new Error(`Virtual watch transfers should pass: ${JSON.stringify(result.trials)}`);
+      }
+      if (adapter.getConfig().packetSleep !== result.packetSleep) {
+        throw new Error('Calibrated timings should be applied to the adapter');
+      }
+    } finally {
+      await adapter.disconnect();
+    }
+
+    console.log('✓ Serial adapter calibration test passed');
+  };
+
+  // Test 5: Profiles and per-port storage
+  const testProfiles = async () => {
+    console.log('Testing timing profiles...');
+
+    const teensy = { usbVendorId: 0x16c0, usbProductId: 0x0483 };
+    const ftdi = { usbVendorId: 0x0403, usbProductId: 0x6001 };
+
+    if (TimingProfiles.portKey(teensy) !== 'usb:16c0:0483' || TimingProfiles.portKey({}) !== null) {
+      throw new Error('Port keys should come from USB vendor/product IDs');
+    }
+    if (TimingProfiles.suggest(teensy) !== 'arduino' || TimingProfiles.suggest(ftdi) !== 'notebook-adapter' ||
+        TimingProfiles.suggest(null, TimingProfiles.SCREEN_PORT_KEY) !== 'screen') {
+      throw new Error('Unexpected suggested profiles');
+    }
+    if (TimingProfiles.match({ byteSleep: 10, packetSleep: 150 }) !== 'arduino' ||
+        TimingProfiles.match({ byteSleep: 11, packetSleep: 150 }) !== null) {
+      throw new Error('Profiles should match exact timings only');
+    }
+    try {
+      TimingProfiles.get('turbo');
+      throw new Error('Unknown profiles should throw');
+    } catch (error) {
+      if (!error.message.includes('Unknown timing profile')) {
+        throw error;
+      }
+    }
+
+    const profiles = new TimingProfiles({ storage: memoryStorage() });
+    const suggested = profiles.resolve(teensy);
+    if (suggested.saved || suggested.byteSleep !== 10) {
+      throw new Error('Ports without saved timings should use the suggested profile');
+    }
+
+    profiles.save(TimingProfiles.portKey(ftdi), { byteSleep: 14, packetSleep: 140, calibrated: true });
+    const saved = new TimingProfiles({ storage: profiles.storage }).resolve(ftdi);
+    if (!saved.saved || saved.byteSleep !== 14 || !saved.calibrated || saved.profile !== null) {
+      throw new Error(`Saved timings should be used for the port: ${JSON.stringify(saved)}`);
+    }
+
+    profiles.forget(TimingProfiles.portKey(ftdi));
+    if (profiles.resolve(ftdi).saved || profiles.save(null, { byteSleep: 1, packetSleep: 1 }) !== null) {
+      throw new Error('Forgotten or keyless ports should not have saved timings');
+    }
+
+    console.log('✓ Timing profiles test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Calibration Search', test: testCalibration },
+      { name: 'Trial Failures', test: testTrialFailures },
+      { name: 'Restore', test: testRestore },
+      { name: 'Serial Adapter Calibration', test: testSerialAdapter },
+      { name: 'Timing Profiles', test: testProfiles }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n=== Timing Calibration Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testTimingCalibration;
\ No newline at end of file
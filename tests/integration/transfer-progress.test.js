@@ -0,0 +1,231 @@
+/**
+ * Integration tests for transfer progress and cancellation
+ *
+ * Checks the ETA arithmetic, the 'packet' and 'progress' events transports
+ * emit while writing, and that aborting a transfer leaves the port usable.
+ */
+
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import { SerialAdapter } from '../../lib/serial-adapter.js';
+import { TransferAbortedError } from '../../lib/transport.js';
+import { TransferProgress } from '../../lib/transfer-progress.js';
+import PacketTiming from '../../lib/helpers/packet-timing.js';
+import Start from '../../lib/protocol3/start.js';
+import Time from '../../lib/protocol3/time.js';
+import End from '../../lib/protocol3/end.js';
+import { MockSerialPort } from './web-serial-mock.js';
+
+const PACKETS = [[0x01, 0x02, 0x03], [], [0x04, 0x05], [0x06]];
+
+const connectedAdapter = async (options = {}) => {
+  const port = new MockSerialPort();
+  const adapter = new SerialAdapter({ port, byteSleep: 0, packetSleep: 0, ...options });
+  await adapter.connect();
+  return { port, adapter };
+};
+
+// Test suite for transfer progress
+const testTransferProgress = () => {
+  console.log('Testing Transfer Progress Integration...');
+
+  // Test 1: Estimates and ETA from the timing settings
+  const testEstimate = async () => {
+    console.log('Testing ETA...');
+
+    const timed = PACKETS.map(packet => [...packet]);
+    PacketTiming.attach(timed[0], { postDelay: 100 });
+    const timingFor = packet => PacketTiming.resolve(packet, { byteSleep: 10, packetSleep: 50 });
+
+    const estimate = TransferProgress.estimate(timed, { timingFor, byteDuration: 1 });
+    if (estimate.packets !== 3 || estimate.bytes !== 6 || estimate.duration !== 6 * 11 + 100 + 50) {
+      throw new Error(`Unexpected estimate: ${JSON.stringify(estimate)}`);
+    }
+
+    const progress = new TransferProgress(timed, { timingFor, byteDuration: 1, now: () => 0 });
+    progress.startPacket(0);
+    progress.addBytes(3);
+    if (progress.eta() !== 100 + 3 * 11 + 50 || progress.snapshot().bytesRemaining !== 3 || progress.snapshot().percent !== 50) {
+      throw new Error(`Unexpected progress after the first packet: ${JSON.stringify(progress.snapshot())}`);
+    }
+
+    progress.startPacket(2);
+    progress.addBytes(1);
+    progress.startPacket(2);
+    if (progress.snapshot().bytesSent !== 3) {
+      throw new Error('Resending a packet should take back its bytes');
+    }
+
+    progress.addBytes(2);
+    progress.startPacket(3);
+    progress.addBytes(1);
+    const done = progress.snapshot();
+    if (done.eta !== 0 || done.bytesRemaining !== 0 || done.percent !== 100) {
+      throw new Error(`Expected a finished transfer, got ${JSON.stringify(done)}`);
+    }
+
+    console.log('✓ ETA test passed');
+  };
+
+  // Test 2: Packet and progress events
+  const testEvents = async () => {
+    console.log('Testing progress events...');
+
+    const { port, adapter } = await connectedAdapter();
+    const packetEvents = [];
+    const progressEvents = [];
+    adapter.on('packet', event => packetEvents.push(event));
+    adapter.on('progress', event => progressEvents.push(event));
+
+    try {
+      await adapter.write(PACKETS);
+    } finally {
+      await port.close();
+    }
+
+    if (packetEvents.map(event => event.index).join() !== '0,2,3') {
+      throw new Error(`Expected packet events for non-empty packets, got ${packetEvents.map(event => event.index).join()}`);
+    }
+    if (progressEvents.length !== 6 || progressEvents.map(event => event.bytesSent).join() !== '1,2,3,4,5,6') {
+      throw new Error(`Expected one progress event per byte, got ${progressEvents.map(event => event.bytesSent).join()}`);
+    }
+    const last = progressEvents[progressEvents.length - 1];
+    if (last.bytesRemaining !== 0 || last.percent !== 100 || last.packetIndex !== 3 || last.packetCount !== 4) {
+      throw new Error(`Unexpected final progress: ${JSON.stringify(last)}`);
+    }
+
+    console.log('✓ Progress events test passed');
+  };
+
+  // Test 3: Aborting mid-packet and during a packet sleep
+  const testAbort = async () => {
+    console.log('Testing cancellation...');
+
+    const { port, adapter } = await connectedAdapter({ packetSleep: 10000 });
+    const controller = new AbortController();
+    const onProgress = ({ bytesSent }) => {
+      if (bytesSent === 2) {
+        controller.abort();
+      }
+    };
+    adapter.on('progress', onProgress);
+
+    try {
+      await adapter.write(PACKETS, { signal: controller.signal });
+      throw new Error('Aborted write should throw');
+    } catch (error) {
+      if (!(error instanceof TransferAbortedError) || !error.report.aborted || error.report.packetsWritten !== 0) {
+        throw error;
+      }
+    }
+    adapter.off('progress', onProgress);
+
+    if (port.getWrittenData().join() !== '1,2' || !adapter.isPortConnected()) {
+      throw new Error(`Expected the write to stop after byte 2 with the port open, wrote ${port.getWrittenData().join()}`);
+    }
+
+    // A long packet sleep ends as soon as the signal aborts
+    const sleeping = new AbortController();
+    const started = Date.now();
+    adapter.updateConfig({ packetSleep: 0 });
+    const timed = [PacketTiming.attach([0x01], { postDelay: 10000 }), [0x02]];
+    setTimeout(() => sleeping.abort(), 20);
+    try {
+      await adapter.write(timed, { signal: sleeping.signal });
+      throw new Error('Aborted write should throw');
+    } catch (error) {
+      if (!(error instanceof TransferAbortedError) || error.report.packetsWritten !== 1) {
+        throw error;
+      }
+    }
+    if (Date.now() - started > 2000) {
+      throw new Error('Abort should end the packet sleep early');
+    }
+
+    // The port is still usable
+    port.clearWrittenData();
+    await adapter.write([[0x07, 0x08]]);
+    if (port.getWrittenData().join() !== '7,8') {
+      throw new Error('Port should accept writes after an aborted transfer');
+    }
+    await port.close();
+
+    console.log('✓ Cancellation test passed');
+  };
+
+  // Test 4: Client progress callbacks and signal
+  const testClient = async () => {
+    console.log('Testing client progress callbacks...');
+
+    const { port, adapter } = await connectedAdapter();
+    const client = new TimexDatalinkClient({
+      serialDevice: adapter,
+      byteSleep: 0,
+      packetSleep: 0,
+      models: [new Start(), new Time({ zone: 1, is24h: true, dateFormat: '%_d-%m-%y', time: new Date(2026, 9, 19, 14, 30), name: 'utc' }), new End()]
+    });
+
+    try {
+      const packets = [];
+      const percents = [];
+      const result = await client.write({
+        onPacket: ({ index }) => packets.push(index),
+        onProgress: ({ percent }) => percents.push(percent)
+      });
+      if (!result.success || packets.join() !== '0,1,2' || percents[percents.length - 1] !== 100) {
+        throw new Error(`Unexpected client progress: packets ${packets.join()}, last percent ${percents[percents.length - 1]}`);
+      }
+      if (adapter.listeners.get('packet').size !== 0 || adapter.listeners.get('progress').size !== 0) {
+        throw new Error('Client should remove its listeners after the write');
+      }
+
+      const controller = new AbortController();
+      controller.abort();
+      try {
+        await client.write({ signal: controller.signal });
+        throw new Error('Write with an aborted signal should throw');
+      } catch (error) {
+        if (!(error instanceof TransferAbortedError) || !error.transferReport) {
+          throw error;
+        }
+      }
+    } finally {
+      await port.close();
+    }
+
+    console.log('✓ Client progress test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'ETA', test: testEstimate },
+      { name: 'Progress Events', test: testEvents },
+      { name: 'Cancellation', test: testAbort },
+      { name: 'Client Progress', test: testClient }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n=== Transfer Progress Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testTransferProgress;
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * Integration tests for the virtual watch
+ *
+ * Sends complete Protocol 1, 3 and 4 transfers to a VirtualWatch and checks
+ * the watch state it decodes, CRC checking and the start/sync/end state machine.
+ */
+
+import { VirtualWatch } from '../../lib/virtual-watch.js';
+import { SerialAdapter } from '../../lib/serial-adapter.js';
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import CrcPacketsWrapper from '../../lib/helpers/crc-packets-wrapper.js';
+
+const TIME = new Date(2026, 9, 19, 14, 30, 15);
+
+const loadModels = async (protocol) => {
+  const load = async (name) => (await import(`../../lib/protocol${protocol}/${name}.js`)).default;
+  const names = ['start', 'sync', 'time', 'alarm', 'eeprom', 'end', 'eeprom/appointment', 'eeprom/list', 'eeprom/phone-number', 'eeprom/anniversary'];
+  const classes = await Promise.all(names.map(load));
+  return Object.fromEntries(names.map((name, i) => [name, classes[i]]));
+};
+
+const eepromModel = (models) => new models.eeprom({
+  appointments: [new models['eeprom/appointment']({ time: TIME, message: 'dentist' })],
+  lists: [
+    new models['eeprom/list']({ listEntry: 'milk', priority: 2 }),
+    new models['eeprom/list']({ listEntry: 'eggs', priority: null })
+  ],
+  phoneNumbers: [new models['eeprom/phone-number']({ name: 'bob', number: '5551234', type: 'h' })],
+  anniversaries: [new models['eeprom/anniversary']({ time: TIME, anniversary: 'wedding' })],
+  appointmentNotificationMinutes: 10
+});
+
+const expectEeprom = (state) => {
+  const expected = {
+    appointments: [{ month: 10, day: 19, hour: 14, minute: 30, message: 'dentist' }],
+    lists: [{ entry: 'milk', priority: 2 }, { entry: 'eggs', priority: null }],
+    phoneNumbers: [{ number: '5551234', type: 'h', name: 'bob' }],
+    anniversaries: [{ month: 10, day: 19, anniversary: 'wedding' }],
+    appointmentNotificationMinutes: 10
+  };
+
+  for (const [key, value] of Object.entries(expected)) {
+    if (JSON.stringify(state[key]) !== JSON.stringify(value)) {
+      throw new Error(`Unexpected ${key}: ${JSON.stringify(state[key])}`);
+    }
+  }
+};
+
+const expectNoErrors = (watch) => {
+  const { errors, complete } = watch.getStatus();
+  if (errors.length > 0 || !complete) {
+    throw new Error(`Transfer should complete cleanly: ${JSON.stringify(errors)}`);
+  }
+};
+
+// Test suite for the virtual watch
+const testVirtualWatch = () => {
+  console.log('Testing Virtual Watch Integration...');
+
+  // Test 1: Protocol 3 transfer through the client and serial adapter
+  const testProtocol3Transfer = async () => {
+    console.log('Testing Protocol 3 transfer...');
+
+    const models = await loadModels(3);
+    const SoundOptions = (await import('../../lib/protocol3/sound-options.js')).default;
+    const SoundTheme = (await import('../../lib/protocol3/sound-theme.js')).default;
+    const WristApp = (await import('../../lib/protocol3/wrist-app.js')).default;
+    const soundThemeData = Array.from({ length: 40 }, (_, i) => i);
+    const wristAppData = Array.from({ length: 50 }, (_, i) => 255 - i);
+
+    const watch = new VirtualWatch();
+    const adapter = new SerialAdapter({ port: watch, byteSleep: 0, packetSleep: 0, verifyEcho: 'packet', echoTimeout: 100 });
+    const client = new TimexDatalinkClient({
+      serialDevice: adapter,
+      protocol: 3,
+      byteSleep: 0,
+      packetSleep: 0,
+      models: [
+        new models.start(),
+        new models.sync(),
+        new models.time({ zone: 1, is24h: true, dateFormat: '%_d-%m-%y', time: TIME, name: 'pdt' }),
+        new models.time({ zone: 2, is24h: false, dateFormat: '%y-%m-%d', time: new Date(2026, 9, 19, 21, 30), name: 'utc' }),
+        new models.alarm({ number: 1, audible: true, time: new Date(2026, 9, 19, 7, 15), message: 'wake up' }),
+        eepromModel(models),
+        new SoundTheme({ soundThemeData }),
+        new WristApp({ wristAppData }),
+        new SoundOptions({ hourlyChime: true, buttonBeep: false }),
+        new models.end()
+      ]
+    });
+
+    await adapter.connect();
+    try {
+      await client.write();
+    } finally {
+      await adapter.disconnect();
+    }
+
+    expectNoErrors(watch);
+    const state = watch.getState();
+
+    const zone1 = state.timeZones[1];
+    if (zone1.hour !== 14 || zone1.minute !== 30 || zone1.second !== 15 || zone1.year !== 2026 || zone1.name !== 'pdt' || !zone1.is24h || zone1.dateFormat !== '%_d-%m-%y') {
+      throw new Error(`Unexpected time zone 1: ${JSON.stringify(zone1)}`);
+    }
+    if (state.timeZones[2].hour !== 21 || state.timeZones[2].is24h || state.timeZones[2].dateFormat !== '%y-%m-%d') {
+      throw new Error(`Unexpected time zone 2: ${JSON.stringify(state.timeZones[2])}`);
+    }
+    if (JSON.stringify(state.alarms[1]) !== JSON.stringify({ hour: 7, minute: 15, month: null, day: null, message: 'wake up', audible: true })) {
+      throw new Error(`Unexpected alarm: ${JSON.stringify(state.alarms[1])}`);
+    }
+    expectEeprom(state);
+    if (JSON.stringify(state.soundTheme) !== JSON.stringify({ data: soundThemeData, offset: 0x100 - 40 })) {
+      throw new Error(`Unexpected sound theme: ${JSON.stringify(state.soundTheme)}`);
+    }
+    if (JSON.stringify(state.wristApp?.data) !== JSON.stringify(wristAppData)) {
+      throw new Error(`Unexpected wrist app: ${JSON.stringify(state.wristApp)}`);
+    }
+    if (!state.soundOptions.hourlyChime || state.soundOptions.buttonBeep) {
+      throw new Error(`Unexpected sound options: ${JSON.stringify(state.soundOptions)}`);
+    }
+
+    console.log('✓ Protocol 3 transfer test passed');
+  };
+
+  // Test 2: Protocol 1 and Protocol 4 transfers
+  const testProtocol1And4 = async () => {
+    console.log('Testing Protocol 1 and Protocol 4 transfers...');
+
+    const protocol4 = await loadModels(4);
+    const watch4 = VirtualWatch.decode([
+      new protocol4.start(),
+      new protocol4.sync(),
+      new protocol4.time({ zone: 1, is24h: false, dateFormat: '%_m.%d.%y', time: TIME, name: 'cet' }),
+      eepromModel(protocol4),
+      new protocol4.end()
+    ].flatMap(model => model.packets()));
+
+    expectNoErrors(watch4);
+    if (watch4.state.protocol !== 4 || watch4.state.timeZones[1].dateFormat !== '%_m.%d.%y') {
+      throw new Error(`Unexpected Protocol 4 state: ${JSON.stringify(watch4.state)}`);
+    }
+    expectEeprom(watch4.state);
+
+    const protocol1 = await loadModels(1);
+    const TimeName = (await import('../../lib/protocol1/time-name.js')).default;
+    const watch1 = VirtualWatch.decode([
+      new protocol1.start(),
+      new protocol1.sync(),
+      new protocol1.time({ zone: 2, is24h: true, time: TIME }),
+      new TimeName({ zone: 2, name: 'gmt' }),
+      new protocol1.alarm({ number: 3, audible: false, time: TIME, message: 'lunch', month: 10, day: 20 }),
+      eepromModel(protocol1),
+      new protocol1.end()
+    ].flatMap(model => model.packets()));
+
+    expectNoErrors(watch1);
+    const state = watch1.getState();
+    if (state.timeZones[2].name !== 'gmt' || state.timeZones[2].hour !== 14 || !state.timeZones[2].is24h) {
+      throw new Error(`Unexpected Protocol 1 time zone: ${JSON.stringify(state.timeZones[2])}`);
+    }
+    if (JSON.stringify(state.alarms[3]) !== JSON.stringify({ hour: 14, minute: 30, month: 10, day: 20, message: 'lunch', audible: false })) {
+      throw new Error(`Unexpected Protocol 1 alarm: ${JSON.stringify(state.alarms[3])}`);
+    }
+    expectEeprom(state);
+
+    console.log('✓ Protocol 1 and Protocol 4 transfer test passed');
+  };
+
+  // Test 3: Corrupted packets and out-of-order transfers
+  const testErrors = async () => {
+    console.log('Testing transfer errors...');
+
+    const models = await loadModels(3);
+    const start = new models.start().packets();
+    const sync = new models.sync().packets();
+    const time = new models.time({ zone: 1, is24h: true, dateFormat: '%_m-%d-%y', time: TIME }).packets();
+    const end = new models.end().packets();
+
+    const corrupted = time.map(packet => [...packet]);
+    corrupted[0][3] ^= 0x01;
+    const crcWatch = VirtualWatch.decode([...start, ...sync, ...corrupted, ...end]);
+    if (!crcWatch.errors.some(error => error.message.includes('CRC mismatch')) || crcWatch.state.timeZones[1]) {
+      throw new Error(`Corrupted packet should be rejected: ${JSON.stringify(crcWatch.getStatus())}`);
+    }
+    if (!crcWatch.complete) {
+      throw new Error('Packets after a corrupted packet should still be decoded');
+    }
+
+    const unsynced = VirtualWatch.decode([...start, ...time, ...end]);
+    if (!unsynced.errors.some(error => error.message.includes('before sync')) || unsynced.complete) {
+      throw new Error(`Packets before sync should be rejected: ${JSON.stringify(unsynced.getStatus())}`);
+    }
+
+    // The Ruby client's order (docs/timex_datalink_protocol_3.md): Sync, then Start
+    const rubyOrder = VirtualWatch.decode([...sync, ...start, ...time, ...end]);
+    expectNoErrors(rubyOrder);
+    if (!rubyOrder.complete || !rubyOrder.state.timeZones[1]) {
+      throw new Error(`Sync before start should be accepted: ${JSON.stringify(rubyOrder.getStatus())}`);
+    }
+
+    const unstarted = VirtualWatch.decode([...sync, ...time]);
+    if (!unstarted.errors.some(error => error.message.includes('without a start packet'))) {
+      throw new Error(`Packets after sync without start should be rejected: ${JSON.stringify(unstarted.getStatus())}`);
+    }
+
+    const twice = VirtualWatch.decode([...start, ...sync, ...sync, ...time, ...end]);
+    if (!twice.errors.some(error => error.message.includes('Sync received twice'))) {
+      throw new Error(`Second sync should be reported: ${JSON.stringify(twice.getStatus())}`);
+    }
+
+    const eeprom = eepromModel(models).packets();
+    const missingPage = VirtualWatch.decode([...start, ...sync, ...eeprom.filter((_, i) => i !== 2), ...end]);
+    if (!missingPage.errors.some(error => error.message.includes('expected page')) || missingPage.state.appointments.length !== 0) {
+      throw new Error(`Missing EEPROM page should be reported: ${JSON.stringify(missingPage.getStatus())}`);
+    }
+
+    // Item addresses are checked by the packet decoder's EEPROM parsing
+    const badAddress = eeprom.map(packet => {
+      if (packet[1] !== 0x90) {
+        return packet;
+      }
+      const payload = packet.slice(1, -2);
+      payload[3] ^= 0x01;
+      return CrcPacketsWrapper.wrapPackets([payload])[0];
+    });
+    const addressWatch = VirtualWatch.decode([...start, ...sync, ...badAddress, ...end]);
+    if (!addressWatch.errors.some(error => error.message.includes('EEPROM item type 1 address')) || addressWatch.state.appointments.length !== 0) {
+      throw new Error(`Wrong EEPROM item address should be reported: ${JSON.stringify(addressWatch.getStatus())}`);
+    }
+
+    console.log('✓ Transfer error test passed');
+  };
+
+  // Test 4: Web Serial port behaviour
+  const testPortInterface = async () => {
+    console.log('Testing port interface...');
+
+    const completed = [];
+    const watch = new VirtualWatch({ onComplete: state => completed.push(state) });
+    await watch.open({ baudRate: 9600 });
+
+    try {
+      await watch.open();
+      throw new Error('Opening an open port should fail');
+    } catch (error) {
+      if (error.name !== 'InvalidStateError') {
+        throw error;
+      }
+    }
+
+    const reader = watch.readable.getReader();
+    const writer = watch.writable.getWriter();
+    const models = await loadModels(4);
+    const bytes = [new models.start(), new models.sync({ length: 10 }), new models.end()]
+      .flatMap(model => model.packets()).flat();
+
+    await writer.write(new Uint8Array(bytes));
+    const { value } = await reader.read();
+    if (Array.from(value).join(',') !== bytes.join(',')) {
+      throw new Error('Written bytes should be echoed');
+    }
+    if (completed.length !== 1 || completed[0].protocol !== 4 || watch.getInfo().protocol !== 4) {
+      throw new Error('onComplete should receive the state when a transfer ends');
+    }
+
+    reader.releaseLock();
+    writer.releaseLock();
+    await watch.close();
+
+    watch.reset();
+    if (watch.getStatus().transfers !== 0 || watch.state.protocol !== null) {
+      throw new Error('reset() should clear the watch');
+    }
+
+    console.log('✓ Port interface test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Protocol 3 Transfer', test: testProtocol3Transfer },
+      { name: 'Protocol 1 and 4 Transfers', test: testProtocol1And4 },
+      { name: 'Transfer Errors', test: testErrors },
+      { name: 'Port Interface', test: testPortInterface }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n=== Virtual Watch Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testVirtualWatch;
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * Integration tests for watch profiles
+ *
+ * Compiles one protocol-independent profile for every protocol and checks
+ * the packets against hand-built components and the report of fields a
+ * protocol cannot carry.
+ */
+
+import { WatchProfile, WatchProfileError } from '../../lib/watch-profile.js';
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import { Protocol3 } from '../../lib/protocol3-implementation.js';
+import Protocol7 from '../../lib/protocol7.js';
+
+const TIME = new Date(2026, 9, 19, 14, 30, 15);
+
+const PROFILE = {
+  version: 1,
+  name: 'Test watch',
+  timeZones: [
+    { zone: 1, name: 'pdt', dateFormat: '%_d.%m.%y' },
+    { zone: 2, name: 'utc', utcOffset: '+00:00', is24h: true }
+  ],
+  alarms: [
+    { number: 1, time: '07:30', message: 'Wake up' },
+    { number: 2, time: '12:00', message: 'Lunch time today', audible: false, month: 10, day: 20 }
+  ],
+  appointments: [{ time: '2026-10-31T19:00', message: 'Party' }],
+  appointmentNotificationMinutes: 15,
+  anniversaries: [{ date: '2026-06-01', message: 'Wedding' }],
+  phoneNumbers: [{ name: 'Marty', number: '5551234', type: 'h' }],
+  lists: [{ entry: 'Milk', priority: 2 }, { entry: 'Eggs' }],
+  soundOptions: { hourlyChime: true, buttonBeep: false },
+  timers: [{ number: 1, label: 'EGGS', duration: '00:05:00', actionAtEnd: 'repeat_timer' }],
+  wristApp: { data: 'AAEC' }
+};
+
+const compile = (protocol, { profile = PROFILE, ...options } = {}) => WatchProfile.compile(profile, protocol, { time: TIME, ...options });
+const packetsOf = (components) => new TimexDatalinkClient({ models: components }).packets();
+const fields = (unsupported) => unsupported.map(({ field }) => field);
+
+// Test suite for watch profiles
+const testWatchProfile = () => {
+  console.log('Testing Watch Profile Integration...');
+
+  // Test 1: Protocol 3 packets match hand-assembled components
+  const testProtocol3 = async () => {
+    console.log('Testing Protocol 3 compilation...');
+
+    const { protocol, components, unsupported } = compile(3);
+    const c = Protocol3.getComponents();
+    const expected = [
+      new c.Start(),
+      new c.Sync(),
+      new c.Time({ zone: 1, is24h: false, dateFormat: '%_d.%m.%y', time: TIME, name: 'pdt' }),
+      new c.Time({
+        zone: 2,
+        is24h: true,
+        dateFormat: '%_m-%d-%y',
+        time: new Date(TIME.getTime() + TIME.getTimezoneOffset() * 60000),
+        name: 'utc'
+      }),
+      new c.Alarm({ number: 1, audible: true, time: new Date(2000, 0, 1, 7, 30), message: 'Wake up' }),
+      new c.Alarm({ number: 2, audible: false, time: new Date(2000, 0, 1, 12, 0), message: 'Lunch ti' }),
+      new c.Eeprom({
+        appointments: [new c.Appointment({ time: new Date(2026, 9, 31, 19, 0), message: 'Party' })],
+        anniversaries: [new c.Anniversary({ time: new Date(2026, 5, 1), anniversary: 'Wedding' })],
+        phoneNumbers: [new c.PhoneNumber({ name: 'Marty', number: '5551234', type: 'h' })],
+        lists: [new c.List({ listEntry: 'Milk', priority: 2 }), new c.List({ listEntry: 'Eggs', priority: null })],
+        appointmentNotificationMinutes: 15
+      }),
+      new c.SoundOptions({ hourlyChime: true, buttonBeep: false }),
+      new c.WristApp({ wristAppData: Uint8Array.from([0, 1, 2]) }),
+      new c.End()
+    ];
+
+    if (protocol !== 3) {
+      throw new Error(`Expected protocol 3, got ${protocol}`);
+    }
+    if (JSON.stringify(packetsOf(components)) !== JSON.stringify(packetsOf(expected))) {
+      throw new Error('Compiled packets should match the hand-assembled components');
+    }
+
+    const expectedFields = ['alarms[1].message', 'alarms[1].month', 'alarms[1].day', 'timers[0]'];
+    if (JSON.stringify(fields(unsupported)) !== JSON.stringify(expectedFields)) {
+      throw new Error(`Unexpected unsupported fields: ${JSON.stringify(unsupported)}`);
+    }
+    if (!unsupported[0].reason.includes('first 8 characters')) {
+      throw new Error(`Shortened text should say how much is kept: ${unsupported[0].reason}`);
+    }
+
+    console.log('✓ Protocol 3 compilation test passed');
+  };
+
+  // Test 2: Every protocol compiles the same profile and reports what it drops
+  const testProtocols = async () => {
+    console.log('Testing all protocols...');
+
+    const expectations = {
+      1: { components: ['Time', 'TimeName', 'Alarm', 'Eeprom'], unsupported: ['timeZones[0].dateFormat', 'soundOptions', 'wristApp', 'timers[0]'] },
+      3: { components: ['Sync', 'Time', 'Alarm', 'Eeprom', 'SoundOptions', 'WristApp', 'End'], unsupported: ['alarms[1].month', 'timers[0]'] },
+      4: { components: ['Time', 'Alarm', 'Eeprom', 'SoundOptions', 'WristApp'], unsupported: ['alarms[1].month', 'timers[0]'] },
+      6: { components: ['Time', 'Alarm', 'Eeprom', 'SoundScrollOptions'], unsupported: ['appointments[0]', 'anniversaries[0]', 'lists[0]', 'appointmentNotificationMinutes', 'wristApp'] },
+      7: { components: [], unsupported: ['timeZones[0]', 'alarms[0]', 'phoneNumbers[0].type', 'phoneNumbers[0].name', 'anniversaries[0]'] },
+      9: { components: ['Time', 'TimeName', 'Alarm', 'Timer', 'Eeprom', 'SoundOptions'], unsupported: ['timeZones[0].dateFormat', 'appointments[0]', 'lists[1]', 'wristApp'] }
+    };
+
+    for (const [protocol, expected] of Object.entries(expectations)) {
+      const { components, unsupported } = compile(Number(protocol));
+      const names = components.map(component => component.constructor.name);
+
+      for (const name of expected.components) {
+        if (!names.includes(`Protocol${protocol}${name}`)) {
+          throw new Error(`Protocol ${protocol} should have a ${name} component: ${names.join(', ')}`);
+        }
+      }
+      for (const field of expected.unsupported) {
+        if (!fields(unsupported).includes(field)) {
+          throw new Error(`Protocol ${protocol} should report ${field}: ${fields(unsupported).join(', ')}`);
+        }
+      }
+      if (fields(unsupported).includes('phoneNumbers[0]') || names[0] !== `Protocol${protocol}Start`) {
+        throw new Error(`Protocol ${protocol} workflow should start with Start and keep the phone number`);
+      }
+
+      packetsOf(components);
+    }
+
+    const protocol9 = compile(9);
+    const timer = protocol9.components.find(component => component.constructor.name === 'Protocol9Timer');
+    if (timer.time.getMinutes() !== 5 || timer.actionAtEnd !== 'repeat_timer' || timer.label !== 'EGGS') {
+      throw new Error('Timer should take its duration, label and end action from the profile');
+    }
+    const alarm = compile(6).components.find(component => component.constructor.name === 'Protocol6Alarm' && component.number === 2);
+    if (alarm.status !== 'disarmed' || alarm.month !== 10 || alarm.day !== 20) {
+      throw new Error('Protocol 6 alarms should map audible to status and keep month and day');
+    }
+
+    console.log('✓ All protocols test passed');
+  };
+
+  // Test 3: Protocol 7 builds spoken phrases with a phrase builder
+  const testProtocol7 = async () => {
+    console.log('Testing Protocol 7 phrases...');
+
+    const { PhraseBuilder } = Protocol7.getComponents();
+    const phraseBuilder = new PhraseBuilder({
+      database: [{ 'PC Index': 1, 'eBrain Index': 101, Label: 'Party' }, { 'PC Index': 2, 'eBrain Index': 102, Label: 'Marty' }]
+    });
+    const profile = {
+      version: 1,
+      appointments: [
+        { time: '2026-10-31T19:00', message: 'Party' },
+        { time: '2026-10-01T09:00', message: 'Party' },
+        { time: '2026-11-01T09:00', message: 'Dentist' }
+      ],
+      phoneNumbers: [{ name: 'Marty', number: '555-1234' }]
+    };
+
+    const { components, unsupported } = WatchProfile.compile(profile, 7, { time: TIME, phraseBuilder });
+    const eeprom = components.find(component => component.constructor.name === 'Protocol7Eeprom');
+
+    if (!eeprom || eeprom.calendar.events.length !== 1 || eeprom.calendar.events[0].phrase[0] !== 101) {
+      throw new Error('Only the future appointment with known words should become a calendar event');
+    }
+    if (eeprom.phoneNumbers[0].number !== '5551234' || eeprom.phoneNumbers[0].name[0] !== 102) {
+      throw new Error('Phone number should keep its digits and speak its name');
+    }
+    if (JSON.stringify(fields(unsupported)) !== JSON.stringify(['appointments[1]', 'appointments[2].message', 'phoneNumbers[0].number'])) {
+      throw new Error(`Unexpected unsupported fields: ${JSON.stringify(unsupported)}`);
+    }
+    if (!unsupported[1].reason.includes('"Dentist" is not a valid word')) {
+      throw new Error(`Unknown words should be reported: ${unsupported[1].reason}`);
+    }
+
+    packetsOf(components);
+
+    console.log('✓ Protocol 7 phrases test passed');
+  };
+
+  // Test 4: Schema validation
+  const testValidation = async () => {
+    console.log('Testing validation...');
+
+    if (WatchProfile.validate(PROFILE).length !== 0) {
+      throw new Error(`Test profile should be valid: ${JSON.stringify(WatchProfile.validate(PROFILE))}`);
+    }
+    if (JSON.stringify(JSON.parse(JSON.stringify(WatchProfile.SCHEMA))) !== JSON.stringify(WatchProfile.SCHEMA)) {
+      throw new Error('Schema should be plain JSON');
+    }
+
+    const invalid = {
+      version: 2,
+      timeZones: [{ zone: 3 }],
+      alarms: [{ number: 1, time: '7:30' }],
+      phoneNumbers: [{ name: 'Doc' }],
+      calendar: []
+    };
+
+    try {
+      WatchProfile.compile(invalid, 3);
+      throw new Error('Invalid profile should not compile');
+    } catch (error) {
+      if (!(error instanceof WatchProfileError)) {
+        throw error;
+      }
+      const paths = error.errors.map(({ path }) => path);
+      const expected = ['version', 'timeZones[0].zone', 'alarms[0].time', 'phoneNumbers[0].number', 'calendar'];
+      if (JSON.stringify(paths) !== JSON.stringify(expected)) {
+        throw new Error(`Unexpected validation errors: ${error.message}`);
+      }
+      if (!error.message.includes('alarms[0].time must look like "07:30"')) {
+        throw new Error(`Errors should show the expected format: ${error.message}`);
+      }
+    }
+
+    if (!WatchProfile.isWatchProfile(PROFILE) || WatchProfile.isWatchProfile({ protocol: 3, time: [] })) {
+      throw new Error('Watch profiles should be told apart from component sync data');
+    }
+
+    console.log('✓ Validation test passed');
+  };
+
+  // Test 5: Components described as a profile compile back to the same packets
+  const testFromComponents = async () => {
+    console.log('Testing profiles from components...');
+
+    const profile = { ...PROFILE, soundTheme: { data: 'AQIDBA==' } };
+
+    for (const protocol of [1, 3, 4, 6, 9]) {
+      const { components } = compile(protocol, { profile });
+      const described = WatchProfile.fromComponents(components, { time: TIME });
+      const recompiled = WatchProfile.compile(described.profile, protocol, { time: TIME });
+
+      if (described.protocol !== protocol || described.unsupported.length !== 0) {
+        throw new Error(`Protocol ${protocol} components should be described fully: ${JSON.stringify(described.unsupported)}`);
+      }
+      if (JSON.stringify(packetsOf(recompiled.components)) !== JSON.stringify(packetsOf(components))) {
+        throw new Error(`Protocol ${protocol} profile should compile back to the same packets`);
+      }
+    }
+
+    const { profile: described } = WatchProfile.fromComponents(compile(3, { profile }).components, { time: TIME });
+    if (described.timeZones[1].utcOffset !== '+00:00' && new Date().getTimezoneOffset() !== 0) {
+      throw new Error(`UTC offset should be recovered: ${JSON.stringify(described.timeZones[1])}`);
+    }
+    if (described.soundTheme.data !== 'AQIDBA==' || described.wristApp.data !== 'AAEC') {
+      throw new Error('Sound theme and wrist app should keep their data');
+    }
+
+    console.log('✓ Profiles from components test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Protocol 3', test: testProtocol3 },
+      { name: 'Protocols', test: testProtocols },
+      { name: 'Protocol 7', test: testProtocol7 },
+      { name: 'Validation', test: testValidation },
+      { name: 'From Components', test: testFromComponents }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n=== Watch Profile Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testWatchProfile;
\ No newline at end of file
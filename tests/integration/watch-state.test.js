@@ -0,0 +1,255 @@
+/**
+ * Integration tests for the last known watch state
+ *
+ * Writes configurations to a virtual watch through the client and checks the
+ * shadow copy recorded after each write and its diff against pending
+ * configurations.
+ */
+
+import { WatchState } from '../../lib/watch-state.js';
+import { WatchProfile } from '../../lib/watch-profile.js';
+import { TimexDatalinkClient } from '../../lib/timex-datalink-client.js';
+import { SerialAdapter } from '../../lib/serial-adapter.js';
+import { VirtualWatch } from '../../lib/virtual-watch.js';
+
+const TIME = new Date(2026, 9, 19, 14, 30, 15);
+
+const PROFILE = {
+  version: 1,
+  alarms: [
+    { number: 1, time: '07:30', message: 'Wake up' },
+    { number: 2, time: '12:00', message: 'Lunch' }
+  ],
+  appointments: [{ time: '2026-10-31T19:00', message: 'Party' }],
+  phoneNumbers: [
+    { name: 'Marty', number: '5551234' },
+    { name: 'Doc', number: '5559876' }
+  ],
+  soundOptions: { hourlyChime: true, buttonBeep: false }
+};
+
+// In-memory stand-in for localStorage
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+// Transport that accepts every write without timing
+const fakeTransport = ({ fail = false } = {}) => ({
+  isPortConnected: () => true,
+  updateConfig: () => {},
+  write: async () => {
+    if (fail) {
+      throw new Error('Echo mismatch');
+    }
+    return null;
+  }
+});
+
+const compile = (profile, protocol = 4) => WatchProfile.compile(profile, protocol, { time: TIME }).components;
+
+const writeTo = async (client, profile, protocol = 4) => {
+  client.models = compile(profile, protocol);
+  return client.write();
+};
+
+// Test suite for the last known watch state
+const testWatchState = () => {
+  console.log('Testing Watch State Integration...');
+
+  // Test 1: A write to the virtual watch is recorded
+  const testRecording = async () => {
+    console.log('Testing recording...');
+
+    const watchState = new WatchState({ storage: memoryStorage() });
+    const adapter = new SerialAdapter({ port: new VirtualWatch(), byteSleep: 0, packetSleep: 0 });
+    const client = new TimexDatalinkClient({ serialDevice: adapter, protocol: 4, byteSleep: 0, packetSleep: 0, watchState });
+
+    await adapter.connect();
+    let result;
+    try {
+      result = await writeTo(client, PROFILE);
+    } finally {
+      await adapter.disconnect();
+    }
+
+    if (result.watchState?.watchId !== 'protocol4' || result.watchState.protocol !== 4) {
+      throw new Error(`Write should report the recorded state, got ${JSON.stringify(result.watchState)}`);
+    }
+
+    const saved = new WatchState({ storage: watchState.storage }).load('protocol4');
+    const { version, ...written } = saved.profile;
+    const expected = {
+      alarms: PROFILE.alarms.map(alarm => ({ ...alarm, audible: true })),
+      appointments: PROFILE.appointments,
+      phoneNumbers: PROFILE.phoneNumbers,
+      soundOptions: PROFILE.soundOptions
+    };
+
+    if (JSON.stringify(written) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected saved state: ${JSON.stringify(saved.profile)}`);
+    }
+    if (Number.isNaN(Date.parse(saved.syncedAt))) {
+      throw new Error('Saved state should have a sync time');
+    }
+    console.log('✓ Recording test passed');
+  };
+
+  // Test 2: Later writes merge over the state
+  const testMerging = async () => {
+    console.log('Testing merging...');
+
+    const watchState = new WatchState({ storage: memoryStorage() });
+    const client = new TimexDatalinkClient({ serialDevice: fakeTransport(), protocol: 4, watchState, watchId: 'wrist' });
+
+    await writeTo(client, PROFILE);
+    await writeTo(client, { version: 1, alarms: [{ number: 2, time: '12:30', message: 'Lunch' }] });
+
+    let state = watchState.load('wrist').profile;
+    if (state.alarms.map(alarm => alarm.time).join(',') !== '07:30,12:30') {
+      throw new Error(`Alarms should merge by number, got ${JSON.stringify(state.alarms)}`);
+    }
+    if (state.phoneNumbers?.length !== 2 || state.appointments?.length !== 1) {
+      throw new Error('A write without EEPROM data should keep the EEPROM state');
+    }
+
+    await writeTo(client, { version: 1, phoneNumbers: [{ name: 'Biff', number: '5550000' }] });
+    state = watchState.load('wrist').profile;
+    if (state.phoneNumbers.length !== 1 || state.phoneNumbers[0].name !== 'Biff' || state.appointments !== undefined) {
+      throw new Error(`An EEPROM write should replace all EEPROM data, got ${JSON.stringify(state)}`);
+    }
+    if (state.soundOptions?.hourlyChime !== true || state.alarms.length !== 2) {
+      throw new Error('An EEPROM write should keep the other settings');
+    }
+
+    client.protocol = 9;
+    await writeTo(client, PROFILE, 9);
+    state = watchState.load('wrist');
+    if (state.protocol !== 9 || state.profile.phoneNumbers.length !== 2 || state.profile.appointments !== undefined) {
+      throw new Error('Switching protocols should start a new state');
+    }
+    console.log('✓ Merging test passed');
+  };
+
+  // Test 3: Diffing against a pending configuration
+  const testDiff = async () => {
+    console.log('Testing diff...');
+
+    const pending = {
+      version: 1,
+      alarms: [
+        { number: 1, time: '07:45', message: 'Wake up', audible: true },
+        { number: 2, time: '12:00', message: 'Lunch', audible: true }
+      ],
+      appointments: [{ time: '2026-11-05T20:00', message: 'Fireworks' }],
+      phoneNumbers: [{ name: 'Doc', number: '5559876' }],
+      soundOptions: { hourlyChime: false, buttonBeep: false }
+    };
+    const before = WatchState.merge(null, WatchProfile.fromComponents(compile(PROFILE), { time: TIME }).profile);
+    const diff = WatchState.diff(before, pending);
+
+    if (!diff.known || !diff.hasChanges) {
+      throw new Error('Diff of a known state with changes should say so');
+    }
+    if (diff.sections.alarms.changed.length !== 1 || diff.sections.alarms.changed[0].after.time !== '07:45' || diff.sections.alarms.added.length + diff.sections.alarms.removed.length !== 0) {
+      throw new Error(`Unexpected alarm changes: ${JSON.stringify(diff.sections.alarms)}`);
+    }
+    if (diff.sections.appointments.added[0].message !== 'Fireworks' || diff.sections.appointments.removed[0].message !== 'Party') {
+      throw new Error(`Unexpected appointment changes: ${JSON.stringify(diff.sections.appointments)}`);
+    }
+    if (diff.sections.phoneNumbers.removed.map(entry => entry.name).join() !== 'Marty' || diff.sections.phoneNumbers.added.length !== 0) {
+      throw new Error(`Unexpected phone number changes: ${JSON.stringify(diff.sections.phoneNumbers)}`);
+    }
+    if (diff.settings.length !== 1 || diff.settings[0].field !== 'soundOptions') {
+      throw new Error(`Unexpected setting changes: ${JSON.stringify(diff.settings)}`);
+    }
+
+    const lines = WatchState.describe(diff);
+    if (!lines.includes('~ alarms: 1 07:30 Wake up → 1 07:45 Wake up') || !lines.includes('- phoneNumbers: Marty 5551234')) {
+      throw new Error(`Unexpected description: ${JSON.stringify(lines)}`);
+    }
+
+    const limited = WatchState.diff(before, pending, { fields: ['phoneNumbers'] });
+    if (Object.keys(limited.sections).join() !== 'phoneNumbers' || limited.settings.length !== 0) {
+      throw new Error('Diff should be limited to the given fields');
+    }
+
+    const unknown = WatchState.diff(null, PROFILE);
+    if (unknown.known || unknown.sections.alarms.added.length !== 2) {
+      throw new Error('Everything should be added to a watch never synced');
+    }
+    if (WatchState.diff(before, before).hasChanges) {
+      throw new Error('A state should not differ from itself');
+    }
+    console.log('✓ Diff test passed');
+  };
+
+  // Test 4: Writes that fail or are not components
+  const testNotRecorded = async () => {
+    console.log('Testing writes that are not recorded...');
+
+    const watchState = new WatchState({ storage: memoryStorage() });
+    const failing = new TimexDatalinkClient({ serialDevice: fakeTransport({ fail: true }), protocol: 4, watchState });
+
+    try {
+      await writeTo(failing, PROFILE);
+      throw new Error('Write should fail');
+    } catch (error) {
+      if (!error.message.includes('Echo mismatch')) {
+        throw error;
+      }
+    }
+    if (watchState.load('protocol4') !== null) {
+      throw new Error('A failed write should not be recorded');
+    }
+
+    const raw = new TimexDatalinkClient({ serialDevice: fakeTransport(), watchState, models: [{ packets: () => [[0x01, 0x02]] }] });
+    const result = await raw.write();
+    if (!result.success || result.watchState !== null || Object.keys(watchState.readAll()).length !== 0) {
+      throw new Error('Writing raw packets should succeed without recording a state');
+    }
+
+    const untracked = await new TimexDatalinkClient({ serialDevice: fakeTransport(), protocol: 4, models: compile(PROFILE) }).write();
+    if (untracked.watchState !== null) {
+      throw new Error('Clients without a watch state should not record one');
+    }
+    console.log('✓ Not recorded test passed');
+  };
+
+  // Run all tests
+  const runAllTests = async () => {
+    const tests = [
+      { name: 'Recording', test: testRecording },
+      { name: 'Merging', test: testMerging },
+      { name: 'Diff', test: testDiff },
+      { name: 'Not recorded', test: testNotRecorded }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, test } of tests) {
+      try {
+        await test();
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${name} test failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n=== Watch State Test Summary ===');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📈 Total:  ${passed + failed}`);
+
+    return failed === 0;
+  };
+
+  return runAllTests();
+};
+
+export default testWatchState;
\ No newline at end of file
@@ -6,13 +6,18 @@
  */
 
 class MockSerialPort {
-  constructor(options = {}) {
+  constructor({ echo = null, ...options } = {}) {
     this.isOpen = false;
     this.readable = null;
     this.writable = null;
     this.writtenData = [];
     this.readData = [];
     this.readIndex = 0;
+    
+    // Notebook Adapter echo: true echoes each byte, a function (byte, index) may
+    // return a different byte or null to drop the echo
+    this.echo = echo;
+    this.echoCount = 0;
     this.options = {
       baudRate: 9600,
       dataBits: 8,
@@ -103,6 +108,20 @@ class MockSerialPort {
     this.readIndex = 0;
   }
   
+  /**
+   * Queue the adapter echo of written bytes for reading
+   */
+  queueEcho(data) {
+    for (const byte of data) {
+      const echoed = typeof this.echo === 'function' ? this.echo(byte, this.echoCount) : byte;
+      this.echoCount++;
+      
+      if (echoed !== null && echoed !== undefined) {
+        this.readData.push(echoed);
+      }
+    }
+  }
+  
   /**
    * Simulate device response based on written data
    */
@@ -206,10 +225,14 @@ class MockWriter {
     // Store written data
     this.port.writtenData.push(...Array.from(data));
     
-    // Simulate device response
-    const response = this.port.simulateDeviceResponse(data);
-    if (response && response.length > 0) {
-      this.port.setReadData(response);
+    // Echo like the Notebook Adapter, or simulate a device response
+    if (this.port.echo) {
+      this.port.queueEcho(data);
+    } else {
+      const response = this.port.simulateDeviceResponse(data);
+      if (response && response.length > 0) {
+        this.port.setReadData(response);
+      }
     }
     
     // Simulate write delay
@@ -0,0 +1,92 @@
+/**
+ * Tests for Protocol3 WristApp class
+ *
+ * Verifies the Protocol 3 CPACKET opcodes, payload pagination and
+ * loading WristApp code from ZAP files.
+ */
+
+import WristApp from '../../lib/protocol3/wrist-app.js';
+import CrcPacketsWrapper from '../../lib/helpers/crc-packets-wrapper.js';
+import { Protocol3 } from '../../lib/protocol3-implementation.js';
+
+// Test suite for Protocol3 WristApp
+const testWristApp = () => {
+  console.log('Testing Protocol3 WristApp...');
+
+  const verifyPackets = (actualPackets, expectedRawPackets, testName) => {
+    const expected = CrcPacketsWrapper.wrapPackets(expectedRawPackets);
+
+    if (JSON.stringify(actualPackets) !== JSON.stringify(expected)) {
+      throw new Error(`${testName}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actualPackets)}`);
+    }
+
+    console.log(`✓ ${testName} passed`);
+  };
+
+  // Test 1: Small wrist app fits in one payload
+  verifyPackets(
+    new WristApp({ wristAppData: [0x01, 0x02, 0x03] }).packets(),
+    [
+      [0x93, 0x02],
+      [0x90, 0x02, 1, 1],
+      [0x91, 0x02, 1, 0x01, 0x02, 0x03],
+      [0x92, 0x02]
+    ],
+    'single payload wrist app'
+  );
+
+  // Test 2: Wrist app data is paginated into 32 byte payloads
+  const data = Array.from({ length: 40 }, (_, index) => index);
+  verifyPackets(
+    new WristApp({ wristAppData: data }).packets(),
+    [
+      [0x93, 0x02],
+      [0x90, 0x02, 2, 1],
+      [0x91, 0x02, 1, ...data.slice(0, 32)],
+      [0x91, 0x02, 2, ...data.slice(32)],
+      [0x92, 0x02]
+    ],
+    'paginated wrist app'
+  );
+
+  // Test 3: ZAP file contents produce the same packets as the raw code
+  let zap = 'ZAP\r\n';
+  for (let index = 1; index < 20; index++) {
+    zap += `\xacSection ${index}\xac\r\n${index === WristApp.WRIST_APP_CODE_INDEX ? '010203' : ''}`;
+  }
+  verifyPackets(
+    new WristApp({ zapFile: zap }).packets(),
+    [
+      [0x93, 0x02],
+      [0x90, 0x02, 1, 1],
+      [0x91, 0x02, 1, 0x01, 0x02, 0x03],
+      [0x92, 0x02]
+    ],
+    'wrist app from ZAP file'
+  );
+
+  // Test 4: Missing data
+  try {
+    new WristApp({}).packets();
+    throw new Error('Expected an error for a wrist app without data');
+  } catch (error) {
+    if (!error.message.includes('Either wristAppData or zapFile must be provided')) {
+      throw error;
+    }
+  }
+  console.log('✓ missing data rejected');
+
+  // Test 5: Protocol registration
+  if (Protocol3.getComponents().WristApp !== WristApp || !Protocol3.CAPABILITIES.wristApps) {
+    throw new Error('Protocol 3 should expose the WristApp component');
+  }
+  const sequence = Protocol3.createSyncSequence({ wristApp: { wristAppData: [0x01] } });
+  if (!sequence.some(component => component instanceof WristApp)) {
+    throw new Error('Sync sequence should include the wrist app');
+  }
+  console.log('✓ Protocol 3 exposes WristApp');
+
+  console.log('✓ All Protocol3 WristApp tests passed\n');
+};
+
+export default testWristApp;
@@ -0,0 +1,119 @@
+/**
+ * Tests for Protocol6 EEPROM and PhoneNumber classes
+ * 
+ * Verifies phone book encoding with the Protocol 6 character map and
+ * the EEPROM section framing around it.
+ */
+
+import Protocol6 from '../../lib/protocol6.js';
+import CrcPacketsWrapper from '../../lib/helpers/crc-packets-wrapper.js';
+import { CharacterEncoders } from '../../lib/helpers/character-encoders.js';
+import { ValidationError } from '../../lib/helpers/data-validator.js';
+
+const { Eeprom, PhoneNumber, End } = Protocol6.getComponents();
+
+// Test suite for Protocol6 EEPROM
+const testEeprom = () => {
+  console.log('Testing Protocol6 EEPROM...');
+
+  const assertBytes = (actual, expected, testName) => {
+    if (actual.length !== expected.length) {
+      throw new Error(`${testName}: expected length ${expected.length}, got ${actual.length}`);
+    }
+
+    for (let i = 0; i < expected.length; i++) {
+      if (actual[i] !== expected[i]) {
+        throw new Error(`${testName}: byte mismatch at index ${i}: expected ${expected[i]}, got ${actual[i]}`);
+      }
+    }
+
+    console.log(`✓ ${testName} passed`);
+  };
+
+  // Test 1: Phone number packet uses fixed-width Protocol 6 characters
+  const docBrown = new PhoneNumber({ name: 'Doc Brown', number: '1112223333', type: 'C' });
+
+  assertBytes(
+    docBrown.packet(),
+    [
+      ...CharacterEncoders.protocol6CharsFor('doc brown       '),
+      ...CharacterEncoders.protocol6CharsFor('1112223333  '),
+      ...CharacterEncoders.protocol6CharsFor('c ')
+    ],
+    'phone number packet'
+  );
+
+  if (docBrown.packet().length !== 30) {
+    throw new Error(`Expected 30 byte phone number packet, got ${docBrown.packet().length}`);
+  }
+
+  // Test 2: Digits share positions with the standard character map
+  assertBytes(docBrown.numberCharacters().slice(0, 4), [1, 1, 1, 2], 'phone number digits');
+
+  // Test 3: EEPROM framing with two phone numbers
+  const homeFax = new PhoneNumber({ name: 'Doc Brown', number: '4445556666', type: 'HF' });
+  const eeprom = new Eeprom({ phoneNumbers: [docBrown, homeFax] });
+  const payload = [...docBrown.packet(), ...homeFax.packet()];
+
+  assertBytes(
+    eeprom.packets().map(packet => packet.join(',')),
+    CrcPacketsWrapper.wrapPackets([
+      [0x93, 0x01],
+      [0x90, 0x01, 2, 2],
+      [0x91, 0x01, 1, ...payload.slice(0, 32)],
+      [0x91, 0x01, 2, ...payload.slice(32)],
+      [0x92, 0x01]
+    ]).map(packet => packet.join(',')),
+    'EEPROM packets'
+  );
+
+  // Test 4: Empty EEPROM still clears the phone book
+  assertBytes(
+    new Eeprom().packets().map(packet => packet.join(',')),
+    CrcPacketsWrapper.wrapPackets([
+      [0x93, 0x01],
+      [0x90, 0x01, 0, 0],
+      [0x92, 0x01]
+    ]).map(packet => packet.join(',')),
+    'empty EEPROM packets'
+  );
+
+  // Test 5: Validation rejects long or unencodable names, numbers and types
+  for (const options of [
+    { name: 'Too Long', number: '1234567890123' },
+    { name: 'Bad Type', number: '555', type: 'ABC' },
+    { name: 'Emmett Lathrop Brown', number: '555' },
+    { name: 'Café', number: '555' },
+    { name: 'Doc', number: '555\u00b71234' },
+    { name: 'Doc', number: '555', type: '\u00e9' },
+    { number: '555' }
+  ]) {
+    try {
+      new PhoneNumber(options).packet();
+      throw new Error(`Expected ValidationError for ${JSON.stringify(options)}`);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+    }
+  }
+  console.log('✓ Validation errors raised for invalid phone numbers');
+
+  // Test 6: Sync sequence includes the EEPROM before End
+  const sequence = Protocol6.createSyncSequence({ phoneNumbers: [docBrown] });
+  const eepromIndex = sequence.findIndex(component => component instanceof Eeprom);
+
+  if (eepromIndex === -1 || !(sequence[eepromIndex + 1] instanceof End)) {
+    throw new Error('Expected EEPROM component immediately before End in sync sequence');
+  }
+  console.log('✓ Sync sequence includes EEPROM');
+
+  if (Protocol6.createSyncSequence({}).some(component => component instanceof Eeprom)) {
+    throw new Error('Sync sequence without phone numbers should not include EEPROM');
+  }
+  console.log('✓ Sync sequence skips EEPROM without phone numbers');
+
+  console.log('✓ All Protocol6 EEPROM tests passed\n');
+};
+
+export default testEeprom;
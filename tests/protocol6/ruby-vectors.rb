@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+# Regenerates ruby-vectors.js: Protocol 6 EEPROM packets compiled by the Ruby
+# timex_datalink_client gem for the inputs below.  ruby-vectors.test.js builds
+# the same EEPROM with lib/protocol6.js and compares the packets byte for byte.
+#
+#   gem install timex_datalink_client
+#   ruby tests/protocol6/ruby-vectors.rb
+
+require "json"
+require "timex_datalink_client"
+
+Eeprom = TimexDatalinkClient::Protocol6::Eeprom
+
+CASES = [
+  {
+    name: "empty phone book",
+    phoneNumbers: []
+  },
+  {
+    name: "one phone number",
+    phoneNumbers: [{ name: "Doc Brown", number: "1112223333", type: "C" }]
+  },
+  {
+    name: "phone numbers across packets",
+    phoneNumbers: [
+      { name: "Doc Brown", number: "1112223333", type: "C" },
+      { name: "Doc Brown", number: "4445556666", type: "HF" },
+      { name: "Marty McFly", number: "5551234", type: " " }
+    ]
+  },
+  {
+    name: "full length fields",
+    phoneNumbers: [{ name: "Emmett L. Brown!", number: "180055501234", type: "W" }]
+  }
+].freeze
+
+def eeprom_for(input)
+  Eeprom.new(
+    phone_numbers: input[:phoneNumbers].map do |phone_number|
+      Eeprom::PhoneNumber.new(**phone_number)
+    end
+  )
+end
+
+vectors = CASES.map { |input| input.merge(packets: eeprom_for(input).packets) }
+version = Gem.loaded_specs["timex_datalink_client"]&.version
+
+File.write(File.join(__dir__, "ruby-vectors.js"), <<~JS)
+  // Generated by tests/protocol6/ruby-vectors.rb from timex_datalink_client #{version}; do not edit
+  export default [
+  #{vectors.map { |vector| "  #{JSON.generate(vector)}" }.join(",\n")}
+  ];
+JS
@@ -0,0 +1,43 @@
+/**
+ * Tests for Protocol6 EEPROM packets against the Ruby client
+ *
+ * Builds each input in ruby-vectors.js with lib/protocol6.js and compares
+ * the packets with the ones the Ruby timex_datalink_client gem compiled.
+ * Regenerate the vectors with tests/protocol6/ruby-vectors.rb.
+ */
+
+import Protocol6 from '../../lib/protocol6.js';
+import vectors from './ruby-vectors.js';
+
+const { Eeprom, PhoneNumber } = Protocol6.getComponents();
+
+// Test suite for Protocol6 Ruby vectors
+const testRubyVectors = () => {
+  console.log('Testing Protocol6 packets against Ruby vectors...');
+
+  if (vectors.length === 0) {
+    throw new Error('No Ruby vectors; run tests/protocol6/ruby-vectors.rb with the timex_datalink_client gem installed');
+  }
+
+  const failures = [];
+
+  vectors.forEach(({ name, packets, phoneNumbers }) => {
+    const eeprom = new Eeprom({ phoneNumbers: phoneNumbers.map(phoneNumber => new PhoneNumber(phoneNumber)) });
+    const actual = eeprom.packets();
+
+    if (JSON.stringify(actual) !== JSON.stringify(packets)) {
+      failures.push(`${name}: expected ${JSON.stringify(packets)}, got ${JSON.stringify(actual)}`);
+      return;
+    }
+
+    console.log(`✓ ${name} passed`);
+  });
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${vectors.length} Ruby vectors differ:\n${failures.join('\n')}`);
+  }
+
+  console.log('✓ All Protocol6 Ruby vector tests passed\n');
+};
+
+export default testRubyVectors;
@@ -0,0 +1,96 @@
+/**
+ * Tests for Protocol7 Activity class
+ *
+ * Verifies Life Style activity encoding, the random speech flag and the
+ * activities section of the e-BRAIN EEPROM image.
+ */
+
+import Protocol7 from '../../lib/protocol7.js';
+import { ValidationError } from '../../lib/helpers/data-validator.js';
+
+const { Activity, Games, Eeprom, Speech } = Protocol7.getComponents();
+
+// Test suite for Protocol7 Activity
+const testActivity = () => {
+  console.log('Testing Protocol7 Activity...');
+
+  const assertBytes = (actual, expected, testName) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${testName}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+
+    console.log(`✓ ${testName} passed`);
+  };
+
+  const expectValidationError = (fn, testName) => {
+    try {
+      fn();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        console.log(`✓ ${testName} passed`);
+        return;
+      }
+      throw new Error(`${testName}: expected ValidationError, got ${error.message}`);
+    }
+    throw new Error(`${testName}: expected ValidationError`);
+  };
+
+  const getUp = [0x010, 0x120];
+  const reallyDoIt = [0x030, 0x040, 0x050];
+  const pictureDay = [0x3ff];
+
+  // Test 1: Fixed speech activity
+  const wakeUp = new Activity({
+    time: new Date(0, 0, 1, 7, 30, 0),
+    messages: [getUp, reallyDoIt],
+    randomSpeech: false
+  });
+  assertBytes(
+    wakeUp.packet(),
+    [7, 30, 0x02, 0x02, 0x10, 0x20, 0x04, 0x03, 0x30, 0x40, 0x50, 0x00],
+    'Fixed speech activity packet'
+  );
+
+  // Test 2: Random speech activity
+  const schoolPhotos = new Activity({
+    time: new Date(2024, 5, 3, 20, 5, 0),
+    messages: [pictureDay],
+    randomSpeech: true
+  });
+  assertBytes(schoolPhotos.packet(), [20, 5, 0x81, 0x01, 0xff, 0x03], 'Random speech activity packet');
+
+  // Test 3: Activities section in the EEPROM image
+  const activitiesEeprom = new Eeprom({ activities: [wakeUp, schoolPhotos] });
+  assertBytes(
+    activitiesEeprom.allPackets(),
+    [0x02, ...wakeUp.packet(), ...schoolPhotos.packet()],
+    'Activities section'
+  );
+
+  // Test 4: Activities come before the other sections
+  const games = new Games({ memoryGameEnabled: true });
+  const speech = new Speech({ phrases: [getUp] });
+  const fullEeprom = new Eeprom({ activities: [schoolPhotos], games, speech });
+  assertBytes(
+    fullEeprom.allPackets(),
+    [0x01, ...schoolPhotos.packet(), ...games.packet(), ...speech.packet()],
+    'Section order'
+  );
+
+  // Test 5: Sync sequence
+  const sequence = Protocol7.createSyncSequence({ activities: [wakeUp] });
+  if (!sequence.some(component => component instanceof Eeprom && component.activities.length === 1)) {
+    throw new Error('Sync sequence should include EEPROM with activities');
+  }
+  console.log('✓ Sync sequence includes activities');
+
+  // Test 6: Validation
+  expectValidationError(() => new Activity({ time: '07:30', messages: [getUp] }).packet(), 'Time must be a Date');
+  expectValidationError(() => new Activity({ time: new Date(), messages: [] }).packet(), 'At least one message');
+  expectValidationError(() => new Activity({ time: new Date(), messages: new Array(128).fill(getUp) }).packet(), 'Too many messages');
+  expectValidationError(() => new Activity({ time: new Date(), messages: [[0x400]] }).packet(), 'Invalid vocab ID in message');
+
+  console.log('✓ All Protocol7 Activity tests passed\n');
+};
+
+export default testActivity;
@@ -0,0 +1,194 @@
+/**
+ * Tests for Protocol7 Calendar and CalendarEvent classes
+ *
+ * Verifies calendar base time and event offset encoding, and pushing
+ * calendar appointments to an e-BRAIN through CalendarSyncIntegration.
+ */
+
+import Protocol7 from '../../lib/protocol7.js';
+import { CalendarSyncIntegration } from '../../lib/calendar-sync-integration.js';
+import { ValidationError } from '../../lib/helpers/data-validator.js';
+
+const { Calendar, CalendarEvent, Eeprom, PhoneNumber, PhraseBuilder, Speech } = Protocol7.getComponents();
+
+class MockClient {
+  constructor() {
+    this.models = [];
+    this.writeCallCount = 0;
+  }
+
+  async write() {
+    this.writeCallCount++;
+  }
+}
+
+// Test suite for Protocol7 Calendar
+const testCalendar = async () => {
+  console.log('Testing Protocol7 Calendar...');
+
+  const assertBytes = (actual, expected, testName) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${testName}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+
+    console.log(`✓ ${testName} passed`);
+  };
+
+  const expectValidationError = (fn, testName) => {
+    try {
+      fn();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        console.log(`✓ ${testName} passed`);
+        return;
+      }
+      throw new Error(`${testName}: expected ValidationError, got ${error.message}`);
+    }
+    throw new Error(`${testName}: expected ValidationError`);
+  };
+
+  const calendarTime = new Date(2024, 0, 2, 8, 30, 45);
+  const breakfast = new CalendarEvent({ time: new Date(2024, 0, 3, 9, 0), phrase: [0x010, 0x120] });
+  const dinner = new CalendarEvent({ time: new Date(2024, 0, 2, 19, 0), phrase: [0x030] });
+
+  // Test 1: Event offsets from the calendar time
+  assertBytes(breakfast.packet(calendarTime), [0xbe, 0x05, 0x00, 0x02, 0x10, 0x20, 0x04], 'Event packet');
+
+  // Test 2: Calendar packet with events in time order
+  const calendar = new Calendar({ time: calendarTime, events: [breakfast, dinner] });
+  assertBytes(
+    calendar.packet(),
+    [
+      0x3f, 0x22, // 8767 days since 2000-01-01
+      0xfe, 0x01, // 08:30 is 510 minutes after midnight
+      0x02,
+      0x76, 0x02, 0x00, 0x01, 0x30, 0x00, // dinner, 630 minutes later
+      ...breakfast.packet(calendarTime)
+    ],
+    'Calendar packet'
+  );
+
+  // Test 3: Empty calendar
+  assertBytes(new Calendar({ time: calendarTime }).packet(), [0x3f, 0x22, 0xfe, 0x01, 0x00], 'Empty calendar');
+
+  // Test 4: Calendar inside the EEPROM image
+  assertBytes(new Eeprom({ calendar }).allPackets(), calendar.packet(), 'Calendar in EEPROM data');
+
+  // Test 5: Validation
+  expectValidationError(
+    () => new Calendar({ time: calendarTime, events: [new CalendarEvent({ time: new Date(2024, 0, 1), phrase: [1] })] }).packet(),
+    'Event before calendar time'
+  );
+  expectValidationError(() => new Calendar({ time: new Date(1999, 11, 31) }).packet(), 'Calendar time before 2000');
+  expectValidationError(() => new CalendarEvent({ time: calendarTime, phrase: [] }).packet(calendarTime), 'Empty event phrase');
+  expectValidationError(() => new CalendarEvent({ time: 'tomorrow', phrase: [1] }).packet(calendarTime), 'Event time must be a Date');
+
+  // Test 6: Calendar sync integration
+  const phraseBuilder = new PhraseBuilder({
+    database: [
+      { 'PC Index': 1, 'eBrain Index': 101, Label: 'Breakfast' },
+      { 'PC Index': 2, 'eBrain Index': 102, Label: 'With' },
+      { 'PC Index': 3, 'eBrain Index': 103, Label: 'Cousins' }
+    ]
+  });
+  const appointments = [
+    { time: new Date(2024, 0, 3, 9, 0), description: 'Breakfast with the cousins!', isAllDay: false },
+    { time: new Date(2024, 0, 1, 9, 0), description: 'Dentist', isAllDay: false },
+    { date: new Date(2024, 0, 4), description: 'Dentist', isAllDay: true }
+  ];
+
+  // The calendar is merged into the EEPROM last written to the watch
+  const phoneNumbers = [new PhoneNumber({ name: [1], number: '5551234' })];
+  const client = new MockClient();
+  client.models = Protocol7.createSyncSequence({ phoneNumbers });
+  const calendarSync = new CalendarSyncIntegration(client);
+  const result = await calendarSync.syncCalendarToWatch(appointments, {
+    protocol: 7,
+    phraseBuilder,
+    calendarTime
+  });
+
+  if (result.appointmentsSynced !== 1 || client.writeCallCount !== 1) {
+    throw new Error(`Expected 1 synced appointment and 1 write, got ${result.appointmentsSynced} and ${client.writeCallCount}`);
+  }
+  if (result.errors.length !== 1 || !result.errors[0].error.includes('Left out words that are not in the vocabulary: "the"')) {
+    throw new Error('Expected a warning for the words left out of the appointment title');
+  }
+
+  const eeprom = client.models.find(model => model instanceof Eeprom);
+  if (!eeprom || eeprom.calendar.events[0].phrase.join(',') !== '101,102,103') {
+    throw new Error('Sync should write an EEPROM calendar with the spoken event phrase');
+  }
+  if (eeprom.phoneNumbers !== phoneNumbers) {
+    throw new Error('Sync should keep the phone numbers of the current EEPROM');
+  }
+  console.log('✓ Calendar sync integration passed');
+
+  // Test 7: Without an EEPROM to keep, the sync stops unless overwriting is allowed
+  const emptyClient = new MockClient();
+  let overwriteError = null;
+  try {
+    await new CalendarSyncIntegration(emptyClient).syncCalendarToWatch(appointments, { protocol: 7, phraseBuilder, calendarTime });
+  } catch (e) {
+    overwriteError = e;
+  }
+  if (!overwriteError || !overwriteError.message.includes('replaces the whole e-BRAIN EEPROM') || emptyClient.writeCallCount !== 0) {
+    throw new Error('Calendar sync should not clear the e-BRAIN EEPROM without permission');
+  }
+
+  await new CalendarSyncIntegration(emptyClient).syncCalendarToWatch(appointments, {
+    protocol: 7,
+    phraseBuilder,
+    calendarTime,
+    overwriteEeprom: true
+  });
+  if (emptyClient.writeCallCount !== 1) {
+    throw new Error('Calendar sync should write when overwriting is allowed');
+  }
+
+  const keptSpeech = new Speech({ phrases: [[1, 2]] });
+  await new CalendarSyncIntegration(emptyClient).syncCalendarToWatch(appointments, {
+    protocol: 7,
+    phraseBuilder,
+    calendarTime,
+    eeprom: new Eeprom({ speech: keptSpeech })
+  });
+  if (emptyClient.models.find(model => model instanceof Eeprom).speech !== keptSpeech) {
+    throw new Error('Calendar sync should keep the speech of the given EEPROM');
+  }
+  console.log('✓ Calendar sync keeps or explicitly overwrites the EEPROM passed');
+
+  const unspeakableClient = new MockClient();
+  let unspeakableError = null;
+  try {
+    await new CalendarSyncIntegration(unspeakableClient).syncCalendarToWatch([
+      ...appointments,
+      { time: new Date(2024, 0, 3, 12, 0), description: 'Dentist', isAllDay: false }
+    ], {
+      protocol: 7,
+      phraseBuilder,
+      calendarTime
+    });
+  } catch (e) {
+    unspeakableError = e;
+  }
+  if (!unspeakableError || !unspeakableError.message.includes('"Dentist" are in the vocabulary') || unspeakableClient.writeCallCount !== 0) {
+    throw new Error('Calendar sync should reject titles without vocabulary words before writing');
+  }
+  console.log('✓ Calendar sync rejects unspeakable titles passed');
+
+  let error = null;
+  try {
+    await new CalendarSyncIntegration(new MockClient()).syncCalendarToWatch(appointments, { protocol: 7 });
+  } catch (e) {
+    error = e;
+  }
+  if (!error || !error.message.includes('requires a phrase builder')) {
+    throw new Error('Protocol 7 calendar sync without a phrase builder should fail');
+  }
+  console.log('✓ Calendar sync requires phrase builder passed');
+
+  console.log('✓ All Protocol7 Calendar tests passed\n');
+};
+
+export default testCalendar;
@@ -0,0 +1,88 @@
+/**
+ * Tests for Protocol7 PhoneNumber class
+ *
+ * Verifies number digit packing, spoken name encoding and the phone
+ * number section of the e-BRAIN EEPROM image.
+ */
+
+import Protocol7 from '../../lib/protocol7.js';
+import { ValidationError } from '../../lib/helpers/data-validator.js';
+
+const { PhoneNumber, Activity, Eeprom } = Protocol7.getComponents();
+
+// Test suite for Protocol7 PhoneNumber
+const testPhoneNumber = () => {
+  console.log('Testing Protocol7 PhoneNumber...');
+
+  const assertBytes = (actual, expected, testName) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${testName}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+
+    console.log(`✓ ${testName} passed`);
+  };
+
+  const expectValidationError = (fn, testName) => {
+    try {
+      fn();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        console.log(`✓ ${testName} passed`);
+        return;
+      }
+      throw new Error(`${testName}: expected ValidationError, got ${error.message}`);
+    }
+    throw new Error(`${testName}: expected ValidationError`);
+  };
+
+  const dogSitter = [0x010, 0x102];
+  const momAndDad = [0x020, 0x021, 0x022, 0x023];
+
+  // Test 1: Number digits are packed two per byte and padded with blanks
+  const jenny = new PhoneNumber({ name: dogSitter, number: '8675309' });
+  assertBytes(jenny.numberBytes(), [0x68, 0x57, 0x03, 0xf9, 0xff, 0xff], 'Short number digits');
+
+  const home = new PhoneNumber({ name: momAndDad, number: '120000000000' });
+  assertBytes(home.numberBytes(), [0x21, 0x00, 0x00, 0x00, 0x00, 0x00], 'Full length number keeps trailing zeros');
+
+  // Test 2: Packet with spoken name
+  assertBytes(
+    jenny.packet(),
+    [0x68, 0x57, 0x03, 0xf9, 0xff, 0xff, 0x02, 0x10, 0x02, 0x04],
+    'Phone number packet'
+  );
+
+  // Test 3: Phone number section in the EEPROM image
+  const eeprom = new Eeprom({ phoneNumbers: [jenny, home] });
+  assertBytes(eeprom.allPackets(), [0x02, ...jenny.packet(), ...home.packet()], 'Phone number section');
+
+  // Test 4: Phone numbers follow the activities section
+  const activity = new Activity({ time: new Date(0, 0, 1, 7, 0), messages: [dogSitter] });
+  const fullEeprom = new Eeprom({ activities: [activity], phoneNumbers: [jenny] });
+  assertBytes(
+    fullEeprom.allPackets(),
+    [0x01, ...activity.packet(), 0x01, ...jenny.packet()],
+    'Section order'
+  );
+
+  // Test 5: Capabilities and sync sequence
+  if (!Protocol7.CAPABILITIES.phoneNumbers) {
+    throw new Error('Protocol 7 should report phone number support');
+  }
+  const sequence = Protocol7.createSyncSequence({ phoneNumbers: [jenny] });
+  if (!sequence.some(component => component instanceof Eeprom && component.phoneNumbers.length === 1)) {
+    throw new Error('Sync sequence should include EEPROM with phone numbers');
+  }
+  console.log('✓ Sync sequence includes phone numbers');
+
+  // Test 6: Validation
+  expectValidationError(() => new PhoneNumber({ name: dogSitter, number: '555-1234' }).packet(), 'Number with non-digits');
+  expectValidationError(() => new PhoneNumber({ name: dogSitter, number: '1234567890123' }).packet(), 'Number too long');
+  expectValidationError(() => new PhoneNumber({ name: dogSitter, number: '' }).packet(), 'Empty number');
+  expectValidationError(() => new PhoneNumber({ name: [], number: '8675309' }).packet(), 'Empty name');
+  expectValidationError(() => new PhoneNumber({ name: [0x400], number: '8675309' }).packet(), 'Invalid vocab ID in name');
+
+  console.log('✓ All Protocol7 PhoneNumber tests passed\n');
+};
+
+export default testPhoneNumber;
@@ -0,0 +1,175 @@
+/**
+ * Tests for Protocol7 PhraseBuilder and Vocabulary classes
+ *
+ * Verifies vocabulary loading from MDB and JSON sources and word to
+ * vocabulary ID resolution, including linked and multi-word labels.
+ */
+
+import Protocol7, { WordNotFoundError } from '../../lib/protocol7.js';
+import { buildMdb, TYPES } from '../helpers/mdb-fixture.js';
+
+const { PhraseBuilder, Vocabulary } = Protocol7.getComponents();
+
+// eBrain Index values differ from the PC Index so that IDs show which one was used
+const VOCAB = [
+  { 'PC Index': 10, 'eBrain Index': 110, Label: 'Computer' },
+  { 'PC Index': 11, 'eBrain Index': 111, Label: 'From' },
+  { 'PC Index': 12, 'eBrain Index': 112, Label: 'Mars' },
+  { 'PC Index': 13, 'eBrain Index': 113, Label: 'Where' },
+  { 'PC Index': 14, 'eBrain Index': 114, Label: 'Is' },
+  { 'PC Index': 15, 'eBrain Index': 115, Label: 'My' },
+  { 'PC Index': 16, 'eBrain Index': 116, Label: 'Phone' },
+  { 'PC Index': 17, 'eBrain Index': 117, Label: 'Good Morning' },
+  { 'PC Index': 18, 'eBrain Index': 118, Label: 'Good' },
+  { 'PC Index': 19, 'eBrain Index': 119, Label: '<Fart>' },
+  { 'PC Index': 20, 'eBrain Index': 120, Label: 'Television' },
+  { 'PC Index': 21, 'eBrain Index': 300, Label: 'Tele' },
+  { 'PC Index': 22, 'eBrain Index': 301, Label: 'Vi' },
+  { 'PC Index': 23, 'eBrain Index': 302, Label: 'Sion' },
+  { 'PC Index': 24, Label: 'Silence' }
+];
+
+// Most words link to themselves; "Television" is spoken as three sounds
+const VOCAB_LINKS = [
+  ...VOCAB.filter(row => row['PC Index'] !== 20).map(row => ({
+    'PC Index': row['PC Index'],
+    'PC Index Link': row['PC Index'],
+    Sequence: 1
+  })),
+  { 'PC Index': 20, 'PC Index Link': 23, Sequence: 3 },
+  { 'PC Index': 20, 'PC Index Link': 21, Sequence: 1 },
+  { 'PC Index': 20, 'PC Index Link': 22, Sequence: 2 }
+];
+
+const buildVocabMdb = () => buildMdb([
+  {
+    name: 'Vocab',
+    columns: [
+      { name: 'PC Index', type: TYPES.LONG },
+      { name: 'eBrain Index', type: TYPES.LONG },
+      { name: 'Label', type: TYPES.TEXT }
+    ],
+    rows: VOCAB
+  },
+  {
+    name: 'Vocab Link',
+    columns: [
+      { name: 'PC Index', type: TYPES.LONG },
+      { name: 'PC Index Link', type: TYPES.LONG },
+      { name: 'Sequence', type: TYPES.INT }
+    ],
+    rows: VOCAB_LINKS
+  }
+], { compressText: true });
+
+// Test suite for Protocol7 PhraseBuilder
+const testPhraseBuilder = () => {
+  console.log('Testing Protocol7 PhraseBuilder...');
+
+  const assertIds = (actual, expected, testName) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${testName}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+
+    console.log(`✓ ${testName} passed`);
+  };
+
+  const expectError = (fn, errorClass, check, testName) => {
+    try {
+      fn();
+    } catch (error) {
+      if (error instanceof errorClass && check(error)) {
+        console.log(`✓ ${testName} passed`);
+        return;
+      }
+      throw new Error(`${testName}: unexpected error ${error.message}`);
+    }
+    throw new Error(`${testName}: expected ${errorClass.name}`);
+  };
+
+  const mdbBuilder = new PhraseBuilder({ database: buildVocabMdb() });
+
+  // Test 1: Words from an MDB database
+  assertIds(mdbBuilder.vocabIdsFor('Computer', 'From', 'Mars'), [110, 111, 112], 'Vocab IDs from MDB database');
+
+  // Test 2: ArrayBuffer input
+  const mdb = buildVocabMdb();
+  const bufferBuilder = new PhraseBuilder({ database: mdb.buffer });
+  assertIds(bufferBuilder.vocabIdsFor('Mars'), [112], 'Vocab IDs from ArrayBuffer');
+
+  // Test 3: Case-insensitive lookup
+  assertIds(mdbBuilder.vocabIdsFor('computer', 'MARS'), [110, 112], 'Case-insensitive lookup');
+
+  // Test 4: Sound effect labels
+  assertIds(mdbBuilder.vocabIdsFor('<Fart>'), [119], 'Sound effect labels');
+
+  // Test 5: Linked vocabulary in sequence order
+  assertIds(mdbBuilder.vocabIdsFor('My', 'Television'), [115, 300, 301, 302], 'Linked vocabulary');
+
+  // Test 6: Multi-word labels and phrases
+  assertIds(mdbBuilder.vocabIdsFor('Good Morning'), [117], 'Multi-word label');
+  assertIds(mdbBuilder.vocabIdsFor('Where is my phone'), [113, 114, 115, 116], 'Phrase split into words');
+  assertIds(mdbBuilder.vocabIdsFor('Good  morning Mars'), [117, 112], 'Longest label match first');
+
+  // Test 7: Unknown words
+  expectError(
+    () => mdbBuilder.vocabIdsFor('Computer', 'Venus', 'Is Pluto'),
+    WordNotFoundError,
+    error => error.words.join(',') === 'Venus,Pluto' && error.message.includes('"Venus" is not a valid word!'),
+    'Unknown words are reported together'
+  );
+
+  // Test 8: JSON exports
+  const jsonBuilder = new PhraseBuilder({
+    database: JSON.stringify({ 'Vocab': VOCAB, 'Vocab Link': VOCAB_LINKS })
+  });
+  assertIds(jsonBuilder.vocabIdsFor('Television', 'From', 'Mars'), [300, 301, 302, 111, 112], 'Vocab IDs from JSON export');
+
+  const arrayBuilder = new PhraseBuilder({ database: VOCAB });
+  assertIds(arrayBuilder.vocabIdsFor('Television'), [120], 'Vocab IDs from row array');
+
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(VOCAB));
+  assertIds(new PhraseBuilder({ database: jsonBytes }).vocabIdsFor('Phone'), [116], 'Vocab IDs from JSON file bytes');
+
+  expectError(
+    () => mdbBuilder.vocabIdsFor('Silence'),
+    Error,
+    error => error.message.includes('PC Index 24') && error.message.includes('no eBrain Index'),
+    'Linked vocab without eBrain Index'
+  );
+
+  expectError(
+    () => Vocabulary.fromJson({ Words: [] }),
+    Error,
+    error => error.message.includes('"Vocab" table'),
+    'JSON export without Vocab table'
+  );
+
+  // Test 9: Shared vocabulary instances
+  const vocabulary = Vocabulary.fromMdb(buildVocabMdb());
+  if (vocabulary.size !== VOCAB.length || !vocabulary.has('good morning')) {
+    throw new Error('Vocabulary size/has mismatch');
+  }
+  assertIds(new PhraseBuilder({ database: vocabulary }).vocabIdsFor('Is'), [114], 'Reuses a loaded vocabulary');
+
+  // Test 10: Missing database
+  expectError(
+    () => new PhraseBuilder().vocabIdsFor('Computer'),
+    Error,
+    error => error.message.includes('requires a vocabulary database'),
+    'Missing database'
+  );
+
+  // Test 11: Free text leaves out punctuation and unknown words
+  assertIds(
+    mdbBuilder.phraseFor('Good morning, Venus! Where is my phone?'),
+    { ids: [117, 113, 114, 115, 116], unknownWords: ['Venus'] },
+    'Free text phrase'
+  );
+  assertIds(mdbBuilder.phraseFor('Dentist'), { ids: [], unknownWords: ['Dentist'] }, 'Free text without known words');
+  assertIds(mdbBuilder.phraseFor(' - '), { ids: [], unknownWords: [] }, 'Free text without words');
+
+  console.log('✓ All Protocol7 PhraseBuilder tests passed\n');
+};
+
+export default testPhraseBuilder;
@@ -0,0 +1,2 @@
+// Generated by tests/protocol7/ruby-vectors.rb; empty until it is run with the timex_datalink_client gem installed
+export default [];
@@ -0,0 +1,146 @@
+# frozen_string_literal: true
+
+# Regenerates ruby-vectors.js: Protocol 7 EEPROM packets compiled by the Ruby
+# timex_datalink_client gem for the inputs below.  ruby-vectors.test.js builds
+# the same EEPROM with lib/protocol7.js and compares the packets byte for byte.
+#
+#   gem install timex_datalink_client
+#   ruby tests/protocol7/ruby-vectors.rb
+#
+# Times are local times, so generate and run the tests in the same time zone.
+
+require "json"
+require "timex_datalink_client"
+
+Eeprom = TimexDatalinkClient::Protocol7::Eeprom
+
+CASES = [
+  {
+    name: "empty speech",
+    speech: { deviceNickname: [], userNickname: [], phrases: [] }
+  },
+  {
+    name: "device nickname",
+    speech: { deviceNickname: [0x0a1, 0x12c, 0x1f3], userNickname: [], phrases: [] }
+  },
+  {
+    name: "device and user nicknames",
+    speech: { deviceNickname: [0x0a1, 0x12c, 0x1f3], userNickname: [0x04e, 0x0d2, 0x2b7], phrases: [] }
+  },
+  {
+    name: "speech phrases",
+    speech: {
+      deviceNickname: [],
+      userNickname: [],
+      phrases: [[0x0c8, 0x0b3, 0x15e, 0x0f2, 0x2a0], [0x1d4, 0x15e, 0x0c8, 0x19b]]
+    }
+  },
+  {
+    name: "nicknames and phrases",
+    speech: {
+      deviceNickname: [0x0a1, 0x12c, 0x1f3],
+      userNickname: [0x04e, 0x0d2, 0x2b7],
+      phrases: [[0x0c8, 0x0b3, 0x15e, 0x0f2, 0x2a0], [0x1d4, 0x15e, 0x0c8, 0x19b]]
+    }
+  },
+  {
+    name: "one activity",
+    activities: [{ time: "07:30", messages: [[0x0e1, 0x1c4]], randomSpeech: false }]
+  },
+  {
+    name: "fixed and random activities",
+    activities: [
+      { time: "07:30", messages: [[0x0e1, 0x1c4], [0x16b, 0x0a9, 0x10f]], randomSpeech: false },
+      { time: "18:05", messages: [[0x21a, 0x0b0]], randomSpeech: true }
+    ]
+  },
+  {
+    name: "empty calendar",
+    calendar: { time: "2022-12-11T17:50:02", events: [] }
+  },
+  {
+    name: "calendar events",
+    calendar: {
+      time: "2022-12-11T17:50:02",
+      events: [
+        { time: "2022-12-13T09:00:00", phrase: [0x0c8, 0x0b3, 0x15e] },
+        { time: "2022-12-14T19:30:00", phrase: [0x1d4, 0x15e, 0x0c8, 0x19b] }
+      ]
+    }
+  },
+  {
+    name: "one phone number",
+    phoneNumbers: [{ name: [0x0a1, 0x12c], number: "5551234" }]
+  },
+  {
+    name: "phone numbers",
+    phoneNumbers: [
+      { name: [0x0a1, 0x12c], number: "5551234" },
+      { name: [0x04e, 0x0d2, 0x2b7, 0x1f3, 0x19b], number: "180055501234" }
+    ]
+  },
+  {
+    name: "short phone number",
+    phoneNumbers: [{ name: [0x3ff], number: "9" }]
+  },
+  {
+    name: "phone numbers and speech",
+    phoneNumbers: [{ name: [0x0a1, 0x12c], number: "5551234" }],
+    speech: { deviceNickname: [0x0a1, 0x12c, 0x1f3], userNickname: [], phrases: [[0x1d4, 0x15e]] }
+  }
+].freeze
+
+def local_time(string)
+  Time.new(*string.scan(/\d+/).map(&:to_i))
+end
+
+def eeprom_for(input)
+  options = {}
+
+  if (activities = input[:activities])
+    options[:activities] = activities.map do |activity|
+      hour, minute = activity[:time].split(":").map(&:to_i)
+
+      Eeprom::Activity.new(
+        time: Time.new(0, 1, 1, hour, minute, 0),
+        messages: activity[:messages],
+        random_speech: activity[:randomSpeech]
+      )
+    end
+  end
+
+  if (calendar = input[:calendar])
+    options[:calendar] = Eeprom::Calendar.new(
+      time: local_time(calendar[:time]),
+      events: calendar[:events].map do |event|
+        Eeprom::Calendar::Event.new(time: local_time(event[:time]), phrase: event[:phrase])
+      end
+    )
+  end
+
+  if (phone_numbers = input[:phoneNumbers])
+    options[:phone_numbers] = phone_numbers.map do |phone_number|
+      Eeprom::PhoneNumber.new(name: phone_number[:name], number: phone_number[:number])
+    end
+  end
+
+  if (speech = input[:speech])
+    options[:speech] = Eeprom::Speech.new(
+      device_nickname: speech[:deviceNickname],
+      user_nickname: speech[:userNickname],
+      phrases: speech[:phrases]
+    )
+  end
+
+  Eeprom.new(**options)
+end
+
+vectors = CASES.map { |input| input.merge(packets: eeprom_for(input).packets) }
+version = Gem.loaded_specs["timex_datalink_client"]&.version
+
+File.write(File.join(__dir__, "ruby-vectors.js"), <<~JS)
+  // Generated by tests/protocol7/ruby-vectors.rb from timex_datalink_client #{version}; do not edit
+  export default [
+  #{vectors.map { |vector| "  #{JSON.generate(vector)}" }.join(",\n")}
+  ];
+JS
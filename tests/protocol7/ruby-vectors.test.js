@@ -0,0 +1,77 @@
+/**
+ * Tests for Protocol7 EEPROM packets against the Ruby client
+ *
+ * Builds each input in ruby-vectors.js with lib/protocol7.js and compares
+ * the packets with the ones the Ruby timex_datalink_client gem compiled.
+ * Regenerate the vectors with tests/protocol7/ruby-vectors.rb.
+ */
+
+import Protocol7 from '../../lib/protocol7.js';
+import vectors from './ruby-vectors.js';
+
+const { Eeprom, Speech, Activity, Calendar, CalendarEvent, PhoneNumber } = Protocol7.getComponents();
+
+// Parse a "YYYY-MM-DDTHH:MM:SS" string as a local time, like Time.new in Ruby
+const localTime = (string) => {
+  const [year, month, day, hours, minutes, seconds] = string.match(/\d+/g).map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+// Build the EEPROM component for a vector input
+const eepromFor = (input) => {
+  const options = {};
+
+  if (input.activities) {
+    options.activities = input.activities.map(({ time, ...activity }) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return new Activity({ ...activity, time: new Date(0, 0, 1, hours, minutes) });
+    });
+  }
+
+  if (input.calendar) {
+    options.calendar = new Calendar({
+      time: localTime(input.calendar.time),
+      events: input.calendar.events.map(event => new CalendarEvent({ ...event, time: localTime(event.time) }))
+    });
+  }
+
+  if (input.phoneNumbers) {
+    options.phoneNumbers = input.phoneNumbers.map(phoneNumber => new PhoneNumber(phoneNumber));
+  }
+
+  if (input.speech) {
+    options.speech = new Speech(input.speech);
+  }
+
+  return new Eeprom(options);
+};
+
+// Test suite for Protocol7 Ruby vectors
+const testRubyVectors = () => {
+  console.log('Testing Protocol7 packets against Ruby vectors...');
+
+  if (vectors.length === 0) {
+    throw new Error('No Ruby vectors; run tests/protocol7/ruby-vectors.rb with the timex_datalink_client gem installed');
+  }
+
+  const failures = [];
+
+  vectors.forEach(({ name, packets, ...input }) => {
+    const actual = eepromFor(input).packets();
+
+    if (JSON.stringify(actual) !== JSON.stringify(packets)) {
+      failures.push(`${name}: expected ${JSON.stringify(packets)}, got ${JSON.stringify(actual)}`);
+      return;
+    }
+
+    console.log(`✓ ${name} passed`);
+  });
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${vectors.length} Ruby vectors differ:\n${failures.join('\n')}`);
+  }
+
+  console.log('✓ All Protocol7 Ruby vector tests passed\n');
+};
+
+export default testRubyVectors;
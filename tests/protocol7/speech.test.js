@@ -0,0 +1,96 @@
+/**
+ * Tests for Protocol7 Speech class
+ *
+ * Verifies the speech section header offsets, nickname and phrase
+ * encoding, and 10-bit vocab ID packing.
+ */
+
+import Protocol7 from '../../lib/protocol7.js';
+import { ValidationError } from '../../lib/helpers/data-validator.js';
+
+const { Speech, Eeprom } = Protocol7.getComponents();
+
+// Test suite for Protocol7 Speech
+const testSpeech = () => {
+  console.log('Testing Protocol7 Speech...');
+
+  const assertBytes = (actual, expected, testName) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${testName}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+
+    console.log(`✓ ${testName} passed`);
+  };
+
+  const expectValidationError = (fn, testName) => {
+    try {
+      fn();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        console.log(`✓ ${testName} passed`);
+        return;
+      }
+      throw new Error(`${testName}: expected ValidationError, got ${error.message}`);
+    }
+    throw new Error(`${testName}: expected ValidationError`);
+  };
+
+  // Test 1: 10-bit vocab ID packing
+  assertBytes(Speech.packVocabIds([]), [], 'Empty vocab ID packing');
+  assertBytes(Speech.packVocabIds([0x012, 0x134, 0x256, 0x378]), [0x12, 0x34, 0x56, 0x78, 0b11100100], 'Full group packing');
+  assertBytes(Speech.packVocabIds([0x3ff, 0x001, 0x002, 0x003, 0x204]), [0xff, 0x01, 0x02, 0x03, 0x03, 0x04, 0x02], 'Partial group packing');
+
+  // Test 2: Empty speech section
+  assertBytes(new Speech().packet(), [0x00, 0x05, 0x00, 0x06, 0x00, 0x00, 0x00, 0x05], 'Empty speech packet');
+
+  // Test 3: Nicknames and phrases
+  const speech = new Speech({
+    deviceNickname: [0x101, 0x002, 0x3ff],
+    userNickname: [0x004],
+    phrases: [
+      [0x001, 0x002, 0x003, 0x004, 0x205],
+      [0x010, 0x020]
+    ]
+  });
+
+  assertBytes(speech.header(), [0x02, 0x09, 0x00, 0x0e, 0x00, 0x11, 0x00, 0x19, 0x00], 'Header offsets');
+  assertBytes(speech.nicknameBytes(), [0x03, 0x01, 0x02, 0xff, 0x31, 0x01, 0x04, 0x00], 'Nickname bytes');
+  assertBytes(
+    speech.formattedPhrases(),
+    [0x05, 0x01, 0x02, 0x03, 0x04, 0x00, 0x05, 0x02, 0x02, 0x10, 0x20, 0x00],
+    'Formatted phrases'
+  );
+
+  // Test 4: Header offsets point at each entry
+  const packet = speech.packet();
+  const header = speech.header();
+  const entryOffsets = [];
+  for (let i = 1; i < header.length; i += 2) {
+    entryOffsets.push(header[i] | (header[i + 1] << 8));
+  }
+
+  const entryLengths = [3, 1, 5, 2];
+  entryOffsets.forEach((offset, index) => {
+    if (packet[offset] !== entryLengths[index]) {
+      throw new Error(`Header offset ${index} does not point at an entry of ${entryLengths[index]} words`);
+    }
+  });
+  if (packet[packet.length - 1] !== Speech.PACKETS_TERMINATOR) {
+    throw new Error('Speech packet must end with the terminator');
+  }
+  console.log('✓ Header offsets point at entries passed');
+
+  // Test 5: Speech inside the EEPROM image
+  const eepromBytes = new Eeprom({ speech }).allPackets();
+  assertBytes(eepromBytes, packet, 'Speech in EEPROM data');
+
+  // Test 6: Validation
+  expectValidationError(() => new Speech({ phrases: [[0x400]] }).packet(), 'Vocab ID above 10 bits');
+  expectValidationError(() => new Speech({ deviceNickname: [-1] }).packet(), 'Negative vocab ID');
+  expectValidationError(() => new Speech({ userNickname: new Array(256).fill(1) }).packet(), 'Nickname too long');
+  expectValidationError(() => new Speech({ phrases: [1, 2] }).packet(), 'Phrase that is not an array');
+
+  console.log('✓ All Protocol7 Speech tests passed\n');
+};
+
+export default testSpeech;
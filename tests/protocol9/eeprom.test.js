@@ -0,0 +1,153 @@
+/**
+ * Tests for Protocol9 EEPROM, Chrono and PhoneNumber classes
+ * 
+ * Verifies the chrono and phone book sections of the Ironman Triathlon
+ * EEPROM image, including chrono lap memory validation.
+ */
+
+import Protocol9 from '../../lib/protocol9.js';
+import CrcPacketsWrapper from '../../lib/helpers/crc-packets-wrapper.js';
+import { CharacterEncoders } from '../../lib/helpers/character-encoders.js';
+import { ValidationError } from '../../lib/helpers/data-validator.js';
+
+const { Eeprom, Chrono, PhoneNumber, SoundOptions } = Protocol9.getComponents();
+
+// Test suite for Protocol9 EEPROM
+const testEeprom = () => {
+  console.log('Testing Protocol9 EEPROM...');
+
+  const assertBytes = (actual, expected, testName) => {
+    if (actual.length !== expected.length) {
+      throw new Error(`${testName}: expected length ${expected.length}, got ${actual.length}`);
+    }
+
+    for (let i = 0; i < expected.length; i++) {
+      if (actual[i] !== expected[i]) {
+        throw new Error(`${testName}: byte mismatch at index ${i}: expected ${expected[i]}, got ${actual[i]}`);
+      }
+    }
+
+    console.log(`✓ ${testName} passed`);
+  };
+
+  const expectValidationError = (fn, testName) => {
+    try {
+      fn();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        console.log(`✓ ${testName} passed`);
+        return;
+      }
+      throw error;
+    }
+    throw new Error(`${testName}: expected ValidationError`);
+  };
+
+  // Test 1: Chrono packet carries lap count and EEPROM-encoded label
+  const chrono = new Chrono({ label: 'CHRONO', laps: 8 });
+
+  assertBytes(
+    chrono.packet(),
+    [
+      2 + CharacterEncoders.eepromCharsFor('CHRONO', 8).length,
+      8,
+      ...CharacterEncoders.eepromCharsFor('CHRONO', 8)
+    ],
+    'chrono packet'
+  );
+
+  // Test 2: Phone number packet matches the Protocol 3 style encoding
+  const docBrown = new PhoneNumber({ name: 'Doc Brown', number: '1112223333', type: 'C' });
+  const numberBytes = CharacterEncoders.phoneCharsFor('1112223333 c');
+  const nameBytes = CharacterEncoders.eepromCharsFor('Doc Brown');
+
+  assertBytes(
+    docBrown.packet(),
+    [1 + numberBytes.length + nameBytes.length, ...numberBytes, ...nameBytes],
+    'phone number packet'
+  );
+
+  // Test 3: EEPROM header addresses each section after the previous one
+  const eeprom = new Eeprom({ chrono, phoneNumbers: [docBrown] });
+  const payload = [...chrono.packet(), ...docBrown.packet()];
+  const phoneAddress = Eeprom.START_ADDRESS + chrono.packet().length;
+
+  assertBytes(
+    eeprom.packets().map(packet => packet.join(',')),
+    CrcPacketsWrapper.wrapPackets([
+      [0x93, 0x01],
+      [0x90, 0x01, 1, 0x36, 0x02, phoneAddress & 0xFF, phoneAddress >> 8, 1, 1],
+      [0x91, 0x01, 1, ...payload],
+      [0x92, 0x01]
+    ]).map(packet => packet.join(',')),
+    'EEPROM packets'
+  );
+
+  // Test 4: Default chrono is used when only phone numbers are given
+  if (new Eeprom({ phoneNumbers: [docBrown] }).chrono.laps !== 2) {
+    throw new Error('Expected default chrono with 2 laps');
+  }
+  console.log('✓ default chrono passed');
+
+  // Test 5: Lap count validation
+  expectValidationError(() => new Chrono({ laps: 1 }).packet(), 'too few laps');
+  expectValidationError(() => new Chrono({ laps: 51 }).packet(), 'too many laps');
+  expectValidationError(() => new Chrono({ label: 'TRIATHLON', laps: 8 }).packet(), 'chrono label too long');
+
+  // Test 6: Phone number length and character validation
+  expectValidationError(() => new PhoneNumber({ name: 'Doc Brown', number: '11122233334' }).packet(), 'number too long');
+  expectValidationError(() => new PhoneNumber({ name: 'Doc Brown', number: '555-1234' }).packet(), 'number with invalid characters');
+  expectValidationError(() => new PhoneNumber({ name: 'Doc Brown', number: '5551234', type: 'X' }).packet(), 'invalid type');
+  expectValidationError(() => new PhoneNumber({ name: 'Doc Brown', number: '5551234', type: 'CF' }).packet(), 'type too long');
+  expectValidationError(() => new PhoneNumber({ name: 'A'.repeat(32), number: '5551234' }).packet(), 'name too long');
+  expectValidationError(
+    () => new Eeprom({ phoneNumbers: [new PhoneNumber({ name: 'Doc Brown', number: '555 CALL' })] }).packets(),
+    'EEPROM validates its phone numbers'
+  );
+  new PhoneNumber({ name: 'Pizza', number: '5551234 w', type: 'h' }).packet();
+  console.log('✓ phone numbers with pause, wait and type characters pass');
+
+  // Test 7: Chrono laps are checked against memory left by phone numbers
+  const phoneBook = Array.from({ length: 70 }, (_, index) => new PhoneNumber({
+    name: `Contact number ${index}`,
+    number: '5551234567'
+  }));
+  const fullEeprom = new Eeprom({ chrono: new Chrono({ laps: 50 }), phoneNumbers: phoneBook });
+
+  if (fullEeprom.maxChronoLaps() >= 50) {
+    throw new Error(`Expected full phone book to limit chrono laps, got ${fullEeprom.maxChronoLaps()}`);
+  }
+  expectValidationError(() => fullEeprom.packets(), 'chrono laps exceeding memory');
+
+  const fittingEeprom = new Eeprom({
+    chrono: new Chrono({ laps: fullEeprom.maxChronoLaps() }),
+    phoneNumbers: phoneBook
+  });
+  if (fittingEeprom.usedBytes() > Eeprom.availableBytes()) {
+    throw new Error('Expected maxChronoLaps() to fit in memory');
+  }
+  fittingEeprom.packets();
+  console.log('✓ maxChronoLaps() fits in memory');
+
+  // Test 8: Sync sequence places the EEPROM before sound options
+  const sequence = Protocol9.createSyncSequence({
+    chrono,
+    phoneNumbers: [docBrown],
+    soundOptions: { hourlyChime: true, buttonBeep: false }
+  });
+  const eepromIndex = sequence.findIndex(component => component instanceof Eeprom);
+
+  if (eepromIndex === -1 || !(sequence[eepromIndex + 1] instanceof SoundOptions)) {
+    throw new Error('Expected EEPROM component before SoundOptions in sync sequence');
+  }
+  console.log('✓ Sync sequence includes EEPROM');
+
+  if (Protocol9.createSyncSequence({}).some(component => component instanceof Eeprom)) {
+    throw new Error('Sync sequence without chrono or phone numbers should not include EEPROM');
+  }
+  console.log('✓ Sync sequence skips EEPROM without data');
+
+  console.log('✓ All Protocol9 EEPROM tests passed\n');
+};
+
+export default testEeprom;
@@ -0,0 +1,65 @@
+# frozen_string_literal: true
+
+# Regenerates ruby-vectors.js: Protocol 9 EEPROM packets compiled by the Ruby
+# timex_datalink_client gem for the inputs below.  ruby-vectors.test.js builds
+# the same EEPROM with lib/protocol9.js and compares the packets byte for byte.
+#
+#   gem install timex_datalink_client
+#   ruby tests/protocol9/ruby-vectors.rb
+
+require "json"
+require "timex_datalink_client"
+
+Eeprom = TimexDatalinkClient::Protocol9::Eeprom
+
+CASES = [
+  {
+    name: "chrono",
+    chrono: { label: "CHRONO", laps: 8 }
+  },
+  {
+    name: "chrono with most laps",
+    chrono: { label: "TRI", laps: 50 }
+  },
+  {
+    name: "phone numbers",
+    phoneNumbers: [
+      { name: "Doc Brown", number: "1112223333", type: "C" },
+      { name: "Doc Brown", number: "4445556666", type: "H" }
+    ]
+  },
+  {
+    name: "chrono and phone numbers",
+    chrono: { label: "CHRONO", laps: 8 },
+    phoneNumbers: [
+      { name: "Doc Brown", number: "1112223333", type: "C" },
+      { name: "Marty McFly", number: "5551234", type: " " }
+    ]
+  }
+].freeze
+
+def eeprom_for(input)
+  options = {}
+
+  if (chrono = input[:chrono])
+    options[:chrono] = Eeprom::Chrono.new(**chrono)
+  end
+
+  if (phone_numbers = input[:phoneNumbers])
+    options[:phone_numbers] = phone_numbers.map do |phone_number|
+      Eeprom::PhoneNumber.new(**phone_number)
+    end
+  end
+
+  Eeprom.new(**options)
+end
+
+vectors = CASES.map { |input| input.merge(packets: eeprom_for(input).packets) }
+version = Gem.loaded_specs["timex_datalink_client"]&.version
+
+File.write(File.join(__dir__, "ruby-vectors.js"), <<~JS)
+  // Generated by tests/protocol9/ruby-vectors.rb from timex_datalink_client #{version}; do not edit
+  export default [
+  #{vectors.map { |vector| "  #{JSON.generate(vector)}" }.join(",\n")}
+  ];
+JS
@@ -0,0 +1,57 @@
+/**
+ * Tests for Protocol9 EEPROM packets against the Ruby client
+ *
+ * Builds each input in ruby-vectors.js with lib/protocol9.js and compares
+ * the packets with the ones the Ruby timex_datalink_client gem compiled.
+ * Regenerate the vectors with tests/protocol9/ruby-vectors.rb.
+ */
+
+import Protocol9 from '../../lib/protocol9.js';
+import vectors from './ruby-vectors.js';
+
+const { Eeprom, Chrono, PhoneNumber } = Protocol9.getComponents();
+
+// Build the EEPROM component for a vector input
+const eepromFor = (input) => {
+  const options = {};
+
+  if (input.chrono) {
+    options.chrono = new Chrono(input.chrono);
+  }
+
+  if (input.phoneNumbers) {
+    options.phoneNumbers = input.phoneNumbers.map(phoneNumber => new PhoneNumber(phoneNumber));
+  }
+
+  return new Eeprom(options);
+};
+
+// Test suite for Protocol9 Ruby vectors
+const testRubyVectors = () => {
+  console.log('Testing Protocol9 packets against Ruby vectors...');
+
+  if (vectors.length === 0) {
+    throw new Error('No Ruby vectors; run tests/protocol9/ruby-vectors.rb with the timex_datalink_client gem installed');
+  }
+
+  const failures = [];
+
+  vectors.forEach(({ name, packets, ...input }) => {
+    const actual = eepromFor(input).packets();
+
+    if (JSON.stringify(actual) !== JSON.stringify(packets)) {
+      failures.push(`${name}: expected ${JSON.stringify(packets)}, got ${JSON.stringify(actual)}`);
+      return;
+    }
+
+    console.log(`✓ ${name} passed`);
+  });
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${vectors.length} Ruby vectors differ:\n${failures.join('\n')}`);
+  }
+
+  console.log('✓ All Protocol9 Ruby vector tests passed\n');
+};
+
+export default testRubyVectors;
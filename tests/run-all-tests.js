@@ -34,6 +34,17 @@ const runAllTestSuites = async () => {
   try {
     const { default: testDeviceCommunication } = await import('./integration/device-communication.test.js');
     const { default: testSyncWorkflows } = await import('./integration/sync-workflows.test.js');
+    const { default: testScreenTransmitter } = await import('./integration/screen-transmitter.test.js');
+    const { default: testNodeSerialTransport } = await import('./integration/node-serial-transport.test.js');
+    const { default: testCli } = await import('./integration/cli.test.js');
+    const { default: testPacketCapture } = await import('./integration/packet-capture.test.js');
+    const { default: testVirtualWatch } = await import('./integration/virtual-watch.test.js');
+    const { default: testTimingCalibration } = await import('./integration/timing-calibration.test.js');
+    const { default: testTransferProgress } = await import('./integration/transfer-progress.test.js');
+    const { default: testWatchProfile } = await import('./integration/watch-profile.test.js');
+    const { default: testProtocolMigration } = await import('./integration/protocol-migration.test.js');
+    const { default: testWatchState } = await import('./integration/watch-state.test.js');
+    const { default: testDeviceRegistry } = await import('./integration/device-registry.test.js');
     
     console.log('--- Device Communication ---');
     const deviceSuccess = await testDeviceCommunication();
@@ -41,7 +52,40 @@ const runAllTestSuites = async () => {
     console.log('\n--- Sync Workflows ---');
     const syncSuccess = await testSyncWorkflows();
     
-    if (deviceSuccess && syncSuccess) {
+    console.log('\n--- Screen Transmitter ---');
+    const screenSuccess = await testScreenTransmitter();
+    
+    console.log('\n--- Transports ---');
+    const transportSuccess = await testNodeSerialTransport();
+    
+    console.log('\n--- Command-Line Tool ---');
+    const cliSuccess = await testCli();
+    
+    console.log('\n--- Packet Capture ---');
+    const captureSuccess = await testPacketCapture();
+
+    console.log('\n--- Virtual Watch ---');
+    const virtualWatchSuccess = await testVirtualWatch();
+
+    console.log('\n--- Timing Calibration ---');
+    const timingSuccess = await testTimingCalibration();
+
+    console.log('\n--- Transfer Progress ---');
+    const progressSuccess = await testTransferProgress();
+    
+    console.log('\n--- Watch Profile ---');
+    const profileSuccess = await testWatchProfile();
+    
+    console.log('\n--- Protocol Migration ---');
+    const migrationSuccess = await testProtocolMigration();
+    
+    console.log('\n--- Watch State ---');
+    const watchStateSuccess = await testWatchState();
+    
+    console.log('\n--- Device Registry ---');
+    const registrySuccess = await testDeviceRegistry();
+    
+    if (deviceSuccess && syncSuccess && screenSuccess && transportSuccess && cliSuccess && captureSuccess && virtualWatchSuccess && timingSuccess && progressSuccess && profileSuccess && migrationSuccess && watchStateSuccess && registrySuccess) {
       console.log('\n✅ Integration tests completed\n');
       totalPassed++;
     } else {
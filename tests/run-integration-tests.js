@@ -6,6 +6,17 @@
 
 import testDeviceCommunication from './integration/device-communication.test.js';
 import testSyncWorkflows from './integration/sync-workflows.test.js';
+import testScreenTransmitter from './integration/screen-transmitter.test.js';
+import testNodeSerialTransport from './integration/node-serial-transport.test.js';
+import testCli from './integration/cli.test.js';
+import testPacketCapture from './integration/packet-capture.test.js';
+import testVirtualWatch from './integration/virtual-watch.test.js';
+import testTimingCalibration from './integration/timing-calibration.test.js';
+import testTransferProgress from './integration/transfer-progress.test.js';
+import testWatchProfile from './integration/watch-profile.test.js';
+import testProtocolMigration from './integration/protocol-migration.test.js';
+import testWatchState from './integration/watch-state.test.js';
+import testDeviceRegistry from './integration/device-registry.test.js';
 
 console.log('🧪 Running Integration Tests\n');
 console.log('============================\n');
@@ -13,7 +24,18 @@ console.log('============================\n');
 const runAllIntegrationTests = async () => {
   const tests = [
     { name: 'Device Communication', test: testDeviceCommunication },
-    { name: 'Sync Workflows', test: testSyncWorkflows }
+    { name: 'Sync Workflows', test: testSyncWorkflows },
+    { name: 'Screen Transmitter', test: testScreenTransmitter },
+    { name: 'Transports', test: testNodeSerialTransport },
+    { name: 'Command-Line Tool', test: testCli },
+    { name: 'Packet Capture', test: testPacketCapture },
+    { name: 'Virtual Watch', test: testVirtualWatch },
+    { name: 'Timing Calibration', test: testTimingCalibration },
+    { name: 'Transfer Progress', test: testTransferProgress },
+    { name: 'Watch Profile', test: testWatchProfile },
+    { name: 'Protocol Migration', test: testProtocolMigration },
+    { name: 'Watch State', test: testWatchState },
+    { name: 'Device Registry', test: testDeviceRegistry }
   ];
   
   let passed = 0;
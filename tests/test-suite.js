@@ -8,6 +8,14 @@ import { SerialAdapter } from '../lib/serial-adapter.js';
 import { runTests as runCrcTests } from './helpers/crc-packets-wrapper.test.js';
 import { runTests as runCharacterEncodersTests } from './helpers/character-encoders.test.js';
 import { runTests as runDataValidatorTests } from './helpers/data-validator.test.js';
+import { runTests as runMdbReaderTests } from './helpers/mdb-reader.test.js';
+import { runTests as runZapFileParserTests } from './helpers/zap-file-parser.test.js';
+import { runTests as runSpcFileParserTests } from './helpers/spc-file-parser.test.js';
+import { runTests as runPacketDecoderTests } from './helpers/packet-decoder.test.js';
+import { runTests as runPacketTimingTests } from './helpers/packet-timing.test.js';
+import { runTests as runSchemaValidatorTests } from './helpers/schema-validator.test.js';
+import { runTests as runEepromCapacityTests } from './helpers/eeprom-capacity.test.js';
+import { runTests as runDeepCloneTests } from './helpers/deep-clone.test.js';
 
 // Protocol 3 component tests
 import testStart from './protocol3/start.test.js';
@@ -18,6 +26,7 @@ import testAlarm from './protocol3/alarm.test.js';
 import testEeprom from './protocol3/eeprom.test.js';
 import testSoundOptions from './protocol3/sound-options.test.js';
 import testSoundTheme from './protocol3/sound-theme.test.js';
+import testWristApp from './protocol3/wrist-app.test.js';
 
 // EEPROM sub-component tests
 import testAppointment from './protocol3/eeprom/appointment.test.js';
@@ -25,6 +34,22 @@ import testAnniversary from './protocol3/eeprom/anniversary.test.js';
 import testPhoneNumber from './protocol3/eeprom/phone-number.test.js';
 import testList from './protocol3/eeprom/list.test.js';
 
+// Protocol 6 component tests
+import testProtocol6Eeprom from './protocol6/eeprom.test.js';
+import testProtocol6RubyVectors from './protocol6/ruby-vectors.test.js';
+
+// Protocol 7 component tests
+import testProtocol7PhraseBuilder from './protocol7/phrase-builder.test.js';
+import testProtocol7Speech from './protocol7/speech.test.js';
+import testProtocol7Activity from './protocol7/activity.test.js';
+import testProtocol7Calendar from './protocol7/calendar.test.js';
+import testProtocol7PhoneNumber from './protocol7/phone-number.test.js';
+import testProtocol7RubyVectors from './protocol7/ruby-vectors.test.js';
+
+// Protocol 9 component tests
+import testProtocol9Eeprom from './protocol9/eeprom.test.js';
+import testProtocol9RubyVectors from './protocol9/ruby-vectors.test.js';
+
 // Simple test framework
 class TestFramework {
     constructor() {
@@ -91,13 +116,36 @@ export async function runAllTests() {
     let totalPassed = 0;
     let totalFailed = 0;
     
+    // Run protocol component tests, which throw on failure
+    const runComponentTests = async (tests) => {
+        for (const { name, test } of tests) {
+            try {
+                console.log(`\nTesting ${name}...`);
+                await test();
+                console.log(`✅ ${name} - All tests passed`);
+                totalPassed++;
+            } catch (error) {
+                console.log(`❌ ${name} - Tests failed: ${error.message}`);
+                totalFailed++;
+            }
+        }
+    };
+    
     // Helper component tests
     console.log('--- Helper Components ---');
     
     const helperTests = [
         { name: 'CRC Packets Wrapper', test: runCrcTests },
         { name: 'Character Encoders', test: runCharacterEncodersTests },
-        { name: 'Data Validator', test: runDataValidatorTests }
+        { name: 'Data Validator', test: runDataValidatorTests },
+        { name: 'MDB Reader', test: runMdbReaderTests },
+        { name: 'ZAP File Parser', test: runZapFileParserTests },
+        { name: 'SPC File Parser', test: runSpcFileParserTests },
+        { name: 'Packet Decoder', test: runPacketDecoderTests },
+        { name: 'Packet Timing', test: runPacketTimingTests },
+        { name: 'Schema Validator', test: runSchemaValidatorTests },
+        { name: 'EEPROM Capacity', test: runEepromCapacityTests },
+        { name: 'Deep Clone', test: runDeepCloneTests }
     ];
     
     for (const { name, test } of helperTests) {
@@ -129,23 +177,48 @@ export async function runAllTests() {
         { name: 'Protocol3.EEPROM', test: testEeprom },
         { name: 'Protocol3.SoundOptions', test: testSoundOptions },
         { name: 'Protocol3.SoundTheme', test: testSoundTheme },
+        { name: 'Protocol3.WristApp', test: testWristApp },
         { name: 'Protocol3.EEPROM.Appointment', test: testAppointment },
         { name: 'Protocol3.EEPROM.Anniversary', test: testAnniversary },
         { name: 'Protocol3.EEPROM.PhoneNumber', test: testPhoneNumber },
         { name: 'Protocol3.EEPROM.List', test: testList }
     ];
     
-    for (const { name, test } of protocol3Tests) {
-        try {
-            console.log(`\nTesting ${name}...`);
-            test();
-            console.log(`✅ ${name} - All tests passed`);
-            totalPassed++;
-        } catch (error) {
-            console.log(`❌ ${name} - Tests failed: ${error.message}`);
-            totalFailed++;
-        }
-    }
+    await runComponentTests(protocol3Tests);
+    
+    // Protocol 6 component tests
+    console.log('\n--- Protocol 6 Components ---');
+    
+    const protocol6Tests = [
+        { name: 'Protocol6.EEPROM', test: testProtocol6Eeprom },
+        { name: 'Protocol6.RubyVectors', test: testProtocol6RubyVectors }
+    ];
+    
+    await runComponentTests(protocol6Tests);
+    
+    // Protocol 7 component tests
+    console.log('\n--- Protocol 7 Components ---');
+    
+    const protocol7Tests = [
+        { name: 'Protocol7.PhraseBuilder', test: testProtocol7PhraseBuilder },
+        { name: 'Protocol7.Speech', test: testProtocol7Speech },
+        { name: 'Protocol7.Activity', test: testProtocol7Activity },
+        { name: 'Protocol7.Calendar', test: testProtocol7Calendar },
+        { name: 'Protocol7.PhoneNumber', test: testProtocol7PhoneNumber },
+        { name: 'Protocol7.RubyVectors', test: testProtocol7RubyVectors }
+    ];
+    
+    await runComponentTests(protocol7Tests);
+    
+    // Protocol 9 component tests
+    console.log('\n--- Protocol 9 Components ---');
+    
+    const protocol9Tests = [
+        { name: 'Protocol9.EEPROM', test: testProtocol9Eeprom },
+        { name: 'Protocol9.RubyVectors', test: testProtocol9RubyVectors }
+    ];
+    
+    await runComponentTests(protocol9Tests);
     
     // Core library tests
     console.log('\n--- Core Library Components ---');